@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { summarizeMastery } from '../../services/mastery';
+
+const LEVEL_STYLES = {
+  mastered: { label: 'Mastered', pill: 'bg-green-100 text-green-800', bar: 'bg-green-500' },
+  developing: { label: 'Getting there', pill: 'bg-yellow-100 text-yellow-800', bar: 'bg-yellow-500' },
+  needs_practice: { label: 'Needs practice', pill: 'bg-red-100 text-red-800', bar: 'bg-red-400' }
+};
+
+/**
+ * Mastery Overview Component
+ * Lists the estimated mastery of each learning objective (see services/mastery.js), weakest first.
+ */
+function MasteryOverview({ objectives, title = '🧠 Learning Objectives', limit = 6, emptyMessage }) {
+  const [showAll, setShowAll] = useState(false);
+  const summary = summarizeMastery(objectives);
+  const visible = showAll ? objectives : objectives.slice(0, limit);
+
+  return (
+    <div className="card card-padding">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+        {summary.total > 0 && (
+          <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+            {summary.mastered}/{summary.total} mastered
+          </span>
+        )}
+      </div>
+
+      {objectives.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {emptyMessage || 'Mastery shows up here once quizzes tagged with learning objectives have been taken.'}
+        </p>
+      ) : (
+        <>
+          <div className="space-y-3">
+            {visible.map(objective => {
+              const style = LEVEL_STYLES[objective.level];
+              return (
+                <div key={objective.key}>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium text-gray-900 truncate" title={objective.resources.join(', ')}>
+                      {objective.objective}
+                    </span>
+                    <span className={`ml-2 text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${style.pill}`}>
+                      {style.label}
+                    </span>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div className={`h-full ${style.bar}`} style={{ width: `${Math.round(objective.pKnown * 100)}%` }}></div>
+                    </div>
+                    <span className="text-xs text-gray-500 whitespace-nowrap">
+                      {objective.correct}/{objective.attempts} correct
+                    </span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {objectives.length > limit && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="mt-4 text-primary-500 text-sm hover:text-primary-600"
+            >
+              {showAll ? 'Show less' : `Show all ${objectives.length}`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+MasteryOverview.propTypes = {
+  objectives: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    objective: PropTypes.string.isRequired,
+    pKnown: PropTypes.number.isRequired,
+    level: PropTypes.oneOf(Object.keys(LEVEL_STYLES)).isRequired,
+    attempts: PropTypes.number.isRequired,
+    correct: PropTypes.number.isRequired,
+    resources: PropTypes.arrayOf(PropTypes.string).isRequired,
+  })).isRequired,
+  title: PropTypes.string,
+  limit: PropTypes.number,
+  emptyMessage: PropTypes.string,
+};
+
+export default MasteryOverview;
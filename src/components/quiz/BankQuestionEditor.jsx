@@ -0,0 +1,336 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { OBJECTIVE_MAX_LENGTH, QUESTION_TYPES, QUIZ_OPTION_COUNT } from '../../services/quizSchema';
+import { changeQuestionType } from '../../services/quizBank';
+import { DIFFICULTY_LABELS } from '../../services/adaptiveDifficulty';
+
+const TYPE_LABELS = {
+  mcq: 'Multiple choice',
+  true_false: 'True / False',
+  multi_select: 'Select all that apply',
+  numeric: 'Number',
+  short_text: 'Short answer',
+  ordering: 'Put in order',
+  image_match: 'Match pictures'
+};
+
+// One entry per line; image_match lines are "image | label"
+const toLines = (question) => {
+  if (question.type === 'image_match') return (question.pairs || []).map(pair => `${pair.image} | ${pair.label}`).join('\n');
+  if (question.type === 'short_text') return (question.acceptedAnswers || []).join('\n');
+  return (question.items || []).join('\n');
+};
+
+const fromLines = (type, text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  if (type === 'image_match') {
+    return {
+      pairs: lines.map(line => {
+        const [image, ...label] = line.split('|');
+        return { image: image.trim(), label: label.join('|').trim() };
+      })
+    };
+  }
+  return type === 'short_text' ? { acceptedAnswers: lines } : { items: lines };
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500';
+
+/**
+ * Bank Question Editor Component
+ * Edits one quiz bank question of any type and lets the teacher approve it for students.
+ */
+function BankQuestionEditor({ question, index, errors, objectiveSuggestions = [], onChange, onRemove }) {
+  // List-style answers are edited as text so blank lines don't vanish mid-typing
+  const [linesDraft, setLinesDraft] = useState(() => toLines(question));
+
+  const update = (fields) => onChange({ ...question, ...fields });
+
+  const changeType = (type) => {
+    const next = changeQuestionType(question, type);
+    setLinesDraft(toLines(next));
+    onChange(next);
+  };
+
+  const updateOption = (optionIndex, value) => {
+    const options = [...question.options];
+    options[optionIndex] = value;
+    update({ options });
+  };
+
+  const toggleCorrect = (optionIndex) => {
+    const correctAnswers = question.correctAnswers.includes(optionIndex)
+      ? question.correctAnswers.filter(value => value !== optionIndex)
+      : [...question.correctAnswers, optionIndex].sort((a, b) => a - b);
+    update({ correctAnswers });
+  };
+
+  const removeOption = (optionIndex) => {
+    update({
+      options: question.options.filter((_, i) => i !== optionIndex),
+      correctAnswers: question.correctAnswers
+        .filter(value => value !== optionIndex)
+        .map(value => (value > optionIndex ? value - 1 : value))
+    });
+  };
+
+  const hasErrors = errors.length > 0;
+
+  return (
+    <div className={`p-4 border rounded-lg ${hasErrors ? 'border-red-300 bg-red-50' : question.approved ? 'border-green-300 bg-green-50' : 'border-gray-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="flex items-center space-x-3">
+          <span className="font-semibold text-gray-900">Q{index + 1}</span>
+          <select
+            value={question.type || 'mcq'}
+            onChange={(e) => changeType(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          >
+            {QUESTION_TYPES.map(type => (
+              <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-center space-x-4">
+          <label className="flex items-center text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={Boolean(question.approved)}
+              disabled={hasErrors}
+              onChange={(e) => update({ approved: e.target.checked })}
+              className="mr-2 h-4 w-4"
+            />
+            <span className={question.approved ? 'text-green-700 font-medium' : 'text-gray-600'}>
+              {question.approved ? '✅ Approved' : 'Approve'}
+            </span>
+          </label>
+          <button type="button" onClick={onRemove} className="text-sm text-red-600 hover:text-red-800">
+            🗑️ Remove
+          </button>
+        </div>
+      </div>
+
+      <textarea
+        value={question.question}
+        onChange={(e) => update({ question: e.target.value })}
+        rows={2}
+        className={`${inputClassName} mb-3`}
+        placeholder="Question text"
+      />
+
+      {/* Objectives shared across questions let mastery add up per skill */}
+      <div className="flex items-center space-x-2 mb-3">
+        <span className="text-sm text-gray-600 whitespace-nowrap">🎯 Objective</span>
+        <input
+          type="text"
+          list={`objectives-${question.id ?? index}`}
+          value={question.objective || ''}
+          onChange={(e) => update({ objective: e.target.value })}
+          maxLength={OBJECTIVE_MAX_LENGTH}
+          className={inputClassName}
+          placeholder="Learning objective, e.g. Parts of a plant"
+        />
+        <datalist id={`objectives-${question.id ?? index}`}>
+          {objectiveSuggestions.map(objective => <option key={objective} value={objective} />)}
+        </datalist>
+        <select
+          value={question.difficulty ?? ''}
+          onChange={(e) => update({ difficulty: e.target.value ? Number(e.target.value) : undefined })}
+          className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+          title="Difficulty"
+        >
+          <option value="">Difficulty</option>
+          {Object.entries(DIFFICULTY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {(question.type === 'mcq' || !question.type) && (
+        <div className="space-y-2 mb-3">
+          {question.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name={`correct-${question.id ?? index}`}
+                checked={question.correctAnswer === optionIndex}
+                onChange={() => update({ correctAnswer: optionIndex })}
+                className="h-4 w-4"
+                title="Correct answer"
+              />
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(optionIndex, e.target.value)}
+                className={inputClassName}
+                placeholder={`Option ${String.fromCharCode(65 + optionIndex)}`}
+              />
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">Select the correct option.</p>
+        </div>
+      )}
+
+      {question.type === 'true_false' && (
+        <div className="flex space-x-6 mb-3">
+          {question.options.map((option, optionIndex) => (
+            <label key={option} className="flex items-center text-sm">
+              <input
+                type="radio"
+                name={`correct-${question.id ?? index}`}
+                checked={question.correctAnswer === optionIndex}
+                onChange={() => update({ correctAnswer: optionIndex })}
+                className="mr-2 h-4 w-4"
+              />
+              {option} is correct
+            </label>
+          ))}
+        </div>
+      )}
+
+      {question.type === 'multi_select' && (
+        <div className="space-y-2 mb-3">
+          {question.options.map((option, optionIndex) => (
+            <div key={optionIndex} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={question.correctAnswers.includes(optionIndex)}
+                onChange={() => toggleCorrect(optionIndex)}
+                className="h-4 w-4"
+                title="Correct answer"
+              />
+              <input
+                type="text"
+                value={option}
+                onChange={(e) => updateOption(optionIndex, e.target.value)}
+                className={inputClassName}
+                placeholder={`Option ${String.fromCharCode(65 + optionIndex)}`}
+              />
+              {question.options.length > QUIZ_OPTION_COUNT && (
+                <button type="button" onClick={() => removeOption(optionIndex)} className="text-gray-400 hover:text-red-600">
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-gray-500">Tick every correct option.</p>
+            {question.options.length < 6 && (
+              <button
+                type="button"
+                onClick={() => update({ options: [...question.options, ''] })}
+                className="text-sm text-primary-600 hover:text-primary-800"
+              >
+                + Add option
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {question.type === 'numeric' && (
+        <div className="grid grid-cols-3 gap-3 mb-3">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Answer</label>
+            <input
+              type="number"
+              step="any"
+              value={question.correctAnswer}
+              onChange={(e) => update({ correctAnswer: e.target.value === '' ? '' : Number(e.target.value) })}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Tolerance (±)</label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={question.tolerance}
+              onChange={(e) => update({ tolerance: e.target.value === '' ? 0 : Number(e.target.value) })}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Unit</label>
+            <input
+              type="text"
+              value={question.unit}
+              onChange={(e) => update({ unit: e.target.value })}
+              className={inputClassName}
+              placeholder="e.g., cm"
+            />
+          </div>
+        </div>
+      )}
+
+      {['short_text', 'ordering', 'image_match'].includes(question.type) && (
+        <div className="mb-3">
+          <textarea
+            value={linesDraft}
+            onChange={(e) => {
+              setLinesDraft(e.target.value);
+              update(fromLines(question.type, e.target.value));
+            }}
+            rows={4}
+            className={`${inputClassName} font-mono text-sm`}
+            placeholder={
+              question.type === 'short_text' ? 'One accepted answer per line'
+                : question.type === 'ordering' ? 'One item per line, in the correct order'
+                : 'One pair per line: 🍎 | Apple'
+            }
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {question.type === 'short_text' && 'Small typos in student answers are accepted automatically.'}
+            {question.type === 'ordering' && 'Students see the items shuffled.'}
+            {question.type === 'image_match' && 'Use an emoji or an image URL, then the label.'}
+          </p>
+        </div>
+      )}
+
+      <textarea
+        value={question.explanation}
+        onChange={(e) => update({ explanation: e.target.value })}
+        rows={2}
+        className={inputClassName}
+        placeholder="Explanation shown after answering"
+      />
+
+      {hasErrors && (
+        <ul className="mt-2 text-sm text-red-700 list-disc list-inside">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+BankQuestionEditor.propTypes = {
+  question: PropTypes.shape({
+    id: PropTypes.number,
+    type: PropTypes.string,
+    question: PropTypes.string.isRequired,
+    explanation: PropTypes.string,
+    objective: PropTypes.string,
+    difficulty: PropTypes.number,
+    approved: PropTypes.bool,
+    options: PropTypes.arrayOf(PropTypes.string),
+    correctAnswer: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    correctAnswers: PropTypes.arrayOf(PropTypes.number),
+    tolerance: PropTypes.number,
+    unit: PropTypes.string,
+    acceptedAnswers: PropTypes.arrayOf(PropTypes.string),
+    items: PropTypes.arrayOf(PropTypes.string),
+    pairs: PropTypes.arrayOf(PropTypes.shape({
+      image: PropTypes.string,
+      label: PropTypes.string,
+    })),
+  }).isRequired,
+  index: PropTypes.number.isRequired,
+  errors: PropTypes.arrayOf(PropTypes.string).isRequired,
+  objectiveSuggestions: PropTypes.arrayOf(PropTypes.string),
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+};
+
+export default BankQuestionEditor;
@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { isAnswerCorrect, isAnswerProvided } from '../../services/quizScoring';
+
+// Deterministic shuffle so a question looks the same when the student navigates back to it
+const seededOrder = (count, seedText) => {
+  let seed = 0;
+  for (let i = 0; i < seedText.length; i++) {
+    seed = (seed * 31 + seedText.charCodeAt(i)) >>> 0;
+  }
+  const random = () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+
+  const order = Array.from({ length: count }, (_, i) => i);
+  for (let i = count - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  // An ordering question that starts solved isn't a question
+  if (count > 1 && order.every((value, i) => value === i)) {
+    order.push(order.shift());
+  }
+  return order;
+};
+
+const optionClassName = ({ selected, correct, locked }) => {
+  let className = 'p-4 border rounded-lg transition-all duration-200 ';
+  if (!locked) {
+    return className + 'cursor-pointer ' + (selected
+      ? 'border-primary-500 bg-primary-50 text-primary-700'
+      : 'border-gray-200 hover:border-gray-300 hover:bg-gray-50');
+  }
+  if (correct) return className + 'border-green-500 bg-green-50 text-green-700';
+  if (selected) return className + 'border-red-500 bg-red-50 text-red-700';
+  return className + 'border-gray-200 bg-gray-50 text-gray-600';
+};
+
+const initialDraft = (question, answer) => {
+  if (answer !== null && answer !== undefined) return answer;
+  switch (question.type) {
+    case 'multi_select':
+      return [];
+    case 'numeric':
+    case 'short_text':
+      return '';
+    case 'ordering':
+      return seededOrder(question.items.length, question.question);
+    case 'image_match':
+      return question.pairs.map(() => null);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Question Renderer Component
+ * Renders the answer input for any quiz question type and reports the answer once submitted.
+ * Multiple choice and true/false answer on click; other types use a "Check Answer" button.
+ */
+function QuestionRenderer({ question, answer, locked, onAnswer }) {
+  const type = question.type || 'mcq';
+  const [draft, setDraft] = useState(() => initialDraft({ ...question, type }, answer));
+
+  // Numeric input is kept as text while typing; '' must not become 0
+  const draftValue = type === 'numeric' ? (draft === '' ? null : Number(draft)) : draft;
+  const draftReady = isAnswerProvided({ ...question, type }, draftValue);
+
+  const submitDraft = () => {
+    if (!draftReady) return;
+    onAnswer(type === 'multi_select' ? [...draftValue].sort((a, b) => a - b) : draftValue);
+  };
+
+  const checkButton = !locked && (
+    <button
+      onClick={submitDraft}
+      disabled={!draftReady}
+      className="btn-primary mt-4 disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      Check Answer
+    </button>
+  );
+
+  if (type === 'mcq' || type === 'true_false') {
+    return (
+      <div className={type === 'true_false' ? 'grid grid-cols-2 gap-3' : 'space-y-3'}>
+        {question.options.map((option, index) => {
+          const selected = answer === index;
+          const correct = index === question.correctAnswer;
+          return (
+            <div
+              key={index}
+              className={optionClassName({ selected, correct, locked })}
+              onClick={() => !locked && onAnswer(index)}
+            >
+              <div className="flex items-center justify-between">
+                <span className="flex-1">{option}</span>
+                {locked && (
+                  <span className="ml-3">{correct ? '✅' : selected ? '❌' : ''}</span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+
+  if (type === 'multi_select') {
+    const chosen = locked ? answer : draft;
+    const toggle = (index) => {
+      if (locked) return;
+      setDraft(chosen.includes(index) ? chosen.filter(value => value !== index) : [...chosen, index]);
+    };
+
+    return (
+      <div>
+        <p className="text-sm text-gray-500 mb-3">Select all that apply.</p>
+        <div className="space-y-3">
+          {question.options.map((option, index) => {
+            const selected = chosen.includes(index);
+            const correct = question.correctAnswers.includes(index);
+            return (
+              <div key={index} className={optionClassName({ selected, correct, locked })} onClick={() => toggle(index)}>
+                <div className="flex items-center">
+                  <input type="checkbox" checked={selected} readOnly className="mr-3 h-4 w-4" />
+                  <span className="flex-1">{option}</span>
+                  {locked && (
+                    <span className="ml-3">{correct ? '✅' : selected ? '❌' : ''}</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        {checkButton}
+      </div>
+    );
+  }
+
+  if (type === 'numeric' || type === 'short_text') {
+    const correct = locked && isAnswerCorrect(question, answer);
+    return (
+      <div>
+        <div className="flex items-center space-x-3">
+          <input
+            type={type === 'numeric' ? 'number' : 'text'}
+            step="any"
+            value={locked ? answer : draft}
+            disabled={locked}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submitDraft()}
+            placeholder={type === 'numeric' ? 'Enter a number' : 'Type your answer'}
+            className={`form-input flex-1 ${locked ? (correct ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50') : ''}`}
+          />
+          {question.unit && <span className="text-gray-600">{question.unit}</span>}
+        </div>
+        {checkButton}
+      </div>
+    );
+  }
+
+  if (type === 'ordering') {
+    const order = locked ? answer : draft;
+    const move = (position, offset) => {
+      const next = [...order];
+      [next[position], next[position + offset]] = [next[position + offset], next[position]];
+      setDraft(next);
+    };
+
+    return (
+      <div>
+        <p className="text-sm text-gray-500 mb-3">Put these in the correct order.</p>
+        <ol className="space-y-2">
+          {order.map((itemIndex, position) => (
+            <li
+              key={itemIndex}
+              className={`flex items-center p-3 border rounded-lg ${
+                locked
+                  ? itemIndex === position ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50'
+                  : 'border-gray-200'
+              }`}
+            >
+              <span className="w-6 text-gray-500">{position + 1}.</span>
+              <span className="flex-1">{question.items[itemIndex]}</span>
+              {!locked && (
+                <div className="flex space-x-1">
+                  <button
+                    onClick={() => move(position, -1)}
+                    disabled={position === 0}
+                    className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30"
+                    aria-label="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => move(position, 1)}
+                    disabled={position === order.length - 1}
+                    className="px-2 py-1 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30"
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+        {checkButton}
+      </div>
+    );
+  }
+
+  if (type === 'image_match') {
+    const matches = locked ? answer : draft;
+    const labelOrder = seededOrder(question.pairs.length, `${question.question}:labels`);
+    const isImageUrl = (image) => /^(https?:|data:image\/|\/)/.test(image);
+
+    return (
+      <div>
+        <p className="text-sm text-gray-500 mb-3">Match each picture to its label.</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {question.pairs.map((pair, imageIndex) => (
+            <div
+              key={imageIndex}
+              className={`flex items-center p-3 border rounded-lg ${
+                locked
+                  ? matches[imageIndex] === imageIndex ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50'
+                  : 'border-gray-200'
+              }`}
+            >
+              {isImageUrl(pair.image) ? (
+                <img src={pair.image} alt="" className="h-16 w-16 object-contain mr-3" />
+              ) : (
+                <span className="text-4xl mr-3">{pair.image}</span>
+              )}
+              <select
+                value={matches[imageIndex] ?? ''}
+                disabled={locked}
+                onChange={(e) => {
+                  const next = [...matches];
+                  next[imageIndex] = e.target.value === '' ? null : Number(e.target.value);
+                  setDraft(next);
+                }}
+                className="form-input flex-1"
+              >
+                <option value="">Choose...</option>
+                {labelOrder.map(pairIndex => (
+                  <option key={pairIndex} value={pairIndex}>{question.pairs[pairIndex].label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+        {checkButton}
+      </div>
+    );
+  }
+
+  return <p className="text-red-600">Unsupported question type: {type}</p>;
+}
+
+QuestionRenderer.propTypes = {
+  question: PropTypes.shape({
+    type: PropTypes.string,
+    question: PropTypes.string.isRequired,
+    options: PropTypes.arrayOf(PropTypes.string),
+    correctAnswer: PropTypes.number,
+    correctAnswers: PropTypes.arrayOf(PropTypes.number),
+    tolerance: PropTypes.number,
+    unit: PropTypes.string,
+    acceptedAnswers: PropTypes.arrayOf(PropTypes.string),
+    items: PropTypes.arrayOf(PropTypes.string),
+    pairs: PropTypes.arrayOf(PropTypes.shape({
+      image: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+    })),
+  }).isRequired,
+  answer: PropTypes.any,
+  locked: PropTypes.bool.isRequired,
+  onAnswer: PropTypes.func.isRequired,
+};
+
+export default QuestionRenderer;
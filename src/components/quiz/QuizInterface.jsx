@@ -1,12 +1,37 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import PropTypes from 'prop-types';
 import { quizAPI } from '../../services/api';
+import { isAnswerCorrect, formatAnswer, formatCorrectAnswer, scoreQuiz } from '../../services/quizScoring';
+import { sampleBankQuiz } from '../../services/quizBank';
+import { getExamSettings, formatDuration, TIME_WARNING_SECONDS, TIME_CRITICAL_SECONDS } from '../../services/quizTiming';
+import {
+  ADAPTIVE_QUIZ_LENGTH,
+  DIFFICULTY_LABELS,
+  completeAdaptiveQuiz,
+  getTargetDifficulty,
+  levelAfter,
+  pickNextQuestion
+} from '../../services/adaptiveDifficulty';
+import QuestionRenderer from './QuestionRenderer';
+
+const countdownClassName = (secondsLeft) => {
+  if (secondsLeft <= TIME_CRITICAL_SECONDS) return 'bg-red-100 text-red-700 animate-pulse';
+  if (secondsLeft <= TIME_WARNING_SECONDS) return 'bg-amber-100 text-amber-800';
+  return 'bg-gray-100 text-gray-700';
+};
+
+const secondsUntil = (deadline, now) => Math.max(0, Math.ceil((deadline - now) / 1000));
 
 /**
  * Quiz Interface Component
- * Handles quiz generation, question display, and AI explanations
+ * Handles quiz generation (or sampling from a teacher-approved quiz bank), question display,
+ * and AI explanations.
+ * Resources with exam mode enabled get a visible countdown, auto-advance when a
+ * question's time runs out and auto-submit when the whole quiz's time runs out.
+ * In adaptive mode a generated quiz starts at a difficulty set by recent results and
+ * each next question is picked from a larger pool as the student answers.
  */
-function QuizInterface({ resource, onQuizComplete, studentId }) {
+function QuizInterface({ resource, bank, adaptive = false, onQuizComplete, studentId }) {
   const [quiz, setQuiz] = useState(null);
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
   const [answers, setAnswers] = useState([]);
@@ -18,6 +43,21 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
   const [error, setError] = useState(null);
   const [isAnswered, setIsAnswered] = useState(false);
   const [usedWeaknessInsights, setUsedWeaknessInsights] = useState(false);
+  const [generationDiagnostics, setGenerationDiagnostics] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [quizDeadline, setQuizDeadline] = useState(null);
+  const [questionDeadline, setQuestionDeadline] = useState(null);
+  const [timedOutQuestions, setTimedOutQuestions] = useState([]);
+  const [finished, setFinished] = useState(false);
+  // { pool, target, band, recentAverage, basedOn } for adaptive quizzes; quiz.questions holds
+  // only the questions served so far
+  const [adaptivePlan, setAdaptivePlan] = useState(null);
+  const exam = useMemo(() => getExamSettings(resource), [resource]);
+  // Milliseconds spent on each question, recorded for every quiz so teachers can see pacing
+  const timeSpentRef = useRef([]);
+  const quizStartedAtRef = useRef(null);
+  const questionStartedAtRef = useRef(null);
+  const tickRef = useRef(null);
 
   // Generate quiz when component mounts
   useEffect(() => {
@@ -31,6 +71,18 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
 
       let weaknessInsights = '';
       setUsedWeaknessInsights(false);
+      setGenerationDiagnostics(null);
+      setAdaptivePlan(null);
+
+      if (bank) {
+        const bankQuiz = sampleBankQuiz(bank);
+        setQuiz(bankQuiz);
+        setAnswers(new Array(bankQuiz.questions.length).fill(null));
+        startTiming(bankQuiz.questions.length);
+        console.log('🗂️ [QuizInterface] Quiz sampled from bank:', bank.id, 'questions:', bankQuiz.questions.length);
+        return;
+      }
+
       console.log('🧪 [QuizInterface] Generating quiz for resource:', { id: resource.id, title: resource.title, studentId });
 
       // 1) Try to fetch weak attempts for this resource (by id OR title)
@@ -39,7 +91,7 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
           resourceId: resource.id,
           resourceTitle: resource.title
         });
-        const attempts = weakResp?.data?.data?.attempts || [];
+        const attempts = weakResp.data;
         console.log('🧪 [QuizInterface] weak attempts found:', attempts.length);
         // Collect incorrect Q&A pairs (cap to avoid large context)
         const mistakes = [];
@@ -58,7 +110,7 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
         console.log('🧪 [QuizInterface] mistakes count:', mistakes.length);
         if (mistakes.length > 0) {
           const insightsResp = await quizAPI.generateWeaknessInsights(mistakes);
-          weaknessInsights = insightsResp?.data?.insights || '';
+          weaknessInsights = insightsResp.data;
           console.log('🧪 [QuizInterface] weaknessInsights length:', weaknessInsights.length);
           if (weaknessInsights) setUsedWeaknessInsights(true);
         }
@@ -67,11 +119,38 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
         console.warn('⚠️ [QuizInterface] Weak attempts/insights unavailable:', e?.message);
       }
 
-      // 2) Generate quiz (optionally with weakness insights)
-      const response = await quizAPI.generateQuiz(resource, { weaknessInsights });
-      setQuiz(response.data.quiz);
-      setAnswers(new Array(response.data.quiz.questions.length).fill(null));
-      console.log('✅ [QuizInterface] Quiz generated. Questions:', response.data.quiz.questions.length, 'usedWeakness:', Boolean(weaknessInsights));
+      // 2) Adaptive quizzes start at a difficulty set by recent results
+      let difficulty = null;
+      if (adaptive) {
+        try {
+          const historyResponse = await quizAPI.getStudentQuizHistory(studentId);
+          difficulty = getTargetDifficulty(historyResponse.data, resource.id);
+        } catch (e) {
+          console.warn('⚠️ [QuizInterface] Quiz history unavailable, starting at medium:', e?.message);
+          difficulty = getTargetDifficulty([], resource.id);
+        }
+        console.log('🎚️ [QuizInterface] Adaptive target difficulty:', difficulty);
+      }
+
+      // 3) Generate quiz (optionally with weakness insights)
+      const response = await quizAPI.generateQuiz(resource, { weaknessInsights, difficulty });
+      const questionCount = difficulty
+        ? Math.min(ADAPTIVE_QUIZ_LENGTH, response.data.questions.length)
+        : response.data.questions.length;
+      if (difficulty) {
+        const { question } = pickNextQuestion(response.data.questions, [], [], difficulty.target);
+        setAdaptivePlan({ pool: response.data.questions, ...difficulty });
+        setQuiz({ ...response.data, questions: [question] });
+      } else {
+        setQuiz(response.data);
+      }
+      setGenerationDiagnostics(response.meta.diagnostics || null);
+      setAnswers(new Array(questionCount).fill(null));
+      startTiming(questionCount);
+      if (response.meta.diagnostics?.partial) {
+        console.warn('⚠️ [QuizInterface] Partial quiz generated:', response.meta.diagnostics);
+      }
+      console.log('✅ [QuizInterface] Quiz generated. Questions:', response.data.questions.length, 'usedWeakness:', Boolean(weaknessInsights));
     } catch (error) {
       console.error('❌ [QuizInterface] Error generating quiz:', error);
       setError(error.message);
@@ -80,12 +159,34 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
     }
   };
 
-  const handleAnswerSelect = (answerIndex) => {
+  // The clock starts once the quiz is on screen, not while it is being generated
+  const startTiming = (questionCount) => {
+    const startedAt = Date.now();
+    timeSpentRef.current = new Array(questionCount).fill(0);
+    quizStartedAtRef.current = startedAt;
+    questionStartedAtRef.current = startedAt;
+    setNow(startedAt);
+    setTimedOutQuestions([]);
+    setFinished(false);
+    setQuizDeadline(exam?.timeLimitSeconds ? startedAt + exam.timeLimitSeconds * 1000 : null);
+    setQuestionDeadline(exam?.questionTimeLimitSeconds ? startedAt + exam.questionTimeLimitSeconds * 1000 : null);
+    if (exam) {
+      console.log('⏱️ [QuizInterface] Exam mode started:', exam);
+    }
+  };
+
+  const recordQuestionTime = () => {
+    const timestamp = Date.now();
+    timeSpentRef.current[currentQuestionIndex] += timestamp - questionStartedAtRef.current;
+    questionStartedAtRef.current = timestamp;
+  };
+
+  const handleAnswerSelect = (answer) => {
     if (isAnswered) return;
     
-    setSelectedAnswer(answerIndex);
+    setSelectedAnswer(answer);
     const newAnswers = [...answers];
-    newAnswers[currentQuestionIndex] = answerIndex;
+    newAnswers[currentQuestionIndex] = answer;
     setAnswers(newAnswers);
     setIsAnswered(true);
     setShowExplanation(false);
@@ -94,8 +195,8 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
 
   const handleExplainAnswer = async () => {
     const currentQuestion = quiz.questions[currentQuestionIndex];
-    const userAnswer = currentQuestion.options[selectedAnswer];
-    const correctAnswer = currentQuestion.options[currentQuestion.correctAnswer];
+    const userAnswer = formatAnswer(currentQuestion, selectedAnswer);
+    const correctAnswer = formatCorrectAnswer(currentQuestion);
     
     try {
       setLoadingExplanation(true);
@@ -104,7 +205,7 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
         userAnswer,
         correctAnswer
       );
-      setAiExplanation(response.data.explanation);
+      setAiExplanation(response.data);
       setShowExplanation(true);
     } catch (error) {
       console.error('Error getting explanation:', error);
@@ -115,45 +216,122 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
     }
   };
 
-  const handleNextQuestion = () => {
-    setCurrentQuestionIndex(currentQuestionIndex + 1);
-    setSelectedAnswer(answers[currentQuestionIndex + 1]);
-    setIsAnswered(answers[currentQuestionIndex + 1] !== null);
+  const getOutcomes = () => quiz.questions.map((question, index) => isAnswerCorrect(question, answers[index]));
+
+  // Adaptive quizzes pick the next question only when the student moves on to it
+  const serveNextQuestion = () => {
+    const { question, level } = pickNextQuestion(adaptivePlan.pool, quiz.questions, getOutcomes(), adaptivePlan.target);
+    console.log('🎚️ [QuizInterface] Next question at difficulty', level, '->', question?.difficulty);
+    setQuiz(prev => ({ ...prev, questions: [...prev.questions, question] }));
+  };
+
+  const goToQuestion = (index) => {
+    recordQuestionTime();
+    if (adaptivePlan && index >= quiz.questions.length) {
+      serveNextQuestion();
+    }
+    setCurrentQuestionIndex(index);
+    setSelectedAnswer(answers[index]);
+    setIsAnswered(answers[index] !== null);
     setShowExplanation(false);
     setAiExplanation('');
+    if (exam?.questionTimeLimitSeconds) {
+      setQuestionDeadline(Date.now() + exam.questionTimeLimitSeconds * 1000);
+    }
+  };
+
+  const handleNextQuestion = () => {
+    goToQuestion(currentQuestionIndex + 1);
   };
 
   const handlePreviousQuestion = () => {
-    setCurrentQuestionIndex(currentQuestionIndex - 1);
-    setSelectedAnswer(answers[currentQuestionIndex - 1]);
-    setIsAnswered(answers[currentQuestionIndex - 1] !== null);
-    setShowExplanation(false);
-    setAiExplanation('');
+    goToQuestion(currentQuestionIndex - 1);
   };
 
-  const handleFinishQuiz = () => {
-    // Calculate score
-    const correctAnswers = quiz.questions.reduce((count, question, index) => {
-      return count + (answers[index] === question.correctAnswer ? 1 : 0);
-    }, 0);
+  const handleFinishQuiz = ({ autoSubmitted = false, timedOut = timedOutQuestions } = {}) => {
+    if (finished) return;
+    setFinished(true);
+    recordQuestionTime();
 
-    const score = Math.round((correctAnswers / quiz.questions.length) * 100);
+    const outcomes = getOutcomes();
+    const questions = adaptivePlan
+      ? completeAdaptiveQuiz(adaptivePlan.pool, quiz.questions, outcomes, adaptivePlan.target, answers.length)
+      : quiz.questions;
+
+    // Calculate score (each question type has its own correctness rule; unanswered questions are wrong)
+    const { correctAnswers, totalQuestions, score, questionResults } = scoreQuiz(questions, answers);
+    const timing = {
+      examMode: Boolean(exam),
+      timeLimitSeconds: exam?.timeLimitSeconds ?? null,
+      questionTimeLimitSeconds: exam?.questionTimeLimitSeconds ?? null,
+      totalTimeSeconds: Math.round((Date.now() - quizStartedAtRef.current) / 1000),
+      timeSpentPerQuestion: timeSpentRef.current.map(ms => Math.round(ms / 1000)),
+      timedOutQuestions: timedOut,
+      autoSubmitted
+    };
     
     const results = {
-      quiz,
+      quiz: { ...quiz, questions },
       answers,
+      questionResults,
       correctAnswers,
-      totalQuestions: quiz.questions.length,
+      totalQuestions,
       score,
+      timing,
+      adaptive: adaptivePlan
+        ? {
+          startDifficulty: adaptivePlan.target,
+          finalDifficulty: levelAfter(adaptivePlan.target, outcomes),
+          recentAverage: adaptivePlan.recentAverage
+        }
+        : null,
       resourceId: resource.id,
+      quizBankId: bank?.id ?? null,
+      assignmentId: resource.assignmentId ?? null,
       studentId,
       completedAt: new Date().toISOString(),
       usedWeaknessInsights
     };
 
+    if (autoSubmitted) {
+      console.log('⏰ [QuizInterface] Time is up - quiz submitted automatically:', timing);
+    }
     onQuizComplete(results);
   };
 
+  // Per-question limit reached: the question stays unanswered and the quiz moves on
+  const handleQuestionTimeout = () => {
+    console.log('⏰ [QuizInterface] Time is up for question', currentQuestionIndex + 1);
+    const timedOut = [...timedOutQuestions, currentQuestionIndex];
+    setTimedOutQuestions(timedOut);
+
+    if (currentQuestionIndex === answers.length - 1) {
+      handleFinishQuiz({ autoSubmitted: true, timedOut });
+    } else {
+      goToQuestion(currentQuestionIndex + 1);
+    }
+  };
+
+  // The interval below always calls the latest tick so it sees current state
+  useEffect(() => {
+    tickRef.current = () => {
+      const timestamp = Date.now();
+      setNow(timestamp);
+      if (quizDeadline && timestamp >= quizDeadline) {
+        handleFinishQuiz({ autoSubmitted: true });
+      } else if (questionDeadline && !isAnswered && timestamp >= questionDeadline) {
+        handleQuestionTimeout();
+      }
+    };
+  });
+
+  const timerRunning = Boolean(exam && quiz && !finished);
+  useEffect(() => {
+    if (!timerRunning) return undefined;
+    const interval = setInterval(() => tickRef.current(), 500);
+    return () => clearInterval(interval);
+  }, [timerRunning]);
+
   if (loading) {
     return (
       <div className="text-center py-12">
@@ -182,8 +360,12 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
   if (!quiz) return null;
 
   const currentQuestion = quiz.questions[currentQuestionIndex];
-  const isLastQuestion = currentQuestionIndex === quiz.questions.length - 1;
-  const allQuestionsAnswered = answers.every(answer => answer !== null);
+  // answers has a slot for every question, including adaptive ones not picked yet
+  const questionCount = answers.length;
+  const isLastQuestion = currentQuestionIndex === questionCount - 1;
+  const allQuestionsAnswered = answers.every((answer, index) => answer !== null || timedOutQuestions.includes(index));
+  const canGoBack = currentQuestionIndex > 0 && !exam?.questionTimeLimitSeconds;
+  const answeredCorrectly = isAnswered && isAnswerCorrect(currentQuestion, selectedAnswer);
 
   return (
     <div className="max-w-4xl mx-auto">
@@ -192,19 +374,55 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-xl font-bold text-gray-900">{quiz.title}</h2>
           <div className="text-sm text-gray-500">
-            Question {currentQuestionIndex + 1} of {quiz.questions.length}
+            Question {currentQuestionIndex + 1} of {questionCount}
           </div>
         </div>
+        {exam && (
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <span className="text-xs px-3 py-2 rounded bg-purple-50 text-purple-800 border border-purple-200">
+              ⏱️ Exam mode: your answers are submitted automatically when time runs out
+              {exam.questionTimeLimitSeconds && ' - you cannot go back to earlier questions'}.
+            </span>
+            {quizDeadline && (
+              <span className={`text-sm font-mono font-semibold px-3 py-1 rounded-full ${countdownClassName(secondsUntil(quizDeadline, now))}`}>
+                Quiz {formatDuration(secondsUntil(quizDeadline, now))}
+              </span>
+            )}
+            {questionDeadline && !isAnswered && (
+              <span className={`text-sm font-mono font-semibold px-3 py-1 rounded-full ${countdownClassName(secondsUntil(questionDeadline, now))}`}>
+                Question {formatDuration(secondsUntil(questionDeadline, now))}
+              </span>
+            )}
+          </div>
+        )}
+        {bank && (
+          <div className="text-xs px-3 py-2 mb-2 rounded bg-green-50 text-green-800 border border-green-200">
+            📋 These questions were prepared and checked by your teacher.
+          </div>
+        )}
+        {adaptivePlan && (
+          <div className="text-xs px-3 py-2 mb-2 rounded bg-indigo-50 text-indigo-800 border border-indigo-200">
+            🎚️ Adaptive quiz: starting at {DIFFICULTY_LABELS[adaptivePlan.target]}
+            {adaptivePlan.recentAverage !== null && ` because your recent quizzes averaged ${adaptivePlan.recentAverage}%`}.
+            {' '}Questions get easier or harder as you go.
+          </div>
+        )}
         {usedWeaknessInsights && (
           <div className="text-xs px-3 py-2 rounded bg-yellow-50 text-yellow-800 border border-yellow-200">
             This quiz includes questions focused on your recent weak areas.
           </div>
         )}
+        {generationDiagnostics?.partial && (
+          <div className="text-xs px-3 py-2 mt-2 rounded bg-blue-50 text-blue-800 border border-blue-200">
+            This quiz is shorter than usual: {generationDiagnostics.dropped.length + generationDiagnostics.duplicates.length} generated
+            {' '}question(s) were incomplete or repeated and have been left out.
+          </div>
+        )}
         {/* Progress Bar */}
         <div className="progress-bar mt-3">
           <div 
             className="progress-fill" 
-            style={{ width: `${((currentQuestionIndex + 1) / quiz.questions.length) * 100}%` }}
+            style={{ width: `${((currentQuestionIndex + 1) / questionCount) * 100}%` }}
           ></div>
         </div>
       </div>
@@ -212,51 +430,23 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
       {/* Question Card */}
       <div className="card card-padding mb-6">
         <div className="mb-6">
+          {adaptivePlan && currentQuestion.difficulty && (
+            <span className="inline-block text-xs px-2 py-1 mb-2 rounded-full bg-indigo-100 text-indigo-800">
+              {DIFFICULTY_LABELS[currentQuestion.difficulty]}
+            </span>
+          )}
           <h3 className="text-lg font-semibold text-gray-900 mb-4">
             {currentQuestion.question}
           </h3>
           
-          {/* Answer Options */}
-          <div className="space-y-3">
-            {currentQuestion.options.map((option, index) => {
-              const isSelected = selectedAnswer === index;
-              const isCorrect = index === currentQuestion.correctAnswer;
-              const showResults = isAnswered;
-              
-              let optionClasses = "p-4 border rounded-lg cursor-pointer transition-all duration-200 ";
-              
-              if (!showResults) {
-                optionClasses += isSelected 
-                  ? "border-primary-500 bg-primary-50 text-primary-700" 
-                  : "border-gray-200 hover:border-gray-300 hover:bg-gray-50";
-              } else {
-                if (isCorrect) {
-                  optionClasses += "border-green-500 bg-green-50 text-green-700";
-                } else if (isSelected && !isCorrect) {
-                  optionClasses += "border-red-500 bg-red-50 text-red-700";
-                } else {
-                  optionClasses += "border-gray-200 bg-gray-50 text-gray-600";
-                }
-              }
-              
-              return (
-                <div
-                  key={index}
-                  className={optionClasses}
-                  onClick={() => handleAnswerSelect(index)}
-                >
-                  <div className="flex items-center justify-between">
-                    <span className="flex-1">{option}</span>
-                    {showResults && (
-                      <span className="ml-3">
-                        {isCorrect ? '✅' : isSelected ? '❌' : ''}
-                      </span>
-                    )}
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+          {/* Answer Input */}
+          <QuestionRenderer
+            key={currentQuestionIndex}
+            question={currentQuestion}
+            answer={selectedAnswer}
+            locked={isAnswered}
+            onAnswer={handleAnswerSelect}
+          />
         </div>
 
         {/* Answer Feedback */}
@@ -265,14 +455,19 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
             <div className="flex items-start justify-between">
               <div className="flex-1">
                 <h4 className="font-semibold text-primary-900 mb-2">
-                  {selectedAnswer === currentQuestion.correctAnswer ? '🎉 Correct!' : '🤔 Not quite right'}
+                  {answeredCorrectly ? '🎉 Correct!' : '🤔 Not quite right'}
                 </h4>
+                {!answeredCorrectly && !['mcq', 'true_false', 'multi_select'].includes(currentQuestion.type || 'mcq') && (
+                  <p className="text-primary-900 text-sm mb-2">
+                    <span className="font-medium">Correct answer:</span> {formatCorrectAnswer(currentQuestion)}
+                  </p>
+                )}
                 <p className="text-primary-800 text-sm mb-3">
                   {currentQuestion.explanation}
                 </p>
                 
                 {/* AI Explanation Button/Content */}
-                {selectedAnswer !== currentQuestion.correctAnswer && (
+                {!answeredCorrectly && (
                   <div>
                     {!showExplanation ? (
                       <button
@@ -310,14 +505,14 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
       <div className="flex items-center justify-between">
         <button
           onClick={handlePreviousQuestion}
-          disabled={currentQuestionIndex === 0}
+          disabled={!canGoBack}
           className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
         >
           ← Previous
         </button>
 
         <div className="flex space-x-2">
-          {quiz.questions.map((_, index) => (
+          {answers.map((_, index) => (
             <div
               key={index}
               className={`w-3 h-3 rounded-full ${
@@ -325,6 +520,8 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
                   ? 'bg-primary-500'
                   : answers[index] !== null
                   ? 'bg-green-500'
+                  : timedOutQuestions.includes(index)
+                  ? 'bg-red-400'
                   : 'bg-gray-300'
               }`}
             ></div>
@@ -333,8 +530,8 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
 
         {isLastQuestion ? (
           <button
-            onClick={handleFinishQuiz}
-            disabled={!allQuestionsAnswered}
+            onClick={() => handleFinishQuiz()}
+            disabled={!allQuestionsAnswered || finished}
             className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {allQuestionsAnswered ? 'Finish Quiz 🎯' : 'Answer All Questions'}
@@ -355,6 +552,13 @@ function QuizInterface({ resource, onQuizComplete, studentId }) {
 
 QuizInterface.propTypes = {
   resource: PropTypes.object.isRequired,
+  bank: PropTypes.shape({
+    id: PropTypes.string,
+    title: PropTypes.string,
+    questionsPerQuiz: PropTypes.number,
+    questions: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  adaptive: PropTypes.bool,
   onQuizComplete: PropTypes.func.isRequired,
   studentId: PropTypes.string.isRequired,
 };
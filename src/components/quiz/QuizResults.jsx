@@ -1,17 +1,29 @@
 import { useState, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { quizAPI, imageGenerationAPI } from '../../services/api';
+import { Link } from 'react-router-dom';
+import { quizAPI, imageGenerationAPI, xpAPI } from '../../services/api';
+import { isAnswerCorrect, formatAnswer, formatCorrectAnswer } from '../../services/quizScoring';
+import { formatDuration } from '../../services/quizTiming';
+import { renderBadge, badgeToPngBlob } from '../../services/badgeRenderer';
+import { isAchievementUpgrade } from '../../services/achievements';
+
+// AI badge artwork goes through the /ai/image proxy and uses image credits, so it is opt-in;
+// every achievement gets a locally rendered badge otherwise
+const AI_BADGE_IMAGES = import.meta.env.VITE_AI_BADGE_IMAGES === 'true';
 
 /**
  * Quiz Results Component
  * Displays quiz results, generates achievements, and handles result saving
  */
-function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, studentId }) {
+function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, studentId, studentName }) {
   const [achievement, setAchievement] = useState(null);
   const [loadingAchievement, setLoadingAchievement] = useState(true);
   const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
+  const [queuedOffline, setQueuedOffline] = useState(false);
+  const [savedResultId, setSavedResultId] = useState(null);
   const [error, setError] = useState(null);
+  const [sharingBadge, setSharingBadge] = useState(false);
   
   // Ref to track if results have been saved to prevent duplicates
   const hasSavedRef = useRef(false);
@@ -43,7 +55,8 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
             resourceTitle: results.quiz?.title || 'Quiz',
             score: results.score,
             unlockedAt: new Date().toISOString(),
-            image: null,
+            image: getLocalBadge(getAchievementData(results.score)),
+            imageSource: 'badge',
             unlocked: results.score >= 70
           };
           setAchievement(emergencyAchievement);
@@ -97,7 +110,8 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
             resourceTitle: results.quiz?.title || 'Quiz',
             score: results.score,
             unlockedAt: new Date().toISOString(),
-            image: null,
+            image: getLocalBadge(getAchievementData(results.score)),
+            imageSource: 'badge',
             unlocked: results.score >= 70
           };
           setAchievement(fallbackAchievement);
@@ -147,19 +161,43 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         resourceId: results.resourceId,
         score: results.score,
         answers: results.answers,
+        questionResults: results.questionResults,
         correctAnswers: results.correctAnswers,
         totalQuestions: results.totalQuestions,
+        timing: results.timing,
+        adaptive: results.adaptive,
+        quizBankId: results.quizBankId,
+        assignmentId: results.assignmentId,
         quizData: results.quiz,
         completedAt: results.completedAt
       });
+
+      // Queued results earn XP too; the event is keyed by this result, so a retried save can't double it
+      xpAPI.award({
+        studentId: results.studentId,
+        source: 'quiz',
+        sourceId: currentResultId,
+        title: resource.title,
+        score: results.score,
+        occurredAt: results.completedAt
+      }).catch(xpError => console.error('❌ QuizResults: Failed to record XP:', xpError));
       
+      if (response.meta.queued) {
+        // No connection - the result sits in the offline outbox and syncs later
+        console.log('📥 QuizResults: Quiz result queued for background sync');
+        setQueuedOffline(true);
+        setSaved(true);
+        return;
+      }
+
       console.log('✅ QuizResults: Quiz result saved successfully:', response.data);
       console.log('✅ QuizResults: This prevents duplicate notifications from being created');
       
-      if (response.data.achievementUnlocked) {
+      if (response.data?.achievementUnlocked) {
         console.log('🏆 QuizResults: Achievement unlocked:', response.data.achievement);
       }
       
+      setSavedResultId(response.data?.quizResultId || null);
       setSaved(true);
     } catch (error) {
       console.error('❌ QuizResults: Error saving quiz results:', error);
@@ -200,7 +238,8 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         resourceTitle: results.quiz?.title || 'Quiz',
         score: results.score,
         unlockedAt: new Date().toISOString(),
-        image: null,
+        image: getLocalBadge(getAchievementData(results.score)),
+        imageSource: 'badge',
         unlocked: results.score >= 70
       };
       setAchievement(fallbackAchievement);
@@ -214,91 +253,75 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
       const achievementData = getAchievementData(results.score);
       console.log('🏆 QuizResults: Achievement data:', achievementData);
       
+      const unlockedAt = new Date().toISOString();
       let finalAchievement = {
         ...achievementData,
         studentId: results.studentId,
         resourceId: results.resourceId,
         resourceTitle: results.quiz?.title || 'Quiz',
         score: results.score,
-        unlockedAt: new Date().toISOString(),
+        unlockedAt,
         unlocked: achievementData.shouldGenerate,
-        image: null
+        image: getLocalBadge(achievementData, unlockedAt),
+        imageSource: 'badge'
       };
       
-      // Try to generate image for qualifying achievements
-      if (achievementData.shouldGenerate) {
-        // First, validate ClipDrop API key to fail fast if it's invalid
-        const apiKey = import.meta.env.VITE_CLIP_DROP;
-        console.log('🔑 ClipDrop API Key Check:', apiKey ? 'CONFIGURED' : 'NOT CONFIGURED');
-        
-        if (!apiKey) {
-          console.warn('⚠️ QuizResults: ClipDrop API key not configured, skipping image generation');
-          console.warn('⚠️ To enable image generation, add VITE_CLIP_DROP=your_api_key to your .env file');
-        } else {
-          try {
-            console.log('🖼️ QuizResults: Attempting to generate achievement image...');
-            console.log('🖼️ ClipDrop API Key (first 10 chars):', apiKey.substring(0, 10) + '...');
+      // AI artwork replaces the rendered badge only when enabled, and never for participation
+      if (AI_BADGE_IMAGES && achievementData.level !== 'participation') {
+        try {
+          console.log('🖼️ QuizResults: Attempting to generate AI achievement image...');
+
+          const prompt = generateAchievementPrompt(achievementData, results);
+          if (!prompt) {
+            console.warn('⚠️ QuizResults: Image prompt generation failed, skipping image generation.');
+            // Continue without image - this is not a critical failure
+          } else {
+            console.log('🖼️ QuizResults: Image prompt:', prompt);
+
+            // Proceed with actual image generation
+            const imageGenerationPromise = imageGenerationAPI.generateImage(prompt);
+            const imageTimeoutPromise = new Promise((_, reject) => 
+              setTimeout(() => reject(new Error('Image generation timeout after 20 seconds')), 20000)
+            );
+            
+            console.log('⏱️ Starting image generation race (20s timeout)...');
+            const achievementImage = await Promise.race([imageGenerationPromise, imageTimeoutPromise]);
             
-            const prompt = generateAchievementPrompt(achievementData, results);
-            if (!prompt) {
-              console.warn('⚠️ QuizResults: ClipDrop prompt generation failed, skipping image generation.');
-              // Continue without image - this is not a critical failure
+            if (achievementImage) {
+              console.log('✅ QuizResults: Achievement image generated successfully');
+              console.log('🖼️ Image details:', {
+                type: typeof achievementImage,
+                isBlob: achievementImage.startsWith('blob:'),
+                length: achievementImage.length
+              });
+              finalAchievement.image = achievementImage;
+              finalAchievement.imageSource = 'ai';
             } else {
-              console.log('🖼️ QuizResults: ClipDrop prompt:', prompt);
-              console.log('🖼️ QuizResults: Starting ClipDrop API call...');
-              
-              // Test ClipDrop connection first
-              try {
-                console.log('🧪 Testing ClipDrop API connection...');
-                const testResponse = await fetch('https://clipdrop-api.co/text-to-image/v1', {
-                  method: 'POST',
-                  headers: { 
-                    'x-api-key': apiKey 
-                  },
-                  body: new FormData() // Empty form to test connection
-                });
-                console.log('🧪 ClipDrop connection test status:', testResponse.status);
-                
-                if (testResponse.status === 401) {
-                  throw new Error('ClipDrop API key is invalid');
-                } else if (testResponse.status === 400) {
-                  console.log('✅ ClipDrop API key is valid (400 = missing prompt, but auth OK)');
-                }
-              } catch (testError) {
-                console.error('❌ ClipDrop connection test failed:', testError.message);
-                throw testError;
-              }
-              
-              // Proceed with actual image generation
-              const imageGenerationPromise = imageGenerationAPI.generateImage(prompt);
-              const imageTimeoutPromise = new Promise((_, reject) => 
-                setTimeout(() => reject(new Error('Image generation timeout after 20 seconds')), 20000)
-              );
-              
-              console.log('⏱️ Starting image generation race (20s timeout)...');
-              const achievementImage = await Promise.race([imageGenerationPromise, imageTimeoutPromise]);
-              
-              if (achievementImage) {
-                console.log('✅ QuizResults: Achievement image generated successfully');
-                console.log('🖼️ Image details:', {
-                  type: typeof achievementImage,
-                  isBlob: achievementImage.startsWith('blob:'),
-                  length: achievementImage.length
-                });
-                finalAchievement.image = achievementImage;
-              } else {
-                console.warn('⚠️ QuizResults: No image returned from ClipDrop');
-              }
+              console.warn('⚠️ QuizResults: No image returned from image proxy');
             }
-          } catch (imageError) {
-            console.warn('⚠️ QuizResults: ClipDrop image generation failed:', imageError.message);
-            console.warn('⚠️ QuizResults: Error details:', imageError);
-            console.warn('⚠️ QuizResults: Proceeding without image...');
-            // Continue without image - this is not a critical failure
           }
+        } catch (imageError) {
+          console.warn('⚠️ QuizResults: Achievement image generation failed:', imageError.message);
+          console.warn('⚠️ QuizResults: Error details:', imageError);
+          console.warn('⚠️ QuizResults: Keeping the rendered badge...');
+          // Continue without image - this is not a critical failure
         }
       } else {
-        console.log('📚 QuizResults: Score too low for image generation, using fallback design');
+        console.log('🎖️ QuizResults: Using rendered achievement badge');
+      }
+
+      // A retake only saves (and announces) an achievement when it beats the best one for this resource
+      if (finalAchievement.unlocked) {
+        try {
+          const existingResponse = await quizAPI.getStudentAchievements(finalAchievement.studentId);
+          if (!isAchievementUpgrade(existingResponse.data, finalAchievement)) {
+            console.log('🔁 QuizResults: Achievement already earned for this resource, not saving again');
+            finalAchievement.unlocked = false;
+            finalAchievement.alreadyEarned = true;
+          }
+        } catch (lookupError) {
+          console.warn('⚠️ QuizResults: Could not check earlier achievements, saving anyway:', lookupError.message);
+        }
       }
       
       // Clear the timeout since we're progressing
@@ -309,7 +332,7 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         title: finalAchievement.title,
         level: finalAchievement.level,
         score: finalAchievement.score,
-        hasImage: !!finalAchievement.image
+        imageSource: finalAchievement.imageSource
       });
       setAchievement(finalAchievement);
       
@@ -328,10 +351,11 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
             icon: finalAchievement.icon,
             score: finalAchievement.score,
             image: finalAchievement.image,
+            imageSource: finalAchievement.imageSource,
             unlockedAt: finalAchievement.unlockedAt
           };
           
-          // Option to save blob URLs directly (easier for development)
+          // Rendered badges are saved as SVG data URLs; AI images are blob URLs and need converting
           // Change to false if you want to keep blob URLs instead of base64
           const saveOptions = { convertToBase64: true };
           
@@ -339,13 +363,7 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
           console.log('✅ QuizResults: Achievement saved to backend:', saveResponse.data);
           
           // Update achievement with saved ID if provided
-          // Handle both possible response structures
-          let savedAchievement = null;
-          if (saveResponse.data.achievement) {
-            savedAchievement = saveResponse.data.achievement;
-          } else if (saveResponse.data.data && saveResponse.data.data.achievement) {
-            savedAchievement = saveResponse.data.data.achievement;
-          }
+          const savedAchievement = saveResponse.data;
           
           if (savedAchievement?.id) {
             console.log('🆔 QuizResults: Updating achievement with backend ID:', savedAchievement.id);
@@ -375,7 +393,8 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         resourceTitle: results.quiz?.title || 'Quiz',
         score: results.score,
         unlockedAt: new Date().toISOString(),
-        image: null,
+        image: getLocalBadge(getAchievementData(results.score)),
+        imageSource: 'badge',
         unlocked: results.score >= 70
       };
       
@@ -425,22 +444,58 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         level: "participation",
         icon: "📚",
         color: "from-blue-400 to-blue-600",
-        shouldGenerate: true // ← ENABLE image generation for all levels!
+        shouldGenerate: true // ← participation achievements are saved too
       };
     }
   };
 
+  const getLocalBadge = (achievementData, unlockedAt = new Date().toISOString()) => renderBadge({
+    level: achievementData.level,
+    title: achievementData.title,
+    icon: achievementData.icon,
+    score: results.score,
+    resourceTitle: results.quiz?.title || resource.title,
+    studentName,
+    unlockedAt
+  });
+
+  // Shares the badge as a PNG where the browser supports sharing files, otherwise downloads it
+  const handleShareBadge = async () => {
+    setSharingBadge(true);
+    try {
+      const pngBlob = await badgeToPngBlob(achievement.image);
+      const fileName = `${achievement.title.replace(/\W+/g, '-').toLowerCase()}-badge.png`;
+      const file = new File([pngBlob], fileName, { type: 'image/png' });
+
+      if (navigator.canShare?.({ files: [file] })) {
+        await navigator.share({
+          files: [file],
+          title: achievement.title,
+          text: `I scored ${results.score}% on "${achievement.resourceTitle}"!`
+        });
+      } else {
+        const url = URL.createObjectURL(pngBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+      }
+      console.log('📤 QuizResults: Badge shared');
+    } catch (shareError) {
+      // Closing the share sheet rejects with AbortError - nothing to report
+      if (shareError.name !== 'AbortError') {
+        console.error('❌ QuizResults: Failed to share badge:', shareError);
+      }
+    } finally {
+      setSharingBadge(false);
+    }
+  };
+
   const generateAchievementPrompt = (achievementData, results) => {
     const baseStyle = "digital art, cartoon style, bright colors, cheerful, kid-friendly, clean background";
     const score = results.score;
     
-    // Check if ClipDrop API key is available
-    const apiKey = import.meta.env.VITE_CLIP_DROP;
-    if (!apiKey) {
-      console.warn('⚠️ QuizResults: ClipDrop API key not configured, skipping image generation');
-      return null;
-    }
-    
     const prompts = {
       gold: `a golden trophy, cartoon style, bright colors`,
       
@@ -453,7 +508,7 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
     
     const prompt = prompts[achievementData.level] || prompts.participation;
     
-    console.log('🎨 Generated ClipDrop prompt for', achievementData.level, 'achievement:', prompt);
+    console.log('🎨 Generated image prompt for', achievementData.level, 'achievement:', prompt);
     return prompt;
   };
 
@@ -494,6 +549,17 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
             <p className="text-sm text-gray-500">
               {results.correctAnswers} out of {results.totalQuestions} questions correct
             </p>
+            {results.timing && (
+              <p className="text-sm text-gray-500 mt-1">
+                ⏱️ Finished in {formatDuration(results.timing.totalTimeSeconds)}
+                {results.timing.timeLimitSeconds && ` of ${formatDuration(results.timing.timeLimitSeconds)}`}
+              </p>
+            )}
+            {results.timing?.autoSubmitted && (
+              <p className="text-sm text-amber-700 mt-1">
+                ⏰ Time ran out - your quiz was submitted automatically.
+              </p>
+            )}
           </div>
 
           {/* Score Breakdown */}
@@ -540,9 +606,11 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
                   <span className="animate-pulse mr-2">🎨</span>
                   Creating your personalized achievement badge
                 </p>
-                <p className="text-xs text-gray-500">
-                  This may take a few moments while we generate your unique image
-                </p>
+                {AI_BADGE_IMAGES && (
+                  <p className="text-xs text-gray-500">
+                    This may take a few moments while we generate your unique image
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -604,6 +672,25 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
                 Achievement Unlocked!
               </div>
             )}
+
+            {achievement.alreadyEarned && (
+              <div className="inline-flex items-center px-4 py-2 bg-gray-50 text-gray-700 rounded-full text-sm font-medium">
+                <span className="mr-2">🏆</span>
+                Already in your trophy cabinet
+              </div>
+            )}
+
+            {achievement.image && (
+              <div className="mt-4 flex items-center justify-center space-x-3">
+                <Link to="/trophies" className="btn-secondary text-sm">
+                  View Trophy Cabinet
+                </Link>
+                <button onClick={handleShareBadge} disabled={sharingBadge} className="btn-outline text-sm disabled:opacity-50">
+                  <span className="mr-2">📤</span>
+                  {sharingBadge ? 'Preparing badge...' : 'Share Badge'}
+                </button>
+              </div>
+            )}
           </div>
         ) : null}
       </div>
@@ -614,7 +701,9 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         <div className="space-y-4">
           {results.quiz.questions.map((question, index) => {
             const userAnswer = results.answers[index];
-            const isCorrect = userAnswer === question.correctAnswer;
+            const isCorrect = isAnswerCorrect(question, userAnswer);
+            const timeSpent = results.timing?.timeSpentPerQuestion?.[index];
+            const timedOut = results.timing?.timedOutQuestions?.includes(index);
             
             return (
               <div key={index} className="border-l-4 border-gray-200 pl-4">
@@ -631,17 +720,20 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
                   <p>
                     <span className="text-gray-500">Your answer:</span>{' '}
                     <span className={isCorrect ? 'text-green-600' : 'text-red-600'}>
-                      {question.options[userAnswer]}
+                      {timedOut ? 'Time ran out' : formatAnswer(question, userAnswer)}
                     </span>
                   </p>
                   {!isCorrect && (
                     <p>
                       <span className="text-gray-500">Correct answer:</span>{' '}
                       <span className="text-green-600">
-                        {question.options[question.correctAnswer]}
+                        {formatCorrectAnswer(question)}
                       </span>
                     </p>
                   )}
+                  {timeSpent !== undefined && (
+                    <p className="text-xs text-gray-400">⏱️ {formatDuration(timeSpent)}</p>
+                  )}
                 </div>
               </div>
             );
@@ -659,11 +751,25 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         </div>
       )}
 
-      {saved && !saving && (
+      {saved && !saving && queuedOffline && (
+        <div className="text-center mb-6">
+          <div className="inline-flex items-center px-4 py-2 bg-amber-50 text-amber-700 rounded-lg">
+            <span className="mr-2">📥</span>
+            You're offline - results saved on this device and will sync when you reconnect.
+          </div>
+        </div>
+      )}
+
+      {saved && !saving && !queuedOffline && (
         <div className="text-center mb-6">
           <div className="inline-flex items-center px-4 py-2 bg-green-50 text-green-700 rounded-lg">
             <span className="mr-2">✅</span>
             Results saved successfully!
+            {savedResultId && (
+              <Link to={`/quiz-attempts/${savedResultId}`} className="ml-2 underline hover:text-green-800">
+                Review it any time
+              </Link>
+            )}
           </div>
         </div>
       )}
@@ -682,7 +788,7 @@ function QuizResults({ results, resource, onRetakeQuiz, onTakeAnotherQuiz, stude
         <div className="text-center mb-6">
           <div className="inline-flex items-center px-4 py-2 bg-gray-50 text-gray-700 rounded-lg text-sm">
             <span className="mr-2">🔧</span>
-            Debug: ClipDrop API {import.meta.env.VITE_CLIP_DROP ? 'Configured' : 'Not Configured'} | 
+            Debug: Images via /ai/image proxy | 
             Score: {results.score}% | 
             Achievement: {achievement ? achievement.level : 'Loading...'}
           </div>
@@ -727,6 +833,7 @@ QuizResults.propTypes = {
   onRetakeQuiz: PropTypes.func.isRequired,
   onTakeAnotherQuiz: PropTypes.func.isRequired,
   studentId: PropTypes.string.isRequired,
+  studentName: PropTypes.string,
 };
 
 export default QuizResults; 
\ No newline at end of file
@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import QuestionRenderer from '../quiz/QuestionRenderer';
+import { isAnswerCorrect, formatCorrectAnswer } from '../../services/quizScoring';
+import { REVIEW_GRADES } from '../../services/spacedRepetition';
+
+const RECALL_GRADES = [
+  { grade: REVIEW_GRADES.HARD, label: 'Hard', hint: 'I had to think hard', className: 'bg-orange-100 text-orange-800 hover:bg-orange-200' },
+  { grade: REVIEW_GRADES.GOOD, label: 'Good', hint: 'I remembered it', className: 'bg-blue-100 text-blue-800 hover:bg-blue-200' },
+  { grade: REVIEW_GRADES.EASY, label: 'Easy', hint: 'Too easy!', className: 'bg-green-100 text-green-800 hover:bg-green-200' }
+];
+
+/**
+ * Review Session Component
+ * Walks a student through today's due review cards. Cards that are missed come back at the
+ * end of the session, but only the first answer of the day changes the schedule.
+ */
+function ReviewSession({ cards, onReview, onClose }) {
+  const [queue, setQueue] = useState(() => cards.map(card => ({ card, repeat: false })));
+  const [position, setPosition] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [answered, setAnswered] = useState(false);
+  const [remembered, setRemembered] = useState(0);
+
+  if (position >= queue.length) {
+    return (
+      <div className="text-center py-6">
+        <div className="text-4xl mb-3">🎉</div>
+        <h4 className="text-lg font-semibold text-gray-900 mb-1">Review complete!</h4>
+        <p className="text-gray-600 mb-4">
+          You remembered {remembered} of {cards.length} card{cards.length === 1 ? '' : 's'} on the first try.
+        </p>
+        <button onClick={onClose} className="btn-primary">Done</button>
+      </div>
+    );
+  }
+
+  const { card, repeat } = queue[position];
+  const correct = answered && isAnswerCorrect(card.question, answer);
+
+  const handleAnswer = (value) => {
+    setAnswer(value);
+    setAnswered(true);
+  };
+
+  const handleGrade = (grade) => {
+    if (!repeat) {
+      onReview(card, grade);
+      if (grade >= REVIEW_GRADES.HARD) setRemembered(count => count + 1);
+    }
+    if (grade < REVIEW_GRADES.HARD) {
+      setQueue(prev => [...prev, { card, repeat: true }]);
+    }
+    setPosition(position + 1);
+    setAnswer(null);
+    setAnswered(false);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3 text-sm text-gray-500">
+        <span>
+          Card {Math.min(position + 1, cards.length)} of {cards.length}
+          {repeat && ' • second try'}
+        </span>
+        {card.resourceTitle && <span className="truncate ml-4">📚 {card.resourceTitle}</span>}
+      </div>
+      <div className="progress-bar mb-4">
+        <div className="progress-fill" style={{ width: `${(position / queue.length) * 100}%` }}></div>
+      </div>
+
+      <h4 className="font-semibold text-gray-900 mb-4">{card.question.question}</h4>
+      <QuestionRenderer
+        key={`${card.id}-${position}`}
+        question={card.question}
+        answer={answer}
+        locked={answered}
+        onAnswer={handleAnswer}
+      />
+
+      {answered && (
+        <div className="mt-4 p-4 rounded-lg border-l-4 border-primary-500 bg-primary-50">
+          <h5 className="font-semibold text-primary-900 mb-1">
+            {correct ? '🎉 You remembered it!' : '🤔 Not yet'}
+          </h5>
+          {!correct && (
+            <p className="text-sm text-primary-900 mb-1">
+              <span className="font-medium">Correct answer:</span> {formatCorrectAnswer(card.question)}
+            </p>
+          )}
+          {card.question.explanation && (
+            <p className="text-sm text-primary-800">{card.question.explanation}</p>
+          )}
+
+          <div className="flex flex-wrap gap-2 mt-4">
+            {correct ? (
+              RECALL_GRADES.map(({ grade, label, hint, className }) => (
+                <button
+                  key={grade}
+                  onClick={() => handleGrade(grade)}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium ${className}`}
+                  title={hint}
+                >
+                  {label}
+                </button>
+              ))
+            ) : (
+              <button
+                onClick={() => handleGrade(REVIEW_GRADES.AGAIN)}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-red-100 text-red-800 hover:bg-red-200"
+              >
+                {repeat ? 'Next' : 'Show me again later'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+ReviewSession.propTypes = {
+  cards: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    resourceTitle: PropTypes.string,
+    question: PropTypes.object.isRequired,
+  })).isRequired,
+  onReview: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default ReviewSession;
@@ -21,6 +21,8 @@ const CreateSimulationModal = ({ onClose, onSimulationCreated, studentId, studen
   const examplePrompts = [
     "Create a titration experiment to find the concentration of an unknown acid",
     "Design a simple circuit to understand how electricity flows",
+    "Launch a projectile and find the angle that sends it furthest",
+    "Time a pendulum and see how its length changes the period",
     "Explore how plants absorb water through their roots",
     "Investigate how different materials conduct heat",
     "Study the phases of mitosis in plant cells",
@@ -85,12 +87,8 @@ const CreateSimulationModal = ({ onClose, onSimulationCreated, studentId, studen
 
       const response = await simulationAPI.generateSimulation(simulationData);
 
-      if (response.data?.success) {
-        console.log('✅ CreateSimulationModal: Simulation created successfully:', response.data.data.simulation);
-        onSimulationCreated(response.data.data.simulation);
-      } else {
-        throw new Error(response.data?.message || 'Failed to create simulation');
-      }
+      console.log('✅ CreateSimulationModal: Simulation created successfully:', response.data);
+      onSimulationCreated(response.data);
 
     } catch (error) {
       console.error('❌ CreateSimulationModal: Error creating simulation:', error);
@@ -193,6 +191,11 @@ const CreateSimulationModal = ({ onClose, onSimulationCreated, studentId, studen
             <p className="text-sm text-gray-500 mt-1">
               Leave blank to let our AI determine the best subject based on your description
             </p>
+            {formData.subject === 'physics' && (
+              <p className="text-sm text-purple-600 mt-1">
+                🧲 Physics experiments come with a sandbox: projectiles, ramps, springs, pendulums and circuits you can set up and measure yourself.
+              </p>
+            )}
           </div>
 
           {/* Preferred Duration */}
@@ -0,0 +1,389 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { gameLibraryAPI, securityUtils } from '../../services/api';
+import { geminiGameAPI } from '../../services/geminiGameAPI';
+import {
+  GAME_VISIBILITY,
+  GAME_TITLE_MAX_LENGTH,
+  REMIX_CHANGES_MAX_LENGTH,
+  buildRemixPrompt,
+  createLibraryGame,
+  getShareState,
+  validateGameTitle
+} from '../../services/gameLibrary';
+
+const TABS = {
+  mine: 'My Saved Games',
+  shared: 'Shared With Me'
+};
+
+// Library lists leave out the game code; fetch the entry before playing or remixing it
+const withGameCode = async (libraryGame) => {
+  if (libraryGame.game?.html) return libraryGame;
+  const response = await gameLibraryAPI.getGame(libraryGame.id);
+  return response.data;
+};
+
+/**
+ * GameLibrary Component
+ * The student's saved prompt games and games shared with them. Students rename and share their
+ * own games; anyone can play or remix a game they can see. onPlay receives a savedGame for
+ * PromptGameInterface.
+ */
+function GameLibrary({ studentId, studentLevel = 1, onPlay }) {
+  const [tab, setTab] = useState('mine');
+  const [myGames, setMyGames] = useState([]);
+  const [sharedGames, setSharedGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [renaming, setRenaming] = useState(null); // { id, title }
+  const [remixing, setRemixing] = useState(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    Promise.allSettled([gameLibraryAPI.getMyGames(studentId), gameLibraryAPI.getSharedGames(studentId)])
+      .then(([mine, shared]) => {
+        if (cancelled) return;
+        if (mine.status === 'fulfilled') setMyGames(mine.value.data);
+        if (shared.status === 'fulfilled') setSharedGames(shared.value.data);
+        if (mine.status === 'rejected' || shared.status === 'rejected') {
+          console.error('❌ GameLibrary: Error loading games:', mine.reason || shared.reason);
+          setError('Some games could not be loaded.');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  const replaceGame = (updated) => {
+    setMyGames(prev => prev.map(game => (game.id === updated.id ? { ...game, ...updated } : game)));
+  };
+
+  const handlePlay = async (libraryGame) => {
+    try {
+      setBusyId(libraryGame.id);
+      const full = await withGameCode(libraryGame);
+      onPlay({
+        gameId: full.id,
+        libraryGameId: full.id,
+        prompt: full.prompt,
+        subject: full.subject,
+        game: full.game
+      });
+    } catch (playError) {
+      console.error('❌ GameLibrary: Error opening game:', playError);
+      setError('That game could not be opened. Please try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRename = async () => {
+    const titleError = validateGameTitle(renaming.title);
+    if (titleError) {
+      setError(titleError);
+      return;
+    }
+    try {
+      setBusyId(renaming.id);
+      const response = await gameLibraryAPI.updateGame(renaming.id, { title: renaming.title });
+      replaceGame(response.data);
+      setRenaming(null);
+      setError(null);
+    } catch (renameError) {
+      console.error('❌ GameLibrary: Error renaming game:', renameError);
+      setError('Could not rename the game.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleVisibilityChange = async (libraryGame, visibility) => {
+    try {
+      setBusyId(libraryGame.id);
+      const response = await gameLibraryAPI.updateGame(libraryGame.id, { visibility });
+      replaceGame(response.data);
+      console.log('🌍 GameLibrary: Sharing changed:', libraryGame.id, visibility);
+    } catch (shareError) {
+      console.error('❌ GameLibrary: Error changing sharing:', shareError);
+      setError('Could not change who can see this game.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (libraryGame) => {
+    if (!window.confirm(`Delete "${libraryGame.title}" from your library?`)) {
+      return;
+    }
+    try {
+      setBusyId(libraryGame.id);
+      await gameLibraryAPI.deleteGame(libraryGame.id);
+      setMyGames(prev => prev.filter(game => game.id !== libraryGame.id));
+    } catch (deleteError) {
+      console.error('❌ GameLibrary: Error deleting game:', deleteError);
+      setError('Could not delete the game.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemixed = (remix, savedGame) => {
+    setMyGames(prev => [remix, ...prev]);
+    setRemixing(null);
+    onPlay(savedGame);
+  };
+
+  const games = tab === 'mine' ? myGames : sharedGames;
+
+  return (
+    <div className="card card-padding">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">📚 Game Library</h3>
+        <div className="flex bg-gray-100 rounded-lg p-1">
+          {Object.entries(TABS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setTab(value)}
+              className={`px-3 py-1 text-xs rounded-md ${tab === value ? 'bg-white shadow text-gray-900' : 'text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {loading && <p className="text-sm text-gray-500">Loading games...</p>}
+      {!loading && games.length === 0 && (
+        <p className="text-sm text-gray-500">
+          {tab === 'mine'
+            ? 'Games you save with "💾 Save to Library" will appear here.'
+            : 'No one has shared a game with you yet.'}
+        </p>
+      )}
+
+      {!loading && games.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {games.map(libraryGame => {
+            const shareState = getShareState(libraryGame);
+            const isBusy = busyId === libraryGame.id;
+            return (
+              <li key={libraryGame.id} className="py-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    {renaming?.id === libraryGame.id ? (
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={renaming.title}
+                          onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                          maxLength={GAME_TITLE_MAX_LENGTH}
+                          className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                          aria-label="Game name"
+                        />
+                        <button onClick={handleRename} disabled={isBusy} className="text-sm text-primary-600 font-medium">
+                          Save
+                        </button>
+                        <button onClick={() => setRenaming(null)} className="text-sm text-gray-500">
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <p className="font-medium text-gray-900 truncate">
+                        {libraryGame.title}
+                        {libraryGame.remixOf && <span className="ml-2 text-xs text-purple-600">🎨 remix</span>}
+                      </p>
+                    )}
+                    {libraryGame.prompt && (
+                      <p className="text-sm text-gray-600 line-clamp-2">&ldquo;{libraryGame.prompt}&rdquo;</p>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      {tab === 'shared' && libraryGame.ownerName && `by ${libraryGame.ownerName} • `}
+                      {libraryGame.subject} • Level {libraryGame.level}
+                      {libraryGame.playCount > 0 && ` • ▶️ ${libraryGame.playCount} plays`}
+                    </p>
+                    {tab === 'mine' && (
+                      <div className="flex flex-wrap items-center gap-2 mt-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${shareState.className}`}>
+                          {shareState.label}
+                        </span>
+                        {libraryGame.moderation === 'rejected' && libraryGame.moderationNote && (
+                          <span className="text-xs text-red-700">Teacher: {libraryGame.moderationNote}</span>
+                        )}
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="flex flex-col items-end space-y-2 text-sm">
+                    <button
+                      onClick={() => handlePlay(libraryGame)}
+                      disabled={isBusy}
+                      className="btn-primary text-sm px-3 py-1 whitespace-nowrap disabled:opacity-50"
+                    >
+                      ▶️ Play
+                    </button>
+                    <button onClick={() => setRemixing(libraryGame)} className="text-purple-600 hover:text-purple-700">
+                      🎨 Remix
+                    </button>
+                    {tab === 'mine' && (
+                      <>
+                        <select
+                          value={libraryGame.visibility || 'private'}
+                          onChange={(e) => handleVisibilityChange(libraryGame, e.target.value)}
+                          disabled={isBusy}
+                          className="text-xs border border-gray-300 rounded-md px-2 py-1"
+                          aria-label="Who can play this game"
+                        >
+                          {Object.entries(GAME_VISIBILITY).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                        <div className="space-x-3">
+                          <button
+                            onClick={() => setRenaming({ id: libraryGame.id, title: libraryGame.title })}
+                            className="text-gray-600 hover:text-gray-800"
+                          >
+                            Rename
+                          </button>
+                          <button onClick={() => handleDelete(libraryGame)} className="text-red-600 hover:text-red-700">
+                            Delete
+                          </button>
+                        </div>
+                      </>
+                    )}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {remixing && (
+        <RemixGameModal
+          libraryGame={remixing}
+          studentId={studentId}
+          studentLevel={studentLevel}
+          onClose={() => setRemixing(null)}
+          onRemixed={handleRemixed}
+        />
+      )}
+    </div>
+  );
+}
+
+// Sends the original prompt plus the student's changes back to the generator, saves the
+// result as a new private game and opens it
+const RemixGameModal = ({ libraryGame, studentId, studentLevel, onClose, onRemixed }) => {
+  const [changes, setChanges] = useState('');
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRemix = async () => {
+    if (changes.trim().length < 5) {
+      setError('Describe what you want to change (at least 5 characters)');
+      return;
+    }
+    try {
+      setGenerating(true);
+      setError(null);
+
+      const original = await withGameCode(libraryGame);
+      const prompt = buildRemixPrompt(original, changes);
+      console.log('🎨 Remixing game:', original.id);
+
+      const generated = await geminiGameAPI.generateInteractiveGame({
+        prompt,
+        studentLevel,
+        subject: original.subject || 'Science'
+      });
+      const game = { ...generated, id: securityUtils.generateSecureId() };
+
+      const response = await gameLibraryAPI.saveGame(createLibraryGame({
+        game,
+        title: `${original.title} (Remix)`.slice(0, GAME_TITLE_MAX_LENGTH),
+        prompt,
+        subject: original.subject,
+        level: studentLevel,
+        ownerId: studentId,
+        remixOf: original.id
+      }));
+
+      onRemixed(response.data, {
+        gameId: game.id,
+        libraryGameId: game.id,
+        prompt,
+        subject: original.subject,
+        game
+      });
+    } catch (remixError) {
+      console.error('❌ RemixGameModal: Remix failed:', remixError);
+      setError('Could not create the remix. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-lg w-full p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-1">🎨 Remix &ldquo;{libraryGame.title}&rdquo;</h3>
+        {libraryGame.prompt && (
+          <p className="text-sm text-gray-600 mb-4">Original idea: &ldquo;{libraryGame.prompt}&rdquo;</p>
+        )}
+
+        <label htmlFor="remix-changes" className="block text-sm font-medium text-gray-700 mb-2">
+          What should be different?
+        </label>
+        <textarea
+          id="remix-changes"
+          value={changes}
+          onChange={(e) => setChanges(e.target.value)}
+          maxLength={REMIX_CHANGES_MAX_LENGTH}
+          rows={4}
+          placeholder="e.g. Make it harder, add a timer, use ocean animals instead"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+        />
+        <p className="text-xs text-gray-500 mt-1">{changes.length}/{REMIX_CHANGES_MAX_LENGTH}</p>
+
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button onClick={onClose} disabled={generating} className="btn-outline">
+            Cancel
+          </button>
+          <button onClick={handleRemix} disabled={generating} className="btn-primary disabled:opacity-50">
+            {generating ? 'Creating remix...' : 'Create Remix'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+RemixGameModal.propTypes = {
+  libraryGame: PropTypes.object.isRequired,
+  studentId: PropTypes.string.isRequired,
+  studentLevel: PropTypes.number,
+  onClose: PropTypes.func.isRequired,
+  onRemixed: PropTypes.func.isRequired,
+};
+
+GameLibrary.propTypes = {
+  studentId: PropTypes.string.isRequired,
+  studentLevel: PropTypes.number,
+  onPlay: PropTypes.func.isRequired,
+};
+
+export default GameLibrary;
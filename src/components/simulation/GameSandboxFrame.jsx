@@ -0,0 +1,175 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { securityUtils } from '../../services/api';
+import {
+  GAME_LIMITS,
+  GAME_MESSAGE_TYPES,
+  GAME_SANDBOX_ATTRIBUTES,
+  LOOP_GUARD_ERROR,
+  buildGameDocument,
+  readGameMessage,
+  scanGameCode
+} from '../../services/gameSandbox';
+
+/**
+ * GameSandboxFrame Component
+ * Runs a generated game in the sandbox from services/gameSandbox. Code that fails the safety
+ * scan never runs. A game that doesn't start, stops sending heartbeats or trips the loop guard
+ * is removed, and the student can restart it.
+ */
+function GameSandboxFrame({ game, onScore, onComplete, className = 'w-full h-[600px] border-0' }) {
+  const frameRef = useRef(null);
+  const lastBeatRef = useRef(0);
+  const [run, setRun] = useState(() => ({ number: 1, channel: securityUtils.generateSecureId() }));
+  const [status, setStatus] = useState('loading'); // loading, running, stopped
+  const [stopReason, setStopReason] = useState(null);
+  const [lastError, setLastError] = useState(null);
+
+  const scan = useMemo(() => scanGameCode(game), [game]);
+  const srcDoc = useMemo(
+    () => (scan.safe ? buildGameDocument(game, { channel: run.channel }) : ''),
+    [game, scan.safe, run.channel]
+  );
+
+  // Typed messages from this run's frame only
+  useEffect(() => {
+    if (!scan.safe || status === 'stopped') return undefined;
+
+    const handleMessage = (event) => {
+      const message = readGameMessage(event, { channel: run.channel, frameWindow: frameRef.current?.contentWindow });
+      if (!message) return;
+
+      lastBeatRef.current = Date.now();
+      switch (message.type) {
+        case GAME_MESSAGE_TYPES.READY:
+          setStatus('running');
+          break;
+        case GAME_MESSAGE_TYPES.SCORE:
+          onScore(message.score);
+          break;
+        case GAME_MESSAGE_TYPES.COMPLETE:
+          onComplete(message.score);
+          break;
+        case GAME_MESSAGE_TYPES.ERROR:
+          console.warn('⚠️ GameSandboxFrame: Game error:', message.message);
+          if (message.code === LOOP_GUARD_ERROR) {
+            setStopReason('A loop in this game ran for too long, so we stopped it.');
+            setStatus('stopped');
+          } else {
+            setLastError(message.message);
+          }
+          break;
+        default:
+          break;
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [scan.safe, status, run.channel, onScore, onComplete]);
+
+  // Watchdog: the game must say it's ready, then keep sending heartbeats. Hidden tabs throttle
+  // the game's timers, so the clock restarts whenever the page becomes visible again.
+  useEffect(() => {
+    if (!scan.safe || status === 'stopped') return undefined;
+
+    const startedAt = Date.now();
+    lastBeatRef.current = startedAt;
+
+    const handleVisibility = () => {
+      if (!document.hidden) lastBeatRef.current = Date.now();
+    };
+
+    const timer = setInterval(() => {
+      if (document.hidden) return;
+      const now = Date.now();
+      if (status === 'loading' && now - startedAt > GAME_LIMITS.readyTimeoutMs) {
+        setStopReason('The game didn\'t start.');
+        setStatus('stopped');
+      } else if (status === 'running' && now - lastBeatRef.current > GAME_LIMITS.heartbeatTimeoutMs) {
+        setStopReason('The game stopped responding, so we closed it.');
+        setStatus('stopped');
+      }
+    }, GAME_LIMITS.heartbeatMs);
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      clearInterval(timer);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [scan.safe, status, run.number]);
+
+  const handleRestart = () => {
+    console.log('🔄 GameSandboxFrame: Restarting game');
+    setRun(prev => ({ number: prev.number + 1, channel: securityUtils.generateSecureId() }));
+    setStopReason(null);
+    setLastError(null);
+    setStatus('loading');
+  };
+
+  if (!scan.safe) {
+    return (
+      <div className="p-6 bg-red-50 border border-red-200 rounded-lg">
+        <h3 className="font-semibold text-red-800 mb-2">🛡️ This game was blocked</h3>
+        <p className="text-sm text-red-700 mb-3">
+          It tried to do things games here aren&apos;t allowed to do, so we didn&apos;t run it. Try creating the game again.
+        </p>
+        <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+          {scan.issues.filter(issue => issue.severity === 'block').map(issue => (
+            <li key={issue.id}>{issue.message}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  if (status === 'stopped') {
+    return (
+      <div className="p-6 bg-yellow-50 border border-yellow-200 rounded-lg text-center">
+        <h3 className="font-semibold text-yellow-900 mb-2">⏹️ Game stopped</h3>
+        <p className="text-sm text-yellow-800 mb-4">{stopReason}</p>
+        <button onClick={handleRestart} className="btn-primary">
+          Restart Game
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <iframe
+        key={run.number}
+        ref={frameRef}
+        srcDoc={srcDoc}
+        className={className}
+        title={game.gameTitle || 'Game'}
+        sandbox={GAME_SANDBOX_ATTRIBUTES}
+        referrerPolicy="no-referrer"
+      />
+      {scan.issues.length > 0 && (
+        <p className="px-4 py-2 text-xs text-gray-500 border-t border-gray-200">
+          🛡️ Safety check: {scan.issues.map(issue => issue.message).join(' • ')}
+        </p>
+      )}
+      {lastError && (
+        <p className="px-4 py-2 text-xs text-gray-500 border-t border-gray-200">
+          ⚠️ The game hit an error: {lastError}
+        </p>
+      )}
+    </>
+  );
+}
+
+GameSandboxFrame.propTypes = {
+  game: PropTypes.shape({
+    gameTitle: PropTypes.string,
+    html: PropTypes.string,
+    css: PropTypes.string,
+    javascript: PropTypes.string
+  }).isRequired,
+  onScore: PropTypes.func.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  className: PropTypes.string,
+};
+
+export default GameSandboxFrame;
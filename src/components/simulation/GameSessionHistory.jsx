@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { simulationAPI } from '../../services/api';
+import { formatDuration } from '../../services/quizTiming';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * GameSessionHistory Component
+ * Finished prompt-game sessions for one student, newest first. Students get a "Play again"
+ * button (onReplay); teachers and parents see the same list read-only.
+ */
+function GameSessionHistory({ studentId, onReplay, limit, title = '🎮 My Games' }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openingId, setOpeningId] = useState(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    simulationAPI.getGameSessions(studentId)
+      .then(response => {
+        if (!cancelled) setSessions(response.data);
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ GameSessionHistory: Error loading game sessions:', loadError);
+        setError('Game history is unavailable right now.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  // History entries may be summaries without the game code; fetch the full session to replay it
+  const handleReplay = async (session) => {
+    if (session.game?.html) {
+      onReplay(session);
+      return;
+    }
+    try {
+      setOpeningId(session.id);
+      const response = await simulationAPI.getGameSession(session.id);
+      onReplay(response.data);
+    } catch (replayError) {
+      console.error('❌ GameSessionHistory: Error loading game for replay:', replayError);
+      setError('That game could not be opened. Please try again.');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const visible = limit ? sessions.slice(0, limit) : sessions;
+
+  return (
+    <div className="card card-padding">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+
+      {loading && <p className="text-sm text-gray-500">Loading games...</p>}
+      {!loading && error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {!loading && !error && visible.length === 0 && (
+        <p className="text-sm text-gray-500">No finished games yet.</p>
+      )}
+
+      {!loading && visible.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {visible.map(session => (
+            <li key={session.id} className="py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">
+                  {session.game?.gameTitle || 'Untitled game'}
+                  {session.replayOf && <span className="ml-2 text-xs text-gray-500">(replay)</span>}
+                </p>
+                {session.prompt && (
+                  <p className="text-sm text-gray-600 line-clamp-2">&ldquo;{session.prompt}&rdquo;</p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  🎯 {session.score ?? 0} pts • ⏱️ {session.durationSeconds ? formatDuration(session.durationSeconds) : '-'} • {formatDate(session.completedAt || session.startedAt)}
+                </p>
+              </div>
+              {onReplay && (
+                <button
+                  onClick={() => handleReplay(session)}
+                  disabled={openingId === session.id}
+                  className="btn-outline text-sm whitespace-nowrap disabled:opacity-50"
+                >
+                  {openingId === session.id ? 'Opening...' : '▶️ Play again'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+GameSessionHistory.propTypes = {
+  studentId: PropTypes.string.isRequired,
+  onReplay: PropTypes.func,
+  limit: PropTypes.number,
+  title: PropTypes.string,
+};
+
+export default GameSessionHistory;
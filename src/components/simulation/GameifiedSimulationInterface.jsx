@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
-import { simulationAPI } from '../../services/api';
+import { simulationAPI, xpAPI } from '../../services/api';
 import { geminiGameAPI } from '../../services/geminiGameAPI';
+import { mixChemicals } from '../../services/reactionEngine';
+import { appendEvent } from '../../services/simulationEvents';
 import PromptGameInterface from './PromptGameInterface';
 import PropTypes from 'prop-types';
 
@@ -26,6 +28,14 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
   const autoSaveTimer = useRef(null);
   const lastSaveTime = useRef(Date.now());
 
+  // Action log for replays (simulationEvents.js). Kept in a ref so a save made right after an
+  // action already includes it.
+  const eventLog = useRef(simulation.state?.events || []);
+
+  const recordEvent = (type, payload) => {
+    eventLog.current = appendEvent(eventLog.current, type, payload);
+  };
+
   useEffect(() => {
     // Start auto-save timer when component mounts
     startAutoSave();
@@ -89,6 +99,7 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
         state: {
           gameState,
           observations: gameState.observations,
+          events: eventLog.current,
           lastActiveAt: new Date().toISOString(),
           ...(currentState.progress !== simulation.state?.progress && { progress: currentState.progress }),
           ...(currentState.currentStep !== simulation.state?.currentStep && { currentStep: currentState.currentStep }),
@@ -137,21 +148,20 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
       setLoading(true);
       console.log('▶️ GameifiedSimulation: Starting interactive simulation:', simulation.id);
       
-      const response = await simulationAPI.startSimulation(simulation.id);
+      await simulationAPI.startSimulation(simulation.id);
+      recordEvent('session_started', { title: simulation.title });
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'in_progress',
-          startedAt: new Date().toISOString(),
-          lastActiveAt: new Date().toISOString()
-        }));
-        
-        // Initialize game with Gemini
-        await initializeGameExperiment();
-        
-        console.log('✅ GameifiedSimulation: Interactive simulation started successfully');
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'in_progress',
+        startedAt: new Date().toISOString(),
+        lastActiveAt: new Date().toISOString()
+      }));
+      
+      // Initialize game with Gemini
+      await initializeGameExperiment();
+      
+      console.log('✅ GameifiedSimulation: Interactive simulation started successfully');
     } catch (error) {
       console.error('❌ GameifiedSimulation: Error starting simulation:', error);
       setError('Failed to start interactive simulation');
@@ -275,6 +285,13 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
         }]
       }));
 
+      recordEvent('equipment_dropped', {
+        equipment: { id: draggedItem.id, name: draggedItem.name, icon: draggedItem.icon },
+        zone: targetZone,
+        result: actionResult.result,
+        scoreGain: actionResult.scoreGain || 0
+      });
+
       // Update progress
       const newProgress = calculateProgress();
       setCurrentState(prev => ({
@@ -301,38 +318,71 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
   };
 
   const handleChemicalMixing = async (chemical1, chemical2) => {
+    const experimentContext = {
+      title: simulation.title,
+      subject: simulation.subject,
+      level: simulation.level
+    };
+
     try {
       setLoading(true);
-      
-      const mixingResult = await geminiGameAPI.processChemicalMixing({
-        chemical1,
-        chemical2,
-        currentGameState: gameState,
-        experimentContext: {
-          title: simulation.title,
-          subject: simulation.subject,
-          level: simulation.level
-        }
+
+      // Known chemicals get a deterministic result from the reaction engine; the AI only
+      // phrases its explanation. Anything else still goes to the AI.
+      const reaction = mixChemicals(chemical1, chemical2);
+      const mixingResult = reaction
+        ? { ...reaction, explanation: await geminiGameAPI.explainReaction({ reaction, experimentContext }) }
+        : await geminiGameAPI.processChemicalMixing({
+          chemical1,
+          chemical2,
+          currentGameState: gameState,
+          experimentContext
+        });
+      console.log('🧪 GameifiedSimulation: Mixed', chemical1.name, 'with', chemical2.name, mixingResult.reactionType || '(AI result)');
+
+      setGameState(prev => {
+        // Repeating a mix teaches nothing new, so it only scores the first time
+        const repeated = Boolean(mixingResult.reactionKey) &&
+          prev.mixedSolutions.some(mix => mix.reactionKey === mixingResult.reactionKey);
+
+        return {
+          ...prev,
+          mixedSolutions: mixingResult.resultSolution
+            ? [...prev.mixedSolutions, {
+              id: Date.now(),
+              reactionKey: mixingResult.reactionKey,
+              reactionType: mixingResult.reactionType,
+              components: [chemical1, chemical2],
+              result: mixingResult.resultSolution,
+              visualEffect: mixingResult.visualEffect,
+              timestamp: new Date().toISOString()
+            }]
+            : prev.mixedSolutions,
+          lastMix: { ...mixingResult, components: [chemical1.name, chemical2.name], repeated },
+          score: prev.score + (repeated ? 0 : (mixingResult.scoreGain || 0)),
+          observations: [...prev.observations, {
+            timestamp: new Date().toISOString(),
+            action: `Mixed ${chemical1.name} with ${chemical2.name}`,
+            result: mixingResult.result,
+            scientificExplanation: mixingResult.explanation,
+            visualEffect: mixingResult.visualEffect
+          }]
+        };
       });
 
-      setGameState(prev => ({
-        ...prev,
-        mixedSolutions: [...prev.mixedSolutions, {
-          id: Date.now(),
-          components: [chemical1, chemical2],
-          result: mixingResult.resultSolution,
-          visualEffect: mixingResult.visualEffect,
-          timestamp: new Date().toISOString()
-        }],
-        score: prev.score + (mixingResult.scoreGain || 0),
-        observations: [...prev.observations, {
-          timestamp: new Date().toISOString(),
-          action: `Mixed ${chemical1.name} with ${chemical2.name}`,
-          result: mixingResult.result,
-          scientificExplanation: mixingResult.explanation,
-          visualEffect: mixingResult.visualEffect
-        }]
-      }));
+      const repeatedMix = Boolean(mixingResult.reactionKey) &&
+        gameState.mixedSolutions.some(mix => mix.reactionKey === mixingResult.reactionKey);
+      recordEvent('chemicals_mixed', {
+        components: [chemical1.name, chemical2.name],
+        reactionKey: mixingResult.reactionKey || null,
+        reactionType: mixingResult.reactionType || null,
+        result: mixingResult.result,
+        visualEffect: mixingResult.visualEffect,
+        resultSolution: mixingResult.resultSolution
+          ? { name: mixingResult.resultSolution.name, color: mixingResult.resultSolution.color, hex: mixingResult.resultSolution.hex }
+          : null,
+        scoreGain: repeatedMix ? 0 : (mixingResult.scoreGain || 0)
+      });
 
       // Auto-save after mixing
       saveCurrentState(true);
@@ -365,11 +415,26 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
           timestamp: new Date().toISOString()
         }]
       }));
+      recordEvent('hint_requested', { text: hint.text, type: hint.type });
+      saveCurrentState(true);
     } catch (error) {
       console.error('❌ GameifiedSimulation: Error getting hint:', error);
     }
   };
 
+  const handleAddObservation = (text) => {
+    setGameState(prev => ({
+      ...prev,
+      observations: [...prev.observations, {
+        timestamp: new Date().toISOString(),
+        action: '📝 Note',
+        result: text
+      }]
+    }));
+    recordEvent('observation_recorded', { text });
+    saveCurrentState(true);
+  };
+
   const calculateProgress = () => {
     const totalPossibleActions = 10; // This could be dynamic based on experiment
     const completedActions = gameState.selectedEquipment.length + gameState.mixedSolutions.length;
@@ -379,17 +444,16 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
   const handlePauseSimulation = async () => {
     try {
       setLoading(true);
+      recordEvent('paused');
       await saveCurrentState(true);
       
-      const response = await simulationAPI.pauseSimulation(simulation.id);
+      await simulationAPI.pauseSimulation(simulation.id);
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'paused'
-        }));
-        console.log('⏸️ GameifiedSimulation: Interactive simulation paused');
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'paused'
+      }));
+      console.log('⏸️ GameifiedSimulation: Interactive simulation paused');
     } catch (error) {
       console.error('❌ GameifiedSimulation: Error pausing simulation:', error);
       setError('Failed to pause simulation');
@@ -402,16 +466,15 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
     try {
       setLoading(true);
       
-      const response = await simulationAPI.resumeSimulation(simulation.id);
+      await simulationAPI.resumeSimulation(simulation.id);
+      recordEvent('resumed');
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'in_progress',
-          lastActiveAt: new Date().toISOString()
-        }));
-        console.log('▶️ GameifiedSimulation: Interactive simulation resumed');
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'in_progress',
+        lastActiveAt: new Date().toISOString()
+      }));
+      console.log('▶️ GameifiedSimulation: Interactive simulation resumed');
     } catch (error) {
       console.error('❌ GameifiedSimulation: Error resuming simulation:', error);
       setError('Failed to resume simulation');
@@ -423,29 +486,40 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
   const handleCompleteSimulation = async (finalResults) => {
     try {
       setLoading(true);
+
+      // Close the action log and save it before the simulation is locked as completed
+      recordEvent('completed', { finalScore: gameState.score, accuracy: finalResults?.accuracy });
+      await saveCurrentState(true);
       
-      const response = await simulationAPI.completeSimulation(simulation.id, {
+      await simulationAPI.completeSimulation(simulation.id, {
         ...finalResults,
         gameResults: {
           finalScore: gameState.score,
           actionsCompleted: gameState.selectedEquipment.length + gameState.mixedSolutions.length,
           observationsMade: gameState.observations.length,
-          hintsUsed: gameState.hints.length
+          hintsUsed: gameState.hints.length,
+          eventsRecorded: eventLog.current.length
         }
       });
+
+      xpAPI.award({
+        studentId: simulation.studentId,
+        source: 'simulation',
+        sourceId: simulation.id,
+        title: simulation.title,
+        score: finalResults?.accuracy
+      }).catch(xpError => console.error('❌ GameifiedSimulation: Failed to record XP:', xpError));
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'completed',
-          progress: 100,
-          completedAt: new Date().toISOString()
-        }));
-        
-        setShowCompletionModal(false);
-        alert('🎉 Congratulations! You have successfully completed the interactive experiment!');
-        onBack();
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'completed',
+        progress: 100,
+        completedAt: new Date().toISOString()
+      }));
+      
+      setShowCompletionModal(false);
+      alert('🎉 Congratulations! You have successfully completed the interactive experiment!');
+      onBack();
     } catch (error) {
       console.error('❌ GameifiedSimulation: Error completing simulation:', error);
       setError('Failed to complete simulation');
@@ -541,6 +615,7 @@ const GameifiedSimulationInterface = ({ simulation, onBack, onStateUpdate }) =>
             gameState={gameState}
             currentState={currentState}
             onGetHint={handleGetHint}
+            onAddObservation={handleAddObservation}
             disabled={currentState.status !== 'in_progress'}
           />
         </div>
@@ -838,6 +913,14 @@ const VirtualLabWorkspace = ({ gameState, onEquipmentDrop, onChemicalMixing, dra
         />
       </div>
 
+      <ChemicalMixingBench
+        chemicals={gameState.availableChemicals || []}
+        mixedSolutions={gameState.mixedSolutions || []}
+        lastMix={gameState.lastMix}
+        onMix={onChemicalMixing}
+        disabled={disabled}
+      />
+
       {/* Current Action Display */}
       {gameState.currentAction && (
         <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
@@ -849,6 +932,91 @@ const VirtualLabWorkspace = ({ gameState, onEquipmentDrop, onChemicalMixing, dra
   );
 };
 
+// Chemical Mixing Bench Component
+// Pick two chemicals (or solutions made earlier) and mix them. Known chemicals are handled by
+// the reaction engine, so the same mix always gives the same result.
+const ChemicalMixingBench = ({ chemicals, mixedSolutions, lastMix, onMix, disabled }) => {
+  const [firstKey, setFirstKey] = useState('');
+  const [secondKey, setSecondKey] = useState('');
+
+  const options = [
+    ...chemicals.map((chemical, index) => ({ key: `chemical-${chemical.id || index}`, label: `${chemical.icon || '🧪'} ${chemical.name}`, chemical })),
+    ...mixedSolutions
+      .filter(mix => mix.result?.name)
+      .map(mix => ({ key: `mix-${mix.id}`, label: `⚗️ ${mix.result.name}`, chemical: { ...mix.result, id: mix.result.id || `mix-${mix.id}` } }))
+  ];
+  const first = options.find(option => option.key === firstKey);
+  const second = options.find(option => option.key === secondKey);
+  const canMix = !disabled && first && second && first.key !== second.key;
+
+  const renderSelect = (value, onChange, label) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      aria-label={label}
+      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+    >
+      <option value="">{label}</option>
+      {options.map(option => (
+        <option key={option.key} value={option.key}>{option.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+      <h4 className="font-medium text-gray-900 mb-3">⚗️ Mixing Bench</h4>
+
+      {options.length < 2 ? (
+        <p className="text-sm text-gray-500">Chemicals will appear here once the lab is set up.</p>
+      ) : (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+          {renderSelect(firstKey, setFirstKey, 'First chemical')}
+          <span className="text-center text-gray-400">+</span>
+          {renderSelect(secondKey, setSecondKey, 'Second chemical')}
+          <button
+            onClick={() => onMix(first.chemical, second.chemical)}
+            disabled={!canMix}
+            className="btn-primary disabled:opacity-50"
+          >
+            Mix
+          </button>
+        </div>
+      )}
+
+      {lastMix && (
+        <div className={`mt-4 p-3 rounded-lg text-sm ${lastMix.reactionType === 'unsafe' ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}>
+          <div className="flex items-start space-x-3">
+            {lastMix.resultSolution?.hex && (
+              <div
+                className="w-10 h-10 rounded-full border border-gray-300 flex-shrink-0"
+                style={{ backgroundColor: lastMix.resultSolution.hex }}
+                title={lastMix.resultSolution.color}
+              />
+            )}
+            <div className="space-y-1">
+              <div className="font-medium text-gray-900">
+                {lastMix.components.join(' + ')}
+                <span className="ml-2 text-primary-600">
+                  {lastMix.repeated ? '(already tried, no points)' : `+${lastMix.scoreGain || 0}`}
+                </span>
+              </div>
+              <div className="text-gray-700">{lastMix.result}</div>
+              <div className="text-purple-600">✨ {lastMix.visualEffect}</div>
+              {lastMix.resultSolution?.properties && (
+                <div className="text-gray-600">Result: {lastMix.resultSolution.properties}</div>
+              )}
+              <div className="text-gray-600">{lastMix.explanation}</div>
+              {lastMix.safety && <div className="text-xs text-gray-500">🥽 {lastMix.safety}</div>}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Drop Zone Component
 const DropZone = ({ id, title, icon, description, dragOver, onDragOver, onDragLeave, onDrop, contents }) => {
   return (
@@ -880,7 +1048,15 @@ const DropZone = ({ id, title, icon, description, dragOver, onDragOver, onDragLe
 };
 
 // Game Progress Panel Component
-const GameProgressPanel = ({ gameState, currentState, onGetHint, disabled }) => {
+const GameProgressPanel = ({ gameState, currentState, onGetHint, onAddObservation, disabled }) => {
+  const [note, setNote] = useState('');
+
+  const handleAddNote = () => {
+    if (!note.trim()) return;
+    onAddObservation(note.trim());
+    setNote('');
+  };
+
   return (
     <div className="space-y-4">
       {/* Score & Progress */}
@@ -929,6 +1105,21 @@ const GameProgressPanel = ({ gameState, currentState, onGetHint, disabled }) =>
       {/* Recent Observations */}
       <div className="bg-white rounded-lg border border-gray-200 p-4">
         <h3 className="font-semibold text-gray-900 mb-3">📝 Observations</h3>
+        {!disabled && (
+          <div className="flex space-x-2 mb-3">
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAddNote()}
+              placeholder="What did you notice?"
+              className="form-input text-sm flex-1"
+            />
+            <button onClick={handleAddNote} disabled={!note.trim()} className="btn-primary text-sm disabled:opacity-50">
+              Add
+            </button>
+          </div>
+        )}
         <div className="space-y-2 max-h-48 overflow-y-auto">
           {gameState.observations && gameState.observations.length > 0 ? (
             gameState.observations.slice(-5).map((obs, index) => (
@@ -1057,6 +1248,14 @@ VirtualLabWorkspace.propTypes = {
   disabled: PropTypes.bool
 };
 
+ChemicalMixingBench.propTypes = {
+  chemicals: PropTypes.array.isRequired,
+  mixedSolutions: PropTypes.array.isRequired,
+  lastMix: PropTypes.object,
+  onMix: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
 DropZone.propTypes = {
   id: PropTypes.string.isRequired,
   title: PropTypes.string.isRequired,
@@ -1073,6 +1272,7 @@ GameProgressPanel.propTypes = {
   gameState: PropTypes.object.isRequired,
   currentState: PropTypes.object.isRequired,
   onGetHint: PropTypes.func.isRequired,
+  onAddObservation: PropTypes.func.isRequired,
   disabled: PropTypes.bool
 };
 
@@ -0,0 +1,109 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { simulationAPI } from '../../services/api';
+import ProcedureEditorModal from './ProcedureEditorModal';
+
+/**
+ * LabProcedureList Component
+ * A student's unfinished lab experiments for their teacher, each with an editor for the
+ * procedure steps and how they are marked. List entries carry only a summary, so the full
+ * simulation (with its virtualLab) is fetched when the editor is opened.
+ */
+function LabProcedureList({ studentId, title = '📋 Lab Procedures' }) {
+  const [simulations, setSimulations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [openingId, setOpeningId] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    simulationAPI.getStudentSimulations(studentId, { limit: 20 })
+      .then(response => {
+        if (!cancelled) setSimulations(response.data.filter(simulation => simulation.state?.status !== 'completed'));
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ LabProcedureList: Error loading simulations:', loadError);
+        setError('Lab experiments are unavailable right now.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  const handleOpen = async (simulation) => {
+    try {
+      setOpeningId(simulation.id);
+      setNotice(null);
+      const response = await simulationAPI.getSimulation(simulation.id);
+      setEditing(response.data);
+    } catch (openError) {
+      console.error('❌ LabProcedureList: Error loading simulation:', openError);
+      setError('That experiment could not be opened. Please try again.');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const handleSaved = (updated) => {
+    setNotice(`Saved the procedure for "${updated?.title || editing.title}".`);
+    setEditing(null);
+  };
+
+  return (
+    <div className="card card-padding">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">{title}</h3>
+      <p className="text-sm text-gray-500 mb-4">Set the steps, expected answers and checks the virtual lab marks.</p>
+
+      {loading && <p className="text-sm text-gray-500">Loading experiments...</p>}
+      {!loading && error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {notice && <p className="text-sm text-green-700 mb-3">✅ {notice}</p>}
+      {!loading && !error && simulations.length === 0 && (
+        <p className="text-sm text-gray-500">No unfinished lab experiments.</p>
+      )}
+
+      {!loading && simulations.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {simulations.map(simulation => (
+            <li key={simulation.id} className="py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">{simulation.title || 'Untitled experiment'}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  🧪 {simulation.subject || 'Science'} • {(simulation.state?.status || 'not_started').replace('_', ' ')}
+                </p>
+              </div>
+              <button
+                onClick={() => handleOpen(simulation)}
+                disabled={openingId === simulation.id}
+                className="btn-outline text-sm whitespace-nowrap disabled:opacity-50"
+              >
+                {openingId === simulation.id ? 'Opening...' : '✏️ Edit steps'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editing && (
+        <ProcedureEditorModal simulation={editing} onClose={() => setEditing(null)} onSaved={handleSaved} />
+      )}
+    </div>
+  );
+}
+
+LabProcedureList.propTypes = {
+  studentId: PropTypes.string.isRequired,
+  title: PropTypes.string,
+};
+
+export default LabProcedureList;
@@ -0,0 +1,204 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { PHYSICS_EXPERIMENTS, defaultParams, runExperiment } from '../../services/physicsEngine';
+
+const CHART = { width: 320, height: 200, left: 40, right: 8, top: 8, bottom: 28 };
+
+// Rounded-up axis limit so the trace never touches the frame
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  return Math.ceil((value * 1.05) / magnitude) * magnitude;
+};
+
+// Plot of the last run's trace (path, position or reading against time)
+const TracePlot = ({ trace, labels }) => {
+  const xs = trace.map(([x]) => x);
+  const ys = trace.map(([, y]) => y);
+  const xMax = niceMax(Math.max(...xs));
+  const yMax = niceMax(Math.max(...ys.map(Math.abs)));
+  const yMin = Math.min(...ys) < 0 ? -yMax : 0;
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (value) => CHART.left + (value / xMax) * plotWidth;
+  const y = (value) => CHART.top + (1 - (value - yMin) / (yMax - yMin)) * plotHeight;
+  const path = trace.map(([px, py], index) => `${index === 0 ? 'M' : 'L'}${x(px).toFixed(1)},${y(py).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label={`${labels.y} against ${labels.x}`}>
+      <rect x={CHART.left} y={CHART.top} width={plotWidth} height={plotHeight} fill="#f9fafb" stroke="#e5e7eb" />
+      {[yMin, yMin < 0 ? 0 : yMax / 2, yMax].map(value => (
+        <g key={value}>
+          <line x1={CHART.left} x2={CHART.left + plotWidth} y1={y(value)} y2={y(value)} stroke="#e5e7eb" />
+          <text x={CHART.left - 4} y={y(value) + 3} textAnchor="end" fontSize="9" fill="#6b7280">{Number(value.toPrecision(3))}</text>
+        </g>
+      ))}
+      {[0, xMax / 2, xMax].map(value => (
+        <text key={value} x={x(value)} y={CHART.height - 14} textAnchor="middle" fontSize="9" fill="#6b7280">{Number(value.toPrecision(3))}</text>
+      ))}
+      <text x={CHART.left + plotWidth / 2} y={CHART.height - 2} textAnchor="middle" fontSize="9" fill="#6b7280">{labels.x}</text>
+      <text x={10} y={CHART.top + plotHeight / 2} textAnchor="middle" fontSize="9" fill="#6b7280" transform={`rotate(-90 10 ${CHART.top + plotHeight / 2})`}>
+        {labels.y}
+      </text>
+      <path d={path} fill="none" stroke="#7c3aed" strokeWidth="2" />
+    </svg>
+  );
+};
+
+const PhysicsSandbox = ({ physics, onChange, onRecordRun, disabled = false }) => {
+  const [lastRun, setLastRun] = useState(null);
+  const experiment = PHYSICS_EXPERIMENTS[physics.experiment];
+  const params = physics.params?.[physics.experiment] || defaultParams(physics.experiment);
+
+  const handleSelectExperiment = (key) => {
+    setLastRun(null);
+    onChange({
+      ...physics,
+      experiment: key,
+      params: { ...physics.params, [key]: physics.params?.[key] || defaultParams(key) }
+    });
+  };
+
+  const handleParamChange = (key, value) => {
+    onChange({ ...physics, params: { ...physics.params, [physics.experiment]: { ...params, [key]: value } } });
+  };
+
+  const handleRun = () => {
+    const result = runExperiment(physics.experiment, params);
+    const { trace: _trace, comparison: _comparison, ...run } = result;
+    const recorded = { ...run, id: `run-${Date.now()}`, recordedAt: new Date().toISOString() };
+    console.log('🧲 PhysicsSandbox: Experiment run:', recorded);
+
+    setLastRun(result);
+    const next = { ...physics, runs: [...(physics.runs || []), recorded] };
+    onChange(next);
+    if (onRecordRun) onRecordRun(recorded, next);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-2">🧲 Physics Sandbox</h2>
+      <p className="text-sm text-gray-600 mb-4">{experiment.description}</p>
+
+      {/* Experiment picker */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        {Object.entries(PHYSICS_EXPERIMENTS).map(([key, definition]) => (
+          <button
+            key={key}
+            onClick={() => handleSelectExperiment(key)}
+            disabled={disabled}
+            className={`px-3 py-1 rounded-full text-sm border ${
+              key === physics.experiment
+                ? 'bg-primary-600 text-white border-primary-600'
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {definition.icon} {definition.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Parameters */}
+        <div className="space-y-3">
+          {experiment.parameters.map(param => (
+            <div key={param.key}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {param.label}
+                {!param.options && (
+                  <span className="ml-2 font-mono text-gray-900">{params[param.key]}{param.unit ? ` ${param.unit}` : ''}</span>
+                )}
+              </label>
+              {param.options ? (
+                <select
+                  value={params[param.key]}
+                  onChange={(e) => handleParamChange(param.key, e.target.value)}
+                  disabled={disabled}
+                  className="form-input text-sm"
+                >
+                  {param.options.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="range"
+                  min={param.min}
+                  max={param.max}
+                  step={param.step}
+                  value={params[param.key]}
+                  onChange={(e) => handleParamChange(param.key, Number(e.target.value))}
+                  disabled={disabled}
+                  className="w-full"
+                />
+              )}
+            </div>
+          ))}
+
+          <button onClick={handleRun} disabled={disabled} className="btn-primary text-sm disabled:opacity-50">
+            ▶️ Run and record
+          </button>
+        </div>
+
+        {/* Results */}
+        <div>
+          {lastRun ? (
+            <>
+              <TracePlot trace={lastRun.trace} labels={experiment.plot} />
+              <table className="w-full text-sm mt-3">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="font-medium">Quantity</th>
+                    <th className="font-medium text-right">Measured</th>
+                    <th className="font-medium text-right">Theory</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {lastRun.comparison.map(row => (
+                    <tr key={row.key} className="border-t border-gray-100">
+                      <td className="py-1 text-gray-700">{row.label}</td>
+                      <td className="py-1 text-right font-mono">{row.measured ?? '—'} {row.unit}</td>
+                      <td className="py-1 text-right font-mono text-gray-500">{row.theory ?? '—'} {row.unit}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-2">💡 {experiment.theoryNote}</p>
+            </>
+          ) : (
+            <div className="h-full min-h-32 flex items-center justify-center p-4 bg-gray-50 rounded-lg text-sm text-gray-500 text-center">
+              Choose your settings and run the experiment. Every run is added to your lab notes.
+            </div>
+          )}
+        </div>
+      </div>
+
+      {physics.runs?.length > 0 && (
+        <p className="text-xs text-gray-500 mt-4">
+          {physics.runs.length} run{physics.runs.length === 1 ? '' : 's'} recorded. Measured values are compared with theory when you complete the experiment.
+        </p>
+      )}
+    </div>
+  );
+};
+
+TracePlot.propTypes = {
+  trace: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+  labels: PropTypes.shape({
+    x: PropTypes.string.isRequired,
+    y: PropTypes.string.isRequired
+  }).isRequired
+};
+
+PhysicsSandbox.propTypes = {
+  physics: PropTypes.shape({
+    experiment: PropTypes.string.isRequired,
+    params: PropTypes.object,
+    runs: PropTypes.array
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRecordRun: PropTypes.func,
+  disabled: PropTypes.bool
+};
+
+export default PhysicsSandbox;
@@ -0,0 +1,336 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { simulationAPI } from '../../services/api';
+import { EXPECTED_SOURCES, STEP_CHECKS, validateStep } from '../../services/stepValidation';
+import { PHYSICS_EXPERIMENTS } from '../../services/physicsEngine';
+
+const INPUT_TYPE_LABELS = { number: 'Number', text: 'Text', choice: 'Choice' };
+
+const EXPECTED_SOURCE_LABELS = {
+  'titration.meanTitre': "Student's mean titre",
+  'physics.measured': "Student's last measured value"
+};
+
+// Bench checks in teacher words, with the options each one takes besides points
+const CHECK_OPTIONS = {
+  titrationStarted: { label: 'Titrant added from the burette', fields: [] },
+  titrationTrials: { label: 'Titration endpoints recorded', fields: ['min'] },
+  concordantTitres: { label: 'Concordant titres', fields: ['min'] },
+  physicsRuns: { label: 'Physics runs recorded', fields: ['min', 'experiment'] },
+  observationKeywords: { label: 'Observation mentions keywords', fields: ['keywords'] }
+};
+
+const PHYSICS_QUANTITIES = Object.values(PHYSICS_EXPERIMENTS)
+  .flatMap(experiment => experiment.quantities)
+  .filter((quantity, index, all) => all.findIndex(other => other.key === quantity.key) === index);
+
+const toNumber = (value) => (value === '' || value === undefined || value === null ? undefined : Number(value));
+const toList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+const withoutEmpty = (fields) => Object.fromEntries(
+  Object.entries(fields).filter(([, value]) => value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+);
+
+const blankInput = () => ({ key: '', label: '', type: 'number', unit: '', expected: '', expectedFrom: '', quantity: '', tolerance: '', points: '', options: '', keywords: '' });
+const blankCheck = () => ({ type: 'titrationStarted', points: '', min: '', experiment: '', keywords: '' });
+
+// Editing copy of a step: always an object, with list fields as comma-separated text
+const toDraft = (step) => {
+  const source = typeof step === 'string' ? { text: step } : step || {};
+  return {
+    text: source.text || '',
+    points: source.points ?? '',
+    inputs: (source.inputs || []).map(input => ({
+      ...blankInput(),
+      ...input,
+      options: (input.options || []).join(', '),
+      keywords: (input.keywords || []).join(', ')
+    })),
+    checks: (source.checks || []).map(check => ({ ...blankCheck(), ...check, keywords: (check.keywords || []).join(', ') }))
+  };
+};
+
+// Back to the procedure shape; steps with nothing to check stay plain text
+const fromDraft = (draft) => {
+  const text = draft.text.trim();
+  const inputs = draft.inputs.map(input => withoutEmpty({
+    key: String(input.key || '').trim(),
+    label: String(input.label || '').trim(),
+    type: input.type,
+    unit: input.type === 'number' ? String(input.unit || '').trim() : undefined,
+    expected: input.type === 'number' ? (input.expectedFrom ? undefined : toNumber(input.expected)) : String(input.expected ?? '').trim(),
+    expectedFrom: input.type === 'number' ? input.expectedFrom : undefined,
+    quantity: input.expectedFrom === 'physics.measured' ? input.quantity : undefined,
+    tolerance: input.type === 'number' ? toNumber(input.tolerance) : undefined,
+    // Percentage tolerances from generated steps are kept unless the teacher sets a fixed one
+    tolerancePercent: input.type === 'number' && input.tolerance === '' ? input.tolerancePercent : undefined,
+    points: toNumber(input.points),
+    options: input.type === 'choice' ? toList(input.options) : undefined,
+    keywords: input.type === 'text' ? toList(input.keywords) : undefined
+  }));
+  const checks = draft.checks.map(check => {
+    const fields = CHECK_OPTIONS[check.type]?.fields || [];
+    return withoutEmpty({
+      type: check.type,
+      points: toNumber(check.points),
+      min: fields.includes('min') ? toNumber(check.min) : undefined,
+      experiment: fields.includes('experiment') ? check.experiment : undefined,
+      keywords: fields.includes('keywords') ? toList(check.keywords) : undefined
+    });
+  });
+
+  if (inputs.length === 0 && checks.length === 0) {
+    return draft.points === '' ? text : { text, points: Number(draft.points) };
+  }
+  return withoutEmpty({ text, inputs, checks });
+};
+
+/**
+ * ProcedureEditorModal Component
+ * Lets a teacher rewrite a simulation's procedure, giving steps expected answers and bench
+ * checks that the virtual lab marks (see stepValidation.js). Steps are validated the same way
+ * simulationAPI.updateProcedure does, so the teacher sees every problem before saving.
+ */
+function ProcedureEditorModal({ simulation, onClose, onSaved }) {
+  const [steps, setSteps] = useState(() => (simulation.virtualLab?.procedure || []).map(toDraft));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const stepErrors = steps.map(step => validateStep(fromDraft(step)));
+  const hasErrors = steps.length === 0 || stepErrors.some(errors => errors.length > 0);
+  const hasMarks = Object.keys(simulation.state?.userInputs?.stepResults || {}).length > 0;
+
+  const updateStep = (index, fields) => {
+    setSteps(prev => prev.map((step, i) => (i === index ? { ...step, ...fields } : step)));
+  };
+
+  const updateItem = (index, list, itemIndex, fields) => {
+    setSteps(prev => prev.map((step, i) => (i === index
+      ? { ...step, [list]: step[list].map((item, j) => (j === itemIndex ? { ...item, ...fields } : item)) }
+      : step)));
+  };
+
+  const removeItem = (index, list, itemIndex) => {
+    setSteps(prev => prev.map((step, i) => (i === index ? { ...step, [list]: step[list].filter((_, j) => j !== itemIndex) } : step)));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await simulationAPI.updateProcedure(simulation.id, steps.map(fromDraft));
+      console.log('✅ ProcedureEditorModal: Procedure saved for', simulation.id);
+      onSaved(response.data);
+    } catch (saveError) {
+      console.error('❌ ProcedureEditorModal: Error saving procedure:', saveError);
+      setError(saveError.response?.data?.message || saveError.message || 'Failed to save the procedure. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const fieldClassName = 'px-2 py-1 border border-gray-300 rounded-md text-sm w-full';
+
+  const renderInput = (input, index, inputIndex) => {
+    const update = (fields) => updateItem(index, 'inputs', inputIndex, fields);
+    return (
+      <div key={inputIndex} className="p-3 bg-gray-50 rounded-lg space-y-2">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          <input value={input.key} onChange={(e) => update({ key: e.target.value })} placeholder="Key, e.g. meanTitre" className={fieldClassName} aria-label="Input key" />
+          <input value={input.label} onChange={(e) => update({ label: e.target.value })} placeholder="Label shown to students" className={fieldClassName} aria-label="Input label" />
+          <select value={input.type} onChange={(e) => update({ type: e.target.value })} className={fieldClassName} aria-label="Input type">
+            {Object.entries(INPUT_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+          <input type="number" min={0} value={input.points} onChange={(e) => update({ points: e.target.value })} placeholder="Points (10)" className={fieldClassName} aria-label="Input points" />
+        </div>
+
+        {input.type === 'number' && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            <select value={input.expectedFrom} onChange={(e) => update({ expectedFrom: e.target.value })} className={fieldClassName} aria-label="Expected value source">
+              <option value="">Fixed answer</option>
+              {Object.keys(EXPECTED_SOURCES).map(source => (
+                <option key={source} value={source}>{EXPECTED_SOURCE_LABELS[source] || source}</option>
+              ))}
+            </select>
+            {input.expectedFrom === 'physics.measured' ? (
+              <select value={input.quantity} onChange={(e) => update({ quantity: e.target.value })} className={fieldClassName} aria-label="Measured quantity">
+                <option value="">Quantity...</option>
+                {PHYSICS_QUANTITIES.map(quantity => <option key={quantity.key} value={quantity.key}>{quantity.label}</option>)}
+              </select>
+            ) : !input.expectedFrom ? (
+              <input type="number" step="any" value={input.expected} onChange={(e) => update({ expected: e.target.value })} placeholder="Answer" className={fieldClassName} aria-label="Expected answer" />
+            ) : <span />}
+            <input type="number" step="any" min={0} value={input.tolerance} onChange={(e) => update({ tolerance: e.target.value })} placeholder="± tolerance" className={fieldClassName} aria-label="Tolerance" />
+            <input value={input.unit} onChange={(e) => update({ unit: e.target.value })} placeholder="Unit, e.g. mL" className={fieldClassName} aria-label="Unit" />
+          </div>
+        )}
+
+        {input.type === 'text' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <input value={input.keywords} onChange={(e) => update({ keywords: e.target.value })} placeholder="Keywords, comma-separated" className={fieldClassName} aria-label="Keywords" />
+            <input value={input.expected} onChange={(e) => update({ expected: e.target.value })} placeholder="Or an exact answer" className={fieldClassName} aria-label="Expected answer" />
+          </div>
+        )}
+
+        {input.type === 'choice' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            <input value={input.options} onChange={(e) => update({ options: e.target.value })} placeholder="Options, comma-separated" className={fieldClassName} aria-label="Options" />
+            <select value={input.expected} onChange={(e) => update({ expected: e.target.value })} className={fieldClassName} aria-label="Right option">
+              <option value="">Right option...</option>
+              {toList(input.options).map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          </div>
+        )}
+
+        <button onClick={() => removeItem(index, 'inputs', inputIndex)} className="text-xs text-red-600 hover:text-red-700">
+          Remove input
+        </button>
+      </div>
+    );
+  };
+
+  const renderCheck = (check, index, checkIndex) => {
+    const update = (fields) => updateItem(index, 'checks', checkIndex, fields);
+    const fields = CHECK_OPTIONS[check.type]?.fields || [];
+    return (
+      <div key={checkIndex} className="p-3 bg-blue-50 rounded-lg flex flex-wrap items-center gap-2">
+        <select value={check.type} onChange={(e) => update({ type: e.target.value })} className="px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Check type">
+          {Object.keys(STEP_CHECKS).map(type => (
+            <option key={type} value={type}>{CHECK_OPTIONS[type]?.label || type}</option>
+          ))}
+        </select>
+        {fields.includes('min') && (
+          <input type="number" min={1} value={check.min} onChange={(e) => update({ min: e.target.value })} placeholder="At least" className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Minimum" />
+        )}
+        {fields.includes('experiment') && (
+          <select value={check.experiment} onChange={(e) => update({ experiment: e.target.value })} className="px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Experiment">
+            <option value="">Any experiment</option>
+            {Object.entries(PHYSICS_EXPERIMENTS).map(([key, experiment]) => <option key={key} value={key}>{experiment.label}</option>)}
+          </select>
+        )}
+        {fields.includes('keywords') && (
+          <input value={check.keywords} onChange={(e) => update({ keywords: e.target.value })} placeholder="Keywords, comma-separated" className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Keywords" />
+        )}
+        <input type="number" min={0} value={check.points} onChange={(e) => update({ points: e.target.value })} placeholder="Points (5)" className="w-24 px-2 py-1 border border-gray-300 rounded-md text-sm" aria-label="Check points" />
+        <button onClick={() => removeItem(index, 'checks', checkIndex)} className="text-xs text-red-600 hover:text-red-700">
+          Remove
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">📋 Edit Procedure</h2>
+            <p className="text-sm text-gray-600">{simulation.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl" disabled={saving} aria-label="Close editor">
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            Give steps inputs to check the student&apos;s answers, or bench checks to confirm they did the work.
+            Steps without either are marked as done once the student writes an observation.
+          </p>
+          {hasMarks && (
+            <p className="text-sm px-3 py-2 rounded bg-yellow-50 text-yellow-800 border border-yellow-200">
+              ⚠️ This student has already had some steps marked. Those marks stay with the step number.
+            </p>
+          )}
+
+          {steps.map((step, index) => (
+            <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-3">
+              <div className="flex items-start space-x-3">
+                <span className="w-7 h-7 rounded-full bg-primary-100 text-primary-700 text-sm font-semibold flex items-center justify-center flex-shrink-0">
+                  {index + 1}
+                </span>
+                <textarea
+                  value={step.text}
+                  onChange={(e) => updateStep(index, { text: e.target.value })}
+                  rows={2}
+                  className="form-input resize-none flex-1"
+                  placeholder="What the student should do"
+                  aria-label={`Step ${index + 1} text`}
+                />
+                <button
+                  onClick={() => setSteps(prev => prev.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                  aria-label={`Remove step ${index + 1}`}
+                >
+                  🗑️
+                </button>
+              </div>
+
+              {step.inputs.map((input, inputIndex) => renderInput(input, index, inputIndex))}
+              {step.checks.map((check, checkIndex) => renderCheck(check, index, checkIndex))}
+
+              <div className="flex flex-wrap items-center gap-3 text-sm">
+                <button onClick={() => updateStep(index, { inputs: [...step.inputs, blankInput()] })} className="text-primary-600 hover:text-primary-700">
+                  ➕ Add input
+                </button>
+                <button onClick={() => updateStep(index, { checks: [...step.checks, blankCheck()] })} className="text-primary-600 hover:text-primary-700">
+                  ➕ Add bench check
+                </button>
+                {step.inputs.length === 0 && step.checks.length === 0 && (
+                  <label className="flex items-center space-x-2 text-gray-600">
+                    <span>Points</span>
+                    <input
+                      type="number"
+                      min={0}
+                      value={step.points}
+                      onChange={(e) => updateStep(index, { points: e.target.value })}
+                      placeholder="10"
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    />
+                  </label>
+                )}
+              </div>
+
+              {stepErrors[index].length > 0 && (
+                <ul className="text-xs text-red-600 list-disc list-inside">
+                  {stepErrors[index].map(stepError => <li key={stepError}>{stepError}</li>)}
+                </ul>
+              )}
+            </div>
+          ))}
+
+          <button onClick={() => setSteps(prev => [...prev, toDraft('')])} className="btn-outline text-sm">
+            ➕ Add step
+          </button>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">⚠️ {error}</div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+          <button onClick={onClose} className="btn-outline" disabled={saving}>
+            Cancel
+          </button>
+          <button onClick={handleSave} className="btn-primary disabled:opacity-50" disabled={saving || hasErrors}>
+            {saving ? 'Saving...' : '💾 Save procedure'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ProcedureEditorModal.propTypes = {
+  simulation: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    virtualLab: PropTypes.shape({
+      procedure: PropTypes.array
+    }),
+    state: PropTypes.object
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+};
+
+export default ProcedureEditorModal;
@@ -1,13 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { geminiGameAPI } from '../../services/geminiGameAPI';
+import { xpAPI, simulationAPI, gameLibraryAPI, securityUtils } from '../../services/api';
+import { createLibraryGame, validateGameTitle, GAME_TITLE_MAX_LENGTH } from '../../services/gameLibrary';
+import GameSandboxFrame from './GameSandboxFrame';
 import PropTypes from 'prop-types';
 
-const PromptGameInterface = ({ simulation, onBack, user }) => {
-  const [prompt, setPrompt] = useState('');
+const PromptGameInterface = ({ simulation, onBack, user, savedGame = null }) => {
+  // A game from the student's history or the game library opens straight into play
+  const [prompt, setPrompt] = useState(savedGame?.prompt || '');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [showGeneratedGame, setShowGeneratedGame] = useState(false);
-  const [generatedGame, setGeneratedGame] = useState(null);
+  const [showGeneratedGame, setShowGeneratedGame] = useState(Boolean(savedGame));
+  const [generatedGame, setGeneratedGame] = useState(
+    savedGame ? { ...savedGame.game, id: savedGame.gameId || savedGame.game.id } : null
+  );
 
   const handleGenerateGame = async () => {
     if (!prompt.trim()) {
@@ -34,7 +40,8 @@ const PromptGameInterface = ({ simulation, onBack, user }) => {
 
       console.log('✅ Game generated successfully:', gameData.gameTitle);
       
-      setGeneratedGame(gameData);
+      // The id ties every play of this game together (history, replays and XP)
+      setGeneratedGame({ ...gameData, id: securityUtils.generateSecureId() });
       setShowGeneratedGame(true);
       
     } catch (error) {
@@ -74,6 +81,9 @@ const PromptGameInterface = ({ simulation, onBack, user }) => {
         onBackToSimulation={handleBackToSimulation}
         simulation={simulation}
         user={user}
+        prompt={prompt.trim()}
+        replayOf={savedGame?.id || null}
+        inLibrary={Boolean(savedGame?.libraryGameId)}
       />
     );
   }
@@ -214,99 +224,85 @@ const PromptGameInterface = ({ simulation, onBack, user }) => {
 };
 
 // Dynamic Game Renderer Component
-const DynamicGameRenderer = ({ gameData, onBackToPrompt, onBackToSimulation, simulation, user }) => {
+const DynamicGameRenderer = ({ gameData, onBackToPrompt, onBackToSimulation, simulation, user, prompt = '', replayOf = null, inLibrary = false }) => {
   const [gameScore, setGameScore] = useState(0);
   const [gameCompleted, setGameCompleted] = useState(false);
+  // Each time the game is opened is one session in the student's history
+  const [sessionId] = useState(() => securityUtils.generateSecureId());
+  const [startedAt] = useState(() => new Date().toISOString());
+  const [completedAt, setCompletedAt] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null);
+  // A replayed session doesn't say whether its game is in a library. Until the library answers,
+  // assume it is, so the student can't save over their own or a classmate's entry.
+  const [libraryEntryExists, setLibraryEntryExists] = useState(inLibrary || Boolean(replayOf));
 
-  // Create a safe iframe-like environment for the generated game
-  const createGameHTML = () => {
-    return `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${gameData.gameTitle}</title>
-        <style>
-          body {
-            margin: 0;
-            padding: 20px;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            background: #f7fafc;
-          }
-          ${gameData.css}
-        </style>
-      </head>
-      <body>
-        ${gameData.html}
-        
-        <script>
-          // Initialize global score variable
-          window.gameScore = window.gameScore || 0;
-          
-          // Monitor score changes
-          let lastScore = 0;
-          const scoreMonitor = setInterval(() => {
-            if (window.gameScore !== lastScore) {
-              lastScore = window.gameScore;
-              window.parent.postMessage({
-                type: 'SCORE_UPDATE',
-                score: window.gameScore
-              }, '*');
-            }
-          }, 1000);
-          
-          // Game completion detection
-          const originalAlert = window.alert;
-          window.alert = function(message) {
-            if (message && (message.toLowerCase().includes('complete') || 
-                message.toLowerCase().includes('finished') || 
-                message.toLowerCase().includes('congratulations') ||
-                message.toLowerCase().includes('win') ||
-                message.toLowerCase().includes('success'))) {
-              window.parent.postMessage({
-                type: 'GAME_COMPLETED',
-                score: window.gameScore || 0,
-                message: message
-              }, '*');
-            }
-            return originalAlert.call(this, message);
-          };
-          
-          // Enhanced completion detection for common game patterns
-          window.completeGame = function(finalScore) {
-            window.gameScore = finalScore || window.gameScore;
-            window.parent.postMessage({
-              type: 'GAME_COMPLETED',
-              score: window.gameScore,
-              message: 'Game completed successfully!'
-            }, '*');
-          };
-          
-          ${gameData.javascript}
-        </script>
-      </body>
-      </html>
-    `;
-  };
+  // The sandbox only reports validated scores; completion can arrive more than once
+  const handleGameComplete = useCallback((score) => {
+    setGameScore(score);
+    setGameCompleted(true);
+    setCompletedAt(current => current || new Date().toISOString());
+    console.log('🎉 Game completed with score:', score);
+  }, []);
 
-  // Handle messages from the iframe
-  const handleMessage = (event) => {
-    if (event.data.type === 'SCORE_UPDATE') {
-      setGameScore(event.data.score);
-    } else if (event.data.type === 'GAME_COMPLETED') {
-      setGameScore(event.data.score);
-      setGameCompleted(true);
-      // TODO: Save score to database (will be implemented later as requested)
-      console.log('🎉 Game completed with score:', event.data.score);
-    }
-  };
+  // Inside a simulation the user prop is built from the simulation, so prefer its studentId.
+  // Replaying the same game (or scoring more after finishing) keeps one XP event with the best score
+  const studentId = simulation?.studentId || user?.id;
+  const gameKey = gameData.id || `${simulation?.id || 'custom'}:${gameData.gameTitle}`;
+  const level = user?.selectedLevel || 1;
 
-  // Set up message listener
   useEffect(() => {
-    window.addEventListener('message', handleMessage);
-    return () => window.removeEventListener('message', handleMessage);
-  }, []);
+    if (inLibrary || !replayOf || !gameData.id) return undefined;
+    let cancelled = false;
+
+    gameLibraryAPI.getGame(gameData.id)
+      .then(() => {
+        if (!cancelled) setLibraryEntryExists(true);
+      })
+      .catch(error => {
+        // Only a 404 means nobody has saved this game; a 403 is someone else's private game
+        if (!cancelled) setLibraryEntryExists(error.response?.status !== 404);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [inLibrary, replayOf, gameData.id]);
+
+  // Scores that arrive after completion re-save the same session with the new score
+  useEffect(() => {
+    if (!gameCompleted || !completedAt) return;
+
+    const session = {
+      id: sessionId,
+      studentId,
+      simulationId: simulation?.id || null,
+      gameId: gameKey,
+      replayOf,
+      prompt,
+      subject: simulation?.subject || 'Science',
+      level,
+      game: gameData,
+      score: gameScore,
+      durationSeconds: Math.max(0, Math.round((new Date(completedAt) - new Date(startedAt)) / 1000)),
+      startedAt,
+      completedAt
+    };
+
+    simulationAPI.saveGameSession(session)
+      .then(response => setSaveStatus(response.meta.queued ? 'queued' : 'saved'))
+      .catch(saveError => {
+        console.error('❌ DynamicGameRenderer: Failed to save game session:', saveError);
+        setSaveStatus('error');
+      });
+
+    xpAPI.award({
+      studentId,
+      source: 'game',
+      sourceId: gameKey,
+      title: gameData.gameTitle,
+      score: gameScore
+    }).catch(xpError => console.error('❌ DynamicGameRenderer: Failed to record XP:', xpError));
+  }, [gameCompleted, gameScore, completedAt, sessionId, startedAt, studentId, simulation?.id, simulation?.subject, gameKey, replayOf, prompt, level, gameData]);
 
   return (
     <div className="max-w-7xl mx-auto p-6">
@@ -347,6 +343,15 @@ const DynamicGameRenderer = ({ gameData, onBackToPrompt, onBackToSimulation, sim
               <span>🎯 Current Score: <strong className="text-primary-600">{gameScore}</strong></span>
               <span>📊 Level {user?.selectedLevel || 1}</span>
               {gameCompleted && <span className="text-green-600 font-semibold">✅ Completed!</span>}
+              {!libraryEntryExists && studentId && gameData.id && (
+                <SaveToLibraryButton
+                  gameData={gameData}
+                  prompt={prompt}
+                  subject={simulation?.subject || 'Science'}
+                  level={level}
+                  ownerId={studentId}
+                />
+              )}
             </div>
             
             <div className="text-right">
@@ -361,12 +366,7 @@ const DynamicGameRenderer = ({ gameData, onBackToPrompt, onBackToSimulation, sim
 
       {/* Game Container */}
       <div className="bg-white rounded-lg border border-gray-200 overflow-hidden shadow-lg">
-        <iframe
-          srcDoc={createGameHTML()}
-          className="w-full h-[600px] border-0"
-          title={gameData.gameTitle}
-          sandbox="allow-scripts"
-        />
+        <GameSandboxFrame game={gameData} onScore={setGameScore} onComplete={handleGameComplete} />
       </div>
 
       {/* Game Instructions & Educational Info */}
@@ -389,6 +389,13 @@ const DynamicGameRenderer = ({ gameData, onBackToPrompt, onBackToSimulation, sim
           <p className="text-yellow-800 mb-4">
             Awesome work! You scored <strong>{gameScore}</strong> points and learned about {simulation?.subject || 'science'}.
           </p>
+          {saveStatus && (
+            <p className="text-sm text-yellow-700 mb-4">
+              {saveStatus === 'saved' && '💾 Saved to your game history.'}
+              {saveStatus === 'queued' && '📥 You\'re offline - your score will be saved when you reconnect.'}
+              {saveStatus === 'error' && '⚠️ We couldn\'t save this score. You can still keep playing.'}
+            </p>
+          )}
           <div className="flex justify-center space-x-4">
             <button
               onClick={onBackToPrompt}
@@ -409,19 +416,106 @@ const DynamicGameRenderer = ({ gameData, onBackToPrompt, onBackToSimulation, sim
   );
 };
 
-// Add React import for useEffect in DynamicGameRenderer
+// Keeps the game in the student's library so it survives "Create New Game"
+const SaveToLibraryButton = ({ gameData, prompt, subject, level, ownerId }) => {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState(gameData.gameTitle || '');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSave = async () => {
+    const titleError = validateGameTitle(title);
+    if (titleError) {
+      setError(titleError);
+      return;
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      await gameLibraryAPI.saveGame(createLibraryGame({
+        game: gameData,
+        title,
+        prompt,
+        subject,
+        level,
+        ownerId,
+        remixOf: gameData.remixOf || null
+      }));
+      setSaved(true);
+      setEditing(false);
+      console.log('💾 Game saved to library:', gameData.id);
+    } catch (saveError) {
+      console.error('❌ Failed to save game to library:', saveError);
+      setError('Could not save the game. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (saved) {
+    return <span className="text-green-600 font-semibold">💾 In your library</span>;
+  }
+
+  if (!editing) {
+    return (
+      <button onClick={() => setEditing(true)} className="text-primary-600 hover:text-primary-700 font-medium">
+        💾 Save to Library
+      </button>
+    );
+  }
+
+  return (
+    <span className="flex items-center space-x-2">
+      <input
+        type="text"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={GAME_TITLE_MAX_LENGTH}
+        className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+        aria-label="Game name"
+      />
+      <button onClick={handleSave} disabled={saving} className="btn-primary text-sm px-3 py-1 disabled:opacity-50">
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+      <button onClick={() => setEditing(false)} className="text-gray-500 text-sm">
+        Cancel
+      </button>
+      {error && <span className="text-red-600 text-xs">{error}</span>}
+    </span>
+  );
+};
+
+SaveToLibraryButton.propTypes = {
+  gameData: PropTypes.object.isRequired,
+  prompt: PropTypes.string,
+  subject: PropTypes.string,
+  level: PropTypes.number,
+  ownerId: PropTypes.string.isRequired
+};
+
 DynamicGameRenderer.propTypes = {
   gameData: PropTypes.object.isRequired,
   onBackToPrompt: PropTypes.func.isRequired,
   onBackToSimulation: PropTypes.func.isRequired,
   simulation: PropTypes.object.isRequired,
-  user: PropTypes.object.isRequired
+  user: PropTypes.object.isRequired,
+  prompt: PropTypes.string,
+  replayOf: PropTypes.string,
+  inLibrary: PropTypes.bool
 };
 
 PromptGameInterface.propTypes = {
   simulation: PropTypes.object.isRequired,
   onBack: PropTypes.func.isRequired,
-  user: PropTypes.object.isRequired
+  user: PropTypes.object.isRequired,
+  savedGame: PropTypes.shape({
+    id: PropTypes.string, // session id when replaying from history
+    gameId: PropTypes.string,
+    libraryGameId: PropTypes.string, // set when opened from the game library
+    prompt: PropTypes.string,
+    game: PropTypes.object.isRequired
+  })
 };
 
 export default PromptGameInterface;
@@ -1,12 +1,75 @@
 import { useState, useEffect, useRef } from 'react';
-import { simulationAPI } from '../../services/api';
+import { simulationAPI, xpAPI } from '../../services/api';
+import { analyzeTitration, canReachEndpoint, createTitration, isTitrationLab } from '../../services/titration';
+import { PHYSICS_EXPERIMENTS, createPhysicsLab, describeRun, isPhysicsLab, summarizePhysicsRuns } from '../../services/physicsEngine';
+import { buildRubric, gradeStep, normalizeStep } from '../../services/stepValidation';
+import TitrationSimulator from './TitrationSimulator';
+import PhysicsSandbox from './PhysicsSandbox';
 import PropTypes from 'prop-types';
 
+// Fallback data when backend doesn't provide virtualLab (temporary fix). Steps carry the
+// inputs and bench checks they are marked on (see stepValidation.js).
+const FALLBACK_VIRTUAL_LAB = {
+  equipment: ['Beaker', 'Burette', 'Pipette', 'Conical Flask', 'Measuring Cylinder'],
+  chemicals: ['HCl (Hydrochloric Acid)', 'NaOH (Sodium Hydroxide)', 'Phenolphthalein Indicator'],
+  procedure: [
+    {
+      text: 'Fill the burette with NaOH solution to the 0.00 mL mark',
+      inputs: [{ key: 'initialReading', label: 'Starting burette reading', type: 'number', unit: 'mL', expected: 0, tolerance: 0.05 }]
+    },
+    {
+      text: 'Add 25.0 mL of the unknown HCl solution to a conical flask using a pipette',
+      inputs: [{ key: 'acidVolume', label: 'Volume of acid in the flask', type: 'number', unit: 'mL', expected: 25, tolerance: 0.1 }]
+    },
+    {
+      text: 'Add 2-3 drops of phenolphthalein indicator to the HCl solution',
+      inputs: [{
+        key: 'indicator',
+        label: 'Indicator added',
+        type: 'choice',
+        options: ['phenolphthalein', 'methyl orange', 'universal indicator', 'litmus'],
+        expected: 'phenolphthalein'
+      }]
+    },
+    'Place the conical flask under the burette on a white tile',
+    {
+      text: 'Begin titration by slowly adding NaOH from the burette while swirling the flask',
+      checks: [{ type: 'titrationStarted' }]
+    },
+    {
+      text: 'Continue adding NaOH until the solution turns from colorless to light pink',
+      checks: [{ type: 'titrationTrials', min: 1 }, { type: 'observationKeywords', keywords: ['pink'] }]
+    },
+    {
+      text: 'Record the volume of NaOH used and repeat the titration for accuracy',
+      inputs: [{ key: 'meanTitre', label: 'Mean titre', type: 'number', unit: 'mL', expectedFrom: 'titration.meanTitre', tolerance: 0.05 }],
+      checks: [{ type: 'concordantTitres', min: 2, points: 10 }]
+    }
+  ],
+  safetyNotes: [
+    'Wear safety goggles and lab coat at all times',
+    'Handle all chemicals with care - acids and bases are corrosive',
+    'Ensure the burette is properly clamped and secure',
+    'Clean all glassware before and after use'
+  ]
+};
+
+const getProcedure = (simulation) => simulation.virtualLab?.procedure || FALLBACK_VIRTUAL_LAB.procedure;
+
 const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
   const [currentState, setCurrentState] = useState(simulation.state || {});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [userInputs, setUserInputs] = useState(simulation.state?.userInputs || {});
+  const isPhysics = isPhysicsLab(simulation);
+  const isTitration = !isPhysics && isTitrationLab(simulation);
+  const [userInputs, setUserInputs] = useState(() => {
+    const saved = simulation.state?.userInputs || {};
+    if (isPhysics && !saved.physics) return { ...saved, physics: createPhysicsLab(simulation) };
+    if (isTitration && (!saved.titration || !canReachEndpoint(saved.titration))) {
+      return { ...saved, titration: createTitration(simulation.virtualLab?.chemicals || FALLBACK_VIRTUAL_LAB.chemicals) };
+    }
+    return saved;
+  });
   const [observations, setObservations] = useState(simulation.state?.observations || []);
   const [showCompletionModal, setShowCompletionModal] = useState(false);
   
@@ -44,24 +107,27 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
     }, 30000);
   };
 
-  const saveCurrentState = async (forceSave = false) => {
+  // Handlers that change userInputs, observations or progress pass the new values in `latest`,
+  // because state set in the same tick isn't visible here until the next render
+  const saveCurrentState = async (forceSave = false, latest = {}) => {
     if (!forceSave && Date.now() - lastSaveTime.current < 10000) {
       // Prevent too frequent saves (minimum 10s apart)
       return;
     }
 
     try {
+      const state = latest.currentState || currentState;
       // Only include changed state data to avoid unnecessary updates
       const stateData = {
         state: {
-          userInputs,
-          observations,
+          userInputs: latest.userInputs || userInputs,
+          observations: latest.observations || observations,
           lastActiveAt: new Date().toISOString(),
           // Only include status, progress, currentStep if they've actually changed
-          ...(currentState.progress !== simulation.state?.progress && { progress: currentState.progress }),
-          ...(currentState.currentStep !== simulation.state?.currentStep && { currentStep: currentState.currentStep }),
+          ...(state.progress !== simulation.state?.progress && { progress: state.progress }),
+          ...(state.currentStep !== simulation.state?.currentStep && { currentStep: state.currentStep }),
           // Don't send status unless it's actually changing to avoid "invalid state transition" errors
-          ...(currentState.status !== simulation.state?.status && { status: currentState.status })
+          ...(state.status !== simulation.state?.status && { status: state.status })
         }
       };
 
@@ -93,17 +159,15 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
       setLoading(true);
       console.log('▶️ SimulationInterface: Starting simulation:', simulation.id);
       
-      const response = await simulationAPI.startSimulation(simulation.id);
+      await simulationAPI.startSimulation(simulation.id);
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'in_progress',
-          startedAt: new Date().toISOString(),
-          lastActiveAt: new Date().toISOString()
-        }));
-        console.log('✅ SimulationInterface: Simulation started successfully');
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'in_progress',
+        startedAt: new Date().toISOString(),
+        lastActiveAt: new Date().toISOString()
+      }));
+      console.log('✅ SimulationInterface: Simulation started successfully');
     } catch (error) {
       console.error('❌ SimulationInterface: Error starting simulation:', error);
       setError('Failed to start simulation');
@@ -117,15 +181,13 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
       setLoading(true);
       await saveCurrentState(true); // Force save current progress
       
-      const response = await simulationAPI.pauseSimulation(simulation.id);
+      await simulationAPI.pauseSimulation(simulation.id);
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'paused'
-        }));
-        console.log('⏸️ SimulationInterface: Simulation paused');
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'paused'
+      }));
+      console.log('⏸️ SimulationInterface: Simulation paused');
     } catch (error) {
       console.error('❌ SimulationInterface: Error pausing simulation:', error);
       setError('Failed to pause simulation');
@@ -138,16 +200,14 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
     try {
       setLoading(true);
       
-      const response = await simulationAPI.resumeSimulation(simulation.id);
+      await simulationAPI.resumeSimulation(simulation.id);
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'in_progress',
-          lastActiveAt: new Date().toISOString()
-        }));
-        console.log('▶️ SimulationInterface: Simulation resumed');
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'in_progress',
+        lastActiveAt: new Date().toISOString()
+      }));
+      console.log('▶️ SimulationInterface: Simulation resumed');
     } catch (error) {
       console.error('❌ SimulationInterface: Error resuming simulation:', error);
       setError('Failed to resume simulation');
@@ -160,7 +220,7 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
     console.log('✅ SimulationInterface: Step completed:', stepIndex, stepData);
     
     // Update progress
-    const totalSteps = simulation.virtualLab?.procedure?.length || 5;
+    const totalSteps = getProcedure(simulation).length || 5;
     const newProgress = Math.min(((stepIndex + 1) / totalSteps) * 100, 100);
     
     // Add observation
@@ -170,28 +230,25 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
       observation: stepData.observation || `Completed step ${stepIndex + 1}`
     };
 
-    setCurrentState(prev => ({
-      ...prev,
-      currentStep: stepIndex + 1,
-      progress: newProgress
-    }));
+    const nextState = { ...currentState, currentStep: stepIndex + 1, progress: newProgress };
+    const nextObservations = [...observations, newObservation];
+    // Update user inputs and keep the step's mark for the rubric
+    const nextUserInputs = {
+      ...userInputs,
+      ...stepData.inputs,
+      ...(stepData.result && { stepResults: { ...userInputs.stepResults, [stepIndex]: stepData.result } })
+    };
 
-    setObservations(prev => [...prev, newObservation]);
-    
-    // Update user inputs
-    if (stepData.inputs) {
-      setUserInputs(prev => ({
-        ...prev,
-        ...stepData.inputs
-      }));
-    }
+    setCurrentState(nextState);
+    setObservations(nextObservations);
+    setUserInputs(nextUserInputs);
 
     // Check if simulation is complete
     if (newProgress >= 100) {
       setShowCompletionModal(true);
     } else {
       // Auto-save progress
-      saveCurrentState(true);
+      saveCurrentState(true, { currentState: nextState, userInputs: nextUserInputs, observations: nextObservations });
     }
   };
 
@@ -201,24 +258,30 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
       
       console.log('🏁 SimulationInterface: Completing simulation with results:', finalResults);
       
-      const response = await simulationAPI.completeSimulation(simulation.id, finalResults);
+      await simulationAPI.completeSimulation(simulation.id, finalResults);
+
+      xpAPI.award({
+        studentId: simulation.studentId,
+        source: 'simulation',
+        sourceId: simulation.id,
+        title: simulation.title,
+        score: finalResults?.accuracy
+      }).catch(xpError => console.error('❌ SimulationInterface: Failed to record XP:', xpError));
       
-      if (response.data?.success) {
-        setCurrentState(prev => ({
-          ...prev,
-          status: 'completed',
-          progress: 100,
-          completedAt: new Date().toISOString()
-        }));
-        
-        setShowCompletionModal(false);
-        
-        // Show success message
-        alert('🎉 Congratulations! You have successfully completed the experiment!');
-        
-        // Return to simulation list
-        onBack();
-      }
+      setCurrentState(prev => ({
+        ...prev,
+        status: 'completed',
+        progress: 100,
+        completedAt: new Date().toISOString()
+      }));
+      
+      setShowCompletionModal(false);
+      
+      // Show success message
+      alert('🎉 Congratulations! You have successfully completed the experiment!');
+      
+      // Return to simulation list
+      onBack();
     } catch (error) {
       console.error('❌ SimulationInterface: Error completing simulation:', error);
       setError('Failed to complete simulation');
@@ -227,6 +290,36 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
     }
   };
 
+  const handleTitrationChange = (titration) => {
+    setUserInputs(prev => ({ ...prev, titration }));
+  };
+
+  const handleTitrationTrial = (trial, titration) => {
+    const newObservation = {
+      step: currentState.currentStep || 0,
+      timestamp: trial.recordedAt,
+      observation: `Titration ${titration.trials.length}: indicator turned ${trial.color} after ${trial.titreMl.toFixed(2)} mL (pH ${trial.pH.toFixed(2)})`
+    };
+    const nextObservations = [...observations, newObservation];
+    setObservations(nextObservations);
+    saveCurrentState(true, { userInputs: { ...userInputs, titration }, observations: nextObservations });
+  };
+
+  const handlePhysicsChange = (physics) => {
+    setUserInputs(prev => ({ ...prev, physics }));
+  };
+
+  const handlePhysicsRun = (run, physics) => {
+    const newObservation = {
+      step: currentState.currentStep || 0,
+      timestamp: run.recordedAt,
+      observation: describeRun(run)
+    };
+    const nextObservations = [...observations, newObservation];
+    setObservations(nextObservations);
+    saveCurrentState(true, { userInputs: { ...userInputs, physics }, observations: nextObservations });
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed': return 'text-green-600';
@@ -391,7 +484,7 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
       {/* Main Simulation Content */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Virtual Lab Equipment & Procedure */}
-        <div className="lg:col-span-2">
+        <div className="lg:col-span-2 space-y-6">
           <VirtualLabInterface
             simulation={simulation}
             currentState={currentState}
@@ -399,6 +492,24 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
             onStepComplete={handleStepComplete}
             disabled={currentState.status !== 'in_progress'}
           />
+
+          {userInputs.titration && (
+            <TitrationSimulator
+              titration={userInputs.titration}
+              onChange={handleTitrationChange}
+              onRecordTrial={handleTitrationTrial}
+              disabled={currentState.status !== 'in_progress'}
+            />
+          )}
+
+          {userInputs.physics && (
+            <PhysicsSandbox
+              physics={userInputs.physics}
+              onChange={handlePhysicsChange}
+              onRecordRun={handlePhysicsRun}
+              disabled={currentState.status !== 'in_progress'}
+            />
+          )}
         </div>
 
         {/* Sidebar - Observations & Notes */}
@@ -418,12 +529,7 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
           />
           
           <SafetyNotesPanel 
-            safetyNotes={simulation.virtualLab?.safetyNotes || [
-              'Wear safety goggles and lab coat at all times',
-              'Handle all chemicals with care - acids and bases are corrosive',
-              'Ensure the burette is properly clamped and secure',
-              'Clean all glassware before and after use'
-            ]}
+            safetyNotes={simulation.virtualLab?.safetyNotes || FALLBACK_VIRTUAL_LAB.safetyNotes}
           />
         </div>
       </div>
@@ -446,35 +552,16 @@ const SimulationInterface = ({ simulation, onBack, onStateUpdate }) => {
 const VirtualLabInterface = ({ simulation, currentState, userInputs, onStepComplete, disabled }) => {
   const [currentStepIndex, setCurrentStepIndex] = useState(currentState.currentStep || 0);
   const [stepInputs, setStepInputs] = useState({});
+  // Marked attempt at the current step that was not full marks: { result, attempts }
+  const [stepAttempt, setStepAttempt] = useState(null);
 
   // Debug logging
   console.log('🔬 VirtualLabInterface: simulation data:', simulation);
   console.log('🔬 VirtualLabInterface: virtualLab data:', simulation.virtualLab);
 
-  // Fallback data when backend doesn't provide virtualLab (temporary fix)
-  const fallbackVirtualLab = {
-    equipment: ['Beaker', 'Burette', 'Pipette', 'Conical Flask', 'Measuring Cylinder'],
-    chemicals: ['HCl (Hydrochloric Acid)', 'NaOH (Sodium Hydroxide)', 'Phenolphthalein Indicator'],
-    procedure: [
-      'Fill the burette with NaOH solution to the 0.00 mL mark',
-      'Add 25.0 mL of the unknown HCl solution to a conical flask using a pipette',
-      'Add 2-3 drops of phenolphthalein indicator to the HCl solution',
-      'Place the conical flask under the burette on a white tile',
-      'Begin titration by slowly adding NaOH from the burette while swirling the flask',
-      'Continue adding NaOH until the solution turns from colorless to light pink',
-      'Record the volume of NaOH used and repeat the titration for accuracy'
-    ],
-    safetyNotes: [
-      'Wear safety goggles and lab coat at all times',
-      'Handle all chemicals with care - acids and bases are corrosive',
-      'Ensure the burette is properly clamped and secure',
-      'Clean all glassware before and after use'
-    ]
-  };
-
-  const procedures = simulation.virtualLab?.procedure || fallbackVirtualLab.procedure;
-  const equipment = simulation.virtualLab?.equipment || fallbackVirtualLab.equipment;
-  const chemicals = simulation.virtualLab?.chemicals || fallbackVirtualLab.chemicals;
+  const procedures = getProcedure(simulation);
+  const equipment = simulation.virtualLab?.equipment || FALLBACK_VIRTUAL_LAB.equipment;
+  const chemicals = simulation.virtualLab?.chemicals || FALLBACK_VIRTUAL_LAB.chemicals;
 
   // Debug logging for arrays
   console.log('🔬 VirtualLabInterface: procedures:', procedures);
@@ -494,15 +581,58 @@ const VirtualLabInterface = ({ simulation, currentState, userInputs, onStepCompl
     }));
   };
 
-  const handleCompleteCurrentStep = () => {
+  const completeStep = (result, attempts) => {
     const stepData = {
       inputs: stepInputs,
-      observation: stepInputs.observation || `Completed step ${currentStepIndex + 1}`
+      observation: stepInputs.observation || `Completed step ${currentStepIndex + 1}`,
+      result: { ...result, attempts }
     };
-    
+
     onStepComplete(currentStepIndex, stepData);
     setCurrentStepIndex(prev => prev + 1);
     setStepInputs({});
+    setStepAttempt(null);
+  };
+
+  // Full marks move straight on; anything less shows feedback so the student can try again
+  const handleCompleteCurrentStep = () => {
+    const result = gradeStep(procedures[currentStepIndex], stepInputs, { userInputs });
+    const attempts = (stepAttempt?.attempts || 0) + 1;
+    console.log('📋 VirtualLabInterface: Step marked:', currentStepIndex + 1, result);
+
+    if (result.passed) {
+      completeStep(result, attempts);
+    } else {
+      setStepAttempt({ result, attempts });
+    }
+  };
+
+  const renderStepInput = (input) => {
+    const value = stepInputs[input.key] ?? '';
+    const onChange = (e) => handleStepInput(input.key, e.target.value);
+
+    if (input.type === 'choice') {
+      return (
+        <select value={value} onChange={onChange} className="form-input text-sm">
+          <option value="">Choose...</option>
+          {(input.options || []).map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+    return (
+      <div className="flex items-center space-x-2">
+        <input
+          type={input.type === 'number' ? 'number' : 'text'}
+          step="any"
+          value={value}
+          onChange={onChange}
+          className="form-input text-sm"
+        />
+        {input.unit && <span className="text-sm text-gray-500">{input.unit}</span>}
+      </div>
+    );
   };
 
   return (
@@ -550,7 +680,10 @@ const VirtualLabInterface = ({ simulation, currentState, userInputs, onStepCompl
         <h3 className="font-semibold text-gray-900 mb-3">📋 Procedure</h3>
         {procedures.length > 0 ? (
           <div className="space-y-4">
-            {procedures.map((step, index) => (
+            {procedures.map((rawStep, index) => {
+              const step = normalizeStep(rawStep);
+              const stepResult = userInputs.stepResults?.[index];
+              return (
             <div
               key={index}
               className={`p-4 rounded-lg border-2 ${
@@ -572,11 +705,37 @@ const VirtualLabInterface = ({ simulation, currentState, userInputs, onStepCompl
                   {index < currentStepIndex ? '✓' : index + 1}
                 </div>
                 <div className="flex-1">
-                  <p className="text-gray-800">{step}</p>
-                  
+                  <div className="flex items-start justify-between">
+                    <p className="text-gray-800">{step.text}</p>
+                    {stepResult && (
+                      <span className={`ml-3 text-xs font-medium px-2 py-0.5 rounded-full whitespace-nowrap ${
+                        stepResult.score >= stepResult.maxScore ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-700'
+                      }`}>
+                        {stepResult.score}/{stepResult.maxScore}
+                      </span>
+                    )}
+                  </div>
+
                   {/* Current Step Inputs */}
                   {index === currentStepIndex && !disabled && (
                     <div className="mt-3 space-y-3">
+                      {step.inputs.map(input => (
+                        <div key={input.key}>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            {input.label || input.key}:
+                          </label>
+                          {renderStepInput(input)}
+                        </div>
+                      ))}
+
+                      {step.checks.length > 0 && (
+                        <ul className="text-xs text-gray-500 space-y-1">
+                          {step.checks.map(check => (
+                            <li key={check.type}>☐ {check.label}</li>
+                          ))}
+                        </ul>
+                      )}
+
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">
                           Your Observation:
@@ -590,19 +749,45 @@ const VirtualLabInterface = ({ simulation, currentState, userInputs, onStepCompl
                         />
                       </div>
                       
-                      <button
-                        onClick={handleCompleteCurrentStep}
-                        className="btn-primary text-sm"
-                        disabled={!stepInputs.observation?.trim()}
-                      >
-                        Complete Step {index + 1}
-                      </button>
+                      {stepAttempt && (
+                        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm">
+                          <p className="font-medium text-yellow-800 mb-1">
+                            {stepAttempt.result.score}/{stepAttempt.result.maxScore} points so far
+                          </p>
+                          <ul className="space-y-1">
+                            {stepAttempt.result.feedback.map(item => (
+                              <li key={item.key} className="text-gray-700">
+                                {item.credit === 1 ? '✅' : item.credit > 0 ? '🟡' : '❌'} {item.message}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={handleCompleteCurrentStep}
+                          className="btn-primary text-sm"
+                          disabled={!stepInputs.observation?.trim()}
+                        >
+                          {stepAttempt ? 'Check Again' : `Complete Step ${index + 1}`}
+                        </button>
+                        {stepAttempt && (
+                          <button
+                            onClick={() => completeStep(stepAttempt.result, stepAttempt.attempts)}
+                            className="btn-outline text-sm"
+                          >
+                            Move On with {stepAttempt.result.score}/{stepAttempt.result.maxScore}
+                          </button>
+                        )}
+                      </div>
                     </div>
                   )}
                 </div>
               </div>
             </div>
-          ))}
+              );
+            })}
           </div>
         ) : (
           <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
@@ -712,13 +897,35 @@ const CompletionModal = ({ simulation, userInputs, observations, onComplete, onC
     finalObservations: '',
     learningObjectivesMet: []
   });
+  const [reportedMolarity, setReportedMolarity] = useState('');
+  const [showAnswer, setShowAnswer] = useState(false);
+
+  // Titration labs are marked against the concentration the student's own titres give
+  const titration = userInputs.titration;
+  const titrationAnalysis = titration ? analyzeTitration(titration, reportedMolarity) : null;
+  const needsReport = Boolean(titrationAnalysis) && titrationAnalysis.reportedMolarity === null;
+
+  // Physics labs compare every recorded run with theory
+  const physicsSummary = summarizePhysicsRuns(userInputs.physics);
+
+  // Step marks (saved states from before step marking have none)
+  const procedure = getProcedure(simulation);
+  const rubric = userInputs.stepResults ? buildRubric(procedure, userInputs.stepResults) : null;
+
+  // Accuracy is the mean of the marks this lab has: the procedure rubric and the titration result
+  const marks = [rubric?.percentage, titrationAnalysis?.accuracy].filter(mark => mark !== undefined);
+  const accuracy = marks.length ? Math.round(marks.reduce((sum, mark) => sum + mark, 0) / marks.length) : finalResults.accuracy;
 
   const handleComplete = () => {
     const results = {
       ...finalResults,
+      accuracy,
+      ...(rubric && { rubric }),
+      ...(titrationAnalysis && { titration: titrationAnalysis }),
+      ...(physicsSummary && { physics: physicsSummary }),
       timeSpent: Math.round((Date.now() - new Date(simulation.state?.startedAt || Date.now()).getTime()) / 60000),
-      stepsCompleted: simulation.virtualLab?.procedure?.length || 0,
-      totalSteps: simulation.virtualLab?.procedure?.length || 0
+      stepsCompleted: rubric?.stepsCompleted ?? procedure.length,
+      totalSteps: procedure.length
     };
     
     onComplete(results);
@@ -749,6 +956,111 @@ const CompletionModal = ({ simulation, userInputs, observations, onComplete, onC
             />
           </div>
 
+          {titrationAnalysis && (
+            <div className="mb-4 p-4 bg-blue-50 rounded-lg">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Concentration of the {titration.analyte.name} (mol/L):
+              </label>
+              <p className="text-xs text-gray-500 mb-2">
+                Mean titre {titrationAnalysis.meanTitreMl.toFixed(2)} mL of {titration.titrantMolarity.toFixed(3)} mol/L {titration.titrant.name},
+                {' '}{titration.analyteVolumeMl.toFixed(1)} mL of acid.
+              </p>
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.0001"
+                  value={reportedMolarity}
+                  onChange={(e) => {
+                    setReportedMolarity(e.target.value);
+                    setShowAnswer(false);
+                  }}
+                  placeholder="e.g. 0.0950"
+                  className="form-input"
+                />
+                <button
+                  onClick={() => setShowAnswer(true)}
+                  className="btn-outline text-sm whitespace-nowrap"
+                  disabled={needsReport}
+                >
+                  Check my answer
+                </button>
+              </div>
+
+              {showAnswer && !needsReport && (
+                <div className="mt-3 text-sm space-y-1">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Your answer</span>
+                    <span className="font-mono">{titrationAnalysis.reportedMolarity.toFixed(4)} mol/L</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">From your titres</span>
+                    <span className="font-mono">{titrationAnalysis.computedMolarity.toFixed(4)} mol/L ({titrationAnalysis.calculationError}% off)</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">True concentration</span>
+                    <span className="font-mono">{titrationAnalysis.actualMolarity.toFixed(4)} mol/L ({titrationAnalysis.techniqueError}% off)</span>
+                  </div>
+                  <div className="flex justify-between font-semibold text-gray-900 pt-1 border-t border-blue-100">
+                    <span>Titration mark</span>
+                    <span>{titrationAnalysis.accuracy}%</span>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {rubric && (
+            <div className="mb-4 p-4 bg-gray-50 rounded-lg max-h-48 overflow-y-auto">
+              <div className="flex justify-between text-sm font-semibold text-gray-900 mb-2">
+                <span>📋 Procedure marks</span>
+                <span>{rubric.score}/{rubric.maxScore} ({rubric.percentage}%)</span>
+              </div>
+              {rubric.steps.map(step => (
+                <div key={step.step} className="flex justify-between text-sm text-gray-600">
+                  <span className="truncate mr-3">{step.step}. {step.text}</span>
+                  <span className="font-mono whitespace-nowrap">
+                    {step.completed ? `${step.score}/${step.maxScore}` : 'not done'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {physicsSummary && (
+            <div className="mb-4 p-4 bg-purple-50 rounded-lg max-h-64 overflow-y-auto">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">🧲 Your measurements vs theory</h4>
+              {physicsSummary.runs.map((run, index) => (
+                <div key={run.id || index} className="mb-3 text-sm">
+                  <p className="font-medium text-gray-700">
+                    Run {index + 1}: {PHYSICS_EXPERIMENTS[run.experiment].icon} {PHYSICS_EXPERIMENTS[run.experiment].label}
+                  </p>
+                  {run.comparison.map(row => (
+                    <div key={row.key} className="flex justify-between text-gray-600">
+                      <span>{row.label}</span>
+                      <span className="font-mono">
+                        {row.measured ?? '—'} vs {row.theory ?? '—'} {row.unit}
+                        {row.percentDifference !== null && ` (${row.percentDifference}%)`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+              {physicsSummary.meanPercentDifference !== null && (
+                <p className="text-xs text-gray-500">
+                  On average your measurements were {physicsSummary.meanPercentDifference}% from the textbook formulas.
+                  Think about why in your final observations.
+                </p>
+              )}
+            </div>
+          )}
+
+          {titration && !titrationAnalysis && (
+            <p className="mb-4 text-sm text-orange-600">
+              ⚠️ No titres recorded yet. Record at least one endpoint on the titration bench to work out the concentration.
+            </p>
+          )}
+
           <div className="flex space-x-3">
             <button onClick={onCancel} className="btn-outline flex-1">
               Continue Working
@@ -756,7 +1068,7 @@ const CompletionModal = ({ simulation, userInputs, observations, onComplete, onC
             <button 
               onClick={handleComplete}
               className="btn-primary flex-1"
-              disabled={!finalResults.finalObservations.trim()}
+              disabled={!finalResults.finalObservations.trim() || needsReport}
             >
               Complete Experiment
             </button>
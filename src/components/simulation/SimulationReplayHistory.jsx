@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { simulationAPI } from '../../services/api';
+import SimulationReplayViewer from './SimulationReplayViewer';
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+}) : '-');
+
+/**
+ * SimulationReplayHistory Component
+ * A student's started lab experiments for teachers and parents, each with a replay of the
+ * recorded action log. List entries carry only a summary, so the full simulation (with its
+ * events) is fetched when a replay is opened.
+ */
+function SimulationReplayHistory({ studentId, limit, title = '🎬 Lab Replays' }) {
+  const [simulations, setSimulations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openingId, setOpeningId] = useState(null);
+  const [replaying, setReplaying] = useState(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    simulationAPI.getStudentSimulations(studentId, { limit: 20 })
+      .then(response => {
+        if (!cancelled) setSimulations(response.data.filter(simulation => simulation.state?.status && simulation.state.status !== 'not_started'));
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ SimulationReplayHistory: Error loading simulations:', loadError);
+        setError('Lab history is unavailable right now.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  const handleOpen = async (simulation) => {
+    try {
+      setOpeningId(simulation.id);
+      const response = await simulationAPI.getSimulation(simulation.id);
+      setReplaying(response.data);
+    } catch (openError) {
+      console.error('❌ SimulationReplayHistory: Error loading replay:', openError);
+      setError('That replay could not be opened. Please try again.');
+    } finally {
+      setOpeningId(null);
+    }
+  };
+
+  const visible = limit ? simulations.slice(0, limit) : simulations;
+
+  return (
+    <div className="card card-padding">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">{title}</h3>
+
+      {loading && <p className="text-sm text-gray-500">Loading experiments...</p>}
+      {!loading && error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+      {!loading && !error && visible.length === 0 && (
+        <p className="text-sm text-gray-500">No lab experiments yet.</p>
+      )}
+
+      {!loading && visible.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {visible.map(simulation => (
+            <li key={simulation.id} className="py-3 flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">{simulation.title || 'Untitled experiment'}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  🧪 {simulation.subject || 'Science'} • {simulation.state.status.replace('_', ' ')}
+                  {simulation.state.eventCount !== undefined && ` • ${simulation.state.eventCount} actions`}
+                  {' '}• {formatDate(simulation.state.lastActiveAt || simulation.updatedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => handleOpen(simulation)}
+                disabled={openingId === simulation.id || simulation.state.eventCount === 0}
+                className="btn-outline text-sm whitespace-nowrap disabled:opacity-50"
+              >
+                {openingId === simulation.id ? 'Opening...' : '🎬 Replay'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {replaying && (
+        <SimulationReplayViewer simulation={replaying} onClose={() => setReplaying(null)} />
+      )}
+    </div>
+  );
+}
+
+SimulationReplayHistory.propTypes = {
+  studentId: PropTypes.string.isRequired,
+  limit: PropTypes.number,
+  title: PropTypes.string,
+};
+
+export default SimulationReplayHistory;
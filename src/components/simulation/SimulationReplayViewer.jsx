@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { SIMULATION_EVENT_TYPES, describeEvent, replayEvents } from '../../services/simulationEvents';
+
+const PLAY_INTERVAL_MS = 1200;
+
+const formatElapsed = (from, to) => {
+  const seconds = Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * SimulationReplayViewer Component
+ * Steps through a gamified simulation's action log. The slider position is the number of
+ * events applied, so 0 is the empty bench and the end is the finished lab.
+ */
+function SimulationReplayViewer({ simulation, onClose }) {
+  const events = simulation.state?.events || [];
+  const [position, setPosition] = useState(events.length);
+  const [playing, setPlaying] = useState(false);
+  // Playback stops by itself at the end of the log
+  const isPlaying = playing && position < events.length;
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    const timer = setInterval(() => {
+      setPosition(prev => Math.min(prev + 1, events.length));
+    }, PLAY_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, events.length]);
+
+  const handlePlay = () => {
+    if (position >= events.length) {
+      setPosition(0);
+      setPlaying(true);
+      return;
+    }
+    setPlaying(!isPlaying);
+  };
+
+  const handleScrub = (value) => {
+    setPlaying(false);
+    setPosition(value);
+  };
+
+  const state = replayEvents(events, position);
+  const current = position > 0 ? events[position - 1] : null;
+  const firstAt = events[0]?.at;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">🎬 Lab Replay</h2>
+            <p className="text-sm text-gray-600">{simulation.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl" aria-label="Close replay">
+            ×
+          </button>
+        </div>
+
+        {events.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No actions were recorded for this experiment.</p>
+        ) : (
+          <div className="p-6">
+            {/* Scrubber */}
+            <div className="flex items-center space-x-3 mb-2">
+              <button onClick={handlePlay} className="btn-primary text-sm w-20">
+                {isPlaying ? '⏸️ Pause' : '▶️ Play'}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={events.length}
+                value={position}
+                onChange={(e) => handleScrub(Number(e.target.value))}
+                className="flex-1"
+                aria-label="Replay position"
+              />
+              <span className="text-sm font-mono text-gray-600 whitespace-nowrap">
+                {position}/{events.length}
+              </span>
+            </div>
+            <p className="text-sm text-gray-700 mb-6 min-h-[1.25rem]">
+              {current ? (
+                <>
+                  <span className="font-mono text-gray-500 mr-2">{formatElapsed(firstAt, current.at)}</span>
+                  {SIMULATION_EVENT_TYPES[current.type]?.icon} {describeEvent(current)}
+                </>
+              ) : 'Start of the session'}
+            </p>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              {/* Bench at this point */}
+              <div className="md:col-span-2 space-y-4">
+                <div className="grid grid-cols-3 gap-3 text-center">
+                  <div className="p-3 bg-primary-50 rounded-lg">
+                    <div className="text-2xl font-bold text-primary-700">{state.score}</div>
+                    <div className="text-xs text-gray-600">Score</div>
+                  </div>
+                  <div className="p-3 bg-gray-50 rounded-lg">
+                    <div className="text-2xl font-bold text-gray-800">{state.equipment.length + state.mixes.length}</div>
+                    <div className="text-xs text-gray-600">Actions</div>
+                  </div>
+                  <div className="p-3 bg-yellow-50 rounded-lg">
+                    <div className="text-2xl font-bold text-yellow-700">{state.hints.length}</div>
+                    <div className="text-xs text-gray-600">Hints</div>
+                  </div>
+                </div>
+
+                <div>
+                  <h3 className="font-semibold text-gray-900 mb-2 text-sm">🔬 Equipment used</h3>
+                  {state.equipment.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">None yet</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {state.equipment.map((item, index) => (
+                        <span key={index} className="px-2 py-1 bg-gray-100 rounded text-sm">
+                          {item.icon || '⚗️'} {item.name} <span className="text-gray-500">→ {item.zone}</span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <h3 className="font-semibold text-gray-900 mb-2 text-sm">⚗️ Mixes</h3>
+                  {state.mixes.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">None yet</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {state.mixes.map((mix, index) => (
+                        <div key={index} className="flex items-center space-x-2 text-sm">
+                          <span
+                            className="w-5 h-5 rounded-full border border-gray-300 flex-shrink-0"
+                            style={{ backgroundColor: mix.resultSolution?.hex || '#f3f4f6' }}
+                            title={mix.resultSolution?.color}
+                          />
+                          <span className="text-gray-800">{(mix.components || []).join(' + ')}</span>
+                          {mix.reactionType && <span className="text-gray-500">({mix.reactionType})</span>}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                {state.observations.length > 0 && (
+                  <div>
+                    <h3 className="font-semibold text-gray-900 mb-2 text-sm">📝 Latest observation</h3>
+                    <div className="p-2 bg-gray-50 rounded text-sm">
+                      <div className="font-medium text-gray-900">{state.observations[state.observations.length - 1].action}</div>
+                      <div className="text-gray-600">{state.observations[state.observations.length - 1].text}</div>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Timeline */}
+              <div>
+                <h3 className="font-semibold text-gray-900 mb-2 text-sm">🕒 Timeline</h3>
+                <ol className="space-y-1 max-h-80 overflow-y-auto text-sm">
+                  {events.map((event, index) => (
+                    <li key={event.id || index}>
+                      <button
+                        onClick={() => handleScrub(index + 1)}
+                        className={`w-full text-left px-2 py-1 rounded ${
+                          index + 1 === position ? 'bg-primary-100 text-primary-800' : index + 1 < position ? 'text-gray-700 hover:bg-gray-50' : 'text-gray-400 hover:bg-gray-50'
+                        }`}
+                      >
+                        <span className="font-mono text-xs mr-2">{formatElapsed(firstAt, event.at)}</span>
+                        {SIMULATION_EVENT_TYPES[event.type]?.icon} {describeEvent(event)}
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+SimulationReplayViewer.propTypes = {
+  simulation: PropTypes.shape({
+    title: PropTypes.string,
+    state: PropTypes.shape({
+      events: PropTypes.array
+    })
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default SimulationReplayViewer;
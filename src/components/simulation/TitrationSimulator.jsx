@@ -0,0 +1,196 @@
+import PropTypes from 'prop-types';
+import {
+  DROP_ML,
+  addTitrant,
+  flaskColor,
+  meanTitre,
+  recordTrial,
+  resetRun,
+  titrationPH
+} from '../../services/titration';
+
+const CHART = { width: 320, height: 200, left: 32, right: 8, top: 8, bottom: 28 };
+
+const ADD_BUTTONS = [
+  { label: '+1.0 mL', amount: 1 },
+  { label: '+0.1 mL', amount: 0.1 },
+  { label: '💧 1 drop', amount: DROP_ML }
+];
+
+// Live pH-vs-volume curve for the current run
+const PHCurve = ({ points, maxVolume }) => {
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const x = (volume) => CHART.left + (volume / maxVolume) * plotWidth;
+  const y = (pH) => CHART.top + (1 - pH / 14) * plotHeight;
+  const path = points.map(([volume, pH], index) => `${index === 0 ? 'M' : 'L'}${x(volume).toFixed(1)},${y(pH).toFixed(1)}`).join(' ');
+  const volumeTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => Math.round(maxVolume * fraction));
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label="pH against volume of titrant added">
+      <rect x={CHART.left} y={CHART.top} width={plotWidth} height={plotHeight} fill="#f9fafb" stroke="#e5e7eb" />
+      {[0, 7, 14].map(pH => (
+        <g key={pH}>
+          <line x1={CHART.left} x2={CHART.left + plotWidth} y1={y(pH)} y2={y(pH)} stroke="#d1d5db" strokeDasharray={pH === 7 ? '4 3' : undefined} />
+          <text x={CHART.left - 4} y={y(pH) + 3} textAnchor="end" fontSize="9" fill="#6b7280">{pH}</text>
+        </g>
+      ))}
+      {volumeTicks.map(volume => (
+        <text key={volume} x={x(volume)} y={CHART.height - 14} textAnchor="middle" fontSize="9" fill="#6b7280">{volume}</text>
+      ))}
+      <text x={CHART.left + plotWidth / 2} y={CHART.height - 2} textAnchor="middle" fontSize="9" fill="#6b7280">Volume added (mL)</text>
+      <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+      {points.length > 0 && (
+        <circle cx={x(points[points.length - 1][0])} cy={y(points[points.length - 1][1])} r="3" fill="#2563eb" />
+      )}
+    </svg>
+  );
+};
+
+const TitrationSimulator = ({ titration, onChange, onRecordTrial, disabled = false }) => {
+  const pH = titrationPH(titration, titration.volumeMl);
+  const flask = flaskColor(titration, pH);
+  const { meanTitreMl, concordant } = meanTitre(titration.trials);
+  const buretteEmpty = titration.volumeMl >= titration.buretteCapacityMl;
+
+  const handleRecord = () => {
+    const { titration: next, trial } = recordTrial(titration);
+    console.log('⚗️ TitrationSimulator: Trial recorded:', trial);
+    onChange(next);
+    if (onRecordTrial) onRecordTrial(trial, next);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-2">⚗️ Titration Bench</h2>
+      <p className="text-sm text-gray-600 mb-6">
+        {titration.analyteVolumeMl.toFixed(1)} mL of {titration.analyte.name} of unknown concentration with a few drops
+        of {flask.name}. The burette holds {titration.titrantMolarity.toFixed(3)} mol/L {titration.titrant.name}.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Burette and flask */}
+        <div>
+          <div className="flex items-center space-x-6 mb-4">
+            <div className="text-center">
+              <div className="relative w-6 h-40 mx-auto border-2 border-gray-400 rounded-b bg-white overflow-hidden">
+                <div
+                  className="absolute bottom-0 left-0 right-0 bg-blue-100 transition-all duration-300"
+                  style={{ height: `${100 - (titration.volumeMl / titration.buretteCapacityMl) * 100}%` }}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Burette</p>
+            </div>
+            <div className="text-center">
+              <div
+                className="w-20 h-20 mx-auto rounded-full border-2 border-gray-300 transition-colors duration-300"
+                style={{ backgroundColor: flask.hex }}
+                title={flask.color}
+              />
+              <p className="text-xs text-gray-500 mt-1 capitalize">Flask: {flask.color}</p>
+            </div>
+            <div className="space-y-2 text-sm">
+              <div>
+                <span className="text-gray-500">Reading:</span>{' '}
+                <span className="font-mono font-semibold text-gray-900">{titration.volumeMl.toFixed(2)} mL</span>
+              </div>
+              <div>
+                <span className="text-gray-500">pH meter:</span>{' '}
+                <span className="font-mono font-semibold text-gray-900">{pH.toFixed(2)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-2 mb-3">
+            {ADD_BUTTONS.map(button => (
+              <button
+                key={button.label}
+                onClick={() => onChange(addTitrant(titration, button.amount))}
+                disabled={disabled || buretteEmpty}
+                className="btn-outline text-sm disabled:opacity-50"
+              >
+                {button.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleRecord}
+              disabled={disabled || titration.volumeMl === 0}
+              className="btn-primary text-sm disabled:opacity-50"
+            >
+              📌 Record endpoint
+            </button>
+            <button
+              onClick={() => onChange(resetRun(titration))}
+              disabled={disabled || titration.volumeMl === 0}
+              className="btn-outline text-sm disabled:opacity-50"
+            >
+              🔄 Start again
+            </button>
+          </div>
+          {buretteEmpty && (
+            <p className="text-xs text-orange-600 mt-2">The burette is empty. Record the run or start again.</p>
+          )}
+        </div>
+
+        {/* Live curve */}
+        <div>
+          <PHCurve points={titration.points} maxVolume={titration.buretteCapacityMl} />
+        </div>
+      </div>
+
+      {/* Trials */}
+      <div className="mt-6">
+        <h3 className="font-semibold text-gray-900 mb-2">📋 Titres</h3>
+        {titration.trials.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">
+            Add titrant until the indicator changes colour, then record the endpoint. Aim for two titres within 0.10 mL.
+          </p>
+        ) : (
+          <div className="text-sm">
+            <div className="flex flex-wrap gap-2 mb-2">
+              {titration.trials.map((trial, index) => (
+                <span
+                  key={`${index}-${trial.recordedAt}`}
+                  className={`px-2 py-1 rounded font-mono ${concordant.includes(trial.titreMl) ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}
+                >
+                  #{index + 1}: {trial.titreMl.toFixed(2)} mL
+                </span>
+              ))}
+            </div>
+            <p className="text-gray-600">
+              Mean titre: <span className="font-semibold">{meanTitreMl.toFixed(2)} mL</span>
+              {concordant.length >= 2 ? ` (${concordant.length} concordant)` : ' (no concordant titres yet)'}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+PHCurve.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)).isRequired,
+  maxVolume: PropTypes.number.isRequired
+};
+
+TitrationSimulator.propTypes = {
+  titration: PropTypes.shape({
+    analyte: PropTypes.object.isRequired,
+    titrant: PropTypes.object.isRequired,
+    indicator: PropTypes.string.isRequired,
+    analyteVolumeMl: PropTypes.number.isRequired,
+    titrantMolarity: PropTypes.number.isRequired,
+    buretteCapacityMl: PropTypes.number.isRequired,
+    volumeMl: PropTypes.number.isRequired,
+    points: PropTypes.array.isRequired,
+    trials: PropTypes.array.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRecordTrial: PropTypes.func,
+  disabled: PropTypes.bool
+};
+
+export default TitrationSimulator;
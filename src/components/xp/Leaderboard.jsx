@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { xpAPI } from '../../services/api';
+import { LEADERBOARD_PERIODS } from '../../services/xp';
+
+const SCOPES = {
+  class: 'My Class',
+  level: 'My Level'
+};
+
+const RANK_ICONS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+/**
+ * Leaderboard Component
+ * XP ranking for the student's class or level. Teachers turn leaderboards on and choose how
+ * names are shown; the backend applies that before sending entries.
+ */
+function Leaderboard({ studentId, limit = 10 }) {
+  const [scope, setScope] = useState('class');
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    xpAPI.getLeaderboard(studentId, scope)
+      .then(response => {
+        if (!cancelled) setLeaderboard(response.data);
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ Leaderboard: Error loading leaderboard:', loadError);
+        setError('Leaderboard is unavailable right now.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId, scope]);
+
+  const renderBody = () => {
+    if (loading) {
+      return <p className="text-sm text-gray-500">Loading leaderboard...</p>;
+    }
+    if (error) {
+      return <p className="text-sm text-gray-500">{error}</p>;
+    }
+    if (!leaderboard.enabled) {
+      return <p className="text-sm text-gray-500">Your teacher hasn&apos;t turned on the leaderboard for this group.</p>;
+    }
+
+    const entries = (leaderboard.entries || []).slice(0, limit);
+    const me = leaderboard.currentStudent;
+    const meListed = entries.some(entry => entry.isCurrentStudent);
+
+    return (
+      <>
+        <p className="text-xs text-gray-500 mb-3">{LEADERBOARD_PERIODS[leaderboard.period] || LEADERBOARD_PERIODS.all}</p>
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No XP earned yet - finish a quiz to get on the board!</p>
+        ) : (
+          <ol className="space-y-2">
+            {entries.map(entry => (
+              <li
+                key={entry.rank}
+                className={`flex items-center justify-between px-3 py-2 rounded-lg text-sm ${
+                  entry.isCurrentStudent ? 'bg-primary-50 font-semibold text-primary-800' : 'bg-gray-50 text-gray-700'
+                }`}
+              >
+                <span>
+                  <span className="inline-block w-8">{RANK_ICONS[entry.rank] || `#${entry.rank}`}</span>
+                  {entry.displayName}
+                </span>
+                <span>{entry.xp} XP</span>
+              </li>
+            ))}
+          </ol>
+        )}
+        {me && !meListed && (
+          <p className="mt-3 text-sm text-gray-600">
+            You&apos;re #{me.rank} with {me.xp} XP
+          </p>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="card card-padding">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900">🏅 Leaderboard</h3>
+        <div className="flex bg-gray-100 rounded-lg p-1">
+          {Object.entries(SCOPES).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setScope(value)}
+              className={`px-3 py-1 text-xs rounded-md ${scope === value ? 'bg-white shadow text-gray-900' : 'text-gray-600'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {renderBody()}
+    </div>
+  );
+}
+
+Leaderboard.propTypes = {
+  studentId: PropTypes.string.isRequired,
+  limit: PropTypes.number,
+};
+
+export default Leaderboard;
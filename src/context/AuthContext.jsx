@@ -1,6 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { authAPI, userAPI } from '../services/api';
+import { authAPI, userAPI, onSessionExpired } from '../services/api';
+import offlineQueue from '../services/offlineQueue';
 
 // Create the context
 const AuthContext = createContext();
@@ -14,6 +15,7 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [pathSelected, setPathSelected] = useState(null);
   const [selectedLevel, setSelectedLevel] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
 
   // Check for existing token on app load
   useEffect(() => {
@@ -24,6 +26,7 @@ export function AuthProvider({ children }) {
       try {
         const parsedUser = JSON.parse(userData);
         setUser(parsedUser);
+        offlineQueue.setOwner(parsedUser.id);
         
         // Check path status for students
         if (parsedUser.role === 'student') {
@@ -38,6 +41,18 @@ export function AuthProvider({ children }) {
     setLoading(false);
   }, []);
 
+  // The API layer refreshes tokens silently; it only reports here once refresh has failed
+  useEffect(() => {
+    return onSessionExpired(() => {
+      // Park this user's queued writes so the next person to sign in doesn't replay them
+      offlineQueue.setOwner(null);
+      setUser(null);
+      setPathSelected(null);
+      setSelectedLevel(null);
+      setSessionExpired(true);
+    });
+  }, []);
+
   const checkPathStatus = async (studentId) => {
     try {
       const response = await userAPI.getPathStatus(studentId);
@@ -82,6 +97,9 @@ export function AuthProvider({ children }) {
       localStorage.setItem('authToken', token);
       localStorage.setItem('userData', JSON.stringify(userData));
       setUser(userData);
+      setSessionExpired(false);
+      // Writes this user queued while signed out or offline can go through now
+      offlineQueue.setOwner(userData.id);
       
       // Check path status for students
       if (userData.role === 'student') {
@@ -124,6 +142,7 @@ export function AuthProvider({ children }) {
   };
 
   const logout = () => {
+    offlineQueue.setOwner(null);
     setUser(null);
     setPathSelected(null);
     setSelectedLevel(null);
@@ -136,6 +155,7 @@ export function AuthProvider({ children }) {
     loading,
     pathSelected,
     selectedLevel,
+    sessionExpired,
     login,
     register,
     logout,
@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import offlineQueue from '../services/offlineQueue';
+
+/**
+ * Custom hook exposing the offline outbox status
+ * @returns {{pending: number, syncing: boolean, lastError: string|null, lastSyncedAt: string|null, online: boolean, syncNow: Function}}
+ */
+export function useOfflineQueue() {
+  const [status, setStatus] = useState(offlineQueue.getStatus());
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const unsubscribe = offlineQueue.subscribe(setStatus);
+    const updateOnline = () => setOnline(navigator.onLine);
+
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  // Retry everything in the outbox right away, ignoring backoff
+  const syncNow = useCallback(() => offlineQueue.flush({ force: true }), []);
+
+  return { ...status, online, syncNow };
+}
+
+export default useOfflineQueue;
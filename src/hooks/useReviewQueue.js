@@ -0,0 +1,59 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { reviewAPI } from '../services/api';
+import { getDueCards, scheduleReview, summarizeQueue } from '../services/spacedRepetition';
+
+/**
+ * Custom hook for a student's spaced-repetition review cards
+ * @param {string} studentId
+ * @returns {{cards: object[], dueCards: object[], summary: object, loading: boolean, error: string|null, recordReview: Function}}
+ */
+export function useReviewQueue(studentId) {
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    reviewAPI.getCards(studentId)
+      .then(response => {
+        if (cancelled) return;
+        setCards(response.data);
+        setError(null);
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ Error loading review cards:', loadError);
+        setError(loadError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  const dueCards = useMemo(() => getDueCards(cards), [cards]);
+  const summary = useMemo(() => summarizeQueue(cards), [cards]);
+
+  // Reschedule locally right away; the save is queued offline if needed
+  const recordReview = useCallback(async (card, quality) => {
+    const updated = scheduleReview(card, quality);
+    setCards(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+
+    try {
+      await reviewAPI.saveReview(updated);
+    } catch (saveError) {
+      console.error('❌ Error saving review:', saveError);
+    }
+    return updated;
+  }, []);
+
+  return { cards, dueCards, summary, loading, error, recordReview };
+}
+
+export default useReviewQueue;
@@ -0,0 +1,66 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { xpAPI } from '../services/api';
+import { mergeXpEvents, subscribeToXp, summarizeXp } from '../services/xp';
+
+/**
+ * Custom hook for a student's XP ledger, kept up to date as activities finish
+ * @param {string} studentId
+ * @returns {{events: object[], summary: object, loading: boolean, error: string|null, levelUp: number|null, dismissLevelUp: Function}}
+ */
+export function useXp(studentId) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [levelUp, setLevelUp] = useState(null);
+  const levelRef = useRef(null);
+
+  useEffect(() => {
+    if (!studentId) return undefined;
+    let cancelled = false;
+
+    setLoading(true);
+    xpAPI.getLedger(studentId)
+      .then(response => {
+        if (cancelled) return;
+        setEvents(prev => mergeXpEvents(prev, response.data));
+        setError(null);
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ Error loading XP ledger:', loadError);
+        setError(loadError.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    // Events recorded while the ledger loads are merged, not lost
+    const unsubscribe = subscribeToXp(event => {
+      if (event.studentId === studentId) {
+        setEvents(prev => mergeXpEvents(prev, [event]));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [studentId]);
+
+  const summary = useMemo(() => summarizeXp(events), [events]);
+
+  // Only a level gained after the ledger has loaded is a level-up worth celebrating
+  useEffect(() => {
+    if (loading) return;
+    if (levelRef.current !== null && summary.level > levelRef.current) {
+      setLevelUp(summary.level);
+    }
+    levelRef.current = summary.level;
+  }, [loading, summary.level]);
+
+  const dismissLevelUp = useCallback(() => setLevelUp(null), []);
+
+  return { events, summary, loading, error, levelUp, dismissLevelUp };
+}
+
+export default useXp;
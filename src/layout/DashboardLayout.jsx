@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { notificationAPI } from '../services/api';
+import useOfflineQueue from '../hooks/useOfflineQueue';
+import useXp from '../hooks/useXp';
 import TeacherChatPage from '../pages/teacher/TeacherChatPage';
 
 /**
@@ -19,6 +21,15 @@ function DashboardLayout({ children, userRole }) {
   const [unreadCount, setUnreadCount] = useState(0);
   const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const syncQueue = useOfflineQueue();
+  const xp = useXp(user?.role === 'student' ? user.id : null);
+
+  // Hide the level-up banner after a few seconds
+  useEffect(() => {
+    if (!xp.levelUp) return undefined;
+    const timer = setTimeout(xp.dismissLevelUp, 6000);
+    return () => clearTimeout(timer);
+  }, [xp.levelUp, xp.dismissLevelUp]);
 
   // Security check: Ensure userRole prop matches authenticated user's actual role
   useEffect(() => {
@@ -191,6 +202,7 @@ function DashboardLayout({ children, userRole }) {
           { name: 'Ask Q&A', icon: '❓', path: '/qna' },
           { name: 'Submit Project', icon: '📋', path: '/submit-project' },
           { name: 'Resources', icon: '📚', path: '/resources' },
+          { name: 'Trophy Cabinet', icon: '🏆', path: '/trophies' },
         ];
       case 'parent':
         return [
@@ -211,6 +223,8 @@ function DashboardLayout({ children, userRole }) {
           { name: 'Grade Projects', icon: '✅', path: '/grade-projects' },
           { name: 'Schedule Lab', icon: '🗓️', path: '/schedule-lab' },
           { name: 'Resources', icon: '📚', path: '/teacher-resources' },
+          { name: 'Quiz Banks', icon: '🗂️', path: '/quiz-banks' },
+          { name: 'Game Reviews', icon: '🎮', path: '/game-reviews' },
         ];
       default:
         return [];
@@ -275,6 +289,28 @@ function DashboardLayout({ children, userRole }) {
           </div>
         </div>
 
+        {/* Student XP and streak */}
+        {user?.role === 'student' && !xp.loading && (
+          <div className="px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-sm font-semibold text-gray-900">⭐ Level {xp.summary.level}</span>
+              <span className="text-xs text-gray-500">{xp.summary.totalXp} XP</span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden mb-1">
+              <div
+                className="h-full bg-gradient-to-r from-primary-400 to-secondary-400"
+                style={{ width: `${Math.round(xp.summary.progress * 100)}%` }}
+              ></div>
+            </div>
+            <div className="flex items-center justify-between text-xs text-gray-500">
+              <span>{xp.summary.toNext} XP to Level {xp.summary.level + 1}</span>
+              {xp.summary.streak.current > 0 && (
+                <span title={`Best streak: ${xp.summary.streak.best} days`}>🔥 {xp.summary.streak.current}d</span>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Navigation */}
         <nav className="p-4 space-y-1">
           {navigationItems.map((item) => (
@@ -328,6 +364,32 @@ function DashboardLayout({ children, userRole }) {
 
             {/* Right Section */}
             <div className="flex items-center space-x-4">
+              {/* Offline sync status */}
+              {(!syncQueue.online || syncQueue.pending > 0) && (
+                <div
+                  className={`hidden sm:flex items-center space-x-2 px-3 py-1.5 rounded-full text-xs font-medium ${
+                    syncQueue.online ? 'bg-amber-50 text-amber-700' : 'bg-gray-100 text-gray-700'
+                  }`}
+                  title={syncQueue.lastError || undefined}
+                >
+                  <span>
+                    {!syncQueue.online && '📴 Offline'}
+                    {!syncQueue.online && syncQueue.pending > 0 && ' · '}
+                    {syncQueue.pending > 0 && (syncQueue.syncing
+                      ? 'Syncing...'
+                      : `⏳ ${syncQueue.pending} ${syncQueue.pending === 1 ? 'item' : 'items'} waiting to sync`)}
+                  </span>
+                  {syncQueue.online && syncQueue.pending > 0 && !syncQueue.syncing && (
+                    <button
+                      onClick={syncQueue.syncNow}
+                      className="text-amber-800 underline hover:text-amber-900"
+                    >
+                      Sync now
+                    </button>
+                  )}
+                </div>
+              )}
+
               {/* Notifications */}
               <div className="relative notification-container">
                 <button
@@ -479,6 +541,16 @@ function DashboardLayout({ children, userRole }) {
           </div>
         </header>
 
+        {/* Level-up banner */}
+        {xp.levelUp && (
+          <div className="bg-gradient-to-r from-primary-500 to-secondary-500 text-white px-6 py-3 flex items-center justify-between">
+            <span className="font-semibold">🎉 Level up! You reached Level {xp.levelUp}.</span>
+            <button onClick={xp.dismissLevelUp} className="text-white/80 hover:text-white text-sm">
+              Dismiss
+            </button>
+          </div>
+        )}
+
         {/* Page Content */}
         <div className="flex-1 overflow-auto">
           {children}
@@ -1,6 +1,13 @@
-import { useState } from 'react';
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { quizAPI } from '../../services/api';
 import DashboardLayout from '../../layout/DashboardLayout';
+import ReviewSession from '../../components/review/ReviewSession';
+import MasteryOverview from '../../components/mastery/MasteryOverview';
+import Leaderboard from '../../components/xp/Leaderboard';
+import useReviewQueue from '../../hooks/useReviewQueue';
+import { estimateMastery } from '../../services/mastery';
 
 /**
  * Student Dashboard Component
@@ -9,6 +16,19 @@ import DashboardLayout from '../../layout/DashboardLayout';
 function DashboardPage() {
   const { user, selectedLevel } = useAuth();
   const [currentDate] = useState(new Date());
+  const { dueCards, summary, loading: reviewLoading, recordReview } = useReviewQueue(user?.id);
+  // Snapshot of the due cards when the session starts, so grading doesn't reshuffle it
+  const [sessionCards, setSessionCards] = useState(null);
+  const [quizHistory, setQuizHistory] = useState([]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    quizAPI.getStudentQuizHistory(user.id)
+      .then(response => setQuizHistory(response.data))
+      .catch(error => console.error('❌ Error loading quiz history:', error));
+  }, [user?.id]);
+
+  const mastery = useMemo(() => estimateMastery(quizHistory), [quizHistory]);
 
   // Level information for display
   const levelInfo = {
@@ -105,6 +125,53 @@ function DashboardPage() {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Left Section */}
           <div className="lg:col-span-2 space-y-6">
+            {/* Daily Review */}
+            <div className="card card-padding">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">🔁 Daily Review</h3>
+                {summary.total > 0 && (
+                  <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                    {summary.mastered}/{summary.total} mastered
+                  </span>
+                )}
+              </div>
+
+              {sessionCards ? (
+                <ReviewSession
+                  cards={sessionCards}
+                  onReview={recordReview}
+                  onClose={() => setSessionCards(null)}
+                />
+              ) : reviewLoading ? (
+                <p className="text-sm text-gray-500">Loading your review cards...</p>
+              ) : dueCards.length > 0 ? (
+                <div className="flex items-center justify-between">
+                  <p className="text-gray-600">
+                    You have <span className="font-semibold text-gray-900">{dueCards.length}</span> question{dueCards.length === 1 ? '' : 's'} to review today.
+                  </p>
+                  <button onClick={() => setSessionCards(dueCards)} className="btn-primary">
+                    Start Review
+                  </button>
+                </div>
+              ) : summary.total > 0 ? (
+                <p className="text-gray-600">
+                  ✅ All caught up!
+                  {summary.nextDueAt && ` Next review on ${new Date(summary.nextDueAt).toLocaleDateString()}.`}
+                </p>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  Questions you miss in quizzes will show up here so you can practise them again.
+                </p>
+              )}
+            </div>
+
+            {/* Mastery per Learning Objective */}
+            <MasteryOverview
+              objectives={mastery}
+              title="🧠 My Skills"
+              emptyMessage="Take quizzes to see which skills you have mastered."
+            />
+
             {/* Recent Enrolled Course */}
             <div className="card card-padding">
               <div className="flex items-center justify-between mb-4">
@@ -217,6 +284,33 @@ function DashboardPage() {
               </div>
             </div>
 
+            {/* Recent Quizzes */}
+            {quizHistory.length > 0 && (
+              <div className="card card-padding">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Recent Quizzes</h3>
+                <div className="space-y-3">
+                  {quizHistory.slice(0, 4).map((quiz, index) => (
+                    <div key={quiz.id || index} className="flex items-center justify-between">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">{quiz.resourceTitle}</p>
+                        <p className="text-xs text-gray-500">
+                          {new Date(quiz.completedAt).toLocaleDateString()} • {quiz.score}%
+                        </p>
+                      </div>
+                      {quiz.id && (
+                        <Link to={`/quiz-attempts/${quiz.id}`} className="text-xs text-primary-600 hover:text-primary-700">
+                          Review
+                        </Link>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* XP Leaderboard */}
+            {user?.id && <Leaderboard studentId={user.id} limit={5} />}
+
             {/* Calendar */}
             <div className="card card-padding">
               <div className="flex items-center justify-between mb-4">
@@ -70,20 +70,18 @@ function ParentDashboard() {
       
       const response = await simulationAPI.getChildrenSimulationProgress(user.id);
       
-      if (response.data?.success) {
-        const childrenData = response.data.data.children || [];
-        console.log('✅ ParentDashboard: Simulation stats loaded:', childrenData);
-        
-        // Convert to object with childId as key for easy lookup
-        const statsMap = {};
-        childrenData.forEach(child => {
-          if (child.childId && child.simulationStats) {
-            statsMap[child.childId] = child.simulationStats;
-          }
-        });
-        
-        setSimulationStats(statsMap);
-      }
+      const childrenData = response.data;
+      console.log('✅ ParentDashboard: Simulation stats loaded:', childrenData);
+      
+      // Convert to object with childId as key for easy lookup
+      const statsMap = {};
+      childrenData.forEach(child => {
+        if (child.childId && child.simulationStats) {
+          statsMap[child.childId] = child.simulationStats;
+        }
+      });
+      
+      setSimulationStats(statsMap);
     } catch (error) {
       console.error('❌ ParentDashboard: Error loading simulation stats:', error);
       console.error('Error details:', {
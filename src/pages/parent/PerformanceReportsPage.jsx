@@ -1,7 +1,13 @@
 import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { userAPI, quizAPI, assignmentAPI, reportsAPI } from '../../services/api';
 import DashboardLayout from '../../layout/DashboardLayout';
+import MasteryOverview from '../../components/mastery/MasteryOverview';
+import GameSessionHistory from '../../components/simulation/GameSessionHistory';
+import SimulationReplayHistory from '../../components/simulation/SimulationReplayHistory';
+import { estimateMastery } from '../../services/mastery';
+import { dedupeQuizAchievements } from '../../services/achievements';
 
 /**
  * Performance Reports Page for Parents
@@ -138,68 +144,16 @@ function PerformanceReportsPage() {
         gradedAssignmentsPromise
       ]);
       
-      console.log('Quiz history API response:', historyResponse);
-      console.log('Quiz history data:', historyResponse.data);
-      console.log('Quiz history array:', historyResponse.data.history);
+      const historyData = historyResponse.data;
+      const achievementsData = achievementsResponse.data;
+      const gradedAssignmentsData = gradedAssignmentsResponse.data;
       
-      console.log('Achievements API response:', achievementsResponse);
-      console.log('Achievements data:', achievementsResponse.data);
-      console.log('Achievements array:', achievementsResponse.data.achievements);
-
-      console.log('Graded Assignments API response:', gradedAssignmentsResponse);
-      console.log('Graded Assignments data:', gradedAssignmentsResponse.data);
-      console.log('Graded Assignments array:', gradedAssignmentsResponse.data.assignments);
-      
-      // Handle different possible response structures for history
-      let historyData = [];
-      if (historyResponse.data.history) {
-        historyData = historyResponse.data.history;
-      } else if (historyResponse.data.data && historyResponse.data.data.history) {
-        historyData = historyResponse.data.data.history;
-      } else if (Array.isArray(historyResponse.data)) {
-        historyData = historyResponse.data;
-      } else {
-        console.warn('Could not find quiz history in response structure');
-      }
-      
-      // Handle different possible response structures for achievements
-      let achievementsData = [];
-      if (achievementsResponse.data.achievements) {
-        achievementsData = achievementsResponse.data.achievements;
-        console.log('Using achievementsResponse.data.achievements');
-      } else if (achievementsResponse.data.data && achievementsResponse.data.data.achievements) {
-        achievementsData = achievementsResponse.data.data.achievements;
-        console.log('Using achievementsResponse.data.data.achievements');
-      } else if (Array.isArray(achievementsResponse.data)) {
-        achievementsData = achievementsResponse.data;
-        console.log('Using achievementsResponse.data as array');
-      } else {
-        console.warn('Could not find achievements in response structure');
-        console.log('Full achievements response structure:', achievementsResponse.data);
-      }
-
-      // Handle different possible response structures for graded assignments
-      let gradedAssignmentsData = [];
-      if (gradedAssignmentsResponse.data.assignments) {
-        gradedAssignmentsData = gradedAssignmentsResponse.data.assignments;
-        console.log('Using gradedAssignmentsResponse.data.assignments');
-      } else if (gradedAssignmentsResponse.data.data && gradedAssignmentsResponse.data.data.assignments) {
-        gradedAssignmentsData = gradedAssignmentsResponse.data.data.assignments;
-        console.log('Using gradedAssignmentsResponse.data.data.assignments');
-      } else if (Array.isArray(gradedAssignmentsResponse.data)) {
-        gradedAssignmentsData = gradedAssignmentsResponse.data;
-        console.log('Using gradedAssignmentsResponse.data as array');
-      } else {
-        console.warn('Could not find graded assignments in response structure');
-        console.log('Full graded assignments response structure:', gradedAssignmentsResponse.data);
-      }
-      
-      console.log('Final processed history data:', historyData);
-      console.log('Final processed achievements data:', achievementsData);
-      console.log('Final processed graded assignments data:', gradedAssignmentsData);
+      console.log('Quiz history:', historyData);
+      console.log('Achievements:', achievementsData);
+      console.log('Graded assignments:', gradedAssignmentsData);
       
       setQuizHistory(historyData);
-      setAchievements(achievementsData);
+      setAchievements(dedupeQuizAchievements(achievementsData));
       setGradedAssignments(gradedAssignmentsData);
     } catch (error) {
       console.error('Error loading child details:', error);
@@ -283,6 +237,8 @@ function PerformanceReportsPage() {
     return result;
   }, [quizHistory, gradedAssignments]);
 
+  const mastery = useMemo(() => estimateMastery(quizHistory), [quizHistory]);
+
   if (loading) {
     return (
       <DashboardLayout userRole="parent">
@@ -503,8 +459,15 @@ function PerformanceReportsPage() {
                               {quiz.correctAnswers}/{quiz.totalQuestions} correct
                             </p>
                           </div>
-                          <div className={`px-3 py-1 rounded-full text-sm font-medium ${getScoreColor(quiz.score)}`}>
-                            {quiz.score}%
+                          <div className="flex items-center space-x-2">
+                            <div className={`px-3 py-1 rounded-full text-sm font-medium ${getScoreColor(quiz.score)}`}>
+                              {quiz.score}%
+                            </div>
+                            {quiz.id && (
+                              <Link to={`/quiz-attempts/${quiz.id}`} className="text-xs text-primary-600 hover:text-primary-700">
+                                Review
+                              </Link>
+                            )}
                           </div>
                         </div>
                       ))}
@@ -514,6 +477,31 @@ function PerformanceReportsPage() {
               </div>
             )}
 
+            {/* Mastery per Learning Objective */}
+            {!loadingDetails && (
+              <div className="mt-6">
+                <MasteryOverview
+                  objectives={mastery}
+                  title="🧠 What They Know"
+                  emptyMessage="Skills will appear here as your child takes quizzes."
+                />
+              </div>
+            )}
+
+            {/* Prompt Games */}
+            {!loadingDetails && (
+              <div className="mt-6">
+                <GameSessionHistory studentId={selectedChild.id} limit={6} title="🎮 Science Games" />
+              </div>
+            )}
+
+            {/* Lab Replays */}
+            {!loadingDetails && (
+              <div className="mt-6">
+                <SimulationReplayHistory studentId={selectedChild.id} limit={6} />
+              </div>
+            )}
+
             {/* Full Quiz History */}
             {quizHistory.length > 6 && (
               <div className="mt-6 card card-padding">
@@ -526,6 +514,7 @@ function PerformanceReportsPage() {
                         <th className="text-left py-3 px-4 font-medium text-gray-900">Date</th>
                         <th className="text-left py-3 px-4 font-medium text-gray-900">Score</th>
                         <th className="text-left py-3 px-4 font-medium text-gray-900">Correct/Total</th>
+                        <th className="text-left py-3 px-4 font-medium text-gray-900"></th>
                       </tr>
                     </thead>
                     <tbody>
@@ -541,6 +530,13 @@ function PerformanceReportsPage() {
                             </span>
                           </td>
                           <td className="py-3 px-4 text-gray-600">{quiz.correctAnswers}/{quiz.totalQuestions}</td>
+                          <td className="py-3 px-4 text-sm">
+                            {quiz.id && (
+                              <Link to={`/quiz-attempts/${quiz.id}`} className="text-primary-600 hover:text-primary-700">
+                                Review
+                              </Link>
+                            )}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -30,24 +30,12 @@ const JoinLabPage = () => {
         const bookingsResponse = await labBookingAPI.getStudentBookings(user.id);
         console.log('📥 Student bookings response:', bookingsResponse.data);
         
-        // Set state with actual API data
-        if (slotsResponse.data && slotsResponse.data.data && slotsResponse.data.data.slots) {
-          setAvailableSlots(slotsResponse.data.data.slots);
-        } else {
-          console.warn('⚠️ No slots data in response:', slotsResponse);
-          setAvailableSlots([]);
-        }
-        
-        if (bookingsResponse.data && bookingsResponse.data.data && bookingsResponse.data.data.bookings) {
-          setMyBookings(bookingsResponse.data.data.bookings);
-        } else {
-          console.warn('⚠️ No bookings data in response:', bookingsResponse);
-          setMyBookings([]);
-        }
+        setAvailableSlots(slotsResponse.data);
+        setMyBookings(bookingsResponse.data);
         
         console.log('✅ Lab data loaded successfully:', {
-          availableSlots: slotsResponse.data?.data?.slots?.length || 0,
-          myBookings: bookingsResponse.data?.data?.bookings?.length || 0
+          availableSlots: slotsResponse.data.length,
+          myBookings: bookingsResponse.data.length
         });
         
       } catch (error) {
@@ -107,26 +95,22 @@ const JoinLabPage = () => {
       const response = await labBookingAPI.createBooking(bookingData);
       console.log('📥 Booking creation response:', response.data);
 
-      if (response.data && response.data.success) {
-        // Add the new booking to state
-        const newBooking = response.data.data.booking;
-        setMyBookings(prev => [...prev, newBooking]);
-        
-        // Update slot availability in the available slots list
-        setAvailableSlots(prev => prev.map(slot => 
-          slot.id === selectedSlot.id 
-            ? { ...slot, currentBookings: (slot.currentBookings || 0) + 1 }
-            : slot
-        ));
+      // Add the new booking to state
+      const newBooking = response.data;
+      setMyBookings(prev => [...prev, newBooking]);
+      
+      // Update slot availability in the available slots list
+      setAvailableSlots(prev => prev.map(slot => 
+        slot.id === selectedSlot.id 
+          ? { ...slot, currentBookings: (slot.currentBookings || 0) + 1 }
+          : slot
+      ));
 
-        setShowBookingForm(false);
-        setSelectedSlot(null);
-        setBookingNotes('');
-        
-        alert('Lab session booked successfully!');
-      } else {
-        throw new Error('Failed to create booking');
-      }
+      setShowBookingForm(false);
+      setSelectedSlot(null);
+      setBookingNotes('');
+      
+      alert('Lab session booked successfully!');
       
     } catch (error) {
       console.error('❌ Error booking lab session:', error);
@@ -144,28 +128,24 @@ const JoinLabPage = () => {
 
       // Make actual API call to cancel booking
       const response = await labBookingAPI.cancelBooking(bookingId, user.id);
-      console.log('📥 Cancel booking response:', response.data);
+      console.log('📥 Cancel booking response:', response.meta.message);
 
-      if (response.data && response.data.success) {
-        // Remove booking from state
-        setMyBookings(prev => prev.filter(booking => booking.id !== bookingId));
-        
-        // Update slot availability if we have the slot info
-        const canceledBooking = myBookings.find(b => b.id === bookingId);
-        const canceledSlotId = canceledBooking?.slotId || canceledBooking?.slot?.id;
-        if (canceledSlotId) {
-          setAvailableSlots(prev => prev.map(slot => 
-            slot.id === canceledSlotId
-              ? { ...slot, currentBookings: Math.max(0, (slot.currentBookings || 0) - 1) }
-              : slot
-          ));
-        }
-        
-        alert('Lab session cancelled successfully!');
-      } else {
-        throw new Error('Failed to cancel booking');
+      // Remove booking from state
+      setMyBookings(prev => prev.filter(booking => booking.id !== bookingId));
+      
+      // Update slot availability if we have the slot info
+      const canceledBooking = myBookings.find(b => b.id === bookingId);
+      const canceledSlotId = canceledBooking?.slotId || canceledBooking?.slot?.id;
+      if (canceledSlotId) {
+        setAvailableSlots(prev => prev.map(slot => 
+          slot.id === canceledSlotId
+            ? { ...slot, currentBookings: Math.max(0, (slot.currentBookings || 0) - 1) }
+            : slot
+        ));
       }
       
+      alert('Lab session cancelled successfully!');
+      
     } catch (error) {
       console.error('❌ Error canceling booking:', error);
       alert('Failed to cancel lab session. Please try again.');
@@ -55,10 +55,10 @@ const QnAPage = () => {
         
         // TODO: Replace with real API call
         const response = await qnaAPI.getLevelMessages(studentLevel);
-        console.log(response.data.data.messages, "response.data.data.messages");
+        console.log('📥 Messages loaded:', response.data.length);
         
         // Process messages to fix reply sender information
-        const processedMessages = processMessages(response.data.data.messages);
+        const processedMessages = processMessages(response.data);
         setMessages(processedMessages);
         
       } catch (error) {
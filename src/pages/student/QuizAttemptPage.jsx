@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { quizAPI } from '../../services/api';
+import DashboardLayout from '../../layout/DashboardLayout';
+import QuestionRenderer from '../../components/quiz/QuestionRenderer';
+import { isAnswerCorrect, isAnswerProvided, formatAnswer, formatCorrectAnswer } from '../../services/quizScoring';
+import { formatDuration } from '../../services/quizTiming';
+import { DIFFICULTY_LABELS } from '../../services/adaptiveDifficulty';
+
+const getScoreColor = (score) => {
+  if (score >= 90) return 'text-green-600 bg-green-50';
+  if (score >= 80) return 'text-blue-600 bg-blue-50';
+  if (score >= 70) return 'text-yellow-600 bg-yellow-50';
+  return 'text-orange-600 bg-orange-50';
+};
+
+/**
+ * Quiz Attempt Page
+ * Read-only, question-by-question replay of a saved quiz attempt for students, their
+ * parents and teachers: the student's answer, the correct answer, the explanation and an
+ * AI explanation on request.
+ */
+function QuizAttemptPage() {
+  const { resultId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [attempt, setAttempt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  // AI explanations by question index: { loading, text }
+  const [aiExplanations, setAiExplanations] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    setCurrentIndex(0);
+    setAiExplanations({});
+    quizAPI.getQuizAttempt(resultId)
+      .then(response => {
+        if (cancelled) return;
+        console.log('📋 QuizAttemptPage: Attempt loaded:', resultId);
+        setAttempt(response.data);
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('❌ QuizAttemptPage: Error loading attempt:', loadError);
+        setError(loadError.response?.status === 404 ? 'This quiz attempt could not be found.' : 'Failed to load this quiz attempt.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resultId]);
+
+  const handleExplain = async (index) => {
+    const question = attempt.quizData.questions[index];
+    setAiExplanations(prev => ({ ...prev, [index]: { loading: true, text: '' } }));
+
+    try {
+      const response = await quizAPI.generateConceptExplanation(
+        question.question,
+        formatAnswer(question, attempt.answers[index]),
+        formatCorrectAnswer(question)
+      );
+      setAiExplanations(prev => ({ ...prev, [index]: { loading: false, text: response.data } }));
+    } catch (explainError) {
+      console.error('Error getting explanation:', explainError);
+      setAiExplanations(prev => ({
+        ...prev,
+        [index]: { loading: false, text: "I'm sorry, I couldn't generate an explanation right now. Keep practicing!" }
+      }));
+    }
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="text-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading quiz attempt...</p>
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div className="card card-padding text-center py-12">
+          <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <span className="text-2xl">❌</span>
+          </div>
+          <p className="text-gray-600">{error}</p>
+        </div>
+      );
+    }
+
+    const questions = attempt.quizData?.questions || [];
+    const timing = attempt.timing;
+
+    const header = (
+      <div className="card card-padding mb-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{attempt.quizData?.title || attempt.resourceTitle}</h2>
+            <p className="text-sm text-gray-500">
+              {attempt.resourceTitle} • {new Date(attempt.completedAt).toLocaleString()}
+            </p>
+            <p className="text-sm text-gray-500">
+              {attempt.correctAnswers}/{attempt.totalQuestions} correct
+              {timing && ` • finished in ${formatDuration(timing.totalTimeSeconds)}`}
+              {timing?.autoSubmitted && ' • submitted when time ran out'}
+              {attempt.adaptive && ` • adaptive: ${DIFFICULTY_LABELS[attempt.adaptive.startDifficulty]} → ${DIFFICULTY_LABELS[attempt.adaptive.finalDifficulty]}`}
+            </p>
+          </div>
+          <div className={`px-4 py-2 rounded-full text-lg font-bold ${getScoreColor(attempt.score)}`}>
+            {attempt.score}%
+          </div>
+        </div>
+      </div>
+    );
+
+    // Results saved before quizData was stored can't be replayed
+    if (questions.length === 0) {
+      return (
+        <>
+          {header}
+          <div className="card card-padding text-center text-gray-600">
+            The questions for this attempt were not saved, so it can't be replayed.
+          </div>
+        </>
+      );
+    }
+
+    const question = questions[currentIndex];
+    const answer = attempt.answers[currentIndex] ?? null;
+    const correct = isAnswerCorrect(question, answer);
+    const timedOut = timing?.timedOutQuestions?.includes(currentIndex);
+    const timeSpent = timing?.timeSpentPerQuestion?.[currentIndex];
+    const aiExplanation = aiExplanations[currentIndex];
+
+    return (
+      <>
+        {header}
+
+        {/* Question Navigator */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {questions.map((item, index) => (
+            <button
+              key={index}
+              onClick={() => setCurrentIndex(index)}
+              className={`w-9 h-9 rounded-full text-sm font-medium border-2 ${
+                isAnswerCorrect(item, attempt.answers[index] ?? null)
+                  ? 'bg-green-50 text-green-700 border-green-300'
+                  : 'bg-red-50 text-red-700 border-red-300'
+              } ${index === currentIndex ? 'ring-2 ring-primary-500 ring-offset-1' : ''}`}
+              title={`Question ${index + 1}`}
+            >
+              {index + 1}
+            </button>
+          ))}
+        </div>
+
+        {/* Question Card */}
+        <div className="card card-padding mb-6">
+          <div className="flex items-start justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900 flex-1">
+              {currentIndex + 1}. {question.question}
+            </h3>
+            <span className={`ml-4 text-lg ${correct ? 'text-green-500' : 'text-red-500'}`}>
+              {correct ? '✅' : '❌'}
+            </span>
+          </div>
+
+          {/* Unanswered questions have nothing to show in the locked answer view */}
+          {isAnswerProvided(question, answer) && (
+            <QuestionRenderer
+              key={currentIndex}
+              question={question}
+              answer={answer}
+              locked
+              onAnswer={() => {}}
+            />
+          )}
+
+          <div className="mt-4 text-sm space-y-1">
+            <p>
+              <span className="text-gray-500">Answer given:</span>{' '}
+              <span className={correct ? 'text-green-600' : 'text-red-600'}>
+                {timedOut ? 'Time ran out' : formatAnswer(question, answer)}
+              </span>
+            </p>
+            {!correct && (
+              <p>
+                <span className="text-gray-500">Correct answer:</span>{' '}
+                <span className="text-green-600">{formatCorrectAnswer(question)}</span>
+              </p>
+            )}
+            <p className="text-xs text-gray-400">
+              {timeSpent !== undefined && `⏱️ ${formatDuration(timeSpent)}`}
+              {question.objective && ` • 🎯 ${question.objective}`}
+              {question.difficulty && ` • ${DIFFICULTY_LABELS[question.difficulty]}`}
+            </p>
+          </div>
+
+          {question.explanation && (
+            <div className="mt-4 p-4 rounded-lg border-l-4 border-primary-500 bg-primary-50">
+              <p className="text-primary-800 text-sm">{question.explanation}</p>
+            </div>
+          )}
+
+          <div className="mt-4">
+            {!aiExplanation ? (
+              <button onClick={() => handleExplain(currentIndex)} className="btn-outline text-sm">
+                <span className="mr-2">🤖</span>
+                Get AI Explanation
+              </button>
+            ) : aiExplanation.loading ? (
+              <p className="text-sm text-gray-500">Getting AI explanation...</p>
+            ) : (
+              <div className="p-3 bg-white rounded-lg border border-primary-200">
+                <h5 className="font-medium text-primary-900 mb-2">🤖 AI Tutor Explains:</h5>
+                <p className="text-primary-800 text-sm leading-relaxed">{aiExplanation.text}</p>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Navigation */}
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => setCurrentIndex(currentIndex - 1)}
+            disabled={currentIndex === 0}
+            className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            ← Previous
+          </button>
+          <span className="text-sm text-gray-500">
+            Question {currentIndex + 1} of {questions.length}
+          </span>
+          <button
+            onClick={() => setCurrentIndex(currentIndex + 1)}
+            disabled={currentIndex === questions.length - 1}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next →
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <DashboardLayout userRole={user?.role || 'student'}>
+      <div className="p-6 max-w-4xl mx-auto">
+        <div className="mb-6 flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">📋 Quiz Review</h1>
+            <p className="text-gray-600">Go through a past quiz attempt question by question</p>
+          </div>
+          <button onClick={() => navigate(-1)} className="btn-secondary">
+            ← Back
+          </button>
+        </div>
+
+        {renderBody()}
+      </div>
+    </DashboardLayout>
+  );
+}
+
+export default QuizAttemptPage;
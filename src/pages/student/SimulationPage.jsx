@@ -5,6 +5,8 @@ import CreateSimulationModal from '../../components/simulation/CreateSimulationM
 import SimulationInterface from '../../components/simulation/SimulationInterface';
 import GameifiedSimulationInterface from '../../components/simulation/GameifiedSimulationInterface';
 import PromptGameInterface from '../../components/simulation/PromptGameInterface';
+import GameSessionHistory from '../../components/simulation/GameSessionHistory';
+import GameLibrary from '../../components/simulation/GameLibrary';
 import PropTypes from 'prop-types';
 
 const SimulationPage = () => {
@@ -16,6 +18,7 @@ const SimulationPage = () => {
   const [selectedSimulation, setSelectedSimulation] = useState(null);
   const [gameMode, setGameMode] = useState(true); // true = gamified, false = classic
   const [showCustomGame, setShowCustomGame] = useState(false);
+  const [savedGame, setSavedGame] = useState(null);
   const [stats, setStats] = useState({
     total: 0,
     notStarted: 0,
@@ -54,17 +57,11 @@ const SimulationPage = () => {
 
       const response = await simulationAPI.getStudentSimulations(user.id, options);
       
-      if (response.data?.success) {
-        setSimulations(response.data.data.simulations || []);
-        setStats(response.data.data.stats || stats);
-        
-        const pagination = response.data.data.pagination || {};
-        setTotalPages(pagination.totalPages || 1);
-        
-        console.log('✅ SimulationPage: Simulations loaded:', response.data.data);
-      } else {
-        throw new Error('Failed to fetch simulations');
-      }
+      setSimulations(response.data);
+      setStats(response.meta.stats || stats);
+      setTotalPages(response.pagination?.totalPages || 1);
+      
+      console.log('✅ SimulationPage: Simulations loaded:', response.data.length);
     } catch (error) {
       console.error('❌ SimulationPage: Error fetching simulations:', error);
       setError(error.message || 'Failed to load simulations');
@@ -86,6 +83,14 @@ const SimulationPage = () => {
   const handleBackFromCustomGame = () => {
     console.log('🔬 Returning to simulation list from custom game');
     setShowCustomGame(false);
+    setSavedGame(null);
+  };
+
+  // Sessions from the history and entries from the library both open in PromptGameInterface
+  const handleOpenSavedGame = (game) => {
+    console.log('🎮 Opening saved game:', game.gameId || game.id);
+    setSavedGame(game);
+    setShowCustomGame(true);
   };
 
   const handleSimulationCreated = (newSimulation) => {
@@ -143,12 +148,13 @@ const SimulationPage = () => {
       <PromptGameInterface 
         simulation={{
           title: 'Custom Science Game',
-          subject: 'Science',
+          subject: savedGame?.subject || 'Science',
           level: user?.selectedLevel || 1,
           description: 'Create your own interactive science game'
         }}
         onBack={handleBackFromCustomGame}
         user={user}
+        savedGame={savedGame}
       />
     );
   }
@@ -371,6 +377,14 @@ const SimulationPage = () => {
         </>
       )}
 
+      {/* Saved Games and Prompt Game History */}
+      {user?.id && (
+        <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <GameLibrary studentId={user.id} studentLevel={user.selectedLevel || 1} onPlay={handleOpenSavedGame} />
+          <GameSessionHistory studentId={user.id} onReplay={handleOpenSavedGame} title="🕹️ Recently Played" />
+        </div>
+      )}
+
       {/* Create Simulation Modal */}
       {showCreateModal && (
         <CreateSimulationModal
@@ -24,7 +24,7 @@ function StudentResourcesPage() {
     try {
       setLoading(true);
       const response = await teacherAPI.getResourcesByLevel(selectedLevel);
-      setResources(response.data.resources);
+      setResources(response.data);
     } catch (error) {
       console.error('Error loading resources:', error);
       // Fallback to mock data
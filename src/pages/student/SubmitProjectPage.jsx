@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { assignmentAPI } from '../../services/api';
 import DashboardLayout from '../../layout/DashboardLayout';
@@ -32,30 +33,7 @@ function SubmitProjectPage() {
       console.log('🔍 Loading assignments for student:', user.id, 'with filter:', filter);
       
       const response = await assignmentAPI.getStudentAssignments(user.id, { status: filter });
-      console.log('📥 Raw API response:', response);
-      console.log('📥 Response data:', response.data);
-      
-      // Handle different possible response structures
-      let assignmentsData = [];
-      
-      if (response.data) {
-        // If response.data exists, check its structure
-        if (response.data.assignments && Array.isArray(response.data.assignments)) {
-          assignmentsData = response.data.assignments;
-        } else if (Array.isArray(response.data)) {
-          assignmentsData = response.data;
-        } else if (response.data.success && response.data.assignments) {
-          assignmentsData = response.data.assignments;
-        } else {
-          // If data exists but not in expected format, log it
-          console.log('🔍 Unexpected response.data structure:', response.data);
-          assignmentsData = [];
-        }
-      } else if (response.assignments && Array.isArray(response.assignments)) {
-        assignmentsData = response.assignments;
-      } else if (Array.isArray(response)) {
-        assignmentsData = response;
-      }
+      const assignmentsData = response.data;
       
       console.log('✅ Processed assignments data:', assignmentsData);
       console.log('✅ Number of assignments found:', assignmentsData.length);
@@ -188,22 +166,29 @@ function SubmitProjectPage() {
 
       console.log('✅ Submission response:', response);
 
-      if (response.success) {
-        const newVersion = response.submission?.versionNumber || (hasExistingSubmission ? 'updated' : '1');
-        alert(`Assignment submitted successfully! ${hasExistingSubmission ? `New version ${newVersion} created.` : 'First submission completed.'}`);
-        
-        // Refresh assignment details to show new submission
-        console.log('🔄 Refreshing assignment details...');
-        await loadAssignmentDetails(selectedAssignment.assignment.id);
-        
-        // Reset submission form
+      if (response.meta.queued) {
+        alert('You appear to be offline. Your submission has been saved and will be sent automatically when you reconnect.');
         setLinkSubmission({
           submissionLink: '',
           submissionNotes: ''
         });
-        
-        console.log('✅ Assignment submission completed successfully');
+        return;
       }
+
+      const newVersion = response.data?.versionNumber || (hasExistingSubmission ? 'updated' : '1');
+      alert(`Assignment submitted successfully! ${hasExistingSubmission ? `New version ${newVersion} created.` : 'First submission completed.'}`);
+      
+      // Refresh assignment details to show new submission
+      console.log('🔄 Refreshing assignment details...');
+      await loadAssignmentDetails(selectedAssignment.assignment.id);
+      
+      // Reset submission form
+      setLinkSubmission({
+        submissionLink: '',
+        submissionNotes: ''
+      });
+      
+      console.log('✅ Assignment submission completed successfully');
     } catch (error) {
       console.error('❌ Error submitting assignment:', error);
       
@@ -592,6 +577,15 @@ function SubmitProjectPage() {
                       </div>
                     </div>
 
+                    {assignment.quizBankId && (
+                      <Link
+                        to={`/take-quiz?assignment=${assignment.id}`}
+                        className="block w-full mb-3 btn btn-outline text-center"
+                      >
+                        📝 Take the assignment quiz
+                      </Link>
+                    )}
+
                     {(() => {
                       const hasSubmission = assignment.mySubmissions && assignment.mySubmissions.length > 0;
                       const latestSubmission = hasSubmission ? assignment.mySubmissions[assignment.mySubmissions.length - 1] : null;
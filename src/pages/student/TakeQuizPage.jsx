@@ -1,14 +1,33 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { teacherAPI } from '../../services/api';
+import { useLocalStorage } from '../../hooks/useLocalStorage';
+import { teacherAPI, quizBankAPI } from '../../services/api';
 import DashboardLayout from '../../layout/DashboardLayout';
 import QuizInterface from '../../components/quiz/QuizInterface';
 import ResourceSelection from '../../components/quiz/ResourceSelection';
 import QuizResults from '../../components/quiz/QuizResults';
 
+// A teacher-approved bank wins over AI generation; lookup failures just mean "no bank"
+const findApprovedBank = async (target) => {
+  try {
+    const response = await quizBankAPI.getApprovedBank(target);
+    if (response.data) {
+      console.log('🗂️ Approved quiz bank found:', response.data.id, target);
+    }
+    return response.data;
+  } catch (error) {
+    console.warn('⚠️ Quiz bank lookup failed, using AI generation:', error.message);
+    return null;
+  }
+};
+
 /**
  * Take Quiz Page for Students
- * Allows students to select resources and take AI-generated quizzes
+ * Allows students to select resources and take quizzes - from the teacher's approved
+ * quiz bank when there is one, AI-generated otherwise. `?assignment=<id>` opens the
+ * quiz attached to an assignment directly. Generated quizzes can adapt their difficulty
+ * to the student (remembered per browser).
  */
 function TakeQuizPage() {
   const { user, selectedLevel } = useAuth();
@@ -18,6 +37,12 @@ function TakeQuizPage() {
   const [loading, setLoading] = useState(true);
   const [quizData, setQuizData] = useState(null);
   const [quizResults, setQuizResults] = useState(null);
+  const [quizBank, setQuizBank] = useState(null);
+  const [checkingBank, setCheckingBank] = useState(false);
+  const [assignmentNotice, setAssignmentNotice] = useState(null);
+  const [adaptive, setAdaptive] = useLocalStorage('quiz-adaptive-difficulty', true);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const assignmentId = searchParams.get('assignment');
 
   // Load available resources for student's level
   useEffect(() => {
@@ -30,7 +55,7 @@ function TakeQuizPage() {
     try {
       setLoading(true);
       const response = await teacherAPI.getResourcesByLevel(selectedLevel);
-      setResources(response.data.resources || []);
+      setResources(response.data);
     } catch (error) {
       console.error('Error loading resources:', error);
       setResources([]);
@@ -39,11 +64,46 @@ function TakeQuizPage() {
     }
   };
 
+  // Assignment quizzes always come from the bank the teacher attached to the assignment
+  useEffect(() => {
+    if (!assignmentId) return undefined;
+    let cancelled = false;
+
+    (async () => {
+      setCheckingBank(true);
+      const bank = await findApprovedBank({ assignmentId });
+      if (cancelled) return;
+      setCheckingBank(false);
+      setSearchParams({}, { replace: true });
+
+      if (!bank) {
+        setAssignmentNotice('Your teacher has not published a quiz for this assignment yet.');
+        return;
+      }
+      setQuizBank(bank);
+      setSelectedResource({
+        id: bank.resourceId || bank.assignmentId,
+        title: bank.title,
+        level: bank.level,
+        assignmentId
+      });
+      setCurrentStep('quiz');
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [assignmentId, setSearchParams]);
+
   const handleResourceSelect = async (resource) => {
     setSelectedResource(resource);
+    setAssignmentNotice(null);
+    setCheckingBank(true);
+    setQuizBank(await findApprovedBank({ resourceId: resource.id }));
+    setCheckingBank(false);
     setCurrentStep('quiz');
     
-    // Generate quiz will be handled by QuizInterface component
+    // Quiz generation (or bank sampling) will be handled by QuizInterface component
   };
 
   const handleQuizComplete = (results) => {
@@ -56,6 +116,7 @@ function TakeQuizPage() {
     setSelectedResource(null);
     setQuizData(null);
     setQuizResults(null);
+    setQuizBank(null);
   };
 
   const handleTakeAnotherQuiz = () => {
@@ -63,6 +124,7 @@ function TakeQuizPage() {
     setSelectedResource(null);
     setQuizData(null);
     setQuizResults(null);
+    setQuizBank(null);
   };
 
   if (!selectedLevel) {
@@ -146,8 +208,34 @@ function TakeQuizPage() {
           </div>
         </div>
 
+        {assignmentNotice && (
+          <div className="mb-6 text-sm px-4 py-3 rounded bg-yellow-50 text-yellow-800 border border-yellow-200">
+            {assignmentNotice}
+          </div>
+        )}
+
         {/* Step Content */}
-        {currentStep === 'selection' && (
+        {checkingBank && (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500 mx-auto mb-4"></div>
+            <p className="text-gray-600">Getting your quiz ready...</p>
+          </div>
+        )}
+
+        {currentStep === 'selection' && !checkingBank && (
+          <label className="flex items-center mb-4 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={adaptive}
+              onChange={(e) => setAdaptive(e.target.checked)}
+              className="mr-2 h-4 w-4"
+            />
+            🎚️ Adaptive difficulty - questions get easier or harder based on how you are doing
+            <span className="ml-1 text-gray-500">(quizzes prepared by your teacher are not affected)</span>
+          </label>
+        )}
+
+        {currentStep === 'selection' && !checkingBank && (
           <ResourceSelection
             resources={resources}
             loading={loading}
@@ -159,6 +247,8 @@ function TakeQuizPage() {
         {currentStep === 'quiz' && selectedResource && (
           <QuizInterface
             resource={selectedResource}
+            bank={quizBank}
+            adaptive={adaptive}
             onQuizComplete={handleQuizComplete}
             studentId={user?.id}
           />
@@ -171,6 +261,7 @@ function TakeQuizPage() {
             onRetakeQuiz={handleRetakeQuiz}
             onTakeAnotherQuiz={handleTakeAnotherQuiz}
             studentId={user?.id}
+            studentName={[user?.profile?.firstName, user?.profile?.lastName].filter(Boolean).join(' ') || user?.name}
           />
         )}
       </div>
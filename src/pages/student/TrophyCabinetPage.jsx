@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import DashboardLayout from '../../layout/DashboardLayout';
+import { quizAPI, simulationAPI, assignmentAPI } from '../../services/api';
+import { labBookingAPI } from '../../services/labBookingAPI';
+import {
+  collectStats,
+  evaluateMilestones,
+  getNextMilestones,
+  dedupeQuizAchievements,
+  getNextQuizLevel,
+  TIER_NAMES
+} from '../../services/achievements';
+import { renderBadge } from '../../services/badgeRenderer';
+
+const TIER_STYLES = [
+  'bg-orange-100 text-orange-800',
+  'bg-gray-200 text-gray-800',
+  'bg-yellow-100 text-yellow-800',
+  'bg-indigo-100 text-indigo-800'
+];
+
+/**
+ * Trophy Cabinet Page
+ * Shows a student's quiz trophies (one per resource, best level) and milestone badges for
+ * quiz streaks, simulations, assignments and lab sessions, with progress toward the next one.
+ */
+function TrophyCabinetPage() {
+  const { user } = useAuth();
+  const [trophies, setTrophies] = useState([]);
+  const [milestones, setMilestones] = useState([]);
+  const [currentStreak, setCurrentStreak] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [partial, setPartial] = useState(false);
+
+  useEffect(() => {
+    if (!user?.id) return;
+    let cancelled = false;
+
+    const loadCabinet = async () => {
+      setLoading(true);
+      // Each source is optional - a failing one only hides the badges that depend on it
+      const [history, achievements, simulations, submissions, bookings] = await Promise.allSettled([
+        quizAPI.getStudentQuizHistory(user.id),
+        quizAPI.getStudentAchievements(user.id),
+        simulationAPI.getStudentSimulations(user.id, { status: 'completed', limit: 50 }),
+        assignmentAPI.getStudentSubmissionHistory(user.id),
+        labBookingAPI.getStudentBookings(user.id)
+      ]);
+      if (cancelled) return;
+
+      const sources = [history, achievements, simulations, submissions, bookings];
+      const dataOf = (source) => (source.status === 'fulfilled' ? source.value.data : []);
+      const failed = sources.filter(source => source.status === 'rejected');
+      if (failed.length > 0) {
+        console.warn('⚠️ TrophyCabinetPage: Some activity failed to load:', failed.map(source => source.reason?.message));
+      }
+
+      // The list is paged, so the count comes from the pagination total when the backend sends it
+      const completedSimulations = dataOf(simulations)
+        .filter(simulation => (simulation.state?.status || simulation.status) === 'completed');
+      const stats = collectStats({
+        quizHistory: dataOf(history),
+        simulationsCompleted: simulations.status === 'fulfilled'
+          ? simulations.value.pagination?.total ?? completedSimulations.length
+          : 0,
+        submissions: dataOf(submissions),
+        bookings: dataOf(bookings)
+      });
+      console.log('🏆 TrophyCabinetPage: Stats:', stats);
+
+      setTrophies(dedupeQuizAchievements(dataOf(achievements)));
+      setMilestones(evaluateMilestones(stats));
+      setCurrentStreak(stats.currentStreak);
+      setPartial(failed.length > 0);
+      setLoading(false);
+    };
+
+    loadCabinet();
+    return () => {
+      cancelled = true;
+    };
+  }, [user?.id]);
+
+  const earnedCount = milestones.filter(milestone => milestone.earned).length + trophies.length;
+  const nextUp = getNextMilestones(milestones);
+
+  const renderMilestone = (milestone) => (
+    <div
+      key={milestone.id}
+      className={`p-4 rounded-lg border ${milestone.earned ? 'border-primary-200 bg-white' : 'border-dashed border-gray-300 bg-gray-50'}`}
+    >
+      <div className="flex items-start justify-between mb-2">
+        <div className="flex items-center">
+          <span className={`text-3xl mr-3 ${milestone.earned ? '' : 'grayscale opacity-40'}`}>{milestone.icon}</span>
+          <div>
+            <h4 className="font-semibold text-gray-900">{milestone.title}</h4>
+            <p className="text-xs text-gray-500">{milestone.description}</p>
+          </div>
+        </div>
+        {milestone.earned && (
+          <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${TIER_STYLES[milestone.tier - 1]}`}>
+            {milestone.tierName}
+          </span>
+        )}
+      </div>
+
+      {/* One pip per tier */}
+      <div className="flex space-x-1 mb-2">
+        {milestone.tiers.map((threshold, index) => (
+          <div
+            key={threshold}
+            className={`flex-1 h-1.5 rounded-full ${index < milestone.tier ? 'bg-primary-500' : 'bg-gray-200'}`}
+            title={`${TIER_NAMES[index]}: ${threshold} ${milestone.unit}`}
+          ></div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-600">
+        {milestone.complete
+          ? `All tiers earned • ${milestone.value} ${milestone.unit}`
+          : `${milestone.value}/${milestone.next} ${milestone.unit} for ${TIER_NAMES[milestone.tier]}`}
+      </p>
+    </div>
+  );
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="text-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500 mx-auto mb-4"></div>
+          <p className="text-gray-600">Opening your trophy cabinet...</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {partial && (
+          <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            Some of your activity couldn&apos;t be loaded, so a few badges may be missing for now.
+          </div>
+        )}
+
+        {/* Summary */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className="card card-padding text-center">
+            <div className="text-3xl font-bold text-primary-600">{earnedCount}</div>
+            <p className="text-sm text-gray-600">Trophies &amp; badges earned</p>
+          </div>
+          <div className="card card-padding text-center">
+            <div className="text-3xl font-bold text-orange-500">🔥 {currentStreak}</div>
+            <p className="text-sm text-gray-600">Day quiz streak</p>
+          </div>
+          <div className="card card-padding text-center">
+            <div className="text-3xl font-bold text-green-600">{trophies.filter(trophy => trophy.level === 'gold').length}</div>
+            <p className="text-sm text-gray-600">Gold quiz trophies</p>
+          </div>
+        </div>
+
+        {/* Next badges */}
+        {nextUp.length > 0 && (
+          <div className="card card-padding mb-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">🎯 Almost There</h3>
+            <div className="space-y-3">
+              {nextUp.map(milestone => (
+                <div key={milestone.id}>
+                  <div className="flex items-center justify-between mb-1 text-sm">
+                    <span className="font-medium text-gray-900">
+                      {milestone.icon} {milestone.title} – {TIER_NAMES[milestone.tier]}
+                    </span>
+                    <span className="text-gray-500">
+                      {milestone.next - milestone.value} more {milestone.unit}
+                    </span>
+                  </div>
+                  <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div className="h-full bg-primary-500" style={{ width: `${Math.round(milestone.progress * 100)}%` }}></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Milestone badges */}
+        <div className="card card-padding mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">🎖️ Badges</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {milestones.map(renderMilestone)}
+          </div>
+        </div>
+
+        {/* Quiz trophies */}
+        <div className="card card-padding">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">🏆 Quiz Trophies</h3>
+          {trophies.length === 0 ? (
+            <div className="text-center py-6">
+              <p className="text-gray-500 text-sm mb-3">Score 70% or more on a quiz to earn your first trophy.</p>
+              <Link to="/take-quiz" className="btn-primary text-sm">Take a Quiz</Link>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+              {trophies.map(trophy => {
+                const nextLevel = getNextQuizLevel(trophy.level);
+                return (
+                  <div key={trophy.id || `${trophy.resourceId}-${trophy.level}`} className="text-center p-3 rounded-lg bg-gray-50">
+                    <img
+                      src={trophy.image || renderBadge(trophy)}
+                      alt={trophy.title}
+                      className="w-24 h-24 rounded-full mx-auto mb-2 object-cover"
+                    />
+                    <h4 className="font-medium text-gray-900 text-sm">{trophy.title}</h4>
+                    <p className="text-xs text-gray-500 truncate" title={trophy.resourceTitle}>{trophy.resourceTitle}</p>
+                    <p className="text-xs text-gray-400">{new Date(trophy.unlockedAt).toLocaleDateString()}</p>
+                    {nextLevel && (
+                      <p className="text-xs text-primary-600 mt-1">Score {nextLevel.minScore}%+ for {nextLevel.title}</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <DashboardLayout userRole="student">
+      <div className="p-6 max-w-6xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">🏆 Trophy Cabinet</h1>
+          <p className="text-gray-600">Everything you&apos;ve earned, and what to go for next</p>
+        </div>
+
+        {renderBody()}
+      </div>
+    </DashboardLayout>
+  );
+}
+
+export default TrophyCabinetPage;
@@ -63,7 +63,7 @@ function CreateAssignmentPage() {
   const loadClasses = async () => {
     try {
       const response = await teacherAPI.getTeacherClasses(user.id);
-      setClasses(response.data.classes || []);
+      setClasses(response.data);
     } catch (error) {
       console.error('Error loading classes:', error);
     }
@@ -159,31 +159,29 @@ function CreateAssignmentPage() {
 
       const response = await assignmentAPI.createAssignment(assignmentData);
       
-      if (response.success) {
-        alert(`Assignment created successfully! ${response.assignment.studentsNotified || 0} students have been notified.`);
-        
-        // Reset form
-        setFormData({
-          title: '',
-          description: '',
-          subject: '',
-          level: '',
-          dueDate: '',
-          dueTime: '23:59',
-          instructions: '',
-          totalPoints: 100,
-          maxFileSize: 10,
-          allowedFileTypes: ['pdf', 'doc', 'docx'],
-          classIds: [],
-          isVisible: true
-        });
-        setRubric([
-          { criteria: 'Content Quality', maxPoints: 25, description: 'Accuracy and completeness of content' },
-          { criteria: 'Organization', maxPoints: 25, description: 'Structure and flow of presentation' },
-          { criteria: 'Creativity', maxPoints: 25, description: 'Original ideas and creative approach' },
-          { criteria: 'Presentation', maxPoints: 25, description: 'Overall presentation and formatting' }
-        ]);
-      }
+      alert(`Assignment created successfully! ${response.data.studentsNotified || 0} students have been notified.`);
+      
+      // Reset form
+      setFormData({
+        title: '',
+        description: '',
+        subject: '',
+        level: '',
+        dueDate: '',
+        dueTime: '23:59',
+        instructions: '',
+        totalPoints: 100,
+        maxFileSize: 10,
+        allowedFileTypes: ['pdf', 'doc', 'docx'],
+        classIds: [],
+        isVisible: true
+      });
+      setRubric([
+        { criteria: 'Content Quality', maxPoints: 25, description: 'Accuracy and completeness of content' },
+        { criteria: 'Organization', maxPoints: 25, description: 'Structure and flow of presentation' },
+        { criteria: 'Creativity', maxPoints: 25, description: 'Original ideas and creative approach' },
+        { criteria: 'Presentation', maxPoints: 25, description: 'Overall presentation and formatting' }
+      ]);
     } catch (error) {
       console.error('Error creating assignment:', error);
       alert('Failed to create assignment. Please try again.');
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from '../../context/AuthContext';
+import DashboardLayout from '../../layout/DashboardLayout';
+import GameSandboxFrame from '../../components/simulation/GameSandboxFrame';
+import { gameLibraryAPI } from '../../services/api';
+import { scanGameCode } from '../../services/gameSandbox';
+
+/**
+ * Game Reviews Page for Teachers
+ * Students can share prompt games with their class only after a teacher approves them. Teachers
+ * try each game in the sandbox here and approve it or send it back with a note.
+ */
+function GameReviewsPage() {
+  const { user } = useAuth();
+  const [games, setGames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [previewId, setPreviewId] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const loadGames = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        console.log('🛡️ Loading games waiting for review:', user.id);
+        const response = await gameLibraryAPI.getPendingGames(user.id);
+        setGames(response.data);
+      } catch (loadError) {
+        console.error('❌ Error loading games for review:', loadError);
+        setError('Games waiting for review could not be loaded.');
+        setGames([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadGames();
+  }, [user?.id]);
+
+  const handleDecision = async (game, decision, note) => {
+    try {
+      await gameLibraryAPI.moderateGame(game.id, { decision, note });
+      setGames(prev => prev.filter(item => item.id !== game.id));
+      setPreviewId(null);
+      console.log('✅ Game reviewed:', game.id, decision);
+    } catch (decisionError) {
+      console.error('❌ Error reviewing game:', decisionError);
+      alert(`Failed to save your review: ${decisionError.message}`);
+    }
+  };
+
+  return (
+    <DashboardLayout userRole="teacher">
+      <div className="p-6">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Game Reviews</h1>
+          <p className="text-gray-600">Games your students want to share with their class</p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading games...</p>
+          </div>
+        ) : games.length === 0 ? (
+          <div className="text-center py-12 bg-white rounded-lg border">
+            <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <span className="text-2xl">🎮</span>
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">Nothing to review</h3>
+            <p className="text-gray-600">Games students share with their class will appear here.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {games.map(game => (
+              <GameReviewCard
+                key={game.id}
+                game={game}
+                previewing={previewId === game.id}
+                onTogglePreview={() => setPreviewId(previewId === game.id ? null : game.id)}
+                onDecision={handleDecision}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+}
+
+// One pending game with its safety scan, a sandboxed preview and approve/reject controls
+function GameReviewCard({ game, previewing, onTogglePreview, onDecision }) {
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const scan = scanGameCode(game.game);
+
+  const decide = async (decision) => {
+    if (decision === 'rejected' && !note.trim()) {
+      alert('Please add a note so the student knows what to change.');
+      return;
+    }
+    setSaving(true);
+    await onDecision(game, decision, note);
+    setSaving(false);
+  };
+
+  return (
+    <div className="card card-padding">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{game.title}</h3>
+          <p className="text-sm text-gray-500">
+            by {game.ownerName || 'a student'} • {game.subject} • Level {game.level}
+            {game.remixOf && ' • remix'}
+          </p>
+          {game.prompt && <p className="text-sm text-gray-700 mt-2">&ldquo;{game.prompt}&rdquo;</p>}
+          <p className={`text-xs mt-2 ${scan.issues.length === 0 ? 'text-green-700' : 'text-yellow-700'}`}>
+            🛡️ {scan.issues.length === 0
+              ? 'Passed the safety check'
+              : `Safety check: ${scan.issues.map(issue => issue.message).join(' • ')}`}
+          </p>
+        </div>
+        <button onClick={onTogglePreview} className="btn-outline whitespace-nowrap">
+          {previewing ? 'Close Preview' : '▶️ Try Game'}
+        </button>
+      </div>
+
+      {previewing && (
+        <div className="mt-4 bg-white rounded-lg border border-gray-200 overflow-hidden">
+          <GameSandboxFrame game={game.game} onScore={() => {}} onComplete={() => {}} className="w-full h-[500px] border-0" />
+        </div>
+      )}
+
+      <div className="mt-4 flex flex-col sm:flex-row sm:items-center gap-3">
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          maxLength={300}
+          placeholder="Note for the student (required to reject)"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+        />
+        <div className="flex space-x-2">
+          <button
+            onClick={() => decide('rejected')}
+            disabled={saving}
+            className="btn-outline text-red-600 border-red-300 hover:bg-red-50 disabled:opacity-50"
+          >
+            Reject
+          </button>
+          <button
+            onClick={() => decide('approved')}
+            disabled={saving || !scan.safe}
+            className="btn-primary disabled:opacity-50"
+          >
+            Approve for Class
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+GameReviewCard.propTypes = {
+  game: PropTypes.object.isRequired,
+  previewing: PropTypes.bool.isRequired,
+  onTogglePreview: PropTypes.func.isRequired,
+  onDecision: PropTypes.func.isRequired,
+};
+
+export default GameReviewsPage;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
-import { assignmentAPI } from '../../services/api';
+import { assignmentAPI, xpAPI } from '../../services/api';
 import DashboardLayout from '../../layout/DashboardLayout';
 
 /**
@@ -33,8 +33,8 @@ function GradeProjectsPage() {
     try {
       setLoading(true);
       const response = await assignmentAPI.getTeacherAssignments(user.id, { status: filter });
-      console.log('📊 Backend assignments with submissionStats:', response.assignments);
-      setAssignments(response.assignments || []);
+      console.log('📊 Backend assignments with submissionStats:', response.data);
+      setAssignments(response.data);
     } catch (error) {
       console.error('Error loading assignments:', error);
       setAssignments(getMockAssignments());
@@ -46,8 +46,8 @@ function GradeProjectsPage() {
   const loadAssignmentSubmissions = async (assignmentId) => {
     try {
       const response = await assignmentAPI.getAssignmentSubmissions(assignmentId);
-      setSelectedAssignment(response.assignment);
-      setSubmissions(response.submissions || []);
+      setSelectedAssignment(response.data.assignment);
+      setSubmissions(response.data.submissions);
     } catch (error) {
       console.error('Error loading submissions:', error);
       // Fallback to mock data
@@ -128,22 +128,31 @@ function GradeProjectsPage() {
         gradedAt: new Date().toISOString()
       };
 
-      const response = await assignmentAPI.gradeSubmission(gradeData);
-
-      if (response.success) {
-        alert('Grade submitted successfully! Student and parent have been notified.');
-        
-        // Refresh submissions
-        await loadAssignmentSubmissions(selectedAssignment.id);
-        
-        // Clear form
-        setSelectedSubmission(null);
-        setGradeForm({
-          totalScore: '',
-          rubricScores: [],
-          overallFeedback: ''
-        });
-      }
+      await assignmentAPI.gradeSubmission(gradeData);
+
+      // XP goes to the student; a regrade replaces the event only if it earns more
+      xpAPI.award({
+        studentId: gradeData.studentId,
+        source: 'assignment',
+        sourceId: selectedAssignment.id,
+        title: selectedAssignment.title,
+        score: Math.round((calculatedTotal / maxScore) * 100),
+        isLate: selectedSubmission.isLate,
+        occurredAt: gradeData.gradedAt
+      }).catch(xpError => console.error('❌ Failed to record assignment XP:', xpError));
+
+      alert('Grade submitted successfully! Student and parent have been notified.');
+      
+      // Refresh submissions
+      await loadAssignmentSubmissions(selectedAssignment.id);
+      
+      // Clear form
+      setSelectedSubmission(null);
+      setGradeForm({
+        totalScore: '',
+        rubricScores: [],
+        overallFeedback: ''
+      });
     } catch (error) {
       console.error('Error submitting grade:', error);
       alert('Failed to submit grade. Please try again.');
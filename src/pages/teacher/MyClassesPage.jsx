@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import DashboardLayout from '../../layout/DashboardLayout';
-import { teacherAPI } from '../../services/api';
+import { teacherAPI, xpAPI } from '../../services/api';
+import { DEFAULT_LEADERBOARD_SETTINGS, LEADERBOARD_NAME_DISPLAY, LEADERBOARD_PERIODS } from '../../services/xp';
 
 /**
  * My Classes Page Component
@@ -15,6 +16,7 @@ function MyClassesPage() {
   const [selectedLevel, setSelectedLevel] = useState(null);
   const [levelStudents, setLevelStudents] = useState([]);
   const [loadingStudents, setLoadingStudents] = useState(false);
+  const [leaderboardClass, setLeaderboardClass] = useState(null);
 
   // Load teacher's classes
   useEffect(() => {
@@ -27,7 +29,7 @@ function MyClassesPage() {
     try {
       setLoading(true);
       const response = await teacherAPI.getTeacherClasses(user.id);
-      setClasses(response.data.classes);
+      setClasses(response.data);
     } catch (error) {
       console.error('Error loading classes:', error);
       // Fallback to mock data
@@ -45,11 +47,11 @@ function MyClassesPage() {
       });
       
       // Add new class to the list
-      setClasses(prev => [...prev, response.data.class]);
+      setClasses(prev => [...prev, response.data]);
       setShowCreateModal(false);
       
       // Show success message
-      alert(`Class created successfully! ${response.data.class.name} is now active.`);
+      alert(`Class created successfully! ${response.data.name} is now active.`);
     } catch (error) {
       console.error('Error creating class:', error);
       alert('Failed to create class. Please try again.');
@@ -61,7 +63,7 @@ function MyClassesPage() {
       setLoadingStudents(true);
       setSelectedLevel(level);
       const response = await teacherAPI.getStudentsByLevel(level);
-      setLevelStudents(response.data.students);
+      setLevelStudents(response.data);
     } catch (error) {
       console.error('Error loading students:', error);
       setLevelStudents([]);
@@ -199,6 +201,12 @@ function MyClassesPage() {
                   <button className="btn btn-outline text-sm">
                     Schedule Lab
                   </button>
+                  <button
+                    onClick={() => setLeaderboardClass(classItem)}
+                    className="btn btn-outline text-sm"
+                  >
+                    🏅 Leaderboard
+                  </button>
                 </div>
               </div>
             ))}
@@ -227,6 +235,14 @@ function MyClassesPage() {
           />
         )}
 
+        {/* Leaderboard Settings Modal */}
+        {leaderboardClass && (
+          <LeaderboardSettingsModal
+            classItem={leaderboardClass}
+            onClose={() => setLeaderboardClass(null)}
+          />
+        )}
+
         {/* Students by Level Modal */}
         {selectedLevel && (
           <StudentsModal
@@ -558,4 +574,128 @@ function StudentsModal({ level, students, loading, onClose }) {
   );
 }
 
+/**
+ * Leaderboard Settings Modal Component
+ * Lets a teacher switch the XP leaderboard on for a class and choose how names are shown
+ */
+function LeaderboardSettingsModal({ classItem, onClose }) {
+  const [settings, setSettings] = useState(DEFAULT_LEADERBOARD_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    xpAPI.getLeaderboardSettings(classItem.id)
+      .then(response => {
+        if (!cancelled && response.data) setSettings({ ...DEFAULT_LEADERBOARD_SETTINGS, ...response.data });
+      })
+      .catch(loadError => {
+        if (cancelled) return;
+        console.error('Error loading leaderboard settings:', loadError);
+        setError('Could not load the current settings.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [classItem.id]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await xpAPI.updateLeaderboardSettings(classItem.id, settings);
+      onClose();
+    } catch (saveError) {
+      console.error('Error saving leaderboard settings:', saveError);
+      setError('Failed to save leaderboard settings. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">🏅 Leaderboard</h2>
+            <p className="text-sm text-gray-600">{classItem.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            ✕
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-500"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={settings.enabled}
+                onChange={(e) => setSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span className="text-sm font-medium text-gray-900">Show an XP leaderboard to students in this class</span>
+            </label>
+
+            <div className={settings.enabled ? '' : 'opacity-50 pointer-events-none'}>
+              <p className="text-sm font-medium text-gray-700 mb-2">Names on the leaderboard</p>
+              <div className="space-y-1 mb-4">
+                {Object.entries(LEADERBOARD_NAME_DISPLAY).map(([value, label]) => (
+                  <label key={value} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="nameDisplay"
+                      value={value}
+                      checked={settings.nameDisplay === value}
+                      onChange={() => setSettings(prev => ({ ...prev, nameDisplay: value }))}
+                      className="text-primary-600 focus:ring-primary-500"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+              </div>
+
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ranking period</label>
+              <select
+                value={settings.period}
+                onChange={(e) => setSettings(prev => ({ ...prev, period: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+              >
+                {Object.entries(LEADERBOARD_PERIODS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <p className="text-xs text-gray-500">
+              Students at Level {classItem.level} also see a level-wide board, which only includes classes that have the leaderboard switched on.
+            </p>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3 pt-6 mt-6 border-t">
+          <button onClick={onClose} className="btn btn-outline">
+            Cancel
+          </button>
+          <button onClick={handleSave} disabled={loading || saving} className="btn btn-primary disabled:opacity-50">
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 export default MyClassesPage; 
\ No newline at end of file
@@ -0,0 +1,447 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from '../../context/AuthContext';
+import DashboardLayout from '../../layout/DashboardLayout';
+import { teacherAPI, assignmentAPI, quizAPI, quizBankAPI } from '../../services/api';
+import { QUIZ_MIN_QUESTIONS, QUIZ_MAX_QUESTIONS, dedupeQuestions } from '../../services/quizSchema';
+import { addBankQuestions, createBlankQuestion, validateBank, validateBankQuestion } from '../../services/quizBank';
+import BankQuestionEditor from '../../components/quiz/BankQuestionEditor';
+
+/**
+ * Quiz Banks Page for Teachers
+ * Teachers draft quizzes with AI, edit and approve the questions, and attach the bank to a
+ * resource or assignment. Students then get questions sampled from the approved bank.
+ */
+function QuizBanksPage() {
+  const { user } = useAuth();
+  const [banks, setBanks] = useState([]);
+  const [resources, setResources] = useState([]);
+  const [assignments, setAssignments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingBank, setEditingBank] = useState(null);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    const loadData = async () => {
+      try {
+        setLoading(true);
+        console.log('🗂️ Loading quiz banks for teacher:', user.id);
+
+        // Resources and assignments only fill the "attach to" pickers, so failures there are not fatal
+        const [banksResponse, resourcesResponse, assignmentsResponse] = await Promise.all([
+          quizBankAPI.getTeacherBanks(user.id),
+          teacherAPI.getTeacherResources(user.id),
+          assignmentAPI.getTeacherAssignments(user.id).catch(error => {
+            console.warn('⚠️ Assignments unavailable:', error.message);
+            return { data: [] };
+          })
+        ]);
+
+        setBanks(banksResponse.data);
+        setResources(resourcesResponse.data);
+        setAssignments(assignmentsResponse.data);
+        console.log('✅ Quiz banks loaded:', banksResponse.data.length);
+      } catch (error) {
+        console.error('❌ Error loading quiz banks:', error);
+        setBanks([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [user?.id]);
+
+  const handleNewBank = () => {
+    setEditingBank({
+      title: '',
+      resourceId: '',
+      assignmentId: '',
+      status: 'draft',
+      questionsPerQuiz: QUIZ_MIN_QUESTIONS,
+      questions: []
+    });
+  };
+
+  const handleSaved = (savedBank) => {
+    setBanks(prev => {
+      const exists = prev.some(bank => bank.id === savedBank.id);
+      return exists ? prev.map(bank => (bank.id === savedBank.id ? savedBank : bank)) : [savedBank, ...prev];
+    });
+    setEditingBank(null);
+  };
+
+  const handleDelete = async (bank) => {
+    if (!window.confirm(`Delete the quiz bank "${bank.title}"? Students will get AI-generated quizzes instead.`)) {
+      return;
+    }
+    try {
+      await quizBankAPI.deleteBank(bank.id);
+      setBanks(prev => prev.filter(item => item.id !== bank.id));
+      console.log('🗑️ Quiz bank deleted:', bank.id);
+    } catch (error) {
+      console.error('❌ Error deleting quiz bank:', error);
+      alert(`Failed to delete quiz bank: ${error.message}`);
+    }
+  };
+
+  const findTitle = (list, id) => list.find(item => item.id === id)?.title;
+
+  if (editingBank) {
+    return (
+      <DashboardLayout userRole="teacher">
+        <div className="p-6">
+          <QuizBankEditor
+            initialBank={editingBank}
+            resources={resources}
+            assignments={assignments}
+            teacherId={user.id}
+            onCancel={() => setEditingBank(null)}
+            onSaved={handleSaved}
+          />
+        </div>
+      </DashboardLayout>
+    );
+  }
+
+  return (
+    <DashboardLayout userRole="teacher">
+      <div className="p-6">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Quiz Banks</h1>
+            <p className="text-gray-600">Review and approve the questions your students are quizzed on</p>
+          </div>
+          <button onClick={handleNewBank} className="btn btn-primary">
+            ➕ New Quiz Bank
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading quiz banks...</p>
+          </div>
+        ) : banks.length === 0 ? (
+          <div className="text-center py-12 bg-white rounded-lg border">
+            <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <span className="text-2xl">🗂️</span>
+            </div>
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">No quiz banks yet</h3>
+            <p className="text-gray-600 mb-4">
+              Without a bank, students get a fresh AI-generated quiz every time.
+            </p>
+            <button onClick={handleNewBank} className="btn btn-primary">
+              Create your first quiz bank
+            </button>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {banks.map(bank => {
+              const approvedCount = (bank.questions || []).filter(question => question.approved).length;
+              return (
+                <div key={bank.id} className="bg-white rounded-lg shadow-sm border p-6">
+                  <div className="flex items-start justify-between mb-3">
+                    <h3 className="text-lg font-semibold text-gray-900">{bank.title}</h3>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      bank.status === 'approved' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {bank.status === 'approved' ? '✅ Approved' : '📝 Draft'}
+                    </span>
+                  </div>
+
+                  <div className="text-sm text-gray-600 space-y-1 mb-4">
+                    {bank.resourceId && (
+                      <div>📚 {findTitle(resources, bank.resourceId) || bank.resourceTitle || 'Resource'}</div>
+                    )}
+                    {bank.assignmentId && (
+                      <div>📝 {findTitle(assignments, bank.assignmentId) || bank.assignmentTitle || 'Assignment'}</div>
+                    )}
+                    <div>
+                      {approvedCount} of {(bank.questions || []).length} questions approved • {bank.questionsPerQuiz} per quiz
+                    </div>
+                  </div>
+
+                  <div className="flex space-x-2">
+                    <button onClick={() => setEditingBank(bank)} className="btn btn-outline flex-1">
+                      ✏️ Edit
+                    </button>
+                    <button onClick={() => handleDelete(bank)} className="btn btn-outline text-red-600">
+                      🗑️
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </DashboardLayout>
+  );
+}
+
+/**
+ * Quiz Bank Editor Component
+ * Edits a bank's settings and questions; AI drafts are added unapproved for review.
+ */
+function QuizBankEditor({ initialBank, resources, assignments, teacherId, onCancel, onSaved }) {
+  const [bank, setBank] = useState(initialBank);
+  const [generating, setGenerating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const { errors: bankErrors, questionErrors } = validateBank(bank);
+  const approvedCount = bank.questions.filter((question, index) => question.approved && !questionErrors[index]).length;
+  const objectiveSuggestions = [...new Set(bank.questions.map(question => question.objective?.trim()).filter(Boolean))];
+
+  const updateBank = (fields) => setBank(prev => ({ ...prev, ...fields }));
+
+  const updateQuestion = (index, question) => {
+    setBank(prev => ({
+      ...prev,
+      questions: prev.questions.map((item, i) => (i === index ? question : item))
+    }));
+  };
+
+  const removeQuestion = (index) => {
+    setBank(prev => ({ ...prev, questions: prev.questions.filter((_, i) => i !== index) }));
+  };
+
+  // Content the AI drafts questions from: the attached resource, else the assignment brief
+  const getSourceMaterial = () => {
+    const resource = resources.find(item => item.id === bank.resourceId);
+    if (resource) return resource;
+    const assignment = assignments.find(item => item.id === bank.assignmentId);
+    return assignment && { id: assignment.id, title: assignment.title, description: assignment.description, content: assignment.instructions };
+  };
+
+  const handleGenerate = async () => {
+    const source = getSourceMaterial();
+    if (!source) {
+      alert('Attach the bank to a resource or assignment first');
+      return;
+    }
+
+    try {
+      setGenerating(true);
+      setNotice(null);
+      console.log('🤖 Drafting quiz bank questions from:', source.title);
+
+      const response = await quizAPI.generateQuiz(source);
+      const { unique, duplicates } = dedupeQuestions(response.data.questions, bank.questions);
+      setBank(prev => ({
+        ...prev,
+        title: prev.title || response.data.title,
+        questions: addBankQuestions(prev.questions, unique)
+      }));
+      setNotice(`Added ${unique.length} draft question${unique.length === 1 ? '' : 's'} for review` +
+        (duplicates.length > 0 ? ` (${duplicates.length} skipped as repeats of existing questions)` : ''));
+    } catch (error) {
+      console.error('❌ Error drafting questions:', error);
+      alert(`Failed to generate questions: ${error.message}`);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleApproveAllValid = () => {
+    setBank(prev => ({
+      ...prev,
+      questions: prev.questions.map((question, index) => (questionErrors[index] ? question : { ...question, approved: true }))
+    }));
+  };
+
+  const handleSave = async (status) => {
+    const level = resources.find(item => item.id === bank.resourceId)?.level
+      ?? assignments.find(item => item.id === bank.assignmentId)?.level
+      ?? bank.level
+      ?? null;
+    // Only keep answer fields the schema recognises, so stale fields from type changes aren't saved
+    const questions = bank.questions.map(question => validateBankQuestion(question).question || question);
+    const payload = {
+      ...bank,
+      status,
+      level,
+      teacherId,
+      resourceId: bank.resourceId || null,
+      assignmentId: bank.assignmentId || null,
+      questionsPerQuiz: Number(bank.questionsPerQuiz),
+      questions
+    };
+
+    try {
+      setSaving(true);
+      const response = bank.id
+        ? await quizBankAPI.updateBank(bank.id, payload)
+        : await quizBankAPI.createBank(payload);
+      console.log('✅ Quiz bank saved:', response.data.id, status);
+      onSaved(response.data);
+    } catch (error) {
+      console.error('❌ Error saving quiz bank:', error);
+      alert(`Failed to save quiz bank: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selectClassName = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500';
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">{bank.id ? 'Edit Quiz Bank' : 'New Quiz Bank'}</h1>
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+          ← Back to quiz banks
+        </button>
+      </div>
+
+      {/* Bank Settings */}
+      <div className="bg-white rounded-lg shadow-sm border p-6 mb-6 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Title *</label>
+          <input
+            type="text"
+            value={bank.title}
+            onChange={(e) => updateBank({ title: e.target.value })}
+            className={selectClassName}
+            placeholder="e.g., Plants and Photosynthesis - Unit Quiz"
+          />
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Resource</label>
+            <select
+              value={bank.resourceId || ''}
+              onChange={(e) => updateBank({ resourceId: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Not attached</option>
+              {resources.map(resource => (
+                <option key={resource.id} value={resource.id}>
+                  {resource.title} (Level {resource.level})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Assignment</label>
+            <select
+              value={bank.assignmentId || ''}
+              onChange={(e) => updateBank({ assignmentId: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Not attached</option>
+              {assignments.map(assignment => (
+                <option key={assignment.id} value={assignment.id}>{assignment.title}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Questions per quiz</label>
+            <input
+              type="number"
+              min={QUIZ_MIN_QUESTIONS}
+              max={QUIZ_MAX_QUESTIONS}
+              value={bank.questionsPerQuiz}
+              onChange={(e) => updateBank({ questionsPerQuiz: e.target.value })}
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Each student gets this many approved questions, picked at random.
+            </p>
+          </div>
+          <button
+            onClick={handleGenerate}
+            disabled={generating}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            {generating ? 'Generating...' : '🤖 Draft questions with AI'}
+          </button>
+        </div>
+
+        {notice && (
+          <div className="text-sm px-3 py-2 rounded bg-blue-50 text-blue-800 border border-blue-200">{notice}</div>
+        )}
+      </div>
+
+      {/* Questions */}
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">
+          Questions ({approvedCount} approved of {bank.questions.length})
+        </h2>
+        <div className="flex space-x-2">
+          <button onClick={handleApproveAllValid} disabled={bank.questions.length === 0} className="btn btn-outline text-sm disabled:opacity-50">
+            ✅ Approve all valid
+          </button>
+          <button
+            onClick={() => updateBank({ questions: addBankQuestions(bank.questions, [createBlankQuestion()]) })}
+            className="btn btn-outline text-sm"
+          >
+            ➕ Add question
+          </button>
+        </div>
+      </div>
+
+      {bank.questions.length === 0 ? (
+        <div className="text-center py-8 bg-white rounded-lg border mb-6 text-gray-600">
+          Draft questions with AI or add your own.
+        </div>
+      ) : (
+        <div className="space-y-4 mb-6">
+          {bank.questions.map((question, index) => (
+            <BankQuestionEditor
+              key={question.id}
+              question={question}
+              index={index}
+              errors={questionErrors[index] || []}
+              objectiveSuggestions={objectiveSuggestions}
+              onChange={(updated) => updateQuestion(index, updated)}
+              onRemove={() => removeQuestion(index)}
+            />
+          ))}
+        </div>
+      )}
+
+      {bankErrors.length > 0 && (
+        <ul className="mb-4 text-sm text-gray-600 list-disc list-inside">
+          {bankErrors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex justify-end space-x-3 pt-6 border-t">
+        <button onClick={onCancel} className="btn btn-outline" disabled={saving}>
+          Cancel
+        </button>
+        <button onClick={() => handleSave('draft')} className="btn btn-outline" disabled={saving}>
+          💾 Save draft
+        </button>
+        <button
+          onClick={() => handleSave('approved')}
+          className="btn btn-primary disabled:opacity-50"
+          disabled={saving || approvedCount < QUIZ_MIN_QUESTIONS}
+          title={approvedCount < QUIZ_MIN_QUESTIONS ? `Approve at least ${QUIZ_MIN_QUESTIONS} questions first` : ''}
+        >
+          {saving ? 'Saving...' : '🚀 Approve for students'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+QuizBankEditor.propTypes = {
+  initialBank: PropTypes.object.isRequired,
+  resources: PropTypes.arrayOf(PropTypes.object).isRequired,
+  assignments: PropTypes.arrayOf(PropTypes.object).isRequired,
+  teacherId: PropTypes.string.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onSaved: PropTypes.func.isRequired,
+};
+
+export default QuizBanksPage;
@@ -141,7 +141,7 @@ const ScheduleLabPage = () => {
         //   }
         // };
 
-        setMySlots(response.data.data.slots);
+        setMySlots(response.data);
         
         // console.log('✅ Teacher slots loaded:', mockResponse.data.slots);
       } catch (error) {
@@ -354,9 +354,9 @@ const ScheduleLabPage = () => {
     
 
     const response = await labBookingAPI.getSlotBookings(slot.id);
-    console.log(response.data.data.bookings);
+    console.log(response.data);
     setSelectedSlot(slot);
-    setSelectedSlotBookings(response.data.data.bookings);
+    setSelectedSlotBookings(response.data);
     setShowBookings(true);
 
   };
@@ -1,7 +1,15 @@
 import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { teacherAPI, quizAPI } from '../../services/api';
 import DashboardLayout from '../../layout/DashboardLayout';
+import MasteryOverview from '../../components/mastery/MasteryOverview';
+import GameSessionHistory from '../../components/simulation/GameSessionHistory';
+import SimulationReplayHistory from '../../components/simulation/SimulationReplayHistory';
+import LabProcedureList from '../../components/simulation/LabProcedureList';
+import { formatDuration, summarizePacing } from '../../services/quizTiming';
+import { estimateMastery } from '../../services/mastery';
+import { dedupeQuizAchievements } from '../../services/achievements';
 
 /**
  * Student Progress Page for Teachers
@@ -25,52 +33,11 @@ function StudentProgressPage() {
       setLoading(true);
       console.log('Loading students for level:', selectedLevel);
       
-      if (selectedLevel === 'all') {
-        // Load all students using the correct API endpoint
-        const response = await teacherAPI.getAllStudents();
-        console.log('All students API response:', response.data);
-        
-        // Debug the response structure
-        console.log('Response keys:', Object.keys(response.data));
-        if (response.data.students) {
-          console.log('Found students in response.data.students, length:', response.data.students.length);
-        }
-        if (response.data.data && response.data.data.students) {
-          console.log('Found students in response.data.data.students, length:', response.data.data.students.length);
-        }
-        
-        // Handle different possible response structures
-        let studentsData = [];
-        if (response.data.students) {
-          studentsData = response.data.students;
-          console.log('Using response.data.students');
-        } else if (response.data.data && response.data.data.students) {
-          studentsData = response.data.data.students;
-          console.log('Using response.data.data.students');
-        } else if (Array.isArray(response.data)) {
-          studentsData = response.data;
-          console.log('Using response.data as array');
-        }
-        
-        console.log('Processed students data length:', studentsData.length);
-        setStudents(studentsData);
-      } else {
-        // Load students by specific level
-        const response = await teacherAPI.getStudentsByLevel(parseInt(selectedLevel));
-        console.log(`Level ${selectedLevel} students API response:`, response.data);
-        
-        // Handle different possible response structures
-        let studentsData = [];
-        if (response.data.students) {
-          studentsData = response.data.students;
-        } else if (response.data.data && response.data.data.students) {
-          studentsData = response.data.data.students;
-        } else if (Array.isArray(response.data)) {
-          studentsData = response.data;
-        }
-        
-        setStudents(studentsData);
-      }
+      const response = selectedLevel === 'all'
+        ? await teacherAPI.getAllStudents()
+        : await teacherAPI.getStudentsByLevel(parseInt(selectedLevel));
+      console.log('Students loaded:', response.data.length);
+      setStudents(response.data);
     } catch (error) {
       console.error('Error loading students:', error);
       console.error('Error details:', {
@@ -100,48 +67,15 @@ function StudentProgressPage() {
         achievementsPromise
       ]);
       
-      console.log('Teacher - Quiz history API response:', historyResponse);
-      console.log('Teacher - Quiz history data:', historyResponse.data);
-      console.log('Teacher - Quiz history array:', historyResponse.data.history);
+      const historyData = historyResponse.data;
+      const achievementsData = achievementsResponse.data;
       
-      console.log('Teacher - Achievements API response:', achievementsResponse);
-      console.log('Teacher - Achievements data:', achievementsResponse.data);
-      console.log('Teacher - Achievements array:', achievementsResponse.data.achievements);
-      
-      // Handle different possible response structures for history
-      let historyData = [];
-      if (historyResponse.data.history) {
-        historyData = historyResponse.data.history;
-      } else if (historyResponse.data.data && historyResponse.data.data.history) {
-        historyData = historyResponse.data.data.history;
-      } else if (Array.isArray(historyResponse.data)) {
-        historyData = historyResponse.data;
-      } else {
-        console.warn('Teacher - Could not find quiz history in response structure');
-      }
-      
-      // Handle different possible response structures for achievements
-      let achievementsData = [];
-      if (achievementsResponse.data.achievements) {
-        achievementsData = achievementsResponse.data.achievements;
-        console.log('Teacher - Using achievementsResponse.data.achievements');
-      } else if (achievementsResponse.data.data && achievementsResponse.data.data.achievements) {
-        achievementsData = achievementsResponse.data.data.achievements;
-        console.log('Teacher - Using achievementsResponse.data.data.achievements');
-      } else if (Array.isArray(achievementsResponse.data)) {
-        achievementsData = achievementsResponse.data;
-        console.log('Teacher - Using achievementsResponse.data as array');
-      } else {
-        console.warn('Teacher - Could not find achievements in response structure');
-        console.log('Teacher - Full achievements response structure:', achievementsResponse.data);
-      }
-      
-      console.log('Teacher - Final processed history data:', historyData);
-      console.log('Teacher - Final processed achievements data:', achievementsData);
+      console.log('Teacher - Quiz history:', historyData);
+      console.log('Teacher - Achievements:', achievementsData);
       
       setStudentDetails({
         history: historyData,
-        achievements: achievementsData
+        achievements: dedupeQuizAchievements(achievementsData)
       });
     } catch (error) {
       console.error('Error loading student details:', error);
@@ -166,19 +100,27 @@ function StudentProgressPage() {
     console.log('📊 Teacher Dashboard: Calculating stats for selected student');
     
     if (!studentDetails?.history || studentDetails.history.length === 0) {
-      return { average: 0, total: 0, recent: 0 };
+      return { average: 0, total: 0, recent: 0, averagePace: null };
     }
     
     const history = studentDetails.history;
     const totalScore = history.reduce((sum, quiz) => sum + quiz.score, 0);
     const average = Math.round(totalScore / history.length);
     const recent = history.length > 0 ? history[0].score : 0; // Most recent quiz
+
+    // Pacing only exists for results saved with timing data
+    const paces = history.map(quiz => summarizePacing(quiz.timing)).filter(Boolean);
+    const averagePace = paces.length > 0
+      ? Math.round(paces.reduce((sum, pace) => sum + pace.averageSeconds, 0) / paces.length)
+      : null;
     
-    const result = { average, total: history.length, recent };
+    const result = { average, total: history.length, recent, averagePace };
     console.log('📊 Teacher Dashboard: Stats calculated ->', result);
     return result;
   }, [studentDetails]);
 
+  const mastery = useMemo(() => estimateMastery(studentDetails?.history), [studentDetails]);
+
   const getPerformanceColor = (score) => {
     if (score >= 90) return 'text-green-600 bg-green-50';
     if (score >= 80) return 'text-blue-600 bg-blue-50';
@@ -321,7 +263,7 @@ function StudentProgressPage() {
                 ) : (
                   <>
                     {/* Performance Stats */}
-                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
                       {(() => {
                         const stats = studentStats;
                         return (
@@ -355,11 +297,26 @@ function StudentProgressPage() {
                                 <div className="text-2xl">📊</div>
                               </div>
                             </div>
+
+                            <div className="stat-card">
+                              <div className="flex items-center justify-between">
+                                <div>
+                                  <p className="text-sm text-gray-600">Avg Time / Question</p>
+                                  <p className="text-2xl font-bold text-gray-900">
+                                    {stats.averagePace !== null ? formatDuration(stats.averagePace) : '—'}
+                                  </p>
+                                </div>
+                                <div className="text-2xl">⏱️</div>
+                              </div>
+                            </div>
                           </>
                         );
                       })()}
                     </div>
 
+                    {/* Mastery per Learning Objective */}
+                    <MasteryOverview objectives={mastery} limit={8} />
+
                     {/* Achievements and Quiz History */}
                     <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
                       {/* Recent Achievements */}
@@ -413,25 +370,54 @@ function StudentProgressPage() {
                           </div>
                         ) : (
                           <div className="space-y-3">
-                            {studentDetails?.history?.slice(0, 5).map((quiz, index) => (
-                              <div key={index} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
-                                <div className="flex-1">
-                                  <h4 className="font-medium text-gray-900 text-sm">{quiz.resourceTitle}</h4>
-                                  <p className="text-xs text-gray-500">
-                                    {new Date(quiz.completedAt).toLocaleDateString()} • 
-                                    {quiz.correctAnswers}/{quiz.totalQuestions} correct
-                                  </p>
-                                </div>
-                                <div className={`px-2 py-1 rounded-full text-xs font-medium ${getPerformanceColor(quiz.score)}`}>
-                                  {quiz.score}%
+                            {studentDetails?.history?.slice(0, 5).map((quiz, index) => {
+                              const pacing = summarizePacing(quiz.timing);
+                              return (
+                                <div key={index} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                                  <div className="flex-1">
+                                    <h4 className="font-medium text-gray-900 text-sm">{quiz.resourceTitle}</h4>
+                                    <p className="text-xs text-gray-500">
+                                      {new Date(quiz.completedAt).toLocaleDateString()} • 
+                                      {quiz.correctAnswers}/{quiz.totalQuestions} correct
+                                    </p>
+                                    {pacing && (
+                                      <p className="text-xs text-gray-500">
+                                        ⏱️ {formatDuration(pacing.totalSeconds)} total • {formatDuration(pacing.averageSeconds)}/question
+                                        {' '}• slowest Q{pacing.slowestIndex + 1} ({formatDuration(pacing.slowestSeconds)})
+                                        {quiz.timing.examMode && ' • exam'}
+                                        {pacing.timedOut > 0 && (
+                                          <span className="text-red-600"> • {pacing.timedOut} timed out</span>
+                                        )}
+                                      </p>
+                                    )}
+                                  </div>
+                                  <div className="flex items-center space-x-2">
+                                    <div className={`px-2 py-1 rounded-full text-xs font-medium ${getPerformanceColor(quiz.score)}`}>
+                                      {quiz.score}%
+                                    </div>
+                                    {quiz.id && (
+                                      <Link to={`/quiz-attempts/${quiz.id}`} className="text-xs text-primary-600 hover:text-primary-700">
+                                        Review
+                                      </Link>
+                                    )}
+                                  </div>
                                 </div>
-                              </div>
-                            ))}
+                              );
+                            })}
                           </div>
                         )}
                       </div>
                     </div>
 
+                    {/* Prompt Games */}
+                    <GameSessionHistory studentId={selectedStudent.id} limit={5} title="🎮 Prompt Games" />
+
+                    {/* Lab Replays */}
+                    <SimulationReplayHistory studentId={selectedStudent.id} limit={5} />
+
+                    {/* Lab Procedures */}
+                    <LabProcedureList studentId={selectedStudent.id} />
+
                     {/* Full Quiz History Table */}
                     {studentDetails?.history?.length > 5 && (
                       <div className="card card-padding">
@@ -444,6 +430,8 @@ function StudentProgressPage() {
                                 <th className="text-left py-3 px-4 font-medium text-gray-900">Date</th>
                                 <th className="text-left py-3 px-4 font-medium text-gray-900">Score</th>
                                 <th className="text-left py-3 px-4 font-medium text-gray-900">Performance</th>
+                                <th className="text-left py-3 px-4 font-medium text-gray-900">Pacing</th>
+                                <th className="text-left py-3 px-4 font-medium text-gray-900"></th>
                               </tr>
                             </thead>
                             <tbody>
@@ -459,6 +447,18 @@ function StudentProgressPage() {
                                     </span>
                                   </td>
                                   <td className="py-3 px-4 text-gray-600">{quiz.correctAnswers}/{quiz.totalQuestions}</td>
+                                  <td className="py-3 px-4 text-gray-600 text-sm">
+                                    {quiz.timing
+                                      ? `${formatDuration(quiz.timing.totalTimeSeconds)}${quiz.timing.autoSubmitted ? ' ⏰' : ''}`
+                                      : '—'}
+                                  </td>
+                                  <td className="py-3 px-4 text-sm">
+                                    {quiz.id && (
+                                      <Link to={`/quiz-attempts/${quiz.id}`} className="text-primary-600 hover:text-primary-700">
+                                        Review
+                                      </Link>
+                                    )}
+                                  </td>
                                 </tr>
                               ))}
                             </tbody>
@@ -26,10 +26,10 @@ const TeacherChatPage = () => {
         
         // TODO: Replace with real API calls
         // const dashboardResponse = await qnaAPI.getTeacherDashboard(user.id);
-        // setLevelStats(dashboardResponse.data.levels);
+        // setLevelStats(dashboardResponse.data);
         
         const messagesResponse = await qnaAPI.getTeacherLevelMessages(selectedLevel);
-        setMessages(messagesResponse.data.data.messages);
+        setMessages(messagesResponse.data);
         
         // Mock data that matches API format
         const mockDashboardResponse = {
@@ -111,7 +111,7 @@ const TeacherChatPage = () => {
         
         console.log('✅ Teacher data loaded:', {
           levelStats: mockDashboardResponse.data.levels,
-          messages: messagesResponse.data.data.messages
+          messages: messagesResponse.data
         });
       } catch (error) {
         console.error('❌ Error loading teacher data:', error);
@@ -196,7 +196,7 @@ const TeacherChatPage = () => {
 
       // TODO: Replace with real API call
       const response = await qnaAPI.sendTeacherMessage(messageData);
-      // const newMessageObj = response.data.message;
+      // const newMessageObj = response.data;
       
       // Simulate API call
       await new Promise(resolve => setTimeout(resolve, 500));
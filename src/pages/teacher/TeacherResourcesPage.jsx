@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import DashboardLayout from '../../layout/DashboardLayout';
 import { teacherAPI } from '../../services/api';
+import { getExamSettings, validateExamSettings, MIN_QUESTION_TIME_LIMIT_SECONDS, MAX_QUESTION_TIME_LIMIT_SECONDS } from '../../services/quizTiming';
 
 /**
  * Teacher Resources Page Component
@@ -34,28 +35,9 @@ function TeacherResourcesPage() {
       console.log('🔍 Loading resources for teacher:', user.id);
       
       const response = await teacherAPI.getTeacherResources(user.id);
-      console.log('📥 Raw API response:', response);
-      
-      // Handle different possible response structures
-      let resourcesData = [];
-      
-      if (response.data) {
-        // If response.data exists, check its structure
-        if (response.data.resources && Array.isArray(response.data.resources)) {
-          resourcesData = response.data.resources;
-        } else if (Array.isArray(response.data)) {
-          resourcesData = response.data;
-        } else if (response.data.success && response.data.resources) {
-          resourcesData = response.data.resources;
-        } else {
-          // If data exists but not in expected format, log it
-          console.log('🔍 Unexpected response.data structure:', response.data);
-          resourcesData = [];
-        }
-      } else if (response.resources && Array.isArray(response.resources)) {
-        resourcesData = response.resources;
-      } else if (Array.isArray(response)) {
-        resourcesData = response;
+      const resourcesData = response.data;
+      if (response.error) {
+        console.warn('⚠️ Teacher resources unavailable:', response.error.message);
       }
       
       console.log('✅ Processed resources data:', resourcesData);
@@ -83,40 +65,13 @@ function TeacherResourcesPage() {
       
       console.log('✅ Upload response:', response);
       
-      // Handle different response structures
-      let newResource = null;
-      let notificationsSent = 0;
-      
-      if (response.data) {
-        if (response.data.resource) {
-          newResource = response.data.resource;
-        } else if (response.data.success) {
-          // Check if success response has resource data
-          newResource = response.data.resource || {
-            id: Date.now().toString(),
-            ...resourceData,
-            createdAt: new Date().toISOString()
-          };
-        } else {
-          // If no resource in response, create one from the uploaded data
-          newResource = {
-            id: Date.now().toString(), // Temporary ID
-            ...resourceData,
-            createdAt: new Date().toISOString()
-          };
-        }
-        notificationsSent = response.data.notificationsSent || 0;
-      } else if (response.resource) {
-        newResource = response.resource;
-        notificationsSent = response.notificationsSent || 0;
-      } else {
-        // Fallback: create resource from uploaded data
-        newResource = {
-          id: Date.now().toString(),
-          ...resourceData,
-          createdAt: new Date().toISOString()
-        };
-      }
+      // The backend may omit the created resource; fall back to the uploaded data
+      const newResource = response.data || {
+        id: Date.now().toString(), // Temporary ID
+        ...resourceData,
+        createdAt: new Date().toISOString()
+      };
+      const notificationsSent = response.meta.notificationsSent || 0;
       
       console.log('✅ Processed new resource:', newResource);
       
@@ -306,6 +261,11 @@ function TeacherResourcesPage() {
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${getResourceTypeColor(resource.type)}`}>
                       {resource.type}
                     </span>
+                    {getExamSettings(resource) && (
+                      <span className="px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                        ⏱️ Exam
+                      </span>
+                    )}
                   </div>
                   
                   <div className="text-xs text-gray-500">
@@ -396,7 +356,10 @@ function UploadResourceModal({ onClose, onSubmit }) {
     subject: '',
     tags: '',
     url: '',
-    fileName: ''
+    fileName: '',
+    examMode: false,
+    timeLimitMinutes: '',
+    questionTimeLimitSeconds: ''
   });
   const [loading, setLoading] = useState(false);
 
@@ -427,12 +390,26 @@ function UploadResourceModal({ onClose, onSubmit }) {
       return;
     }
 
+    // Exam mode: timed quizzes for this resource
+    const { examMode, timeLimitMinutes, questionTimeLimitSeconds, ...resourceFields } = formData;
+    const quizSettings = examMode ? {
+      examMode: true,
+      timeLimitSeconds: timeLimitMinutes ? Math.round(parseFloat(timeLimitMinutes) * 60) : null,
+      questionTimeLimitSeconds: questionTimeLimitSeconds ? parseInt(questionTimeLimitSeconds) : null
+    } : null;
+    const examSettingsError = validateExamSettings(quizSettings);
+    if (examSettingsError) {
+      alert(examSettingsError);
+      return;
+    }
+
     try {
       setLoading(true);
       await onSubmit({
-        ...formData,
+        ...resourceFields,
         level: parseInt(formData.level),
-        tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag)
+        tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
+        ...(quizSettings && { quizSettings })
       });
     } catch (error) {
       console.error('Error submitting form:', error);
@@ -617,6 +594,60 @@ function UploadResourceModal({ onClose, onSubmit }) {
             </div>
           </div>
 
+          {/* Exam Mode */}
+          <div className="p-4 border border-gray-200 rounded-lg">
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.examMode}
+                onChange={(e) => setFormData(prev => ({ ...prev, examMode: e.target.checked }))}
+                className="mr-3 h-4 w-4"
+              />
+              <span className="text-sm font-medium text-gray-700">⏱️ Exam mode (timed quizzes)</span>
+            </label>
+            <p className="text-xs text-gray-500 mt-1">
+              Quizzes on this resource show a countdown and are submitted automatically when time runs out.
+            </p>
+
+            {formData.examMode && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Total Time Limit (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="180"
+                    step="0.5"
+                    value={formData.timeLimitMinutes}
+                    onChange={(e) => setFormData(prev => ({ ...prev, timeLimitMinutes: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+                    placeholder="e.g., 10"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Time Per Question (seconds)
+                  </label>
+                  <input
+                    type="number"
+                    min={MIN_QUESTION_TIME_LIMIT_SECONDS}
+                    max={MAX_QUESTION_TIME_LIMIT_SECONDS}
+                    value={formData.questionTimeLimitSeconds}
+                    onChange={(e) => setFormData(prev => ({ ...prev, questionTimeLimitSeconds: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+                    placeholder="e.g., 60"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 sm:col-span-2">
+                  Set either limit or both. With a per-question limit, students move on automatically and cannot go back.
+                </p>
+              </div>
+            )}
+          </div>
+
           {/* Submit Buttons */}
           <div className="flex justify-end space-x-3 pt-6 border-t">
             <button
@@ -17,6 +17,8 @@ import CreateAssignmentPage from '../pages/teacher/CreateAssignmentPage';
 import GradeProjectsPage from '../pages/teacher/GradeProjectsPage';
 import TeacherChatPage from '../pages/teacher/TeacherChatPage';
 import ScheduleLabPage from '../pages/teacher/ScheduleLabPage';
+import QuizBanksPage from '../pages/teacher/QuizBanksPage';
+import GameReviewsPage from '../pages/teacher/GameReviewsPage';
 // Student pages
 import StudentResourcesPage from '../pages/student/StudentResourcesPage';
 import TakeQuizPage from '../pages/student/TakeQuizPage';
@@ -24,6 +26,8 @@ import SimulationPage from '../pages/student/SimulationPage';
 import SubmitProjectPage from '../pages/student/SubmitProjectPage';
 import QnAPage from '../pages/student/QnAPage';
 import JoinLabPage from '../pages/student/JoinLabPage';
+import QuizAttemptPage from '../pages/student/QuizAttemptPage';
+import TrophyCabinetPage from '../pages/student/TrophyCabinetPage';
 // Parent pages
 import PerformanceReportsPage from '../pages/parent/PerformanceReportsPage';
 import DashboardLayout from '../layout/DashboardLayout';
@@ -194,6 +198,15 @@ function AppRoutes() {
         } 
       />
 
+      <Route 
+        path="trophies" 
+        element={
+          <ProtectedRoute allowedRoles="student">
+            <TrophyCabinetPage />
+          </ProtectedRoute>
+        } 
+      />
+
       {/* Parent-only routes */}
       <Route 
         path="children-progress" 
@@ -295,6 +308,34 @@ function AppRoutes() {
           </ProtectedRoute>
         } 
       />
+      
+      <Route 
+        path="quiz-banks" 
+        element={
+          <ProtectedRoute allowedRoles={['teacher', 'admin']}>
+            <QuizBanksPage />
+          </ProtectedRoute>
+        } 
+      />
+
+      <Route 
+        path="game-reviews" 
+        element={
+          <ProtectedRoute allowedRoles={['teacher', 'admin']}>
+            <GameReviewsPage />
+          </ProtectedRoute>
+        } 
+      />
+
+      {/* Quiz attempt replay - the student, their parents and teachers (the backend checks access) */}
+      <Route 
+        path="quiz-attempts/:resultId" 
+        element={
+          <ProtectedRoute allowedRoles={['student', 'parent', 'teacher', 'admin']}>
+            <QuizAttemptPage />
+          </ProtectedRoute>
+        } 
+      />
 
       {/* Profile route - accessible to all authenticated users */}
       <Route 
@@ -9,7 +9,7 @@ import { useAuth } from '../context/AuthContext';
  * @param {string} redirectTo - Where to redirect unauthorized users (optional)
  */
 function ProtectedRoute({ children, allowedRoles, redirectTo = '/login' }) {
-  const { user, loading, isAuthenticated } = useAuth();
+  const { user, loading, isAuthenticated, sessionExpired } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking authentication
@@ -26,7 +26,10 @@ function ProtectedRoute({ children, allowedRoles, redirectTo = '/login' }) {
 
   // Redirect to login if not authenticated
   if (!isAuthenticated || !user) {
-    return <Navigate to="/login" state={{ from: location.pathname }} replace />;
+    const state = sessionExpired
+      ? { from: location.pathname, message: 'Your session has expired. Please log in again.' }
+      : { from: location.pathname };
+    return <Navigate to="/login" state={state} replace />;
   }
 
   // Check role-based authorization
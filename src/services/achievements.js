@@ -0,0 +1,152 @@
+// Achievements - quiz trophies and milestone badges for the trophy cabinet
+//
+// Quiz trophies are saved by QuizResults through quizAPI.saveAchievement, one per resource:
+// a retake only saves again when it reaches a higher level. Milestone badges (quiz streaks,
+// simulations, assignments, lab sessions) are worked out from the student's activity each
+// time, like mastery, so they never need saving and can't be earned twice.
+
+// Quiz trophy levels, lowest first - thresholds match QuizResults.getAchievementData
+export const QUIZ_LEVELS = [
+  { level: 'participation', minScore: 0, title: 'Keep Learning' },
+  { level: 'bronze', minScore: 70, title: 'Learning Champion' },
+  { level: 'silver', minScore: 80, title: 'Knowledge Star' },
+  { level: 'gold', minScore: 90, title: 'Quiz Master' }
+];
+
+const levelRank = (level) => QUIZ_LEVELS.findIndex(entry => entry.level === level);
+
+export const TIER_NAMES = ['Bronze', 'Silver', 'Gold', 'Platinum'];
+
+// Each milestone has tiers: the thresholds its stat has to reach, lowest first
+export const MILESTONES = [
+  { id: 'quizzes_completed', title: 'Quiz Explorer', icon: '🧭', description: 'Complete quizzes', unit: 'quizzes', stat: 'quizzesCompleted', tiers: [1, 5, 10, 25] },
+  { id: 'high_scores', title: 'High Flyer', icon: '🚀', description: 'Score 90% or more on a quiz', unit: 'quizzes', stat: 'highScores', tiers: [1, 5, 15] },
+  { id: 'perfect_scores', title: 'Perfectionist', icon: '💯', description: 'Get every question right', unit: 'perfect quizzes', stat: 'perfectScores', tiers: [1, 3, 10] },
+  { id: 'quiz_streak', title: 'On a Roll', icon: '🔥', description: 'Take a quiz on consecutive days', unit: 'days in a row', stat: 'bestStreak', tiers: [3, 7, 14] },
+  { id: 'simulations_completed', title: 'Lab Scientist', icon: '🔬', description: 'Finish interactive simulations', unit: 'simulations', stat: 'simulationsCompleted', tiers: [1, 5, 10] },
+  { id: 'assignments_on_time', title: 'Early Bird', icon: '⏰', description: 'Hand in assignments before they are due', unit: 'assignments', stat: 'assignmentsOnTime', tiers: [1, 5, 10] },
+  { id: 'labs_attended', title: 'Lab Regular', icon: '🧪', description: 'Attend lab sessions', unit: 'sessions', stat: 'labsAttended', tiers: [1, 3, 10] }
+];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+};
+
+/**
+ * Longest and current run of consecutive days with at least one quiz. The current streak
+ * still counts if the last quiz was yesterday.
+ * @param {string[]} dates - ISO date strings
+ * @param {Date} [now]
+ * @returns {{ best: number, current: number }}
+ */
+export const getDayStreaks = (dates, now = new Date()) => {
+  const days = [...new Set(dates.filter(Boolean).map(startOfDay))].sort((a, b) => a - b);
+
+  let best = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    const previous = days[index - 1];
+    // Rounding absorbs the hour lost or gained on daylight saving changes
+    run = previous && Math.round((day - previous) / 86400000) === 1 ? run + 1 : 1;
+    best = Math.max(best, run);
+  });
+
+  const last = days[days.length - 1];
+  const current = last && Math.round((startOfDay(now) - last) / 86400000) <= 1 ? run : 0;
+
+  return { best, current };
+};
+
+/**
+ * Count what milestones are measured on. Every source is optional so the cabinet still
+ * works when one of them fails to load.
+ * @param {object} activity
+ * @param {object[]} [activity.quizHistory] - quizAPI.getStudentQuizHistory
+ * @param {number} [activity.simulationsCompleted] - completed simulations, the total across every page
+ * @param {object[]} [activity.submissions] - assignmentAPI.getStudentSubmissionHistory
+ * @param {object[]} [activity.bookings] - labBookingAPI.getStudentBookings
+ * @returns {object}
+ */
+export const collectStats = ({ quizHistory = [], simulationsCompleted = 0, submissions = [], bookings = [] }) => {
+  const streaks = getDayStreaks(quizHistory.map(result => result.completedAt));
+
+  // Resubmitting doesn't count twice: an assignment counts once if any version was on time
+  const onTimeAssignments = new Set(
+    submissions
+      .filter(submission => !submission.isLate)
+      .map(submission => submission.assignment?.id || submission.assignmentId || submission.id)
+  );
+
+  return {
+    quizzesCompleted: quizHistory.length,
+    highScores: quizHistory.filter(result => result.score >= 90).length,
+    perfectScores: quizHistory.filter(result => result.score === 100).length,
+    bestStreak: streaks.best,
+    currentStreak: streaks.current,
+    simulationsCompleted,
+    assignmentsOnTime: onTimeAssignments.size,
+    labsAttended: bookings.filter(booking => booking.status === 'completed').length
+  };
+};
+
+/**
+ * Where the student stands on every milestone.
+ * @param {object} stats - from collectStats
+ * @returns {object[]} [{ ...milestone, value, tier, tierName, earned, complete, next, progress }];
+ *   tier is the number of tiers reached and progress (0-1) is measured from the last tier to the next
+ */
+export const evaluateMilestones = (stats) => MILESTONES.map(milestone => {
+  const value = stats[milestone.stat] || 0;
+  const tier = milestone.tiers.filter(threshold => value >= threshold).length;
+  const next = milestone.tiers[tier] ?? null;
+  const floor = tier > 0 ? milestone.tiers[tier - 1] : 0;
+
+  return {
+    ...milestone,
+    value,
+    tier,
+    tierName: tier > 0 ? TIER_NAMES[tier - 1] : null,
+    earned: tier > 0,
+    complete: next === null,
+    next,
+    progress: next === null ? 1 : Math.min(1, (value - floor) / (next - floor))
+  };
+});
+
+// The unfinished milestones closest to their next tier
+export const getNextMilestones = (milestones, count = 3) => milestones
+  .filter(milestone => !milestone.complete)
+  .sort((a, b) => b.progress - a.progress || (a.next - a.value) - (b.next - b.value))
+  .slice(0, count);
+
+const achievementKey = (achievement) => achievement.resourceId || achievement.resourceTitle || achievement.title;
+
+/**
+ * Collapse saved quiz achievements to one trophy per resource: the best level, as first earned.
+ * @param {object[]} achievements - quizAPI.getStudentAchievements
+ * @returns {object[]} newest first
+ */
+export const dedupeQuizAchievements = (achievements) => {
+  const best = new Map();
+
+  [...(achievements || [])]
+    .sort((a, b) => new Date(a.unlockedAt) - new Date(b.unlockedAt))
+    .forEach(achievement => {
+      const key = achievementKey(achievement);
+      const current = best.get(key);
+      if (!current || levelRank(achievement.level) > levelRank(current.level)) {
+        best.set(key, achievement);
+      }
+    });
+
+  return [...best.values()].sort((a, b) => new Date(b.unlockedAt) - new Date(a.unlockedAt));
+};
+
+// A new quiz achievement is only worth saving when it beats what the student has for that resource
+export const isAchievementUpgrade = (existing, candidate) => !(existing || []).some(achievement => (
+  achievementKey(achievement) === achievementKey(candidate) && levelRank(achievement.level) >= levelRank(candidate.level)
+));
+
+// The next trophy level for a resource, or null at gold
+export const getNextQuizLevel = (level) => QUIZ_LEVELS[levelRank(level) + 1] || null;
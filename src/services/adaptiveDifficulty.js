@@ -0,0 +1,111 @@
+// Adaptive difficulty - picks a starting difficulty from recent quiz results and steers it mid-quiz
+//
+// Questions are rated 1 (easy), 2 (medium) or 3 (hard). An adaptive quiz is generated as a
+// pool covering every difficulty; the student sees ADAPTIVE_QUIZ_LENGTH questions from it, one
+// at a time, each picked at the current level. Consecutive misses step the level down and a
+// streak of correct answers steps it up.
+
+export const DIFFICULTY_LABELS = { 1: 'Easy', 2: 'Medium', 3: 'Hard' };
+export const MIN_DIFFICULTY = 1;
+export const MAX_DIFFICULTY = 3;
+export const DEFAULT_DIFFICULTY = 2;
+
+export const ADAPTIVE_POOL_SIZE = 12;
+export const ADAPTIVE_QUIZ_LENGTH = 6;
+
+const RECENT_RESULTS = 5;
+const MISSES_TO_STEP_DOWN = 2;
+const STREAK_TO_STEP_UP = 3;
+
+const clampDifficulty = (level) => Math.min(MAX_DIFFICULTY, Math.max(MIN_DIFFICULTY, level));
+
+// Unrated questions (older quizzes, banks) count as medium
+export const difficultyOf = (question) => question?.difficulty ?? DEFAULT_DIFFICULTY;
+
+/**
+ * Work out where a quiz should start from the student's recent results.
+ * Results for the same resource say the most, so they are used when there are at least two.
+ * @param {object[]} history - quiz results as returned by quizAPI.getStudentQuizHistory
+ * @param {string} [resourceId]
+ * @returns {{ target: number, band: number[], recentAverage: number|null, basedOn: number }}
+ */
+export const getTargetDifficulty = (history, resourceId) => {
+  const sorted = [...(history || [])].sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+  const sameResource = sorted.filter(result => resourceId && result.resourceId === resourceId);
+  const recent = (sameResource.length >= 2 ? sameResource : sorted).slice(0, RECENT_RESULTS);
+
+  if (recent.length === 0) {
+    return { target: DEFAULT_DIFFICULTY, band: [MIN_DIFFICULTY, MAX_DIFFICULTY], recentAverage: null, basedOn: 0 };
+  }
+
+  const recentAverage = Math.round(recent.reduce((sum, result) => sum + result.score, 0) / recent.length);
+  const target = recentAverage < 50 ? 1 : recentAverage >= 85 ? 3 : 2;
+  return {
+    target,
+    band: [clampDifficulty(target - 1), clampDifficulty(target + 1)],
+    recentAverage,
+    basedOn: recent.length
+  };
+};
+
+/**
+ * Replay the answers so far to get the current level. The streak starts over after every
+ * step, so a run of misses keeps stepping down rather than dropping on every answer.
+ * @param {number} startLevel
+ * @param {boolean[]} outcomes - whether each question so far was answered correctly
+ * @returns {number}
+ */
+export const levelAfter = (startLevel, outcomes) => {
+  let level = clampDifficulty(startLevel);
+  let streak = 0;
+  let previous = null;
+
+  outcomes.forEach(correct => {
+    streak = correct === previous ? streak + 1 : 1;
+    previous = correct;
+    if (!correct && streak >= MISSES_TO_STEP_DOWN) {
+      level = clampDifficulty(level - 1);
+      streak = 0;
+    } else if (correct && streak >= STREAK_TO_STEP_UP) {
+      level = clampDifficulty(level + 1);
+      streak = 0;
+    }
+  });
+
+  return level;
+};
+
+/**
+ * Choose the next question of an adaptive quiz: the first unused pool question whose
+ * difficulty is closest to the current level.
+ * @param {object[]} pool - all generated questions (each with a unique id)
+ * @param {object[]} served - questions shown so far, in order
+ * @param {boolean[]} outcomes - whether each served question was answered correctly
+ * @param {number} startLevel
+ * @returns {{ question: object|null, level: number }}
+ */
+export const pickNextQuestion = (pool, served, outcomes, startLevel) => {
+  const level = levelAfter(startLevel, outcomes);
+  const servedIds = new Set(served.map(question => question.id));
+  const question = pool
+    .filter(candidate => !servedIds.has(candidate.id))
+    .reduce((best, candidate) => (
+      !best || Math.abs(difficultyOf(candidate) - level) < Math.abs(difficultyOf(best) - level) ? candidate : best
+    ), null);
+
+  return { question, level };
+};
+
+// Questions the student never reached (the quiz timed out) are still picked and count as unanswered,
+// so running out the clock can't shorten an adaptive quiz to its easy start
+export const completeAdaptiveQuiz = (pool, served, outcomes, startLevel, length) => {
+  const questions = [...served];
+  const allOutcomes = [...outcomes];
+  while (questions.length < length) {
+    const { question } = pickNextQuestion(pool, questions, allOutcomes, startLevel);
+    if (!question) break;
+    questions.push(question);
+    allOutcomes.push(false);
+  }
+  return questions;
+};
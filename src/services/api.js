@@ -1,4 +1,24 @@
 import axios from 'axios';
+import offlineQueue, { isNetworkError } from './offlineQueue';
+import llmGateway from './llmGateway';
+import {
+  QUIZ_RESPONSE_SCHEMA,
+  QUESTION_LIST_SCHEMA,
+  QUIZ_MIN_QUESTIONS,
+  QUIZ_MAX_QUESTIONS,
+  QUESTION_TYPES,
+  QUESTION_TYPE_GUIDE,
+  extractJson,
+  validateQuestions
+} from './quizSchema';
+import { validateExamSettings } from './quizTiming';
+import { validateBank } from './quizBank';
+import { createCard } from './spacedRepetition';
+import { ADAPTIVE_POOL_SIZE, DIFFICULTY_LABELS } from './adaptiveDifficulty';
+import { isRenderedBadge } from './badgeRenderer';
+import { createXpEvent, publishXpEvent, LEADERBOARD_NAME_DISPLAY, LEADERBOARD_PERIODS } from './xp';
+import { GAME_VISIBILITY, validateGameTitle } from './gameLibrary';
+import { validateStep } from './stepValidation';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -34,22 +54,82 @@ const sanitizeInput = (input) => {
   return input;
 };
 
+// ===== Session handling =====
+// Expired tokens are refreshed silently. Only one refresh runs at a time: requests
+// issued (or failing with 401) while it is pending wait for it and are then sent
+// again with the new token. When refresh fails, listeners registered through
+// onSessionExpired are told so AuthContext can log the user out without a page reload.
+
+const sessionExpiredListeners = new Set();
+let refreshPromise = null;
+
+export const onSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => sessionExpiredListeners.delete(listener);
+};
+
+const expireSession = (reason) => {
+  console.warn('Session expired - clearing stored credentials:', reason);
+  localStorage.removeItem('authToken');
+  localStorage.removeItem('userData');
+  sessionExpiredListeners.forEach(listener => {
+    try {
+      listener(reason);
+    } catch (error) {
+      console.error('Session expired listener failed:', error);
+    }
+  });
+};
+
+// Refresh the access token once, sharing the pending request between all callers
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = authAPI.refreshToken()
+      .then((response) => {
+        const payload = response.data?.data || response.data || {};
+        const token = payload.token || payload.accessToken;
+        if (!securityUtils.isValidTokenFormat(token)) {
+          throw new Error('Refresh response did not include a valid token');
+        }
+        localStorage.setItem('authToken', token);
+        if (payload.user) {
+          localStorage.setItem('userData', JSON.stringify(payload.user));
+        }
+        console.log('🔑 Access token refreshed');
+        return token;
+      })
+      .catch((error) => {
+        expireSession(error.message || 'Token refresh failed');
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor to add auth tokens and sanitize data
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
     // Add auth token
-    const token = localStorage.getItem('authToken');
-    if (token) {
+    let token = localStorage.getItem('authToken');
+    if (token && !config.skipAuthRefresh) {
       // Validate token format (basic check)
-      if (token.split('.').length === 3) { // JWT has 3 parts
-        config.headers.Authorization = `Bearer ${token}`;
-      } else {
+      if (!securityUtils.isValidTokenFormat(token)) {
         console.error('Invalid token format detected');
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('userData');
-        window.location.href = '/login';
+        expireSession('Invalid token format');
         return Promise.reject(new Error('Invalid token'));
       }
+
+      // Hold the request until a pending refresh finishes, and refresh proactively
+      // instead of sending a token we already know the server will reject
+      if (refreshPromise || securityUtils.isTokenExpired(token)) {
+        token = await refreshAccessToken();
+      }
+    }
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
     }
 
     // Set Content-Type based on data type
@@ -94,18 +174,40 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Unauthorized - refresh the token once and replay the original request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest.skipAuthRefresh &&
+      !originalRequest._retriedAfterRefresh &&
+      localStorage.getItem('authToken')
+    ) {
+      originalRequest._retriedAfterRefresh = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch {
+        console.warn('Authentication failed - token refresh was rejected');
+        return Promise.reject(error);
+      }
+    }
+
     // Enhanced error handling for security
     if (error.response) {
       const { status, data } = error.response;
       
       switch (status) {
         case 401:
-          // Unauthorized - clear auth data and redirect
-          console.warn('Authentication failed - clearing session');
-          localStorage.removeItem('authToken');
-          localStorage.removeItem('userData');
-          window.location.href = '/login';
+          // Still unauthorized with a freshly issued token - end the session
+          if (originalRequest?._retriedAfterRefresh) {
+            expireSession('Unauthorized after token refresh');
+          } else {
+            console.warn('Authentication failed');
+          }
           break;
           
         case 403:
@@ -137,6 +239,229 @@ api.interceptors.response.use(
   }
 );
 
+// ===== Response normalization =====
+// Every quiz, assignment, teacher, simulation, lab booking and Q&A method resolves to
+// the same shape so pages never have to probe `data.history`, `data.data.history`
+// or bare arrays by hand:
+//   {
+//     data,        // validated payload (list, object, string or blob)
+//     pagination,  // { page, limit, total, totalPages } or null
+//     meta,        // { status, endpoint, message, ...sibling fields such as stats }
+//     error        // null, or { message, status, endpoint } when a local fallback was used
+//   }
+// The schema passed by each method describes where the payload lives and what it
+// must look like; anything else is reported as an ApiResponseError.
+
+export class ApiResponseError extends Error {
+  constructor(message, { endpoint = null, status = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiResponseError';
+    this.endpoint = endpoint;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const ENVELOPE_KEYS = ['success', 'message', 'data', 'pagination', 'error'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Blob);
+
+const describeEndpoint = (response) => {
+  const config = response?.config;
+  return config ? `${config.method?.toUpperCase() || 'GET'} ${config.url}` : 'local';
+};
+
+const describeType = (value) => {
+  if (value === null || value === undefined) return 'nothing';
+  if (Array.isArray(value)) return 'a list';
+  if (value instanceof Blob) return 'a file';
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+};
+
+const EXPECTED_TYPE_LABELS = {
+  array: 'a list',
+  object: 'an object',
+  string: 'a string',
+  blob: 'a file'
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'string': return typeof value === 'string';
+    case 'blob': return value instanceof Blob;
+    default: return true;
+  }
+};
+
+// Copy the non-envelope fields of a container, leaving out the payload key itself
+const pickSiblings = (container, exclude) => {
+  if (!isPlainObject(container)) return {};
+  return Object.fromEntries(
+    Object.entries(container).filter(([field]) => !ENVELOPE_KEYS.includes(field) && field !== exclude)
+  );
+};
+
+const normalizePagination = (...containers) => {
+  const source = containers.find(container => isPlainObject(container?.pagination))?.pagination;
+  if (!source) return null;
+  return {
+    page: Number(source.page ?? source.currentPage ?? 1),
+    limit: source.limit ?? source.pageSize ?? null,
+    total: source.total ?? source.totalItems ?? source.totalCount ?? null,
+    totalPages: source.totalPages ?? source.pages ?? null
+  };
+};
+
+// Turn a caught error into the `error` field of a normalized response
+export const toErrorInfo = (error) => {
+  if (!error) return null;
+  return {
+    message: error.message || String(error),
+    status: error.response?.status ?? error.status ?? null,
+    endpoint: error.endpoint ?? null
+  };
+};
+
+/**
+ * Normalize an axios response (or a locally built `{ data }` object) into
+ * `{ data, pagination, meta, error }`.
+ *
+ * @param {object} response - axios response or `{ data }`
+ * @param {object} schema
+ * @param {string} [schema.key] - field holding the payload, looked up on the body and on `body.data`
+ * @param {'array'|'object'|'string'|'blob'|'any'} [schema.type='any'] - expected payload type
+ * @param {string[]} [schema.required] - fields an object payload must carry
+ * @param {boolean} [schema.optional] - resolve with null / [] instead of throwing when the payload is missing
+ */
+export const normalizeResponse = (response, schema = {}) => {
+  const { key, type = 'any', required = [], optional = false } = schema;
+  const endpoint = describeEndpoint(response);
+  const status = response?.status ?? null;
+  const body = response?.data ?? null;
+  const inner = isPlainObject(body) && isPlainObject(body.data) ? body.data : null;
+
+  if (isPlainObject(body) && body.success === false) {
+    throw new ApiResponseError(body.message || `Request to ${endpoint} was not successful`, { endpoint, status, body });
+  }
+
+  let data;
+  let container = null;
+  let found = false;
+
+  if (key) {
+    // Prefer the container whose field has the expected type, so a `data.message`
+    // payload is not shadowed by the envelope's `message` string
+    const candidates = [body, inner].filter(candidate => isPlainObject(candidate) && candidate[key] !== undefined);
+    container = candidates.find(candidate => matchesType(candidate[key], type))
+      || (ENVELOPE_KEYS.includes(key) ? null : candidates[0])
+      || null;
+    if (container) {
+      data = container[key];
+      found = true;
+    }
+  }
+
+  if (!found && type === 'array') {
+    if (Array.isArray(body)) {
+      data = body;
+      found = true;
+    } else if (isPlainObject(body) && Array.isArray(body.data)) {
+      data = body.data;
+      container = body;
+      found = true;
+    }
+  }
+
+  if (!found && !key) {
+    // Flatten `{ success, data: {...}, extra }` into one payload object
+    data = isPlainObject(body) ? { ...pickSiblings(body), ...(inner || {}) } : body;
+    found = data !== null && data !== undefined && data !== '';
+  }
+
+  const label = key ? `"${key}"` : 'payload';
+
+  if (!found) {
+    if (optional || type === 'any') {
+      data = type === 'array' ? [] : null;
+    } else {
+      throw new ApiResponseError(`Unexpected response from ${endpoint}: missing ${label}`, { endpoint, status, body });
+    }
+  } else if (!matchesType(data, type)) {
+    throw new ApiResponseError(
+      `Unexpected response from ${endpoint}: expected ${label} to be ${EXPECTED_TYPE_LABELS[type]}, got ${describeType(data)}`,
+      { endpoint, status, body }
+    );
+  }
+
+  if (required.length > 0 && isPlainObject(data)) {
+    const missing = required.filter(field => data[field] === undefined || data[field] === null);
+    if (missing.length > 0) {
+      throw new ApiResponseError(
+        `Unexpected response from ${endpoint}: ${label} is missing ${missing.join(', ')}`,
+        { endpoint, status, body }
+      );
+    }
+  }
+
+  return {
+    data,
+    pagination: normalizePagination(container, inner, body),
+    meta: {
+      ...(key && container !== body ? pickSiblings(body) : {}),
+      ...pickSiblings(container, key),
+      status,
+      endpoint,
+      message: isPlainObject(body) ? body.message ?? null : null
+    },
+    error: null
+  };
+};
+
+// ===== Offline outbox =====
+// Writes that must not be lost (quiz results, submissions, simulation state) go through
+// sendOrQueue. If the network is down the request is stored in the offline queue and the
+// caller gets a normalized response with `meta.queued = true` instead of an error.
+
+offlineQueue.setSender((entry) => api.request({
+  method: entry.method,
+  url: entry.url,
+  data: entry.data,
+  headers: { 'Idempotency-Key': entry.idempotencyKey }
+}));
+
+const sendOrQueue = async ({ method, url, data }, { dedupeKey, idempotencyKey = dedupeKey, label, schema }) => {
+  try {
+    const response = await api.request({
+      method,
+      url,
+      data,
+      headers: { 'Idempotency-Key': idempotencyKey }
+    });
+    // A newer write for the same record went through; don't replay a stale queued one over it
+    offlineQueue.remove(dedupeKey).catch(error => console.error('❌ OfflineQueue: Failed to clear entry:', error));
+    return normalizeResponse(response, schema);
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+
+    await offlineQueue.enqueue({ id: dedupeKey, idempotencyKey, label, method, url, data });
+    return {
+      data: null,
+      pagination: null,
+      meta: {
+        queued: true,
+        idempotencyKey,
+        status: null,
+        endpoint: `${method.toUpperCase()} ${url}`,
+        message: 'Saved offline - will sync when you reconnect'
+      },
+      error: toErrorInfo(error)
+    };
+  }
+};
+
 // Enhanced authentication API with input validation
 export const authAPI = {
   login: async (credentials) => {
@@ -169,8 +494,10 @@ export const authAPI = {
     return api.post('/auth/register', userData);
   },
   
+  // Exchange the current (possibly expired) token for a new one.
+  // Called by the interceptors; skipAuthRefresh keeps it out of the refresh flow itself.
   refreshToken: async () => {
-    return api.post('/auth/refresh');
+    return api.post('/auth/refresh', null, { skipAuthRefresh: true, withCredentials: true });
   },
   
   logout: async () => {
@@ -290,6 +617,39 @@ export const notificationAPI = {
 };
 
 // Image Generation API with validation and security
+// ===== AI proxy =====
+// AI text and image generation run on the backend, which holds the provider keys and
+// enforces per-user quotas. A request over quota fails with 429 and
+// `{ code: 'AI_QUOTA_EXCEEDED', message, quota: { limit, remaining, resetAt } }`.
+
+const readProxyError = async (error) => {
+  const body = error.response?.data;
+  // Blob requests (images) receive the JSON error body as a Blob as well
+  if (body instanceof Blob) {
+    try {
+      return JSON.parse(await body.text());
+    } catch {
+      return null;
+    }
+  }
+  return body || null;
+};
+
+export const aiAPI = {
+  // Used by the LLM gateway's proxy provider; the gateway applies its own timeout
+  generateText: async (payload, { signal } = {}) => {
+    const response = await api.post('/ai/generate', payload, { signal, timeout: 0 });
+    return normalizeResponse(response, { type: 'object', required: ['text'] }).data;
+  },
+
+  getQuota: async () => {
+    const response = await api.get('/ai/quota');
+    return normalizeResponse(response, { key: 'quota', type: 'object' });
+  }
+};
+
+llmGateway.setProxyTransport(aiAPI.generateText);
+
 export const imageGenerationAPI = {
   generateImage: async (prompt, retries = 2) => {
     if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
@@ -299,116 +659,52 @@ export const imageGenerationAPI = {
     // Sanitize and limit prompt length for security
     const sanitizedPrompt = sanitizeInput(prompt).substring(0, 500);
 
-    // Check for ClipDrop API key
-    const apiKey = import.meta.env.VITE_CLIP_DROP;
-    if (!apiKey) {
-      throw new Error('ClipDrop API key not configured');
-    }
-
-    console.log('🖼️ ClipDrop: Attempting image generation with prompt:', sanitizedPrompt);
-    console.log('🖼️ ClipDrop: Retries remaining:', retries);
+    console.log('🖼️ ImageGeneration: Attempting image generation with prompt:', sanitizedPrompt);
 
     for (let attempt = 0; attempt <= retries; attempt++) {
       try {
-        console.log(`🖼️ ClipDrop: Attempt ${attempt + 1}/${retries + 1}`);
-        
-        const formData = new FormData();
-        formData.append('prompt', sanitizedPrompt);
-        
-        // Note: ClipDrop text-to-image API only accepts 'prompt' parameter
-        // Additional parameters like width/height are not supported
-        
-        const response = await fetch('https://clipdrop-api.co/text-to-image/v1', {
-          method: 'POST',
-          headers: { 
-            'x-api-key': apiKey 
-          },
-          body: formData,
-        });
-
-        console.log('🖼️ ClipDrop: Response status:', response.status);
-        console.log('🖼️ ClipDrop: Response headers:', Object.fromEntries(response.headers.entries()));
+        console.log(`🖼️ ImageGeneration: Attempt ${attempt + 1}/${retries + 1}`);
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error('🖼️ ClipDrop: API error response:', errorText);
-          
-          // Handle specific error cases
-          if (response.status === 429) {
-            if (attempt < retries) {
-              console.log('🖼️ ClipDrop: Rate limited, waiting before retry...');
-              await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
-              continue;
-            } else {
-              throw new Error('ClipDrop API rate limit exceeded');
-            }
-          } else if (response.status === 400) {
-            throw new Error('ClipDrop API: Invalid prompt or parameters');
-          } else if (response.status === 401) {
-            throw new Error('ClipDrop API: Invalid API key');
-          } else {
-            throw new Error(`ClipDrop API error: ${response.status} - ${errorText}`);
-          }
-        }
+        const response = await api.post('/ai/image', { prompt: sanitizedPrompt }, {
+          responseType: 'blob',
+          timeout: 30000
+        });
 
-        // Check content type
-        const contentType = response.headers.get('content-type');
-        if (!contentType || !contentType.startsWith('image/')) {
-          throw new Error(`ClipDrop API returned non-image content: ${contentType}`);
+        const imageBlob = response.data;
+        if (!imageBlob?.type?.startsWith('image/')) {
+          throw new Error(`Image proxy returned non-image content: ${imageBlob?.type}`);
         }
-
-        const imageBlob = await response.blob();
-        
         if (imageBlob.size === 0) {
-          throw new Error('ClipDrop API returned empty image');
+          throw new Error('Image proxy returned empty image');
         }
 
-        console.log('✅ ClipDrop: Image generated successfully, size:', imageBlob.size, 'bytes');
-        
-        const imageUrl = URL.createObjectURL(imageBlob);
-        return imageUrl;
+        console.log('✅ ImageGeneration: Image generated successfully, size:', imageBlob.size, 'bytes');
+        return URL.createObjectURL(imageBlob);
 
       } catch (error) {
-        console.error(`🖼️ ClipDrop: Attempt ${attempt + 1} failed:`, error.message);
-        
-        if (attempt === retries) {
-          console.error('🖼️ ClipDrop: All retry attempts exhausted');
-          throw new Error(`Failed to generate image after ${retries + 1} attempts: ${error.message}`);
+        const status = error.response?.status;
+        const body = await readProxyError(error);
+
+        // Over quota or rejected prompt - retrying won't help
+        if (body?.code === 'AI_QUOTA_EXCEEDED') {
+          throw new Error(body.message || 'Image generation limit reached. Please try again later.');
         }
-        
-        // Wait before retry (exponential backoff)
-        if (attempt < retries) {
-          const waitTime = 1000 * Math.pow(2, attempt);
-          console.log(`🖼️ ClipDrop: Waiting ${waitTime}ms before retry...`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
+        if (status === 400) {
+          throw new Error(body?.message || 'Image generation: Invalid prompt');
         }
-      }
-    }
-  },
 
-  // Method to validate ClipDrop API key
-  validateApiKey: async () => {
-    const apiKey = import.meta.env.VITE_CLIP_DROP;
-    if (!apiKey) {
-      return { valid: false, error: 'API key not configured' };
-    }
+        console.error(`🖼️ ImageGeneration: Attempt ${attempt + 1} failed:`, body?.message || error.message);
 
-    try {
-      const response = await fetch('https://clipdrop-api.co/text-to-image/v1', {
-        method: 'POST',
-        headers: { 'x-api-key': apiKey },
-        body: new FormData() // Empty form to test auth
-      });
+        if (attempt === retries) {
+          console.error('🖼️ ImageGeneration: All retry attempts exhausted');
+          throw new Error(`Failed to generate image after ${retries + 1} attempts: ${body?.message || error.message}`);
+        }
 
-      // Even if the request fails due to missing prompt, a 400 means the key is valid
-      // A 401 means the key is invalid
-      if (response.status === 401) {
-        return { valid: false, error: 'Invalid API key' };
+        // Wait before retry (exponential backoff)
+        const waitTime = 1000 * Math.pow(2, attempt);
+        console.log(`🖼️ ImageGeneration: Waiting ${waitTime}ms before retry...`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
       }
-
-      return { valid: true };
-    } catch (error) {
-      return { valid: false, error: error.message };
     }
   }
 };
@@ -450,8 +746,10 @@ export const securityUtils = {
   isTokenExpired: (token) => {
     try {
       if (!securityUtils.isValidTokenFormat(token)) return true;
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      return payload.exp * 1000 < Date.now();
+      // JWT segments are base64url encoded; convert before decoding
+      const segment = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      const payload = JSON.parse(atob(segment.padEnd(Math.ceil(segment.length / 4) * 4, '=')));
+      return typeof payload.exp === 'number' && payload.exp * 1000 < Date.now();
     } catch {
       return true;
     }
@@ -501,25 +799,29 @@ export const teacherAPI = {
     }
     
     const sanitizedData = sanitizeInput(classData);
-    return api.post('/teacher/classes', sanitizedData);
+    const response = await api.post('/teacher/classes', sanitizedData);
+    return normalizeResponse(response, { key: 'class', type: 'object' });
   },
 
   getTeacherClasses: async (teacherId) => {
     if (!teacherId || typeof teacherId !== 'string') {
       throw new Error('Valid teacher ID is required');
     }
-    return api.get(`/teacher/classes/${teacherId}`);
+    const response = await api.get(`/teacher/classes/${teacherId}`);
+    return normalizeResponse(response, { key: 'classes', type: 'array' });
   },
 
   getStudentsByLevel: async (level) => {
     if (!level || level < 1 || level > 5) {
       throw new Error('Valid learning level (1-5) is required');
     }
-    return api.get(`/teacher/students/level/${level}`);
+    const response = await api.get(`/teacher/students/level/${level}`);
+    return normalizeResponse(response, { key: 'students', type: 'array' });
   },
 
   getAllStudents: async () => {
-    return api.get('/teacher/students/all');
+    const response = await api.get('/teacher/students/all');
+    return normalizeResponse(response, { key: 'students', type: 'array' });
   },
 
   uploadResource: async (resourceData) => {
@@ -544,12 +846,17 @@ export const teacherAPI = {
         throw new Error('Invalid URL format');
       }
     }
+
+    const examSettingsError = validateExamSettings(resourceData.quizSettings);
+    if (examSettingsError) {
+      throw new Error(examSettingsError);
+    }
     
     console.log('📤 Uploading resource with data:', resourceData);
     const sanitizedData = sanitizeInput(resourceData);
     const response = await api.post('/teacher/resources', sanitizedData);
     console.log('✅ Upload response:', response);
-    return response;
+    return normalizeResponse(response, { key: 'resource', type: 'object', optional: true });
   },
 
   getTeacherResources: async (teacherId) => {
@@ -561,14 +868,13 @@ export const teacherAPI = {
       // Use path parameter to match backend router: /:teacherId/resources
       const response = await api.get(`/teacher/${teacherId}/resources`);
       console.log('✅ Teacher resources response:', response);
-      return response;
+      return normalizeResponse(response, { key: 'resources', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching teacher resources:', error);
-      // Return empty array structure for fallback
+      // Resolve with an empty list so the page can still render
       return {
-        data: {
-          resources: []
-        }
+        ...normalizeResponse({ data: { resources: [] } }, { key: 'resources', type: 'array' }),
+        error: toErrorInfo(error)
       };
     }
   },
@@ -577,11 +883,12 @@ export const teacherAPI = {
     if (!level || level < 1 || level > 5) {
       throw new Error('Valid learning level (1-5) is required');
     }
-    return api.get(`/teacher/resources/level/${level}`);
+    const response = await api.get(`/teacher/resources/level/${level}`);
+    return normalizeResponse(response, { key: 'resources', type: 'array' });
   }
 };
 
-// Quiz API with Gemini integration
+// Quiz API with AI quiz generation (through the LLM gateway)
 export const quizAPI = {
   // Get low-score (<30%) attempts for a resource by id or title
   getWeakAttempts: async (studentId, { resourceId, resourceTitle } = {}) => {
@@ -595,9 +902,11 @@ export const quizAPI = {
     }
     console.log('🧪 [quizAPI.getWeakAttempts] studentId:', studentId, 'params:', params);
     try {
-      const resp = await api.get(`/quiz/weak/${studentId}`, { params });
-      const attemptsLen = resp?.data?.data?.attempts?.length || 0;
-      console.log('✅ [quizAPI.getWeakAttempts] attempts:', attemptsLen, 'totalAttempts:', resp?.data?.data?.totalAttempts);
+      const resp = normalizeResponse(
+        await api.get(`/quiz/weak/${studentId}`, { params }),
+        { key: 'attempts', type: 'array' }
+      );
+      console.log('✅ [quizAPI.getWeakAttempts] attempts:', resp.data.length, 'totalAttempts:', resp.meta.totalAttempts);
       return resp;
     } catch (err) {
       console.error('❌ [quizAPI.getWeakAttempts] error:', err?.response?.data || err?.message);
@@ -605,19 +914,18 @@ export const quizAPI = {
     }
   },
 
-  // Summarize weaknesses with Gemini using a compact mistakes list
+  // Summarize weaknesses with the LLM gateway using a compact mistakes list
   generateWeaknessInsights: async (mistakes = []) => {
     try {
       console.log('🧪 [quizAPI.generateWeaknessInsights] mistakes received:', mistakes.length);
-      const geminiApiKey = import.meta.env.VITE_GEMINI_API;
-      if (!geminiApiKey) {
-        console.warn('⚠️ [quizAPI.generateWeaknessInsights] Gemini key missing; returning local insight.');
-        return {
+      if (!llmGateway.isConfigured()) {
+        console.warn('⚠️ [quizAPI.generateWeaknessInsights] AI provider not configured; returning local insight.');
+        return normalizeResponse({
           data: {
             insights:
               'Focus on the concepts behind your incorrect answers. Review the explanations, practice similar problems, and pay attention to where your chosen option differs from the correct one.'
           }
-        };
+        }, { key: 'insights', type: 'string' });
       }
 
       // Build a compact context (limit items and text length)
@@ -639,27 +947,25 @@ export const quizAPI = {
 
       const prompt = `You are an encouraging tutor. Analyze the student's repeated mistakes below (score <30%). Identify the top 3-5 weak concepts and give short, actionable advice with one practice tip each. Keep the response under 180 words.\n\nMistakes:\n${normalized}`;
 
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${geminiApiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: { temperature: 0.5, topP: 0.9, maxOutputTokens: 400 }
-        })
+      const result = await llmGateway.generateText(prompt, {
+        temperature: 0.5,
+        topP: 0.9,
+        maxOutputTokens: 400,
+        label: 'quizAPI.generateWeaknessInsights'
       });
-
-      if (!response.ok) throw new Error(`Gemini error ${response.status}`);
-      const data = await response.json();
-      const text = (data?.candidates?.[0]?.content?.parts?.[0]?.text || '').trim();
+      const text = result.text.trim();
       console.log('✅ [quizAPI.generateWeaknessInsights] insights length:', text.length, 'preview:', text.slice(0, 120));
-      return { data: { insights: text } };
+      return normalizeResponse({ data: { insights: text } }, { key: 'insights', type: 'string' });
     } catch (error) {
       console.error('❌ [quizAPI.generateWeaknessInsights] failed:', error);
       return {
-        data: {
-          insights:
-            'We identified areas that need practice, but the assistant could not summarize them right now. Review explanations for incorrect questions and revisit prerequisite topics.'
-        }
+        ...normalizeResponse({
+          data: {
+            insights:
+              'We identified areas that need practice, but the assistant could not summarize them right now. Review explanations for incorrect questions and revisit prerequisite topics.'
+          }
+        }, { key: 'insights', type: 'string' }),
+        error: toErrorInfo(error)
       };
     }
   },
@@ -669,14 +975,12 @@ export const quizAPI = {
       throw new Error('Resource data is required for quiz generation');
     }
 
-    // Validate Gemini API key
-    const geminiApiKey = import.meta.env.VITE_GEMINI_API;
-    if (!geminiApiKey) {
-      throw new Error('Gemini API key not configured');
+    if (!llmGateway.isConfigured()) {
+      throw new Error('AI provider not configured');
     }
 
     try {
-      // Prepare content for Gemini
+      // Prepare content for the model
       const content = `${resourceData.title}\n\n${resourceData.description || ''}\n\n${resourceData.content || ''}`;
       const sanitizedContent = sanitizeInput(content).substring(0, 8000); // Limit content length
 
@@ -687,10 +991,23 @@ export const quizAPI = {
       console.log('🧪 [quizAPI.generateQuiz] resource:', { id: resourceData.id, title: resourceData.title });
       console.log('🧪 [quizAPI.generateQuiz] weakness provided:', Boolean(options.weaknessInsights), 'len:', (options.weaknessInsights || '').length);
 
-      const prompt = `Generate a quiz with 5-8 multiple choice questions based on the following educational content. 
+      const questionTypes = (options.questionTypes || QUESTION_TYPES).filter(type => QUESTION_TYPES.includes(type));
+      const typeGuide = QUESTION_TYPE_GUIDE
+        .split('\n')
+        .filter(line => questionTypes.some(type => line.startsWith(`- "${type}"`)))
+        .join('\n');
+
+      // Adaptive quizzes need a larger pool that covers every difficulty (see adaptiveDifficulty.js)
+      const adaptive = options.difficulty || null;
+      const questionCount = adaptive ? `${ADAPTIVE_POOL_SIZE}` : '5-8';
+      const difficultySection = adaptive
+        ? `This quiz adapts to the student: include at least 3 questions of each difficulty, with the most at difficulty ${adaptive.target} (${DIFFICULTY_LABELS[adaptive.target]}).\n`
+        : '';
+
+      const prompt = `Generate a quiz with ${questionCount} questions based on the following educational content. 
         
 Content: ${sanitizedContent}
-${weaknessSection}
+${weaknessSection}${difficultySection}
 
 Please respond with a JSON object in exactly this format:
 {
@@ -699,97 +1016,126 @@ Please respond with a JSON object in exactly this format:
     "questions": [
       {
         "id": 1,
+        "type": "mcq",
         "question": "Question text?",
         "options": ["Option A", "Option B", "Option C", "Option D"],
         "correctAnswer": 0,
-        "explanation": "Explanation of why this is correct"
+        "explanation": "Explanation of why this is correct",
+        "objective": "Learning objective",
+        "difficulty": 2
       }
     ]
   }
 }
 
+Every question has "type", "question", "explanation", "objective" and "difficulty", plus the fields for its type:
+${typeGuide}
+
 Requirements:
-- Generate 5-8 questions of appropriate difficulty
-- Each question should have 4 options
-- correctAnswer should be the index (0-3) of the correct option
+- Generate ${questionCount} questions of appropriate difficulty for the content's level
+- Rate each question's "difficulty" for this level: 1 (easy - recall), 2 (medium - apply), 3 (hard - reason or combine ideas)
+- Use a mix of the question types above that suits the content; at least half should be "mcq" when "mcq" is allowed
 - Include clear explanations for each answer
 - Make questions engaging and educational
 - Focus on key concepts from the content
+- "objective" names the learning objective the question checks in 2-6 words (e.g. "Counting objects to 10", "Parts of a plant"); use exactly the same wording for questions that check the same objective
 - If a weaknesses summary is provided, ensure at least half of the questions specifically address those weak areas with varied phrasing (do not copy past questions).`;
 
       console.log('🧪 [quizAPI.generateQuiz] prompt length:', prompt.length);
 
-      // Call Gemini API
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${geminiApiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 2048,
-          }
-        })
+      const result = await llmGateway.generateText(prompt, {
+        temperature: 0.7,
+        maxOutputTokens: adaptive ? 4096 : 2048,
+        responseFormat: 'json',
+        responseSchema: QUIZ_RESPONSE_SCHEMA,
+        label: 'quizAPI.generateQuiz'
       });
+      console.log('🧪 [quizAPI.generateQuiz] raw text length:', result.text.length);
 
-      if (!response.ok) {
-        throw new Error(`Gemini API error: ${response.status}`);
+      let parsed;
+      try {
+        parsed = extractJson(result.text);
+      } catch (parseError) {
+        console.error('❌ [quizAPI.generateQuiz] JSON parse error:', parseError);
+        throw new Error('Failed to parse quiz data from AI response');
       }
 
-      const data = await response.json();
-      
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new Error('Invalid response from Gemini API');
+      // Validate question by question; only the broken ones are dropped
+      const rawQuiz = parsed?.quiz || parsed || {};
+      const rawQuestions = Array.isArray(rawQuiz.questions) ? rawQuiz.questions : [];
+      const firstPass = validateQuestions(rawQuestions, [], questionTypes);
+      let questions = firstPass.questions;
+      const diagnostics = {
+        received: rawQuestions.length,
+        dropped: firstPass.dropped,
+        duplicates: firstPass.duplicates,
+        repaired: firstPass.repaired,
+        regenerated: 0
+      };
+
+      if (firstPass.dropped.length || firstPass.duplicates.length) {
+        console.warn('⚠️ [quizAPI.generateQuiz] dropped:', firstPass.dropped, 'duplicates:', firstPass.duplicates);
       }
 
-      const generatedText = data.candidates[0].content.parts[0].text;
-      console.log('🧪 [quizAPI.generateQuiz] raw text length:', generatedText?.length || 0);
-      
-      // Parse the JSON response
-      let quizData;
-      try {
-        // Extract JSON from response (remove any markdown formatting)
-        const jsonMatch = generatedText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          throw new Error('No valid JSON found in response');
-        }
-        
-        quizData = JSON.parse(jsonMatch[0]);
-        
-        // Validate quiz structure
-        if (!quizData.quiz || !quizData.quiz.questions || !Array.isArray(quizData.quiz.questions)) {
-          throw new Error('Invalid quiz structure');
-        }
+      // Ask for replacements when too few questions survived
+      const missing = QUIZ_MIN_QUESTIONS - questions.length;
+      if (missing > 0) {
+        try {
+          const existingList = questions.map((q, i) => `${i + 1}. ${q.question}`).join('\n') || '(none)';
+          const existingObjectives = [...new Set(questions.map(q => q.objective).filter(Boolean))]
+            .map(objective => `"${objective}"`).join(', ') || 'none yet';
+          const typeList = questionTypes.map(type => `"${type}"`).join(', ');
+          const repairPrompt = `Write ${missing} new questions based on the following educational content, using ${questionTypes.length > 1 ? `a mix of these question types: ${typeList}` : `only the ${typeList} question type`}.
 
-        // Validate each question
-        quizData.quiz.questions.forEach((q, index) => {
-          if (!q.question || !Array.isArray(q.options) || q.options.length !== 4 || 
-              typeof q.correctAnswer !== 'number' || q.correctAnswer < 0 || q.correctAnswer > 3) {
-            throw new Error(`Invalid question structure at index ${index}`);
-          }
-        });
-        console.log('✅ [quizAPI.generateQuiz] parsed questions:', quizData.quiz.questions.length);
+Content: ${sanitizedContent}
+${weaknessSection}
+Do not repeat or rephrase any of these existing questions:
+${existingList}
 
-      } catch (parseError) {
-        console.error('❌ [quizAPI.generateQuiz] JSON parse error:', parseError);
-        throw new Error('Failed to parse quiz data from AI response');
+Respond with a JSON object {"questions": [...]}. Every question has "type", "question", "explanation", "difficulty" (1 easy, 2 medium, 3 hard) and "objective" (the learning objective it checks, reusing these existing wordings where they fit: ${existingObjectives}), plus the fields for its type:
+${typeGuide}`;
+
+          const repair = await llmGateway.generateText(repairPrompt, {
+            temperature: 0.7,
+            maxOutputTokens: 1024,
+            responseFormat: 'json',
+            responseSchema: QUESTION_LIST_SCHEMA,
+            label: 'quizAPI.generateQuiz.repair'
+          });
+          const repairPass = validateQuestions(extractJson(repair.text).questions, questions, questionTypes);
+          const replacements = repairPass.questions.slice(0, missing);
+
+          questions = [...questions, ...replacements];
+          diagnostics.regenerated = replacements.length;
+          diagnostics.dropped.push(...repairPass.dropped.map(item => ({ ...item, regenerated: true })));
+          diagnostics.duplicates.push(...repairPass.duplicates);
+          console.log('🔧 [quizAPI.generateQuiz] regenerated questions:', replacements.length, 'of', missing);
+        } catch (repairError) {
+          // Keep what we have; a short quiz beats no quiz
+          console.warn('⚠️ [quizAPI.generateQuiz] question repair failed:', repairError.message);
+        }
       }
 
-      return {
+      if (questions.length === 0) {
+        throw new Error('The AI response did not contain any usable questions');
+      }
+
+      questions = questions.slice(0, adaptive ? ADAPTIVE_POOL_SIZE : QUIZ_MAX_QUESTIONS).map((question, index) => ({ id: index + 1, ...question }));
+      diagnostics.accepted = questions.length;
+      diagnostics.partial = questions.length < QUIZ_MIN_QUESTIONS;
+      console.log('✅ [quizAPI.generateQuiz] accepted questions:', questions.length);
+
+      return normalizeResponse({
         data: {
-          quiz: quizData.quiz,
+          quiz: {
+            title: typeof rawQuiz.title === 'string' && rawQuiz.title.trim() ? rawQuiz.title.trim() : `${resourceData.title} Quiz`,
+            questions
+          },
           resourceId: resourceData.id,
-          generatedAt: new Date().toISOString()
+          generatedAt: new Date().toISOString(),
+          diagnostics
         }
-      };
+      }, { key: 'quiz', type: 'object', required: ['questions'] });
 
     } catch (error) {
       console.error('❌ [quizAPI.generateQuiz] generation error:', error);
@@ -809,6 +1155,20 @@ Requirements:
       throw new Error(`Answers array length (${quizResultData.answers.length}) must match total questions (${quizResultData.totalQuestions})`);
     }
 
+    // Typed questions send a per-question breakdown alongside the raw answers
+    if (quizResultData.questionResults !== undefined &&
+        (!Array.isArray(quizResultData.questionResults) ||
+         quizResultData.questionResults.length !== quizResultData.totalQuestions)) {
+      throw new Error('questionResults must contain one entry per question');
+    }
+
+    // Pacing data: seconds spent on each question, in question order
+    if (quizResultData.timing !== undefined &&
+        (!Array.isArray(quizResultData.timing?.timeSpentPerQuestion) ||
+         quizResultData.timing.timeSpentPerQuestion.length !== quizResultData.totalQuestions)) {
+      throw new Error('timing.timeSpentPerQuestion must contain one entry per question');
+    }
+
     console.log('Quiz data before sanitization:', {
       answers: quizResultData.answers,
       answersType: Array.isArray(quizResultData.answers) ? 'array' : typeof quizResultData.answers,
@@ -828,28 +1188,59 @@ Requirements:
       throw new Error('Sanitization corrupted answers array');
     }
 
-    return api.post('/quiz/save-result', sanitizedData);
+    const response = await sendOrQueue(
+      { method: 'post', url: '/quiz/save-result', data: sanitizedData },
+      {
+        dedupeKey: `quiz-result:${sanitizedData.studentId}:${sanitizedData.resourceId}:${sanitizedData.completedAt || sanitizedData.score}`,
+        label: 'Quiz result',
+        schema: { type: 'object' }
+      }
+    );
+
+    // Every wrong answer becomes a spaced-repetition review card; a failure here must not
+    // fail the result save
+    const mistakes = (sanitizedData.questionResults || [])
+      .map((result, index) => (result.correct ? null : sanitizedData.quizData?.questions?.[index]))
+      .filter(Boolean);
+    if (mistakes.length > 0) {
+      reviewAPI.addMistakes(sanitizedData.studentId, mistakes, {
+        resourceId: sanitizedData.resourceId,
+        resourceTitle: sanitizedData.quizData?.title,
+        completedAt: sanitizedData.completedAt
+      }).catch(error => console.error('❌ Failed to add review cards:', error));
+    }
+
+    return response;
   },
 
   getStudentQuizHistory: async (studentId) => {
     if (!studentId || typeof studentId !== 'string') {
       throw new Error('Valid student ID is required');
     }
-    return api.get(`/quiz/history/${studentId}`);
+    const response = await api.get(`/quiz/history/${studentId}`);
+    return normalizeResponse(response, { key: 'history', type: 'array' });
+  },
+
+  // One saved attempt with its quizData, answers and questionResults, for the replay page
+  getQuizAttempt: async (resultId) => {
+    if (!resultId || typeof resultId !== 'string') {
+      throw new Error('Valid quiz result ID is required');
+    }
+    const response = await api.get(`/quiz/results/${encodeURIComponent(resultId)}`);
+    return normalizeResponse(response, { key: 'result', type: 'object', required: ['answers'] });
   },
 
   getStudentAchievements: async (studentId) => {
     if (!studentId || typeof studentId !== 'string') {
       throw new Error('Valid student ID is required');
     }
-    return api.get(`/quiz/achievements/${studentId}`);
+    const response = await api.get(`/quiz/achievements/${studentId}`);
+    return normalizeResponse(response, { key: 'achievements', type: 'array' });
   },
 
   generateConceptExplanation: async (question, userAnswer, correctAnswer) => {
-    // Validate Gemini API key
-    const geminiApiKey = import.meta.env.VITE_GEMINI_API;
-    if (!geminiApiKey) {
-      throw new Error('Gemini API key not configured');
+    if (!llmGateway.isConfigured()) {
+      throw new Error('AI provider not configured');
     }
 
     try {
@@ -868,50 +1259,29 @@ Please provide a friendly, educational explanation that:
 
 Respond in a warm, supportive tone as if you're a helpful teacher.`;
 
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${geminiApiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.8,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 512,
-          }
-        })
+      const result = await llmGateway.generateText(prompt, {
+        temperature: 0.8,
+        maxOutputTokens: 512,
+        label: 'quizAPI.generateConceptExplanation'
       });
 
-      if (!response.ok) {
-        throw new Error(`Gemini API error: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const explanation = result.text;
       
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new Error('Invalid response from Gemini API');
-      }
-
-      const explanation = data.candidates[0].content.parts[0].text;
-      
-      return {
+      return normalizeResponse({
         data: {
           explanation: explanation.trim()
         }
-      };
+      }, { key: 'explanation', type: 'string' });
 
     } catch (error) {
       console.error('Concept explanation error:', error);
       return {
-        data: {
-          explanation: "I'm sorry, I couldn't generate an explanation right now. The correct answer helps you understand this concept better. Keep practicing!"
-        }
+        ...normalizeResponse({
+          data: {
+            explanation: "I'm sorry, I couldn't generate an explanation right now. The correct answer helps you understand this concept better. Keep practicing!"
+          }
+        }, { key: 'explanation', type: 'string' }),
+        error: toErrorInfo(error)
       };
     }
   },
@@ -934,7 +1304,8 @@ Respond in a warm, supportive tone as if you're a helpful teacher.`;
     console.log('🏆 API: Saving achievement data:', achievementData);
     console.log('🏆 API: Save options:', options);
 
-    // Handle image conversion based on options
+    // Handle image conversion based on options. Rendered badges are SVG data URLs of a few KB
+    // and are saved as they are; only AI images (blob URLs) are converted
     let processedData = { ...achievementData };
     
     if (achievementData.image && achievementData.image.startsWith('blob:')) {
@@ -965,7 +1336,9 @@ Respond in a warm, supportive tone as if you're a helpful teacher.`;
     // Log final data structure (without image content for cleaner logs)
     const logData = { ...sanitizedData };
     if (logData.image) {
-      if (logData.image.startsWith('data:')) {
+      if (isRenderedBadge(logData.image)) {
+        logData.image = `[rendered badge: ${logData.image.length} chars]`;
+      } else if (logData.image.startsWith('data:')) {
         logData.image = `[base64 image: ${logData.image.substring(0, 50)}...]`;
       } else if (logData.image.startsWith('blob:')) {
         logData.image = `[blob URL: ${logData.image}]`;
@@ -973,7 +1346,8 @@ Respond in a warm, supportive tone as if you're a helpful teacher.`;
     }
     console.log('🏆 API: Final achievement data:', logData);
 
-    return api.post('/quiz/save-achievement', sanitizedData);
+    const response = await api.post('/quiz/save-achievement', sanitizedData);
+    return normalizeResponse(response, { key: 'achievement', type: 'object', optional: true });
   },
 
   // Test function to validate API integration
@@ -984,12 +1358,12 @@ Respond in a warm, supportive tone as if you're a helpful teacher.`;
       // Test 1: Get quiz history
       console.log('📚 Test 1: Getting quiz history...');
       const historyResponse = await quizAPI.getStudentQuizHistory(studentId);
-      console.log('✅ Quiz history response:', historyResponse.data);
+      console.log('✅ Quiz history entries:', historyResponse.data.length);
       
       // Test 2: Get achievements
       console.log('🏆 Test 2: Getting achievements...');
       const achievementsResponse = await quizAPI.getStudentAchievements(studentId);
-      console.log('✅ Achievements response:', achievementsResponse.data);
+      console.log('✅ Achievements entries:', achievementsResponse.data.length);
       
       // Test 3: Test achievement save (mock data)
       console.log('💾 Test 3: Testing achievement save...');
@@ -1019,6 +1393,190 @@ Respond in a warm, supportive tone as if you're a helpful teacher.`;
   }
 };
 
+// Quiz bank API - teacher-curated question sets (see QUIZ_BANK_API_REQUIREMENTS.md)
+const checkBank = (bankData) => {
+  const { errors, questionErrors } = validateBank(bankData);
+  // Drafts may hold half-written questions; everything must be valid before students see it
+  const invalidQuestions = Object.keys(questionErrors).map(index => Number(index) + 1);
+  if (invalidQuestions.length > 0 && bankData.status === 'approved') {
+    errors.push(`Fix question${invalidQuestions.length > 1 ? 's' : ''} ${invalidQuestions.join(', ')} before saving`);
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+};
+
+export const quizBankAPI = {
+  createBank: async (bankData) => {
+    if (!bankData.teacherId) {
+      throw new Error('Teacher ID is required');
+    }
+    checkBank(bankData);
+
+    console.log('🗂️ Creating quiz bank:', bankData.title);
+    const response = await api.post('/quiz-banks', sanitizeInput(bankData));
+    return normalizeResponse(response, { key: 'bank', type: 'object', required: ['id'] });
+  },
+
+  updateBank: async (bankId, bankData) => {
+    if (!bankId) {
+      throw new Error('Quiz bank ID is required');
+    }
+    checkBank(bankData);
+
+    console.log('🗂️ Updating quiz bank:', bankId, 'status:', bankData.status);
+    const response = await api.put(`/quiz-banks/${bankId}`, sanitizeInput(bankData));
+    return normalizeResponse(response, { key: 'bank', type: 'object', required: ['id'] });
+  },
+
+  getTeacherBanks: async (teacherId) => {
+    if (!teacherId || typeof teacherId !== 'string') {
+      throw new Error('Valid teacher ID is required');
+    }
+    const response = await api.get(`/quiz-banks/teacher/${teacherId}`);
+    return normalizeResponse(response, { key: 'banks', type: 'array' });
+  },
+
+  deleteBank: async (bankId) => {
+    if (!bankId) {
+      throw new Error('Quiz bank ID is required');
+    }
+    const response = await api.delete(`/quiz-banks/${bankId}`);
+    return normalizeResponse(response, { type: 'any' });
+  },
+
+  // Approved bank for a resource or assignment, or null when there is none
+  getApprovedBank: async ({ resourceId, assignmentId } = {}) => {
+    if (!resourceId && !assignmentId) {
+      throw new Error('Resource ID or assignment ID is required');
+    }
+    const params = new URLSearchParams(assignmentId ? { assignmentId } : { resourceId }).toString();
+    try {
+      const response = await api.get(`/quiz-banks/approved?${params}`);
+      return normalizeResponse(response, { key: 'bank', type: 'object', optional: true });
+    } catch (error) {
+      // 404 means no approved bank - the caller falls back to AI generation
+      if (error.response?.status !== 404) throw error;
+      return normalizeResponse({ data: {} }, { key: 'bank', type: 'object', optional: true });
+    }
+  }
+};
+
+// Review API - spaced-repetition cards built from quiz mistakes (see REVIEW_API_REQUIREMENTS.md).
+// Scheduling happens in the browser (spacedRepetition.js); the backend stores the cards.
+export const reviewAPI = {
+  getCards: async (studentId) => {
+    if (!studentId || typeof studentId !== 'string') {
+      throw new Error('Valid student ID is required');
+    }
+    const response = await api.get(`/review/cards/${studentId}`);
+    return normalizeResponse(response, { key: 'cards', type: 'array' });
+  },
+
+  addMistakes: async (studentId, questions, { resourceId, resourceTitle, completedAt } = {}) => {
+    if (!studentId || !Array.isArray(questions)) {
+      throw new Error('Student ID and questions are required');
+    }
+    const cards = questions.map(question => createCard({ studentId, resourceId, resourceTitle, question }));
+    console.log('🔁 Adding review cards for mistakes:', cards.length);
+
+    return sendOrQueue(
+      { method: 'post', url: '/review/cards', data: sanitizeInput({ studentId, cards }) },
+      {
+        dedupeKey: `review-mistakes:${studentId}:${resourceId}:${completedAt || cards.map(card => card.id).join(',')}`,
+        label: 'Review cards',
+        schema: { type: 'any' }
+      }
+    );
+  },
+
+  // Only the latest state of a card matters, so a queued offline review is replaced by the next one
+  saveReview: async (card) => {
+    if (!card?.id) {
+      throw new Error('Review card ID is required');
+    }
+    return sendOrQueue(
+      { method: 'put', url: `/review/cards/${encodeURIComponent(card.id)}`, data: sanitizeInput(card) },
+      {
+        dedupeKey: `review-card:${card.id}`,
+        idempotencyKey: `review-card:${card.id}:${card.lastReviewedAt}`,
+        label: 'Review progress',
+        schema: { type: 'any' }
+      }
+    );
+  }
+};
+
+// XP API - the experience point ledger and leaderboards (see XP_API_REQUIREMENTS.md).
+// Events are built in the browser (xp.js); the backend stores them by id and ranks students.
+export const xpAPI = {
+  getLedger: async (studentId) => {
+    if (!studentId || typeof studentId !== 'string') {
+      throw new Error('Valid student ID is required');
+    }
+    const response = await api.get(`/xp/ledger/${studentId}`);
+    return normalizeResponse(response, { key: 'events', type: 'array' });
+  },
+
+  // Published right away so XP shows up before the save completes (or syncs from the outbox)
+  recordEvent: async (event) => {
+    if (!event?.id || !event.studentId || typeof event.xp !== 'number') {
+      throw new Error('XP event ID, student ID and XP are required');
+    }
+    console.log('⭐ Recording XP event:', event.id, event.xp);
+    publishXpEvent(event);
+
+    return sendOrQueue(
+      { method: 'post', url: '/xp/events', data: sanitizeInput(event) },
+      {
+        dedupeKey: `xp-event:${event.id}`,
+        idempotencyKey: `xp-event:${event.id}:${event.xp}`,
+        label: 'XP',
+        schema: { type: 'any' }
+      }
+    );
+  },
+
+  // Build and record the event for a finished activity (see createXpEvent)
+  award: async (activity) => xpAPI.recordEvent(createXpEvent(activity)),
+
+  // Ranking for the student's class or level; names are already hidden per the teacher's settings
+  getLeaderboard: async (studentId, scope = 'class') => {
+    if (!studentId || typeof studentId !== 'string') {
+      throw new Error('Valid student ID is required');
+    }
+    if (!['class', 'level'].includes(scope)) {
+      throw new Error('Leaderboard scope must be class or level');
+    }
+    const response = await api.get(`/xp/leaderboard/${studentId}`, { params: { scope } });
+    return normalizeResponse(response, { key: 'leaderboard', type: 'object', required: ['enabled'] });
+  },
+
+  getLeaderboardSettings: async (classId) => {
+    if (!classId) {
+      throw new Error('Class ID is required');
+    }
+    const response = await api.get(`/xp/leaderboard-settings/${encodeURIComponent(classId)}`);
+    return normalizeResponse(response, { key: 'settings', type: 'object', optional: true });
+  },
+
+  updateLeaderboardSettings: async (classId, settings) => {
+    if (!classId) {
+      throw new Error('Class ID is required');
+    }
+    if (!LEADERBOARD_NAME_DISPLAY[settings.nameDisplay] || !LEADERBOARD_PERIODS[settings.period]) {
+      throw new Error('Invalid leaderboard settings');
+    }
+    const data = {
+      enabled: Boolean(settings.enabled),
+      nameDisplay: settings.nameDisplay,
+      period: settings.period
+    };
+    const response = await api.put(`/xp/leaderboard-settings/${encodeURIComponent(classId)}`, data);
+    return normalizeResponse(response, { key: 'settings', type: 'object', optional: true });
+  }
+};
+
 // Assignment API for Teachers and Students - Updated to match backend implementation
 export const assignmentAPI = {
   // Teacher Assignment APIs
@@ -1035,7 +1593,7 @@ export const assignmentAPI = {
     const response = await api.post('/assignments/create', sanitizedData);
     
     console.log('✅ Assignment created successfully:', response.data);
-    return response.data;
+    return normalizeResponse(response, { key: 'assignment', type: 'object' });
   },
 
   getTeacherAssignments: async (teacherId, params = {}) => {
@@ -1050,7 +1608,7 @@ export const assignmentAPI = {
     const response = await api.get(url);
     
     console.log('✅ Teacher assignments fetched:', response.data);
-    return response.data;
+    return normalizeResponse(response, { key: 'assignments', type: 'array' });
   },
 
   getAssignmentSubmissions: async (assignmentId) => {
@@ -1062,7 +1620,7 @@ export const assignmentAPI = {
 
     const response = await api.get(`/assignments/${assignmentId}/submissions`);
     console.log('✅ Assignment submissions fetched:', response.data);
-    return response.data;
+    return normalizeResponse(response, { type: 'object', required: ['submissions'] });
   },
 
   gradeSubmission: async (gradeData) => {
@@ -1088,7 +1646,7 @@ export const assignmentAPI = {
     const response = await api.post('/assignments/grade', sanitizedData);
     
     console.log('✅ Grade submitted successfully:', response.data);
-    return response.data;
+    return normalizeResponse(response, { type: 'any' });
   },
 
   // Student Assignment APIs
@@ -1109,8 +1667,7 @@ export const assignmentAPI = {
       console.log('✅ Student assignments raw response:', response);
       console.log('✅ Student assignments data:', response.data);
       
-      // Return the response directly - let the component handle structure variations
-      return response;
+      return normalizeResponse(response, { key: 'assignments', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching student assignments:', error);
       throw error;
@@ -1126,7 +1683,7 @@ export const assignmentAPI = {
 
     const response = await api.get(`/assignments/${assignmentId}/student/${studentId}`);
     console.log('✅ Assignment details fetched for student:', response.data);
-    return response.data;
+    return normalizeResponse(response, { type: 'object', required: ['assignment'] });
   },
 
   submitAssignment: async (submissionData) => {
@@ -1148,10 +1705,17 @@ export const assignmentAPI = {
       const sanitizedData = sanitizeInput(submissionData);
       console.log('📡 Sending link submission to server:', sanitizedData);
       
-      const response = await api.post('/assignments/submit', sanitizedData);
+      const response = await sendOrQueue(
+        { method: 'post', url: '/assignments/submit', data: sanitizedData },
+        {
+          dedupeKey: `assignment-submission:${sanitizedData.assignmentId}:${sanitizedData.studentId}:${sanitizedData.submissionLink}`,
+          label: 'Assignment submission',
+          schema: { key: 'submission', type: 'object', optional: true }
+        }
+      );
       
-      console.log('✅ Assignment link submitted successfully:', response.data);
-      return response.data;
+      console.log(response.meta.queued ? '📥 Assignment link queued for sync' : '✅ Assignment link submitted successfully:', response.data);
+      return response;
       
     } catch (error) {
       console.error('❌ Assignment submission failed:', error);
@@ -1184,7 +1748,7 @@ export const assignmentAPI = {
     const response = await api.get(url);
     
     console.log('✅ Student submission history fetched:', response.data);
-    return response.data;
+    return normalizeResponse(response, { key: 'submissions', type: 'array' });
   },
 
   // Assignment Management
@@ -1199,7 +1763,7 @@ export const assignmentAPI = {
     const response = await api.put(`/assignments/${assignmentId}`, sanitizedData);
     
     console.log('✅ Assignment updated successfully:', response.data);
-    return response.data;
+    return normalizeResponse(response, { key: 'assignment', type: 'object', optional: true });
   },
 
   deleteAssignment: async (assignmentId) => {
@@ -1211,7 +1775,7 @@ export const assignmentAPI = {
 
     const response = await api.delete(`/assignments/${assignmentId}`);
     console.log('✅ Assignment deleted successfully:', response.data);
-    return response.data;
+    return normalizeResponse(response, { type: 'any' });
   },
 
   // File download
@@ -1238,7 +1802,7 @@ export const assignmentAPI = {
       window.URL.revokeObjectURL(url);
       
       console.log('✅ Submission downloaded successfully');
-      return true;
+      return normalizeResponse(response, { type: 'blob' });
     } catch (error) {
       console.error('❌ Download failed:', error);
       throw new Error('Failed to download submission');
@@ -1256,7 +1820,7 @@ export const assignmentAPI = {
     try {
       // Get all assignments and filter for graded ones
       const response = await assignmentAPI.getStudentAssignments(studentId, { status: 'graded' });
-      console.log('✅ Graded assignments fetched:', response.data);
+      console.log('✅ Graded assignments fetched:', response.data.length);
       return response;
     } catch (error) {
       console.error('❌ Error fetching graded assignments:', error);
@@ -1296,6 +1860,13 @@ export const reportsAPI = {
 };
 
 // 🔬 Simulation API - Interactive Virtual Science Lab
+// A generated game's code is kept verbatim: sanitizing would strip the event handlers it
+// needs, and it only ever runs inside the game sandbox (gameSandbox.js)
+const sanitizeGame = (game) => {
+  const { html = '', css = '', javascript = '', ...details } = game;
+  return { ...sanitizeInput(details), html, css, javascript };
+};
+
 export const simulationAPI = {
   // Generate new simulation based on student prompt
   generateSimulation: async (simulationData) => {
@@ -1313,7 +1884,7 @@ export const simulationAPI = {
     const response = await api.post('/simulation/generate', sanitizedData);
     
     console.log('✅ API: Simulation generated successfully:', response.data);
-    return response;
+    return normalizeResponse(response, { key: 'simulation', type: 'object' });
   },
 
   // Get all simulations for a student
@@ -1335,7 +1906,7 @@ export const simulationAPI = {
     
     const response = await api.get(url);
     console.log('✅ API: Student simulations fetched:', response.data);
-    return response;
+    return normalizeResponse(response, { key: 'simulations', type: 'array' });
   },
 
   // Get detailed simulation by ID
@@ -1348,7 +1919,7 @@ export const simulationAPI = {
 
     const response = await api.get(`/simulation/${simulationId}`);
     console.log('✅ API: Simulation details fetched:', response.data);
-    return response;
+    return normalizeResponse(response, { key: 'simulation', type: 'object' });
   },
 
   // Update simulation state (real-time saving)
@@ -1375,9 +1946,19 @@ export const simulationAPI = {
     }
 
     const sanitizedData = sanitizeInput(stateData);
-    const response = await api.put(`/simulation/${simulationId}/state`, sanitizedData);
+    // Only the latest snapshot per simulation is kept in the outbox, but every snapshot
+    // gets its own idempotency key so the server applies each one at most once
+    const response = await sendOrQueue(
+      { method: 'put', url: `/simulation/${simulationId}/state`, data: sanitizedData },
+      {
+        dedupeKey: `simulation-state:${simulationId}`,
+        idempotencyKey: `simulation-state:${simulationId}:${Date.now()}`,
+        label: 'Simulation progress',
+        schema: { type: 'any' }
+      }
+    );
     
-    console.log('✅ API: Simulation state updated:', response.data);
+    console.log(response.meta.queued ? '📥 API: Simulation state queued for sync' : '✅ API: Simulation state updated:', response.data);
     return response;
   },
 
@@ -1391,7 +1972,7 @@ export const simulationAPI = {
 
     const response = await api.post(`/simulation/${simulationId}/start`);
     console.log('✅ API: Simulation started:', response.data);
-    return response;
+    return normalizeResponse(response, { type: 'any' });
   },
 
   // Pause simulation
@@ -1404,7 +1985,7 @@ export const simulationAPI = {
 
     const response = await api.post(`/simulation/${simulationId}/pause`);
     console.log('✅ API: Simulation paused:', response.data);
-    return response;
+    return normalizeResponse(response, { type: 'any' });
   },
 
   // Resume simulation
@@ -1417,7 +1998,7 @@ export const simulationAPI = {
 
     const response = await api.post(`/simulation/${simulationId}/resume`);
     console.log('✅ API: Simulation resumed:', response.data);
-    return response;
+    return normalizeResponse(response, { type: 'any' });
   },
 
   // Complete simulation
@@ -1433,7 +2014,30 @@ export const simulationAPI = {
     
     const response = await api.post(`/simulation/${simulationId}/complete`, sanitizedData);
     console.log('✅ API: Simulation completed:', response.data);
-    return response;
+    return normalizeResponse(response, { type: 'any' });
+  },
+
+  // Replace a simulation's procedure with teacher-written steps. Steps may carry expected
+  // inputs, tolerances and bench checks; see stepValidation.js for the shape.
+  updateProcedure: async (simulationId, procedure) => {
+    console.log('📋 API: Updating simulation procedure:', simulationId, procedure?.length);
+
+    if (!simulationId) {
+      throw new Error('Simulation ID is required');
+    }
+
+    if (!Array.isArray(procedure) || procedure.length === 0) {
+      throw new Error('Procedure must have at least one step');
+    }
+
+    const errors = procedure.flatMap((step, index) => validateStep(step).map(error => `Step ${index + 1}: ${error}`));
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const response = await api.put(`/simulation/${simulationId}/procedure`, sanitizeInput({ procedure }));
+    console.log('✅ API: Simulation procedure updated:', response.data);
+    return normalizeResponse(response, { key: 'simulation', type: 'object' });
   },
 
   // Get children's simulation progress for parents
@@ -1446,7 +2050,7 @@ export const simulationAPI = {
 
     const response = await api.get(`/simulation/parent/${parentId}/children`);
     console.log('✅ API: Children simulation progress fetched:', response.data);
-    return response;
+    return normalizeResponse(response, { key: 'children', type: 'array' });
   },
 
   // Delete simulation (optional - for cleanup)
@@ -1459,7 +2063,162 @@ export const simulationAPI = {
 
     const response = await api.delete(`/simulation/${simulationId}`);
     console.log('✅ API: Simulation deleted:', response.data);
+    return normalizeResponse(response, { type: 'any' });
+  },
+
+  // Save a finished prompt-game session. Saving again with the same session id replaces it,
+  // so only the latest score per play is kept in the outbox.
+  saveGameSession: async (session) => {
+    console.log('🎮 API: Saving game session:', session?.id, session?.score);
+
+    if (!session?.id || !session.studentId || !session.game) {
+      throw new Error('Session ID, student ID and game are required');
+    }
+
+    const { game, ...details } = session;
+    const data = { ...sanitizeInput(details), game: sanitizeGame(game) };
+
+    const response = await sendOrQueue(
+      { method: 'post', url: '/simulation/game-sessions', data },
+      {
+        dedupeKey: `game-session:${session.id}`,
+        idempotencyKey: `game-session:${session.id}:${session.score}`,
+        label: 'Game score',
+        schema: { key: 'session', type: 'object', optional: true }
+      }
+    );
+
+    console.log(response.meta.queued ? '📥 API: Game session queued for sync' : '✅ API: Game session saved:', response.data);
     return response;
+  },
+
+  // Prompt-game history for a student, newest first. Students, their parents and teachers may read it.
+  getGameSessions: async (studentId) => {
+    console.log('🎮 API: Fetching game sessions for student:', studentId);
+
+    if (!studentId || typeof studentId !== 'string') {
+      throw new Error('Valid student ID is required');
+    }
+
+    const response = await api.get(`/simulation/game-sessions/student/${studentId}`);
+    console.log('✅ API: Game sessions fetched:', response.data);
+    return normalizeResponse(response, { key: 'sessions', type: 'array' });
+  },
+
+  // One session including the full game code, for replaying it
+  getGameSession: async (sessionId) => {
+    console.log('🎮 API: Fetching game session:', sessionId);
+
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const response = await api.get(`/simulation/game-sessions/${encodeURIComponent(sessionId)}`);
+    return normalizeResponse(response, { key: 'session', type: 'object', required: ['game'] });
+  }
+};
+
+// Game Library API - saved, shared and remixed prompt games (see GAME_LIBRARY_API_REQUIREMENTS.md).
+// Entries are built in the browser (gameLibrary.js); the backend stores them, applies sharing
+// and keeps class shares hidden until a teacher approves them.
+export const gameLibraryAPI = {
+  // Create or replace an entry (the id is the generated game's id)
+  saveGame: async (libraryGame) => {
+    if (!libraryGame?.id || !libraryGame.ownerId || !libraryGame.game) {
+      throw new Error('Game ID, owner and game are required');
+    }
+    const titleError = validateGameTitle(libraryGame.title);
+    if (titleError) {
+      throw new Error(titleError);
+    }
+
+    console.log('💾 API: Saving game to library:', libraryGame.id);
+    const { game, ...details } = libraryGame;
+    const response = await api.post('/game-library', { ...sanitizeInput(details), game: sanitizeGame(game) });
+    return normalizeResponse(response, { key: 'game', type: 'object', required: ['id'] });
+  },
+
+  // Rename or change who can see a game. Sharing with the class puts it in the teacher's review queue.
+  updateGame: async (gameId, changes) => {
+    if (!gameId) {
+      throw new Error('Game ID is required');
+    }
+    if (changes.title !== undefined) {
+      const titleError = validateGameTitle(changes.title);
+      if (titleError) {
+        throw new Error(titleError);
+      }
+    }
+    if (changes.visibility !== undefined && !GAME_VISIBILITY[changes.visibility]) {
+      throw new Error('Invalid game visibility');
+    }
+
+    const data = {
+      ...(changes.title !== undefined && { title: changes.title.trim() }),
+      ...(changes.visibility !== undefined && { visibility: changes.visibility })
+    };
+    console.log('💾 API: Updating library game:', gameId, data);
+    const response = await api.put(`/game-library/${encodeURIComponent(gameId)}`, sanitizeInput(data));
+    return normalizeResponse(response, { key: 'game', type: 'object', required: ['id'] });
+  },
+
+  deleteGame: async (gameId) => {
+    if (!gameId) {
+      throw new Error('Game ID is required');
+    }
+    const response = await api.delete(`/game-library/${encodeURIComponent(gameId)}`);
+    return normalizeResponse(response, { type: 'any' });
+  },
+
+  // The student's own saved games, without game code
+  getMyGames: async (studentId) => {
+    if (!studentId || typeof studentId !== 'string') {
+      throw new Error('Valid student ID is required');
+    }
+    const response = await api.get(`/game-library/student/${studentId}`);
+    return normalizeResponse(response, { key: 'games', type: 'array' });
+  },
+
+  // Games other students shared with this student's level, or approved for their class
+  getSharedGames: async (studentId) => {
+    if (!studentId || typeof studentId !== 'string') {
+      throw new Error('Valid student ID is required');
+    }
+    const response = await api.get(`/game-library/shared/${studentId}`);
+    return normalizeResponse(response, { key: 'games', type: 'array' });
+  },
+
+  // One entry including the game code, for playing or remixing it
+  getGame: async (gameId) => {
+    if (!gameId) {
+      throw new Error('Game ID is required');
+    }
+    const response = await api.get(`/game-library/${encodeURIComponent(gameId)}`);
+    return normalizeResponse(response, { key: 'game', type: 'object', required: ['id', 'game'] });
+  },
+
+  // Class shares from the teacher's students that are waiting for review, including game code
+  getPendingGames: async (teacherId) => {
+    if (!teacherId || typeof teacherId !== 'string') {
+      throw new Error('Valid teacher ID is required');
+    }
+    const response = await api.get(`/game-library/moderation/${teacherId}`);
+    return normalizeResponse(response, { key: 'games', type: 'array' });
+  },
+
+  moderateGame: async (gameId, { decision, note = '' }) => {
+    if (!gameId) {
+      throw new Error('Game ID is required');
+    }
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw new Error('Decision must be approved or rejected');
+    }
+    console.log('🛡️ API: Moderating library game:', gameId, decision);
+    const response = await api.put(
+      `/game-library/${encodeURIComponent(gameId)}/moderation`,
+      sanitizeInput({ decision, note: note.trim() })
+    );
+    return normalizeResponse(response, { key: 'game', type: 'object', required: ['id'] });
   }
 };
 
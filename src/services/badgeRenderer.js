@@ -0,0 +1,119 @@
+// Badge renderer - draws achievement badges in the browser as SVG
+//
+// The same achievement always gives the same badge: colours come from the level and the
+// ray pattern is seeded from the resource title and student name, so no external image
+// service is needed. Badges are stored as a URI-encoded SVG data URL (a few KB) that any
+// <img> can show, and can be exported as PNG for sharing.
+
+export const BADGE_SIZE = 256;
+
+const BADGE_THEMES = {
+  gold: { from: '#facc15', to: '#f97316', ribbon: '#b45309' },
+  silver: { from: '#d1d5db', to: '#6b7280', ribbon: '#4b5563' },
+  bronze: { from: '#fb923c', to: '#ea580c', ribbon: '#9a3412' },
+  participation: { from: '#60a5fa', to: '#2563eb', ribbon: '#1e40af' }
+};
+
+const SVG_DATA_URL_PREFIX = 'data:image/svg+xml';
+
+// Small string hash (FNV-1a) - only used to vary the pattern, not for security
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const truncate = (text, maxLength) => {
+  const value = String(text ?? '').trim();
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1).trimEnd()}…` : value;
+};
+
+const renderRays = (seed) => {
+  const count = 12 + (seed % 9);
+  const offset = (seed >>> 8) % 360;
+  const center = BADGE_SIZE / 2;
+
+  return Array.from({ length: count }, (_, index) => {
+    const angle = (offset + (index * 360) / count) % 360;
+    return `<polygon points="${center},${center} ${center - 8},0 ${center + 8},0" transform="rotate(${angle.toFixed(1)} ${center} ${center})"/>`;
+  }).join('');
+};
+
+/**
+ * Render an achievement badge as an SVG document.
+ * @param {object} badge
+ * @param {string} badge.level - gold, silver, bronze or participation
+ * @param {string} badge.title - achievement title, e.g. "Quiz Master"
+ * @param {string} [badge.icon] - emoji shown in the middle
+ * @param {number} badge.score - quiz score (0-100)
+ * @param {string} [badge.resourceTitle]
+ * @param {string} [badge.studentName]
+ * @param {string} [badge.unlockedAt] - ISO date string
+ * @returns {string}
+ */
+export const renderBadgeSvg = ({ level, title, icon, score, resourceTitle, studentName, unlockedAt }) => {
+  const theme = BADGE_THEMES[level] || BADGE_THEMES.participation;
+  const seed = hashString(`${resourceTitle || ''}|${studentName || ''}`);
+  const center = BADGE_SIZE / 2;
+  const date = unlockedAt ? String(unlockedAt).slice(0, 10) : '';
+  const footer = [truncate(studentName, 20), date].filter(Boolean).join(' • ');
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${BADGE_SIZE}" height="${BADGE_SIZE}" viewBox="0 0 ${BADGE_SIZE} ${BADGE_SIZE}" font-family="system-ui, -apple-system, 'Segoe UI', sans-serif" text-anchor="middle">`,
+    `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${theme.from}"/><stop offset="1" stop-color="${theme.to}"/></linearGradient>`,
+    `<clipPath id="disc"><circle cx="${center}" cy="${center}" r="${center}"/></clipPath></defs>`,
+    `<circle cx="${center}" cy="${center}" r="${center}" fill="url(#bg)"/>`,
+    `<g clip-path="url(#disc)" fill="#ffffff" fill-opacity="0.15">${renderRays(seed)}</g>`,
+    `<circle cx="${center}" cy="${center}" r="100" fill="#ffffff" fill-opacity="0.15" stroke="#ffffff" stroke-width="3"/>`,
+    `<text x="${center}" y="94" font-size="50">${escapeXml(icon)}</text>`,
+    `<text x="${center}" y="138" font-size="36" font-weight="800" fill="#ffffff">${Math.round(score)}%</text>`,
+    `<text x="${center}" y="158" font-size="11" font-weight="700" letter-spacing="3" fill="#ffffff">${escapeXml(String(level).toUpperCase())}</text>`,
+    `<rect x="28" y="168" width="200" height="30" rx="6" fill="${theme.ribbon}"/>`,
+    `<text x="${center}" y="188" font-size="15" font-weight="700" fill="#ffffff">${escapeXml(truncate(title, 22))}</text>`,
+    `<text x="${center}" y="216" font-size="11" font-weight="600" fill="#ffffff">${escapeXml(truncate(resourceTitle, 26))}</text>`,
+    footer ? `<text x="${center}" y="232" font-size="9" fill="#ffffff" fill-opacity="0.9">${escapeXml(footer)}</text>` : '',
+    '</svg>'
+  ].join('');
+};
+
+export const svgToDataUrl = (svg) => `${SVG_DATA_URL_PREFIX};charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Rendered badges are stored as they are; only AI-generated images need converting before saving
+export const isRenderedBadge = (image) => typeof image === 'string' && image.startsWith(SVG_DATA_URL_PREFIX);
+
+/**
+ * Render an achievement badge as an SVG data URL, ready for <img src> or quizAPI.saveAchievement.
+ * @param {object} badge - see renderBadgeSvg
+ * @returns {string}
+ */
+export const renderBadge = (badge) => svgToDataUrl(renderBadgeSvg(badge));
+
+/**
+ * Draw a badge image (SVG data URL, blob URL or base64) onto a canvas and export it as PNG,
+ * which chat apps and social sites accept where SVG is not.
+ * @param {string} image
+ * @param {number} [size] - width and height in pixels
+ * @returns {Promise<Blob>}
+ */
+export const badgeToPngBlob = (image, size = BADGE_SIZE * 2) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext('2d').drawImage(img, 0, 0, size, size);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Badge could not be exported'))), 'image/png');
+  };
+  img.onerror = () => reject(new Error('Badge image could not be loaded'));
+  img.src = image;
+});
@@ -0,0 +1,94 @@
+// Game library - prompt games students keep, share and remix
+//
+// A library game is { id, ownerId, ownerName, title, prompt, subject, level, game, visibility,
+// moderation, moderationNote, remixOf, playCount, createdAt, updatedAt }. Its id is the generated
+// game's id, so sessions, replays and XP for the game all point at the same entry. The backend
+// fills in ownerName, visibility, moderation fields and playCount; saving never changes who can
+// see a game, only updateGame does.
+//
+// Sharing with the student's level is immediate. Sharing with their class waits for a teacher:
+// the backend sets moderation to 'pending' and only shows the game to classmates once a
+// teacher approves it (see GAME_LIBRARY_API_REQUIREMENTS.md).
+
+export const GAME_VISIBILITY = {
+  private: 'Only me',
+  level: 'Students at my level',
+  class: 'My class (after teacher review)'
+};
+
+export const MODERATION_STATUSES = ['none', 'pending', 'approved', 'rejected'];
+
+export const GAME_TITLE_MAX_LENGTH = 80;
+export const REMIX_CHANGES_MAX_LENGTH = 300;
+
+// Keep remix prompts within what the generator is given for a new game plus the changes
+const ORIGINAL_PROMPT_MAX_LENGTH = 500;
+
+/**
+ * Check a title before saving or renaming
+ * @param {string} title
+ * @returns {string|null} error message, or null when the title is fine
+ */
+export const validateGameTitle = (title) => {
+  const trimmed = String(title || '').trim();
+  if (!trimmed) return 'Give your game a name';
+  if (trimmed.length > GAME_TITLE_MAX_LENGTH) return `Game names can be at most ${GAME_TITLE_MAX_LENGTH} characters`;
+  return null;
+};
+
+/**
+ * Build the entry to save for a game that was just played
+ * @param {Object} options
+ * @param {Object} options.game - generated game, including its id
+ * @param {string} options.title - name chosen by the student
+ * @param {string} options.prompt - prompt the game was generated from
+ * @param {string} [options.subject]
+ * @param {number} [options.level]
+ * @param {string} options.ownerId
+ * @param {string} [options.remixOf] - library id of the game this one was remixed from
+ * @returns {Object}
+ */
+export const createLibraryGame = ({ game, title, prompt, subject = 'Science', level = 1, ownerId, remixOf = null }) => ({
+  id: game.id,
+  ownerId,
+  title: String(title || game.gameTitle || '').trim().slice(0, GAME_TITLE_MAX_LENGTH),
+  prompt: prompt || '',
+  subject,
+  level,
+  game,
+  remixOf
+});
+
+/**
+ * Who can see a game right now, for the status pill on library cards
+ * @param {Object} libraryGame
+ * @returns {{label: string, className: string}}
+ */
+export const getShareState = (libraryGame) => {
+  if (libraryGame.visibility === 'level') {
+    return { label: '🌍 Shared with your level', className: 'bg-blue-100 text-blue-800' };
+  }
+  if (libraryGame.visibility === 'class') {
+    switch (libraryGame.moderation) {
+      case 'approved': return { label: '🏫 Shared with your class', className: 'bg-green-100 text-green-800' };
+      case 'rejected': return { label: '🚫 Not approved', className: 'bg-red-100 text-red-800' };
+      default: return { label: '⏳ Waiting for teacher review', className: 'bg-yellow-100 text-yellow-800' };
+    }
+  }
+  return { label: '🔒 Only you', className: 'bg-gray-100 text-gray-700' };
+};
+
+/**
+ * Prompt for remixing a game: the original request plus what the student wants changed
+ * @param {Object} libraryGame - game being remixed
+ * @param {string} changes - the student's changes
+ * @returns {string}
+ */
+export const buildRemixPrompt = (libraryGame, changes) => {
+  const original = String(libraryGame.prompt || libraryGame.game?.gameDescription || libraryGame.title || '')
+    .trim()
+    .slice(0, ORIGINAL_PROMPT_MAX_LENGTH);
+  const requested = String(changes || '').trim().slice(0, REMIX_CHANGES_MAX_LENGTH);
+
+  return `${original}\n\nRemix of the game "${libraryGame.title}". Keep the same topic and idea, but change this: ${requested}`;
+};
@@ -0,0 +1,438 @@
+// Game sandbox - runs AI-generated game code (html/css/javascript) in an isolated iframe.
+//
+// Layers, from outside in:
+// 1. <iframe sandbox="allow-scripts"> without allow-same-origin: the game gets a null origin,
+//    so it can't read the app's cookies, storage or DOM, open popups, submit forms or navigate us.
+// 2. A strict Content-Security-Policy inside the document: no network, no eval, no external
+//    scripts, styles, fonts or frames. Only the inline code and data: images can run.
+// 3. A static scan of the code before it runs (scanGameCode). It refuses code that tries to do
+//    any of the above, so the student sees why instead of a half-broken game.
+// 4. Loops get a time guard (instrumentLoops) and the game sends a heartbeat. If it stops
+//    beating, the parent removes the iframe (see GameSandboxFrame).
+//
+// The game talks to the parent only through typed messages (GAME_MESSAGE_TYPES) on a per-run
+// channel. readGameMessage checks each one before the app acts on it. Scores still come from
+// code running in the student's browser, so the backend treats them as untrusted.
+
+export const GAME_PROTOCOL = 'studyhub-game/1';
+
+export const GAME_MESSAGE_TYPES = {
+  READY: 'ready',
+  SCORE: 'score',
+  COMPLETE: 'complete',
+  ERROR: 'error',
+  HEARTBEAT: 'heartbeat'
+};
+
+export const GAME_SANDBOX_ATTRIBUTES = 'allow-scripts';
+
+export const GAME_CSP = [
+  "default-src 'none'",
+  "script-src 'unsafe-inline'",
+  "style-src 'unsafe-inline'",
+  'img-src data: blob:',
+  'media-src data: blob:',
+  'font-src data:',
+  "connect-src 'none'",
+  "frame-src 'none'",
+  "worker-src 'none'",
+  "form-action 'none'",
+  "base-uri 'none'"
+].join('; ');
+
+export const GAME_LIMITS = {
+  maxCodeBytes: 200 * 1024,
+  maxScore: 1000000,
+  loopBudgetMs: 3000, // one loop may run this long without yielding
+  heartbeatMs: 1000,
+  heartbeatTimeoutMs: 6000,
+  readyTimeoutMs: 10000
+};
+
+// Error code the loop guard reports, so the parent can stop the game instead of just logging
+export const LOOP_GUARD_ERROR = 'loop_timeout';
+
+const LOOP_GUARD_CALL = '__sandboxLoopGuard();';
+
+// severity 'block' stops the game from running; 'warn' is only shown to the student
+const SCAN_RULES = [
+  { id: 'network', severity: 'block', fields: ['javascript', 'html'], message: 'Loads data from the internet',
+    pattern: /\b(fetch\s*\(|XMLHttpRequest|WebSocket|EventSource|sendBeacon|importScripts|import\s*\()/ },
+  { id: 'external-resource', severity: 'block', fields: ['html', 'css', 'javascript'], message: 'Uses files from another website',
+    pattern: /(\b(src|href|action|srcset|poster)\s*=\s*['"]?\s*(https?:)?\/\/|@import|url\(\s*['"]?\s*(https?:)?\/\/)/i },
+  { id: 'storage', severity: 'block', fields: ['javascript', 'html'], message: 'Reads or writes browser storage or cookies',
+    pattern: /\b(document\.cookie|localStorage|sessionStorage|indexedDB|caches\.)/ },
+  { id: 'escape', severity: 'block', fields: ['javascript', 'html'], message: 'Reaches outside the game window',
+    pattern: /\b(window\.top|window\.parent|window\.opener|top\.location|parent\.postMessage|window\.frameElement)\b/ },
+  { id: 'dynamic-code', severity: 'block', fields: ['javascript', 'html'], message: 'Builds code from text (eval)',
+    pattern: /(\beval\s*\(|\bnew\s+Function\b|\bset(Timeout|Interval)\s*\(\s*['"`])/ },
+  { id: 'navigation', severity: 'block', fields: ['javascript', 'html'], message: 'Navigates or opens windows',
+    pattern: /(\blocation\s*(\.href)?\s*=[^=]|\blocation\.(assign|replace|reload)\s*\(|\bwindow\.open\s*\()/ },
+  { id: 'embedding', severity: 'block', fields: ['html'], message: 'Embeds other pages or changes page settings',
+    pattern: /<\s*(iframe|frame|object|embed|base|meta|link|portal)\b/i },
+  { id: 'endless-loop', severity: 'warn', fields: ['javascript'], message: 'Has a loop that may never end',
+    pattern: /(\bwhile\s*\(\s*(true|1)\s*\)|\bfor\s*\(\s*;\s*;\s*\))/ },
+  { id: 'dialogs', severity: 'warn', fields: ['javascript', 'html'], message: 'Uses pop-up dialogs (shown as messages in the game instead)',
+    pattern: /\b(alert|confirm|prompt)\s*\(/ },
+  { id: 'forms', severity: 'warn', fields: ['html'], message: 'Has a form that can\'t be submitted',
+    pattern: /<\s*form\b/i }
+];
+
+/**
+ * Check generated game code before it runs
+ * @param {{html?: string, css?: string, javascript?: string}} game
+ * @returns {{safe: boolean, issues: Array<{id: string, severity: string, message: string, field: string}>}}
+ */
+export const scanGameCode = (game = {}) => {
+  const issues = [];
+  const fields = {
+    html: String(game.html || ''),
+    css: String(game.css || ''),
+    javascript: String(game.javascript || '')
+  };
+
+  const size = new Blob([fields.html, fields.css, fields.javascript]).size;
+  if (size > GAME_LIMITS.maxCodeBytes) {
+    issues.push({ id: 'size', severity: 'block', message: `Is too large (${Math.round(size / 1024)}KB)`, field: 'all' });
+  }
+
+  SCAN_RULES.forEach(rule => {
+    const field = rule.fields.find(name => rule.pattern.test(fields[name]));
+    if (field) {
+      issues.push({ id: rule.id, severity: rule.severity, message: rule.message, field });
+    }
+  });
+
+  return { safe: !issues.some(issue => issue.severity === 'block'), issues };
+};
+
+const REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+const REGEX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await'];
+
+/**
+ * Add a time guard to the start of every braced loop body (for/while/do { ... })
+ * The guard throws once a single loop has run for GAME_LIMITS.loopBudgetMs without yielding.
+ * Loops without braces aren't touched; the heartbeat watchdog still catches those.
+ * @param {string} source - game JavaScript
+ * @returns {string}
+ */
+export const instrumentLoops = (source = '') => {
+  const length = source.length;
+  let pos = 0;
+  let out = '';
+  let prev = ''; // last significant character, to tell a regex literal from division
+  let prevWord = '';
+
+  const isIdentStart = (char) => /[A-Za-z_$]/.test(char);
+  const isIdent = (char) => /[\w$]/.test(char);
+
+  const copyEscaped = () => {
+    out += source[pos] + (source[pos + 1] || '');
+    pos += 2;
+  };
+
+  const copyQuoted = (quote) => {
+    out += source[pos++];
+    while (pos < length) {
+      if (source[pos] === '\\') {
+        copyEscaped();
+        continue;
+      }
+      const char = source[pos++];
+      out += char;
+      if (char === quote || char === '\n') return;
+    }
+  };
+
+  const copyRegex = () => {
+    let inClass = false;
+    out += source[pos++];
+    while (pos < length) {
+      if (source[pos] === '\\') {
+        copyEscaped();
+        continue;
+      }
+      const char = source[pos++];
+      out += char;
+      if (char === '\n') return;
+      if (char === '[') inClass = true;
+      else if (char === ']') inClass = false;
+      else if (char === '/' && !inClass) break;
+    }
+    while (pos < length && isIdent(source[pos])) out += source[pos++];
+  };
+
+  const copySpace = () => {
+    while (pos < length && /\s/.test(source[pos])) out += source[pos++];
+  };
+
+  // Copy code until `closer` at bracket depth 0 (not consumed)
+  const scan = (closer) => {
+    let depth = 0;
+    while (pos < length) {
+      const char = source[pos];
+      const next = source[pos + 1];
+
+      if (char === closer && depth === 0) return;
+
+      if (char === '/' && (next === '/' || next === '*')) {
+        const end = next === '/' ? source.indexOf('\n', pos) : source.indexOf('*/', pos + 2);
+        const stop = end === -1 ? length : (next === '/' ? end : end + 2);
+        out += source.slice(pos, stop);
+        pos = stop;
+        continue;
+      }
+
+      if (char === '"' || char === '\'') {
+        copyQuoted(char);
+        prev = 'x';
+        prevWord = '';
+        continue;
+      }
+
+      if (char === '`') {
+        out += source[pos++];
+        while (pos < length && source[pos] !== '`') {
+          if (source[pos] === '\\') {
+            copyEscaped();
+          } else if (source[pos] === '$' && source[pos + 1] === '{') {
+            out += '${';
+            pos += 2;
+            scan('}');
+            if (pos < length) out += source[pos++];
+          } else {
+            out += source[pos++];
+          }
+        }
+        if (pos < length) out += source[pos++];
+        prev = 'x';
+        prevWord = '';
+        continue;
+      }
+
+      if (char === '/' && (!prev || REGEX_PRECEDERS.includes(prev) || REGEX_KEYWORDS.includes(prevWord))) {
+        copyRegex();
+        prev = 'x';
+        prevWord = '';
+        continue;
+      }
+
+      if (isIdentStart(char)) {
+        let word = '';
+        while (pos < length && isIdent(source[pos])) word += source[pos++];
+        out += word;
+        prev = 'x';
+        prevWord = word;
+
+        if (word !== 'for' && word !== 'while' && word !== 'do') continue;
+
+        copySpace();
+        let loopHead = word === 'do';
+        if (!loopHead && source[pos] === '(') {
+          out += source[pos++];
+          scan(')');
+          if (pos < length) out += source[pos++];
+          prev = ')';
+          prevWord = '';
+          copySpace();
+          loopHead = true;
+        }
+        // `while (...)` closing a do-while is followed by `;`, so it gets no guard
+        if (loopHead && source[pos] === '{') {
+          out += source[pos++] + LOOP_GUARD_CALL;
+          depth++;
+          prev = '{';
+          prevWord = '';
+        }
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        out += char;
+        pos++;
+        continue;
+      }
+
+      if ('([{'.includes(char)) depth++;
+      else if (')]}'.includes(char)) depth--;
+      out += char;
+      pos++;
+      prev = char;
+      prevWord = '';
+    }
+  };
+
+  scan(null);
+  return out;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Keep the game's code from closing the element it's embedded in
+const escapeClosingTag = (code, tag) => String(code || '').replace(new RegExp(`</(${tag})`, 'gi'), '<\\/$1');
+
+// Runs before the game. It is written in ES5 on purpose and removes its own <script> element,
+// so the game can't read the channel id from the page.
+const createBootstrap = ({ channel, parentOrigin }) => `
+(function () {
+  'use strict';
+  var PROTOCOL = ${JSON.stringify(GAME_PROTOCOL)};
+  var CHANNEL = ${JSON.stringify(channel)};
+  var PARENT_ORIGIN = ${JSON.stringify(parentOrigin)};
+  var MAX_SCORE = ${GAME_LIMITS.maxScore};
+  var LOOP_BUDGET_MS = ${GAME_LIMITS.loopBudgetMs};
+  var host = window.parent;
+  var lastScore = null;
+
+  function send(type, payload) {
+    host.postMessage({ protocol: PROTOCOL, channel: CHANNEL, type: type, payload: payload || {} }, PARENT_ORIGIN);
+  }
+
+  function toScore(value) {
+    var score = Number(value);
+    if (!isFinite(score)) return null;
+    return Math.max(0, Math.min(MAX_SCORE, Math.round(score)));
+  }
+
+  function reportScore(value) {
+    var score = toScore(value);
+    if (score === null || score === lastScore) return;
+    lastScore = score;
+    send('${GAME_MESSAGE_TYPES.SCORE}', { score: score });
+  }
+
+  // The loop guard is armed by the first loop of a task and disarmed by a message that can
+  // only be handled once the task yields. Message events aren't throttled like timers.
+  var armedAt = 0;
+  var disarm = new MessageChannel();
+  disarm.port1.onmessage = function () { armedAt = 0; };
+  Object.defineProperty(window, '__sandboxLoopGuard', {
+    value: function () {
+      var now = Date.now();
+      if (!armedAt) {
+        armedAt = now;
+        disarm.port2.postMessage(null);
+      } else if (now - armedAt > LOOP_BUDGET_MS) {
+        send('${GAME_MESSAGE_TYPES.ERROR}', { code: '${LOOP_GUARD_ERROR}', message: 'A loop ran for too long' });
+        throw new Error('Game stopped: a loop ran for too long');
+      }
+    }
+  });
+
+  var api = {
+    setScore: reportScore,
+    complete: function (finalScore) {
+      if (finalScore !== undefined) window.gameScore = finalScore;
+      var score = toScore(window.gameScore);
+      send('${GAME_MESSAGE_TYPES.COMPLETE}', { score: score === null ? 0 : score });
+    }
+  };
+  Object.defineProperty(window, 'GameSandbox', { value: Object.freeze(api) });
+
+  // Older generated games keep their score in window.gameScore and call completeGame()
+  window.gameScore = window.gameScore || 0;
+  window.completeGame = api.complete;
+  setInterval(function () { reportScore(window.gameScore); }, 500);
+
+  // Modal dialogs are disabled in the sandbox; show alerts as a message in the game instead
+  window.alert = function (message) {
+    var toast = document.createElement('div');
+    toast.textContent = String(message);
+    toast.setAttribute('style', 'position:fixed;left:50%;top:16px;transform:translateX(-50%);max-width:80%;padding:12px 20px;border-radius:8px;background:#1f2937;color:#fff;font:14px sans-serif;z-index:2147483647;');
+    document.body.appendChild(toast);
+    setTimeout(function () { toast.remove(); }, 4000);
+  };
+
+  window.addEventListener('error', function (event) {
+    send('${GAME_MESSAGE_TYPES.ERROR}', { message: String(event.message || 'Script error') });
+  });
+  window.addEventListener('unhandledrejection', function (event) {
+    send('${GAME_MESSAGE_TYPES.ERROR}', { message: String((event.reason && event.reason.message) || event.reason || 'Unhandled promise rejection') });
+  });
+
+  setInterval(function () { send('${GAME_MESSAGE_TYPES.HEARTBEAT}'); }, ${GAME_LIMITS.heartbeatMs});
+  window.addEventListener('load', function () { send('${GAME_MESSAGE_TYPES.READY}'); });
+
+  if (document.currentScript) document.currentScript.remove();
+})();
+`;
+
+/**
+ * Build the srcdoc for one run of a game
+ * @param {Object} game - generated game ({gameTitle, html, css, javascript})
+ * @param {Object} options
+ * @param {string} options.channel - per-run id the game must echo in every message
+ * @param {string} [options.parentOrigin] - origin the game may post to (defaults to ours)
+ * @returns {string}
+ */
+export const buildGameDocument = (game, { channel, parentOrigin = window.location.origin }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta http-equiv="Content-Security-Policy" content="${GAME_CSP}">
+<meta name="referrer" content="no-referrer">
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(game.gameTitle || 'Game')}</title>
+<script>${createBootstrap({ channel, parentOrigin })}</script>
+<style>
+  body {
+    margin: 0;
+    padding: 20px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    background: #f7fafc;
+  }
+  ${escapeClosingTag(game.css, 'style')}
+</style>
+</head>
+<body>
+${game.html || ''}
+<script>
+${escapeClosingTag(instrumentLoops(String(game.javascript || '')), 'script')}
+</script>
+</body>
+</html>`;
+
+/**
+ * Validate a message event from a game iframe
+ * Only messages from the expected frame, with a null origin, the run's channel and a known
+ * type are accepted. Payloads are normalized; anything else is dropped.
+ * @param {MessageEvent} event
+ * @param {Object} expected
+ * @param {string} expected.channel
+ * @param {Window} expected.frameWindow - contentWindow of the game iframe
+ * @returns {{type: string, score?: number, message?: string, code?: string}|null}
+ */
+export const readGameMessage = (event, { channel, frameWindow }) => {
+  if (!frameWindow || event.source !== frameWindow || event.origin !== 'null') return null;
+
+  const data = event.data;
+  if (!data || typeof data !== 'object' || data.protocol !== GAME_PROTOCOL || data.channel !== channel) {
+    return null;
+  }
+
+  const payload = data.payload && typeof data.payload === 'object' ? data.payload : {};
+
+  switch (data.type) {
+    case GAME_MESSAGE_TYPES.READY:
+    case GAME_MESSAGE_TYPES.HEARTBEAT:
+      return { type: data.type };
+    case GAME_MESSAGE_TYPES.SCORE:
+    case GAME_MESSAGE_TYPES.COMPLETE: {
+      const score = Number(payload.score);
+      if (!Number.isFinite(score)) return null;
+      return { type: data.type, score: Math.max(0, Math.min(GAME_LIMITS.maxScore, Math.round(score))) };
+    }
+    case GAME_MESSAGE_TYPES.ERROR:
+      return {
+        type: data.type,
+        code: payload.code === LOOP_GUARD_ERROR ? LOOP_GUARD_ERROR : null,
+        message: String(payload.message || 'Unknown error').slice(0, 300)
+      };
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,273 @@
+// Game template runtime - the trusted player for template games (see gameTemplates.js)
+//
+// templateRuntime is never called in the app. renderTemplateGame serialises it with toString()
+// and the game sandbox runs it inside the iframe with the template definition as its only
+// argument, so it must not use anything from this module or from imports. It builds the page
+// with textContent only: template text is data and never becomes markup.
+//
+// Scoring: 10 points per correct answer, 5 more when it was right first time, and 20 for
+// finishing. Scores go to the host through window.GameSandbox (gameSandbox.js).
+
+export function templateRuntime(definition) {
+  var root = document.getElementById('game-root');
+  var content = definition.content;
+  var state = { score: 0, solved: 0, total: 0, selected: null, missed: {}, next: 0 };
+  var pieces = {};
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined && text !== null) node.textContent = String(text);
+    return node;
+  }
+
+  function shuffle(list) {
+    var copy = list.slice();
+    for (var i = copy.length - 1; i > 0; i--) {
+      var j = Math.floor(Math.random() * (i + 1));
+      var swap = copy[i];
+      copy[i] = copy[j];
+      copy[j] = swap;
+    }
+    return copy;
+  }
+
+  function place(node, box) {
+    node.style.left = box.x + '%';
+    node.style.top = box.y + '%';
+    if (box.w !== undefined) node.style.width = box.w + '%';
+    if (box.h !== undefined) node.style.height = box.h + '%';
+    return node;
+  }
+
+  // ===== Layout =====
+
+  var header = el('div', 'tg-header');
+  header.appendChild(el('h2', 'tg-title', definition.title));
+  header.appendChild(el('p', 'tg-instructions', definition.instructions));
+  var scoreLine = el('div', 'tg-score');
+  header.appendChild(scoreLine);
+  root.appendChild(header);
+
+  var feedback = el('div', 'tg-feedback', 'Pick or drag a card to start.');
+  feedback.setAttribute('aria-live', 'polite');
+
+  var tray = el('div', 'tg-tray');
+  var area = el('div', 'tg-area');
+  root.appendChild(area);
+  root.appendChild(tray);
+  root.appendChild(feedback);
+
+  function updateScore() {
+    scoreLine.textContent = 'Score: ' + state.score + ' • ' + state.solved + ' of ' + state.total + ' done';
+    window.GameSandbox.setScore(state.score);
+  }
+
+  function say(text, tone) {
+    feedback.textContent = text;
+    feedback.className = 'tg-feedback' + (tone ? ' tg-' + tone : '');
+  }
+
+  function select(id) {
+    if (state.selected && pieces[state.selected]) pieces[state.selected].classList.remove('tg-selected');
+    state.selected = state.selected === id ? null : id;
+    if (state.selected) pieces[state.selected].classList.add('tg-selected');
+  }
+
+  function finish() {
+    state.score += 20;
+    updateScore();
+    var done = el('div', 'tg-complete');
+    done.appendChild(el('h3', null, '🎉 Well done!'));
+    done.appendChild(el('p', null, 'You finished with ' + state.score + ' points.'));
+    root.appendChild(done);
+    window.GameSandbox.complete(state.score);
+  }
+
+  // Every answer goes through here, whether it came from a click or a drop
+  function attempt(pieceId, targetId, isCorrect, onCorrect) {
+    var piece = pieces[pieceId];
+    if (!piece || piece.disabled) return;
+    select(null);
+
+    if (!isCorrect(pieceId, targetId)) {
+      state.missed[pieceId] = true;
+      piece.classList.add('tg-wrong');
+      setTimeout(function () { piece.classList.remove('tg-wrong'); }, 400);
+      say('Not quite. Try again!', 'wrong');
+      return;
+    }
+
+    state.score += state.missed[pieceId] ? 10 : 15;
+    state.solved += 1;
+    piece.disabled = true;
+    piece.classList.add('tg-done');
+    say('✅ ' + (onCorrect(pieceId, targetId) || 'Correct!'), 'right');
+    updateScore();
+    if (state.solved === state.total) finish();
+  }
+
+  function addPiece(id, text, onPick) {
+    var piece = el('button', 'tg-piece', text);
+    piece.type = 'button';
+    piece.draggable = true;
+    piece.addEventListener('click', function () {
+      if (onPick) onPick(id);
+      else select(id);
+    });
+    piece.addEventListener('dragstart', function (event) {
+      event.dataTransfer.setData('text/plain', id);
+      select(null);
+    });
+    pieces[id] = piece;
+    tray.appendChild(piece);
+    return piece;
+  }
+
+  function makeTarget(node, targetId, isCorrect, onCorrect) {
+    node.addEventListener('click', function () {
+      if (state.selected) attempt(state.selected, targetId, isCorrect, onCorrect);
+    });
+    node.addEventListener('dragover', function (event) {
+      event.preventDefault();
+      node.classList.add('tg-over');
+    });
+    node.addEventListener('dragleave', function () { node.classList.remove('tg-over'); });
+    node.addEventListener('drop', function (event) {
+      event.preventDefault();
+      node.classList.remove('tg-over');
+      attempt(event.dataTransfer.getData('text/plain'), targetId, isCorrect, onCorrect);
+    });
+    return node;
+  }
+
+  function drawShapes(board) {
+    (content.shapes || []).forEach(function (shape) {
+      var node = place(el('div', 'tg-shape tg-' + shape.kind, shape.text), shape);
+      node.style.background = shape.color;
+      board.appendChild(node);
+    });
+  }
+
+  function byId(list) {
+    var map = {};
+    list.forEach(function (entry) { map[entry.id] = entry; });
+    return map;
+  }
+
+  // ===== Game types =====
+
+  var types = {
+    // Pick a card on the left, then its partner on the right
+    match: function () {
+      var pairs = byId(content.pairs);
+      var isCorrect = function (pieceId, targetId) { return pieceId === targetId; };
+      var columns = el('div', 'tg-columns');
+      var answers = el('div', 'tg-column');
+      answers.appendChild(el('h3', null, content.rightLabel));
+      shuffle(content.pairs).forEach(function (pair) {
+        var target = el('div', 'tg-target', pair.right);
+        makeTarget(target, pair.id, isCorrect, function (id) {
+          target.classList.add('tg-done');
+          target.textContent = pairs[id].left + ' = ' + pairs[id].right;
+          return pairs[id].fact;
+        });
+        answers.appendChild(target);
+      });
+      tray.appendChild(el('h3', null, content.leftLabel));
+      shuffle(content.pairs).forEach(function (pair) { addPiece(pair.id, pair.left); });
+      columns.appendChild(answers);
+      area.appendChild(columns);
+      state.total = content.pairs.length;
+    },
+
+    // Drop every item into its category
+    sort: function () {
+      var items = byId(content.items);
+      var isCorrect = function (pieceId, targetId) { return items[pieceId] && items[pieceId].category === targetId; };
+      var bins = el('div', 'tg-bins');
+      content.categories.forEach(function (category) {
+        var bin = el('div', 'tg-target tg-bin');
+        bin.appendChild(el('h3', null, (category.icon ? category.icon + ' ' : '') + category.label));
+        var list = el('div', 'tg-bin-items');
+        bin.appendChild(list);
+        makeTarget(bin, category.id, isCorrect, function (id) {
+          list.appendChild(pieces[id]);
+          return items[id].fact;
+        });
+        bins.appendChild(bin);
+      });
+      area.appendChild(bins);
+      shuffle(content.items).forEach(function (item) { addPiece(item.id, item.text); });
+      state.total = content.items.length;
+    },
+
+    // Put the steps in order; clicking a card or dropping it on the track both answer
+    sequence: function () {
+      var steps = byId(content.steps);
+      var track = el('ol', 'tg-track');
+      var isCorrect = function (pieceId) { return content.steps[state.next] && content.steps[state.next].id === pieceId; };
+      var onCorrect = function (id) {
+        var slot = track.children[state.next];
+        slot.textContent = steps[id].text;
+        slot.classList.add('tg-done');
+        pieces[id].style.display = 'none';
+        state.next += 1;
+        return steps[id].fact;
+      };
+      area.appendChild(el('p', 'tg-question', content.prompt));
+      content.steps.forEach(function () { track.appendChild(el('li', 'tg-slot', '?')); });
+      makeTarget(track, 'track', isCorrect, onCorrect);
+      area.appendChild(track);
+      shuffle(content.steps).forEach(function (step) {
+        addPiece(step.id, step.text, function (id) { attempt(id, 'track', isCorrect, onCorrect); });
+      });
+      state.total = content.steps.length;
+    },
+
+    // Drag each item onto its zone of the picture
+    zone: function () {
+      var items = byId(content.items);
+      var isCorrect = function (pieceId, targetId) { return items[pieceId] && items[pieceId].zone === targetId; };
+      var board = el('div', 'tg-board');
+      drawShapes(board);
+      content.zones.forEach(function (zone) {
+        var node = place(el('div', 'tg-target tg-zone', zone.label), zone);
+        makeTarget(node, zone.id, isCorrect, function (id) {
+          node.appendChild(el('span', 'tg-zone-item', items[id].text));
+          node.classList.add('tg-done');
+          pieces[id].style.display = 'none';
+          return items[id].fact;
+        });
+        board.appendChild(node);
+      });
+      area.appendChild(board);
+      shuffle(content.items).forEach(function (item) { addPiece(item.id, item.text); });
+      state.total = content.items.length;
+    },
+
+    // Put each label on its numbered spot of the diagram
+    label: function () {
+      var hotspots = byId(content.hotspots);
+      var isCorrect = function (pieceId, targetId) { return pieceId === targetId; };
+      var board = el('div', 'tg-board');
+      drawShapes(board);
+      content.hotspots.forEach(function (hotspot, index) {
+        var node = place(el('div', 'tg-target tg-hotspot', index + 1), hotspot);
+        makeTarget(node, hotspot.id, isCorrect, function (id) {
+          node.textContent = hotspots[id].label;
+          node.classList.add('tg-done');
+          pieces[id].style.display = 'none';
+          return hotspots[id].fact;
+        });
+        board.appendChild(node);
+      });
+      area.appendChild(board);
+      shuffle(content.hotspots).forEach(function (hotspot) { addPiece(hotspot.id, hotspot.label); });
+      state.total = content.hotspots.length;
+    }
+  };
+
+  types[definition.type]();
+  updateScore();
+}
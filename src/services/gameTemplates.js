@@ -0,0 +1,417 @@
+// Game templates - declarative prompt games, played by a trusted runtime
+//
+// A template is a JSON definition in ./gameTemplates/. It holds the game's text and content,
+// never code. renderTemplateGame turns one into a regular game object whose JavaScript is the
+// runtime in gameTemplateRuntime.js plus the definition as data, so template games run in the
+// same sandbox as AI-written games and need nothing new from the host.
+//
+// The AI only fills content slots: it may rewrite the text and swap in its own content for
+// match, sort and sequence games. Label and zone games are drawn from fixed coordinates, so
+// there it may only rewrite the facts. Whatever comes back is validated like a template file,
+// and anything that doesn't pass keeps the template's own content.
+//
+// Template types and their content fields:
+//   match     leftLabel, rightLabel, pairs [{ id, left, right, fact }] (3-8)
+//   sort      categories [{ id, label, icon? }] (2-4), items [{ id, text, category, fact }] (4-12)
+//   sequence  prompt, steps [{ id, text, fact }] (3-8, in the correct order; shuffled when shown)
+//   label     shapes, hotspots [{ id, x, y, label, fact }] (3-8)
+//   zone      shapes, zones [{ id, label, x, y, w, h }] (2-6), items [{ id, text, zone, fact }] (2-10)
+//
+// Positions and sizes are percentages of the board. shapes [{ kind, x, y, w, h, color, text? }]
+// draw the picture behind label and zone games; kind is rect, circle or ellipse.
+
+import { templateRuntime } from './gameTemplateRuntime';
+import acidsAndBases from './gameTemplates/acids-and-bases.json';
+import cellParts from './gameTemplates/cell-parts.json';
+import elementSymbols from './gameTemplates/element-symbols.json';
+import forcesOnABox from './gameTemplates/forces-on-a-box.json';
+import solarSystem from './gameTemplates/solar-system.json';
+import statesOfMatter from './gameTemplates/states-of-matter.json';
+import waterCycle from './gameTemplates/water-cycle.json';
+
+export const GAME_TEMPLATE_TYPES = ['match', 'sort', 'sequence', 'label', 'zone'];
+export const SHAPE_KINDS = ['rect', 'circle', 'ellipse'];
+
+// Used when no template's keywords match the prompt
+export const DEFAULT_TEMPLATE_ID = 'states-of-matter';
+
+const TITLE_MAX_LENGTH = 80;
+const TEXT_MAX_LENGTH = 120;
+const INFO_MAX_LENGTH = 400;
+const MAX_OBJECTIVES = 4;
+const MAX_SHAPES = 12;
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+// Content fields the AI may replace, per type. Facts can always be rewritten by id.
+const FILLABLE_CONTENT = {
+  match: ['leftLabel', 'rightLabel', 'pairs'],
+  sort: ['categories', 'items'],
+  sequence: ['prompt', 'steps'],
+  label: [],
+  zone: []
+};
+
+// Lists that carry a fact per entry, for describing and applying fact-only fills
+const FACT_LISTS = { match: 'pairs', sort: 'items', sequence: 'steps', label: 'hotspots', zone: 'items' };
+
+// ===== Validation helpers =====
+
+const toText = (value, maxLength = TEXT_MAX_LENGTH) =>
+  typeof value === 'string' || typeof value === 'number' ? String(value).trim().slice(0, maxLength) : '';
+
+const toPercent = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(100, Math.round(number * 10) / 10)) : null;
+};
+
+// Validate a list of { id, ...fields } entries. Text fields are required; box fields are
+// percentages. Entries with a missing field or a repeated id make the whole list invalid,
+// because other content refers to them by id.
+const validateEntries = (raw, { name, min, max, text = [], optionalText = [], box = [] }, errors) => {
+  if (!Array.isArray(raw)) {
+    errors.push(`${name} must be a list`);
+    return null;
+  }
+  if (raw.length < min || raw.length > max) {
+    errors.push(`${name} needs ${min}-${max} entries, got ${raw.length}`);
+    return null;
+  }
+
+  const seen = new Set();
+  const entries = [];
+  for (const [index, entry] of raw.entries()) {
+    const id = toText(entry?.id);
+    if (!ID_PATTERN.test(id) || seen.has(id)) {
+      errors.push(`${name}[${index}] has a missing or repeated id`);
+      return null;
+    }
+    seen.add(id);
+
+    const clean = { id };
+    for (const field of text) {
+      clean[field] = toText(entry[field], field === 'fact' ? INFO_MAX_LENGTH : TEXT_MAX_LENGTH);
+      if (!clean[field]) {
+        errors.push(`${name}[${index}] is missing ${field}`);
+        return null;
+      }
+    }
+    for (const field of optionalText) {
+      const value = toText(entry[field]);
+      if (value) clean[field] = value;
+    }
+    for (const field of box) {
+      clean[field] = toPercent(entry[field]);
+      if (clean[field] === null) {
+        errors.push(`${name}[${index}] is missing ${field}`);
+        return null;
+      }
+    }
+    entries.push(clean);
+  }
+  return entries;
+};
+
+// Every entry must point at an id that exists in the other list
+const checkReferences = (entries, field, targets, name, errors) => {
+  const ids = new Set(targets.map(target => target.id));
+  const broken = entries.find(entry => !ids.has(entry[field]));
+  if (broken) errors.push(`${name} "${broken.id}" points at unknown ${field} "${broken[field]}"`);
+  return !broken;
+};
+
+const validateShapes = (raw, errors) => {
+  const shapes = validateEntries(
+    (Array.isArray(raw) ? raw : []).map((shape, index) => ({ id: `shape-${index}`, ...shape })),
+    { name: 'shapes', min: 1, max: MAX_SHAPES, text: ['kind', 'color'], optionalText: ['text'], box: ['x', 'y', 'w', 'h'] },
+    errors
+  );
+  if (!shapes) return null;
+
+  const bad = shapes.find(shape => !SHAPE_KINDS.includes(shape.kind) || !COLOR_PATTERN.test(shape.color));
+  if (bad) {
+    errors.push(`${bad.id} needs a kind of ${SHAPE_KINDS.join('/')} and a hex color`);
+    return null;
+  }
+  return shapes.map(({ kind, color, text, x, y, w, h }) => ({ kind, color, ...(text ? { text } : {}), x, y, w, h }));
+};
+
+// Per-type content validators: (content, errors) => clean content, or null when unusable
+const CONTENT_VALIDATORS = {
+  match: (raw, errors) => {
+    const pairs = validateEntries(raw.pairs, { name: 'pairs', min: 3, max: 8, text: ['left', 'right', 'fact'] }, errors);
+    if (!pairs) return null;
+    return {
+      leftLabel: toText(raw.leftLabel) || 'Match',
+      rightLabel: toText(raw.rightLabel) || 'With',
+      pairs
+    };
+  },
+
+  sort: (raw, errors) => {
+    const categories = validateEntries(raw.categories, { name: 'categories', min: 2, max: 4, text: ['label'], optionalText: ['icon'] }, errors);
+    const items = validateEntries(raw.items, { name: 'items', min: 4, max: 12, text: ['text', 'category', 'fact'] }, errors);
+    if (!categories || !items || !checkReferences(items, 'category', categories, 'item', errors)) return null;
+    return { categories, items };
+  },
+
+  sequence: (raw, errors) => {
+    const steps = validateEntries(raw.steps, { name: 'steps', min: 3, max: 8, text: ['text', 'fact'] }, errors);
+    if (!steps) return null;
+    return { prompt: toText(raw.prompt) || 'What comes next?', steps };
+  },
+
+  label: (raw, errors) => {
+    const shapes = validateShapes(raw.shapes, errors);
+    const hotspots = validateEntries(raw.hotspots, { name: 'hotspots', min: 3, max: 8, text: ['label', 'fact'], box: ['x', 'y'] }, errors);
+    if (!shapes || !hotspots) return null;
+    return { shapes, hotspots };
+  },
+
+  zone: (raw, errors) => {
+    const shapes = validateShapes(raw.shapes, errors);
+    const zones = validateEntries(raw.zones, { name: 'zones', min: 2, max: 6, text: ['label'], box: ['x', 'y', 'w', 'h'] }, errors);
+    const items = validateEntries(raw.items, { name: 'items', min: 2, max: 10, text: ['text', 'zone', 'fact'] }, errors);
+    if (!shapes || !zones || !items || !checkReferences(items, 'zone', zones, 'item', errors)) return null;
+    return { shapes, zones, items };
+  }
+};
+
+/**
+ * Validate a template definition
+ * @param {Object} raw - parsed template JSON
+ * @returns {{template: Object|null, errors: string[]}}
+ */
+export const validateTemplate = (raw) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object') return { template: null, errors: ['Template is not an object'] };
+
+  const id = toText(raw.id);
+  if (!ID_PATTERN.test(id)) errors.push('Template id must be lower-case letters, numbers and dashes');
+  if (!GAME_TEMPLATE_TYPES.includes(raw.type)) errors.push(`Unknown template type "${raw.type}"`);
+
+  const title = toText(raw.title, TITLE_MAX_LENGTH);
+  if (!title) errors.push('Template needs a title');
+
+  const theme = {
+    accent: COLOR_PATTERN.test(raw.theme?.accent) ? raw.theme.accent : '#4f46e5',
+    background: COLOR_PATTERN.test(raw.theme?.background) ? raw.theme.background : '#f9fafb'
+  };
+
+  const content = GAME_TEMPLATE_TYPES.includes(raw.type) && raw.content && typeof raw.content === 'object'
+    ? CONTENT_VALIDATORS[raw.type](raw.content, errors)
+    : null;
+  if (!content && errors.length === 0) errors.push('Template needs content');
+
+  if (errors.length > 0) return { template: null, errors };
+
+  const learningObjectives = (Array.isArray(raw.learningObjectives) ? raw.learningObjectives : [])
+    .map(objective => toText(objective))
+    .filter(Boolean)
+    .slice(0, MAX_OBJECTIVES);
+
+  return {
+    template: {
+      id,
+      type: raw.type,
+      keywords: (Array.isArray(raw.keywords) ? raw.keywords : []).map(keyword => toText(keyword).toLowerCase()).filter(Boolean),
+      title,
+      description: toText(raw.description, INFO_MAX_LENGTH),
+      instructions: toText(raw.instructions, INFO_MAX_LENGTH),
+      educationalNote: toText(raw.educationalNote, INFO_MAX_LENGTH),
+      estimatedTime: toText(raw.estimatedTime) || '5-10 minutes',
+      learningObjectives: learningObjectives.length > 0 ? learningObjectives : ['Learn science concepts'],
+      theme,
+      content
+    },
+    errors
+  };
+};
+
+// ===== Template library =====
+
+// Template files are checked once at load; a broken file is left out instead of failing every game
+export const GAME_TEMPLATES = [elementSymbols, cellParts, forcesOnABox, acidsAndBases, solarSystem, waterCycle, statesOfMatter]
+  .map((raw) => {
+    const { template, errors } = validateTemplate(raw);
+    if (!template) console.warn('⚠️ Skipping invalid game template:', raw?.id, errors);
+    return template;
+  })
+  .filter(Boolean);
+
+/**
+ * Look up a template by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export const getTemplate = (id) => GAME_TEMPLATES.find(template => template.id === id) || null;
+
+// A keyword matches a whole word, or the start of a word for keywords longer than 3 letters
+// (so "planet" matches "planets" but "ph" doesn't match "physics")
+const countKeywordHits = (keywords, text) => {
+  const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return keywords.filter(keyword =>
+    words.some(word => word === keyword || (keyword.length > 3 && word.startsWith(keyword)))
+  ).length;
+};
+
+/**
+ * Pick the template whose keywords best match the student's prompt. The prompt counts
+ * double; the subject breaks ties between prompts that name no topic.
+ * @param {Object} options
+ * @param {string} options.prompt
+ * @param {string} [options.subject]
+ * @returns {Object} template
+ */
+export const pickTemplate = ({ prompt, subject = '' }) => {
+  let best = getTemplate(DEFAULT_TEMPLATE_ID) || GAME_TEMPLATES[0];
+  let bestScore = 0;
+
+  for (const template of GAME_TEMPLATES) {
+    const score = countKeywordHits(template.keywords, prompt) * 2 + countKeywordHits(template.keywords, subject);
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+// ===== Filling slots =====
+
+/**
+ * Describe what the AI may fill for a template, with the template's own values as the example
+ * @param {Object} template
+ * @returns {string} JSON-shaped description for the generation prompt
+ */
+export const describeTemplateSlots = (template) => {
+  const example = {
+    title: template.title,
+    description: template.description,
+    instructions: template.instructions,
+    educationalNote: template.educationalNote,
+    learningObjectives: template.learningObjectives
+  };
+
+  const fillable = FILLABLE_CONTENT[template.type];
+  if (fillable.length > 0) {
+    example.content = Object.fromEntries(fillable.map(field => [field, template.content[field]]));
+  } else {
+    example.facts = Object.fromEntries(template.content[FACT_LISTS[template.type]].map(entry => [entry.id, entry.fact]));
+  }
+  return JSON.stringify(example, null, 2);
+};
+
+/**
+ * Apply AI-filled slots to a template. Text that is missing or empty keeps the template's
+ * text; content that fails validation keeps the template's content.
+ * @param {Object} template - validated template
+ * @param {Object} slots - parsed AI response shaped like describeTemplateSlots
+ * @returns {Object} validated template
+ */
+export const fillTemplate = (template, slots) => {
+  if (!slots || typeof slots !== 'object') return template;
+
+  const filled = {
+    ...template,
+    title: toText(slots.title, TITLE_MAX_LENGTH) || template.title,
+    description: toText(slots.description, INFO_MAX_LENGTH) || template.description,
+    instructions: toText(slots.instructions, INFO_MAX_LENGTH) || template.instructions,
+    educationalNote: toText(slots.educationalNote, INFO_MAX_LENGTH) || template.educationalNote,
+    learningObjectives: Array.isArray(slots.learningObjectives) && slots.learningObjectives.some(objective => toText(objective))
+      ? slots.learningObjectives
+      : template.learningObjectives
+  };
+
+  const fillable = FILLABLE_CONTENT[template.type];
+  if (fillable.length > 0 && slots.content && typeof slots.content === 'object') {
+    const fields = Object.fromEntries(fillable.filter(field => field in slots.content).map(field => [field, slots.content[field]]));
+    filled.content = { ...template.content, ...fields };
+  } else if (slots.facts && typeof slots.facts === 'object') {
+    const listName = FACT_LISTS[template.type];
+    filled.content = {
+      ...template.content,
+      [listName]: template.content[listName].map(entry => ({ ...entry, fact: toText(slots.facts[entry.id], INFO_MAX_LENGTH) || entry.fact }))
+    };
+  }
+
+  const { template: result, errors } = validateTemplate(filled);
+  if (result) return result;
+
+  console.warn('⚠️ AI content for template', template.id, 'was rejected:', errors);
+  const { template: textOnly } = validateTemplate({ ...filled, content: template.content });
+  return textOnly || template;
+};
+
+// ===== Rendering =====
+
+const buildTemplateCss = ({ accent, background }) => `
+body { margin: 0; font-family: system-ui, -apple-system, sans-serif; background: ${background}; color: #1f2937; }
+.tg-game { max-width: 900px; margin: 0 auto; padding: 16px; }
+.tg-header { text-align: center; margin-bottom: 12px; }
+.tg-title { margin: 0 0 4px; color: ${accent}; }
+.tg-instructions { margin: 0 0 8px; color: #4b5563; }
+.tg-score { display: inline-block; padding: 4px 12px; border-radius: 999px; background: ${accent}; color: #fff; font-weight: 600; }
+.tg-area { margin-bottom: 12px; }
+.tg-tray { display: flex; flex-wrap: wrap; gap: 8px; justify-content: center; padding: 12px; background: #fff; border-radius: 12px; min-height: 48px; }
+.tg-tray h3 { width: 100%; margin: 0; text-align: center; font-size: 14px; color: #6b7280; }
+.tg-piece { padding: 8px 14px; border: 2px solid ${accent}; border-radius: 10px; background: #fff; font-size: 15px; cursor: grab; }
+.tg-piece:hover { background: ${background}; }
+.tg-selected { background: ${accent}; color: #fff; }
+.tg-wrong { border-color: #dc2626; background: #fee2e2; }
+.tg-piece.tg-done { border-color: #16a34a; background: #dcfce7; color: #166534; cursor: default; }
+.tg-target { padding: 10px; border: 2px dashed #9ca3af; border-radius: 10px; background: #fff; cursor: pointer; }
+.tg-target.tg-done { border-style: solid; border-color: #16a34a; background: #dcfce7; }
+.tg-over { border-color: ${accent}; background: ${background}; }
+.tg-columns { display: flex; justify-content: center; }
+.tg-column { display: grid; gap: 8px; min-width: 260px; text-align: center; }
+.tg-column h3, .tg-bin h3 { margin: 0 0 6px; font-size: 15px; }
+.tg-bins { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 10px; }
+.tg-bin { min-height: 120px; }
+.tg-bin-items { display: flex; flex-wrap: wrap; gap: 6px; }
+.tg-question { text-align: center; font-weight: 600; }
+.tg-track { display: flex; flex-wrap: wrap; gap: 8px; justify-content: center; list-style: none; padding: 10px; margin: 0; border: 2px dashed #9ca3af; border-radius: 10px; }
+.tg-slot { min-width: 90px; padding: 8px; text-align: center; border-radius: 8px; background: #f3f4f6; }
+.tg-slot.tg-done { background: #dcfce7; color: #166534; }
+.tg-board { position: relative; width: 100%; height: 340px; background: #fff; border-radius: 12px; overflow: hidden; }
+.tg-shape { position: absolute; display: flex; align-items: center; justify-content: center; font-size: 32px; }
+.tg-rect { border-radius: 8px; }
+.tg-circle, .tg-ellipse { border-radius: 50%; }
+.tg-zone { position: absolute; display: flex; flex-direction: column; align-items: center; justify-content: center; padding: 2px; font-size: 22px; background: rgba(255, 255, 255, 0.7); }
+.tg-zone-item { font-size: 12px; }
+.tg-hotspot { position: absolute; transform: translate(-50%, -50%); padding: 4px 10px; border-radius: 999px; font-weight: 700; font-size: 13px; white-space: nowrap; }
+.tg-feedback { margin-top: 12px; padding: 10px; border-radius: 10px; text-align: center; background: #fff; }
+.tg-right { background: #dcfce7; color: #166534; }
+.tg-wrong.tg-feedback { background: #fee2e2; color: #991b1b; }
+.tg-complete { margin-top: 12px; padding: 16px; border-radius: 12px; text-align: center; background: ${accent}; color: #fff; }
+.tg-complete h3 { margin: 0 0 4px; }
+`;
+
+/**
+ * Turn a template into a game object for GameSandboxFrame. The definition is embedded as
+ * JSON with "<" escaped, so template text can't close the script element it runs in.
+ * @param {Object} template - validated template
+ * @returns {Object} game { gameTitle, gameDescription, instructions, educationalNote, estimatedTime, learningObjectives, html, css, javascript, templateId }
+ */
+export const renderTemplateGame = (template) => {
+  const definition = JSON.stringify({
+    type: template.type,
+    title: template.title,
+    instructions: template.instructions,
+    content: template.content
+  }).replace(/</g, '\\u003c');
+
+  return {
+    gameTitle: template.title,
+    gameDescription: template.description,
+    instructions: template.instructions,
+    educationalNote: template.educationalNote,
+    estimatedTime: template.estimatedTime,
+    learningObjectives: template.learningObjectives,
+    html: '<div id="game-root" class="tg-game"></div>',
+    css: buildTemplateCss(template.theme),
+    javascript: `(${templateRuntime.toString()})(${definition});`,
+    templateId: template.id
+  };
+};
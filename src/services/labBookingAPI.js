@@ -1,4 +1,4 @@
-import api from './api';
+import api, { normalizeResponse } from './api';
 
 // Lab Booking API Service
 export const labBookingAPI = {
@@ -9,7 +9,7 @@ export const labBookingAPI = {
     try {
       const response = await api.get(`/lab/slots/available/${level}`);
       console.log('📥 Available slots response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'slots', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching available slots:', error);
       throw error;
@@ -21,7 +21,7 @@ export const labBookingAPI = {
     try {
       const response = await api.get(`/lab/bookings/student/${studentId}`);
       console.log('📥 Student bookings response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'bookings', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching student bookings:', error);
       throw error;
@@ -33,7 +33,7 @@ export const labBookingAPI = {
     try {
       const response = await api.post('/lab/bookings', bookingData);
       console.log('📤 Create booking response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'booking', type: 'object' });
     } catch (error) {
       console.error('❌ Error creating booking:', error);
       throw error;
@@ -49,7 +49,7 @@ export const labBookingAPI = {
         }}
       );
       console.log('🗑️ Cancel booking response:', response.data);
-      return response;
+      return normalizeResponse(response, { type: 'any' });
     } catch (error) {
       console.error('❌ Error canceling booking:', error);
       throw error;
@@ -63,7 +63,7 @@ export const labBookingAPI = {
     try {
       const response = await api.get(`/lab/teacher/${teacherId}/slots`);
       console.log('📥 Teacher slots response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'slots', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching teacher slots:', error);
       throw error;
@@ -75,7 +75,7 @@ export const labBookingAPI = {
     try {
       const response = await api.post('/lab/slots', slotData);
       console.log('📤 Create slot response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'slot', type: 'object', optional: true });
     } catch (error) {
       console.error('❌ Error creating slot:', error);
       throw error;
@@ -87,7 +87,7 @@ export const labBookingAPI = {
     try {
       const response = await api.put(`/lab/slots/${updateData.slotId}`, updateData);
       console.log('📝 Update slot response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'slot', type: 'object', optional: true });
     } catch (error) {
       console.error('❌ Error updating slot:', error);
       throw error;
@@ -99,7 +99,7 @@ export const labBookingAPI = {
     try {
       const response = await api.delete(`/lab/slots/${slotId}`);
       console.log('🗑️ Delete slot response:', response.data);
-      return response.data;
+      return normalizeResponse(response, { type: 'any' });
     } catch (error) {
       console.error('❌ Error deleting slot:', error);
       throw error;
@@ -111,7 +111,7 @@ export const labBookingAPI = {
     try {
       const response = await api.patch(`/lab-slots/${slotId}/status`, { isActive });
       console.log('🔄 Toggle slot status response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'slot', type: 'object', optional: true });
     } catch (error) {
       console.error('❌ Error toggling slot status:', error);
       throw error;
@@ -123,7 +123,7 @@ export const labBookingAPI = {
     try {
       const response = await api.get(`/lab/slots/${slotId}/bookings`);
       console.log('📥 Slot bookings response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'bookings', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching slot bookings:', error);
       throw error;
@@ -137,7 +137,7 @@ export const labBookingAPI = {
     try {
       const response = await api.get('/lab-slots');
       console.log('📥 All slots response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'slots', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching all slots:', error);
       throw error;
@@ -149,7 +149,7 @@ export const labBookingAPI = {
     try {
       const response = await api.get('/lab-bookings');
       console.log('📥 All bookings response:', response.data);
-      return response;
+      return normalizeResponse(response, { key: 'bookings', type: 'array' });
     } catch (error) {
       console.error('❌ Error fetching all bookings:', error);
       throw error;
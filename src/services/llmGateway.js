@@ -0,0 +1,407 @@
+// LLM Gateway - single entry point for every text-generation call in the app
+//
+// Providers implement `{ name, model, isConfigured(), generate(prompt, options) }` where
+// generate resolves to `{ text, usage }`. The gateway adds what every caller needs on top:
+// one configuration surface, a request timeout, retries with backoff for transient
+// failures, and a token budget check before anything leaves the browser.
+//
+// In production every request goes through the backend proxy (`POST /ai/generate`), which
+// holds the provider keys and enforces per-user quotas; no key is compiled into the bundle.
+//
+// Configuration (Vite env):
+//   VITE_LLM_PROVIDER     'proxy' (default) | 'mock', plus 'gemini' | 'openai' in development only
+//   VITE_LLM_TIMEOUT_MS   per-attempt timeout, default 30000
+// Development-only direct providers (never read in production builds):
+//   VITE_LLM_API_KEY, VITE_LLM_MODEL, VITE_LLM_BASE_URL (OpenAI-compatible endpoint)
+
+import { GoogleGenAI } from '@google/genai';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_OUTPUT_TOKENS = 2048;
+
+export class LlmGatewayError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'LlmGatewayError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+// Rough token estimate (~4 characters per token); good enough for budgeting, not billing
+export const estimateTokens = (text = '') => Math.ceil(String(text).length / 4);
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ===== Providers =====
+
+export const createGeminiProvider = ({ apiKey, model = 'gemini-2.5-flash' } = {}) => {
+  const client = apiKey ? new GoogleGenAI({ apiKey }) : null;
+
+  return {
+    name: 'gemini',
+    model,
+    contextWindow: 1000000,
+    isConfigured: () => Boolean(client),
+    generate: async (prompt, { temperature, topK, topP, maxOutputTokens, signal, responseFormat, responseSchema }) => {
+      try {
+        const response = await client.models.generateContent({
+          model,
+          contents: prompt,
+          config: {
+            temperature,
+            topK,
+            topP,
+            maxOutputTokens,
+            abortSignal: signal,
+            ...(responseFormat === 'json' ? { responseMimeType: 'application/json' } : {}),
+            ...(responseFormat === 'json' && responseSchema ? { responseJsonSchema: responseSchema } : {}),
+            // Thinking adds latency the interactive features can't afford
+            ...(model.startsWith('gemini-2.5') ? { thinkingConfig: { thinkingBudget: 0 } } : {})
+          }
+        });
+
+        if (!response.text) {
+          throw new LlmGatewayError('No text content in Gemini response', { provider: 'gemini' });
+        }
+
+        return {
+          text: response.text,
+          usage: {
+            promptTokens: response.usageMetadata?.promptTokenCount ?? null,
+            outputTokens: response.usageMetadata?.candidatesTokenCount ?? null
+          }
+        };
+      } catch (error) {
+        if (error instanceof LlmGatewayError || error.name === 'AbortError') throw error;
+        const status = typeof error.status === 'number' ? error.status : null;
+        throw new LlmGatewayError(`Gemini request failed: ${error.message}`, {
+          provider: 'gemini',
+          status,
+          retryable: status === null || isRetryableStatus(status),
+          cause: error
+        });
+      }
+    }
+  };
+};
+
+export const createOpenAICompatibleProvider = ({ apiKey, baseUrl, model = 'gpt-4o-mini' } = {}) => ({
+  name: 'openai',
+  model,
+  contextWindow: 128000,
+  isConfigured: () => Boolean(apiKey && baseUrl),
+  generate: async (prompt, { temperature, topP, maxOutputTokens, signal, responseFormat, responseSchema }) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          top_p: topP,
+          max_tokens: maxOutputTokens,
+          ...(responseFormat === 'json'
+            ? {
+              response_format: responseSchema
+                ? { type: 'json_schema', json_schema: { name: 'response', schema: responseSchema } }
+                : { type: 'json_object' }
+            }
+            : {})
+        }),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new LlmGatewayError(`OpenAI-compatible request failed: ${error.message}`, {
+        provider: 'openai',
+        retryable: true,
+        cause: error
+      });
+    }
+
+    if (!response.ok) {
+      throw new LlmGatewayError(`OpenAI-compatible API error: ${response.status}`, {
+        provider: 'openai',
+        status: response.status,
+        retryable: isRetryableStatus(response.status)
+      });
+    }
+
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new LlmGatewayError('No text content in OpenAI-compatible response', { provider: 'openai' });
+    }
+
+    return {
+      text,
+      usage: {
+        promptTokens: data.usage?.prompt_tokens ?? null,
+        outputTokens: data.usage?.completion_tokens ?? null
+      }
+    };
+  }
+});
+
+// Canned answers for offline development and tests. Pass `respond(prompt, options)` to
+// script specific replies; the default recognises the quiz prompt and returns a valid quiz.
+const defaultMockResponse = (prompt) => {
+  if (/"quiz"\s*:/.test(prompt)) {
+    return JSON.stringify({
+      quiz: {
+        title: 'Practice Quiz',
+        questions: [1, 2, 3, 4, 5].map(id => ({
+          id,
+          question: `Sample question ${id}?`,
+          options: ['Option A', 'Option B', 'Option C', 'Option D'],
+          correctAnswer: 0,
+          explanation: 'Option A is correct in this sample quiz.'
+        }))
+      }
+    });
+  }
+  return 'This is a sample response from the mock AI provider.';
+};
+
+export const createMockProvider = ({ respond = defaultMockResponse, model = 'mock' } = {}) => ({
+  name: 'mock',
+  model,
+  contextWindow: Infinity,
+  isConfigured: () => true,
+  generate: async (prompt, options) => {
+    const text = await respond(prompt, options);
+    return {
+      text,
+      usage: { promptTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) }
+    };
+  }
+});
+
+// Sends generation requests to the backend. The transport is registered by api.js so the
+// call goes through the shared axios instance (auth headers, token refresh).
+let proxyTransport = null;
+
+export const createProxyProvider = () => ({
+  name: 'proxy',
+  model: 'server',
+  // The server applies the real model limits
+  contextWindow: Infinity,
+  isConfigured: () => Boolean(proxyTransport),
+  generate: async (prompt, { temperature, topK, topP, maxOutputTokens, signal, label, responseFormat, responseSchema }) => {
+    try {
+      const { text, usage = null, quota = null } = await proxyTransport(
+        { prompt, temperature, topK, topP, maxOutputTokens, responseFormat, responseSchema, feature: label },
+        { signal }
+      );
+
+      if (!text) {
+        throw new LlmGatewayError('No text content in AI proxy response', { provider: 'proxy' });
+      }
+
+      return { text, usage, quota };
+    } catch (error) {
+      if (error instanceof LlmGatewayError || error.name === 'CanceledError') throw error;
+      const status = error.response?.status ?? null;
+      const body = error.response?.data;
+
+      if (body?.code === 'AI_QUOTA_EXCEEDED') {
+        throw new LlmGatewayError(body.message || 'You have used all of your AI requests for now', {
+          provider: 'proxy',
+          status,
+          retryable: false,
+          cause: error
+        });
+      }
+
+      throw new LlmGatewayError(`AI proxy request failed: ${body?.message || error.message}`, {
+        provider: 'proxy',
+        status,
+        retryable: status === null || isRetryableStatus(status),
+        cause: error
+      });
+    }
+  }
+});
+
+const createProviderFromEnv = () => {
+  const providerName = (import.meta.env.VITE_LLM_PROVIDER || 'proxy').toLowerCase();
+
+  if (providerName === 'mock') {
+    return createMockProvider();
+  }
+
+  // Direct providers need a key in the client, so they are only wired up for local
+  // development; production builds drop this branch and the env reads with it
+  if (import.meta.env.DEV && providerName === 'gemini') {
+    return createGeminiProvider({
+      apiKey: import.meta.env.VITE_LLM_API_KEY,
+      model: import.meta.env.VITE_LLM_MODEL || undefined
+    });
+  }
+  if (import.meta.env.DEV && providerName === 'openai') {
+    return createOpenAICompatibleProvider({
+      apiKey: import.meta.env.VITE_LLM_API_KEY,
+      baseUrl: import.meta.env.VITE_LLM_BASE_URL,
+      model: import.meta.env.VITE_LLM_MODEL || undefined
+    });
+  }
+
+  if (providerName !== 'proxy') {
+    console.warn(`⚠️ LLM Gateway: Provider "${providerName}" is not available in this build, using the AI proxy`);
+  }
+  return createProxyProvider();
+};
+
+// ===== Gateway =====
+
+let provider = createProviderFromEnv();
+let lastQuota = null;
+const usageTotals = { requests: 0, promptTokens: 0, outputTokens: 0 };
+
+console.log(`✅ LLM Gateway: Using ${provider.name} (${provider.model})`);
+
+export const llmGateway = {
+  // Register the function that posts to the backend AI proxy (set up by api.js)
+  setProxyTransport: (transport) => {
+    proxyTransport = transport;
+  },
+
+  // Swap the active provider, e.g. `llmGateway.setProvider(createMockProvider({ respond }))` in tests
+  setProvider: (nextProvider) => {
+    provider = nextProvider;
+    console.log(`🔁 LLM Gateway: Switched to ${provider.name} (${provider.model})`);
+  },
+
+  getProvider: () => ({ name: provider.name, model: provider.model }),
+
+  isConfigured: () => provider.isConfigured(),
+
+  getUsage: () => ({ ...usageTotals }),
+
+  // Latest `{ limit, remaining, resetAt }` reported by the AI proxy, or null
+  getQuota: () => lastQuota,
+
+  /**
+   * Generate text with the active provider.
+   *
+   * @param {string} prompt
+   * @param {object} [options]
+   * @param {number} [options.temperature=0.7]
+   * @param {number} [options.topK=40]
+   * @param {number} [options.topP=0.95]
+   * @param {number} [options.maxOutputTokens=2048]
+   * @param {'text'|'json'} [options.responseFormat='text'] - ask the provider for structured JSON output
+   * @param {object} [options.responseSchema] - JSON Schema the output must follow (with responseFormat 'json')
+   * @param {number} [options.maxPromptTokens] - reject prompts estimated above this size
+   * @param {number} [options.timeoutMs] - per-attempt timeout
+   * @param {number} [options.retries=2] - extra attempts for timeouts, 429 and 5xx
+   * @param {string} [options.label] - caller name used in logs
+   * @returns {Promise<{text: string, provider: string, model: string, usage: object, quota: object|null}>}
+   */
+  generateText: async (prompt, options = {}) => {
+    const {
+      temperature = 0.7,
+      topK = 40,
+      topP = 0.95,
+      maxOutputTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+      responseFormat = 'text',
+      responseSchema,
+      maxPromptTokens,
+      timeoutMs = Number(import.meta.env.VITE_LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      retries = DEFAULT_RETRIES,
+      label = 'llm'
+    } = options;
+
+    if (!provider.isConfigured()) {
+      throw new LlmGatewayError(`AI provider "${provider.name}" is not configured`, { provider: provider.name });
+    }
+
+    if (!prompt || typeof prompt !== 'string') {
+      throw new LlmGatewayError('Prompt must be a non-empty string', { provider: provider.name });
+    }
+
+    // Token budget: the prompt must fit the caller's budget and leave room for the answer
+    const promptTokens = estimateTokens(prompt);
+    const promptBudget = Math.min(maxPromptTokens ?? Infinity, provider.contextWindow - maxOutputTokens);
+    if (promptTokens > promptBudget) {
+      throw new LlmGatewayError(
+        `Prompt is too long (~${promptTokens} tokens, budget ${promptBudget})`,
+        { provider: provider.name }
+      );
+    }
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+        console.warn(`⚠️ [${label}] Retrying ${provider.name} request in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`);
+        await wait(delay);
+      }
+
+      // Abort the underlying request and stop waiting for providers that ignore the signal
+      const controller = new AbortController();
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new LlmGatewayError(`AI request timed out after ${timeoutMs}ms`, { provider: provider.name, retryable: true }));
+        }, timeoutMs);
+      });
+
+      try {
+        console.log(`🤖 [${label}] ${provider.name} request (~${promptTokens} prompt tokens)`);
+        const result = await Promise.race([
+          provider.generate(prompt, {
+            temperature,
+            topK,
+            topP,
+            maxOutputTokens,
+            responseFormat,
+            responseSchema,
+            signal: controller.signal,
+            label
+          }),
+          timeout
+        ]);
+
+        const usage = {
+          promptTokens: result.usage?.promptTokens ?? promptTokens,
+          outputTokens: result.usage?.outputTokens ?? estimateTokens(result.text)
+        };
+        usageTotals.requests += 1;
+        usageTotals.promptTokens += usage.promptTokens;
+        usageTotals.outputTokens += usage.outputTokens;
+        if (result.quota) {
+          lastQuota = result.quota;
+        }
+
+        console.log(`✅ [${label}] ${provider.name} response (${usage.outputTokens} output tokens)`);
+        return { text: result.text, provider: provider.name, model: provider.model, usage, quota: result.quota || null };
+      } catch (error) {
+        lastError = error;
+
+        if (!(lastError instanceof LlmGatewayError) || !lastError.retryable) break;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    console.error(`🔥 [${label}] ${provider.name} request failed:`, lastError);
+    throw lastError;
+  }
+};
+
+export default llmGateway;
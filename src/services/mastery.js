@@ -0,0 +1,106 @@
+// Mastery - Bayesian knowledge tracing (BKT) per learning objective
+//
+// Every saved quiz result carries questionResults [{ objective, type, correct }], so the
+// estimate is rebuilt from a student's quiz history: results are replayed oldest first and
+// each tagged answer updates P(known) for its objective. Untagged answers are skipped.
+// Because nothing is stored, changing the parameters below re-scores all past quizzes.
+
+import { normalizeText } from './quizScoring';
+
+export const BKT_PARAMS = {
+  pInit: 0.3, // P(known) before the first answer
+  pLearn: 0.15, // P(learning the objective from one practice opportunity)
+  pSlip: 0.1 // P(wrong answer although known)
+};
+
+// P(right answer by guessing) depends on the question type
+const GUESS_BY_TYPE = {
+  mcq: 0.25,
+  true_false: 0.5,
+  multi_select: 0.1,
+  numeric: 0.05,
+  short_text: 0.05,
+  ordering: 0.1,
+  image_match: 0.15
+};
+
+export const MASTERY_THRESHOLD = 0.95;
+export const DEVELOPING_THRESHOLD = 0.6;
+
+// Objective wording from the AI or a teacher can differ in case and punctuation
+export const objectiveKey = (objective) => normalizeText(objective);
+
+/**
+ * One BKT step: condition P(known) on the answer, then allow for learning.
+ * @param {number} pKnown
+ * @param {boolean} correct
+ * @param {string} [type] - question type, for the guess rate
+ * @returns {number}
+ */
+export const updateKnowledge = (pKnown, correct, type = 'mcq') => {
+  const { pLearn, pSlip } = BKT_PARAMS;
+  const pGuess = GUESS_BY_TYPE[type] ?? GUESS_BY_TYPE.mcq;
+
+  const posterior = correct
+    ? (pKnown * (1 - pSlip)) / (pKnown * (1 - pSlip) + (1 - pKnown) * pGuess)
+    : (pKnown * pSlip) / (pKnown * pSlip + (1 - pKnown) * (1 - pGuess));
+
+  return posterior + (1 - posterior) * pLearn;
+};
+
+export const getMasteryLevel = (pKnown) => {
+  if (pKnown >= MASTERY_THRESHOLD) return 'mastered';
+  if (pKnown >= DEVELOPING_THRESHOLD) return 'developing';
+  return 'needs_practice';
+};
+
+/**
+ * Estimate mastery of every objective seen in a student's quiz history.
+ * @param {object[]} history - quiz results as returned by quizAPI.getStudentQuizHistory
+ * @returns {object[]} [{ key, objective, pKnown, level, attempts, correct, resources, lastPracticedAt }],
+ *   weakest first
+ */
+export const estimateMastery = (history) => {
+  const objectives = new Map();
+
+  [...(history || [])]
+    .sort((a, b) => new Date(a.completedAt) - new Date(b.completedAt))
+    .forEach(result => {
+      (result.questionResults || []).forEach(questionResult => {
+        const key = objectiveKey(questionResult.objective);
+        if (!key) return;
+
+        const entry = objectives.get(key) || {
+          key,
+          objective: questionResult.objective.trim(),
+          pKnown: BKT_PARAMS.pInit,
+          attempts: 0,
+          correct: 0,
+          resources: [],
+          lastPracticedAt: null
+        };
+        entry.pKnown = updateKnowledge(entry.pKnown, Boolean(questionResult.correct), questionResult.type);
+        entry.attempts += 1;
+        if (questionResult.correct) entry.correct += 1;
+        if (result.resourceTitle && !entry.resources.includes(result.resourceTitle)) {
+          entry.resources.push(result.resourceTitle);
+        }
+        entry.lastPracticedAt = result.completedAt;
+        objectives.set(key, entry);
+      });
+    });
+
+  return [...objectives.values()]
+    .map(entry => {
+      const pKnown = Math.round(entry.pKnown * 100) / 100;
+      return { ...entry, pKnown, level: getMasteryLevel(pKnown) };
+    })
+    .sort((a, b) => a.pKnown - b.pKnown || b.attempts - a.attempts);
+};
+
+export const summarizeMastery = (objectives) => ({
+  total: objectives.length,
+  mastered: objectives.filter(objective => objective.level === 'mastered').length,
+  developing: objectives.filter(objective => objective.level === 'developing').length,
+  needsPractice: objectives.filter(objective => objective.level === 'needs_practice').length
+});
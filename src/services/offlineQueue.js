@@ -0,0 +1,268 @@
+// Offline outbox for mutating requests (quiz results, assignment submissions, simulation state)
+//
+// When a request fails because the network is unavailable, it is stored in IndexedDB
+// and replayed once connectivity returns, with exponential backoff between attempts.
+// Entries are keyed by a dedupe key, so queuing the same logical write twice keeps
+// only the latest payload. Each entry carries an idempotency key that is sent as the
+// `Idempotency-Key` header, letting the backend ignore a replay it already applied.
+// The outbox is shared by everyone using the device, so each entry records the user who
+// queued it and only the signed-in user's entries are replayed; the rest stay parked
+// until their owner signs in again.
+
+const DB_NAME = 'camb-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// ===== Storage =====
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = (db, mode, operation) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, mode);
+  const request = operation(transaction.objectStore(STORE_NAME));
+  transaction.oncomplete = () => resolve(request.result);
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const createIndexedDbStorage = (dbPromise) => ({
+  getAll: async () => runTransaction(await dbPromise, 'readonly', store => store.getAll()),
+  put: async (entry) => runTransaction(await dbPromise, 'readwrite', store => store.put(entry)),
+  remove: async (id) => runTransaction(await dbPromise, 'readwrite', store => store.delete(id))
+});
+
+// Used when IndexedDB is unavailable (private browsing, old browsers); entries survive
+// connectivity loss but not a page reload
+const createMemoryStorage = () => {
+  const entries = new Map();
+  return {
+    getAll: async () => Array.from(entries.values()),
+    put: async (entry) => { entries.set(entry.id, entry); },
+    remove: async (id) => { entries.delete(id); }
+  };
+};
+
+let storagePromise = null;
+
+const getStorage = () => {
+  if (!storagePromise) {
+    storagePromise = (async () => {
+      if (typeof indexedDB === 'undefined') {
+        console.warn('⚠️ OfflineQueue: IndexedDB unavailable, using in-memory outbox');
+        return createMemoryStorage();
+      }
+      try {
+        const dbPromise = openDatabase();
+        await dbPromise;
+        return createIndexedDbStorage(dbPromise);
+      } catch (error) {
+        console.warn('⚠️ OfflineQueue: Could not open IndexedDB, using in-memory outbox:', error);
+        return createMemoryStorage();
+      }
+    })();
+  }
+  return storagePromise;
+};
+
+// ===== Error classification =====
+
+// True when the request never got a usable answer from the server and is worth retrying
+export const isNetworkError = (error) => {
+  if (!error || !error.config) return false;
+  if (!error.response) {
+    return Boolean(error.request) || error.code === 'ERR_NETWORK' || error.code === 'ECONNABORTED';
+  }
+  return [502, 503, 504].includes(error.response.status);
+};
+
+// The session expired while offline; the write is still valid once the student signs
+// back in, so it stays queued instead of being dropped. A 403 is a real refusal and is
+// treated like any other rejection.
+const isAuthError = (error) => error?.response?.status === 401;
+
+const getRetryDelay = (attempts) =>
+  Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts), MAX_RETRY_DELAY_MS);
+
+// ===== Queue =====
+
+let sender = null;
+let ownerId = null;
+let retryTimer = null;
+let status = { pending: 0, syncing: false, lastError: null, lastSyncedAt: null };
+const listeners = new Set();
+
+const setStatus = (changes) => {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener(status));
+};
+
+// Entries queued by the signed-in user; nothing is replayed while nobody is signed in
+const getOwnEntries = async () => {
+  if (!ownerId) return [];
+  const storage = await getStorage();
+  return (await storage.getAll()).filter(entry => entry.ownerId === ownerId);
+};
+
+const refreshPendingCount = async () => {
+  const entries = await getOwnEntries();
+  setStatus({ pending: entries.length });
+  return entries;
+};
+
+const scheduleRetry = (entries) => {
+  clearTimeout(retryTimer);
+  if (entries.length === 0) return;
+  const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt || 0));
+  const delay = Math.max(nextAttemptAt - Date.now(), 0);
+  retryTimer = setTimeout(() => offlineQueue.flush(), delay);
+};
+
+export const offlineQueue = {
+  // Register the function that replays an entry (set up by api.js with the axios instance)
+  setSender: (send) => {
+    sender = send;
+  },
+
+  // Set the signed-in user (null on logout); their parked entries are synced straight away
+  setOwner: async (userId) => {
+    ownerId = userId || null;
+    clearTimeout(retryTimer);
+    setStatus({ lastError: null });
+    try {
+      await refreshPendingCount();
+      if (ownerId) await offlineQueue.flush({ force: true });
+    } catch (error) {
+      console.error('❌ OfflineQueue: Could not read outbox:', error);
+    }
+  },
+
+  // Store a failed request for later replay; an entry with the same id is replaced
+  enqueue: async ({ id, idempotencyKey = id, label, method, url, data }) => {
+    if (!id || !method || !url) {
+      throw new Error('Queued requests need an id, method and url');
+    }
+    if (!ownerId) {
+      throw new Error('Queued requests need a signed-in user');
+    }
+    const storage = await getStorage();
+    const entry = {
+      id,
+      idempotencyKey,
+      ownerId,
+      label: label || `${method.toUpperCase()} ${url}`,
+      method,
+      url,
+      data,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now() + BASE_RETRY_DELAY_MS,
+      lastError: null
+    };
+    await storage.put(entry);
+    console.log('📥 OfflineQueue: Queued request for background sync:', entry.label);
+    scheduleRetry(await refreshPendingCount());
+    return entry;
+  },
+
+  // Drop a queued entry, e.g. because a newer write for the same record went through
+  remove: async (id) => {
+    const storage = await getStorage();
+    await storage.remove(id);
+    await refreshPendingCount();
+  },
+
+  getEntries: getOwnEntries,
+
+  // Replay every entry of the signed-in user that is due (or all of them when `force` is set)
+  flush: async ({ force = false } = {}) => {
+    if (status.syncing || !sender || !ownerId) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+    setStatus({ syncing: true });
+
+    try {
+      const storage = await getStorage();
+      const now = Date.now();
+      const due = (await getOwnEntries())
+        .filter(entry => force || (entry.nextAttemptAt || 0) <= now)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      if (due.length > 0) {
+        console.log('🔄 OfflineQueue: Syncing', due.length, 'queued request(s)');
+      }
+
+      for (const entry of due) {
+        try {
+          await sender(entry);
+          await storage.remove(entry.id);
+          setStatus({ lastError: null, lastSyncedAt: new Date().toISOString() });
+          console.log('✅ OfflineQueue: Synced', entry.label);
+        } catch (error) {
+          if (error.response?.status === 409) {
+            // The backend already has this write (idempotency key seen before)
+            await storage.remove(entry.id);
+            console.log('✅ OfflineQueue: Already applied on server', entry.label);
+          } else if (isNetworkError(error) || isAuthError(error)) {
+            const attempts = entry.attempts + 1;
+            const message = isAuthError(error) ? 'Sign in again to finish syncing' : error.message;
+            await storage.put({
+              ...entry,
+              attempts,
+              nextAttemptAt: Date.now() + getRetryDelay(attempts),
+              lastError: message
+            });
+            setStatus({ lastError: message });
+            console.warn(`⚠️ OfflineQueue: Could not sync ${entry.label} yet, retrying later (attempt ${attempts}):`, error.message);
+            // The rest of the queue would fail the same way while offline or signed out
+            break;
+          } else {
+            // The server rejected the request; replaying it would fail the same way
+            await storage.remove(entry.id);
+            const message = error.response?.data?.message || error.message;
+            setStatus({ lastError: `${entry.label} could not be synced: ${message}` });
+            console.error('❌ OfflineQueue: Dropping rejected request', entry.label, message);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ OfflineQueue: Sync failed:', error);
+      setStatus({ lastError: error.message });
+    } finally {
+      setStatus({ syncing: false });
+    }
+
+    try {
+      scheduleRetry(await refreshPendingCount());
+    } catch (error) {
+      console.error('❌ OfflineQueue: Could not read outbox:', error);
+    }
+  },
+
+  getStatus: () => status,
+
+  // Listen for status changes; the listener is called immediately with the current status
+  subscribe: (listener) => {
+    listeners.add(listener);
+    listener(status);
+    return () => listeners.delete(listener);
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    console.log('🌐 OfflineQueue: Connection restored, syncing outbox');
+    offlineQueue.flush({ force: true });
+  });
+  // Entries left over from a previous session are picked up once AuthContext sets the owner
+  getStorage().catch(error => console.error('❌ OfflineQueue: Failed to initialise outbox:', error));
+}
+
+export default offlineQueue;
@@ -0,0 +1,385 @@
+// Physics Engine - deterministic sandbox experiments for physics simulations
+//
+// Each experiment is stepped with a fixed time step (semi-implicit Euler, which keeps springs
+// and pendulums from gaining energy), so the same parameters always give the same readings.
+// The integration keeps things the textbook formulas leave out - air resistance, large swing
+// angles, damping, a battery's internal resistance - so comparing the measured values with
+// theory shows students where the formulas stop being exact.
+//
+// A physics lab's state lives in the simulation's userInputs.physics:
+//   { experiment, params: { [experiment]: { [param]: value } }, runs: [{ id, experiment, params,
+//     measured, theory, recordedAt }] }
+// Traces are recomputed from the parameters when needed and are never saved.
+
+const G = 9.81;
+const DT = 0.001; // s
+const MAX_TIME = 60; // s, safety stop for the integration loop
+const TRACE_POINTS = 200;
+
+const round = (value, places) => (value === null || value === undefined ? null : Math.round(value * 10 ** places) / 10 ** places);
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Keep about TRACE_POINTS points of a long integration for plotting
+const thin = (points) => {
+  const every = Math.max(1, Math.ceil(points.length / TRACE_POINTS));
+  const kept = points.filter((_, index) => index % every === 0);
+  if (kept[kept.length - 1] !== points[points.length - 1]) kept.push(points[points.length - 1]);
+  return kept.map(([x, y]) => [round(x, 4), round(y, 4)]);
+};
+
+// Mean period from the times a signal crosses zero going upwards, interpolated between steps
+const periodFromCrossings = (samples) => {
+  const crossings = [];
+  for (let i = 1; i < samples.length; i++) {
+    const [t0, y0] = samples[i - 1];
+    const [t1, y1] = samples[i];
+    if (y0 < 0 && y1 >= 0) crossings.push(t0 + (t1 - t0) * (-y0 / (y1 - y0)));
+  }
+  if (crossings.length < 2) return null;
+  return (crossings[crossings.length - 1] - crossings[0]) / (crossings.length - 1);
+};
+
+// ===== Experiments =====
+
+const projectile = {
+  label: 'Projectile',
+  icon: '🎯',
+  description: 'Launch a ball and measure how far and how high it goes.',
+  parameters: [
+    { key: 'speed', label: 'Launch speed', unit: 'm/s', min: 1, max: 50, step: 1, default: 20 },
+    { key: 'angle', label: 'Launch angle', unit: '°', min: 5, max: 85, step: 1, default: 45 },
+    { key: 'height', label: 'Launch height', unit: 'm', min: 0, max: 20, step: 0.5, default: 0 },
+    { key: 'drag', label: 'Air resistance', unit: '1/m', min: 0, max: 0.05, step: 0.005, default: 0 }
+  ],
+  quantities: [
+    { key: 'range', label: 'Range', unit: 'm' },
+    { key: 'maxHeight', label: 'Maximum height', unit: 'm' },
+    { key: 'flightTime', label: 'Time of flight', unit: 's' }
+  ],
+  plot: { x: 'Distance (m)', y: 'Height (m)' },
+  theoryNote: 'Theory ignores air resistance.',
+  theory: ({ speed, angle, height }) => {
+    const vx = speed * Math.cos(toRadians(angle));
+    const vy = speed * Math.sin(toRadians(angle));
+    const flightTime = (vy + Math.sqrt(vy * vy + 2 * G * height)) / G;
+    return { range: vx * flightTime, maxHeight: height + (vy * vy) / (2 * G), flightTime };
+  },
+  simulate: ({ speed, angle, height, drag }) => {
+    let x = 0;
+    let y = height;
+    let vx = speed * Math.cos(toRadians(angle));
+    let vy = speed * Math.sin(toRadians(angle));
+    let t = 0;
+    let maxHeight = y;
+    const points = [[x, y]];
+
+    while (t < MAX_TIME) {
+      const v = Math.hypot(vx, vy);
+      vx -= drag * v * vx * DT;
+      vy -= (G + drag * v * vy) * DT;
+      const previous = [x, y];
+      x += vx * DT;
+      y += vy * DT;
+      t += DT;
+      maxHeight = Math.max(maxHeight, y);
+      if (y < 0) {
+        // Back up to where the path crossed the ground
+        const fraction = previous[1] / (previous[1] - y);
+        x = previous[0] + (x - previous[0]) * fraction;
+        t -= DT * (1 - fraction);
+        points.push([x, 0]);
+        break;
+      }
+      points.push([x, y]);
+    }
+    return { measured: { range: x, maxHeight, flightTime: t }, trace: thin(points) };
+  }
+};
+
+const incline = {
+  label: 'Inclined plane',
+  icon: '📐',
+  description: 'Release a block on a ramp and time its slide to the bottom.',
+  parameters: [
+    { key: 'angle', label: 'Ramp angle', unit: '°', min: 5, max: 60, step: 1, default: 30 },
+    { key: 'length', label: 'Ramp length', unit: 'm', min: 1, max: 10, step: 0.5, default: 5 },
+    { key: 'friction', label: 'Friction coefficient', unit: '', min: 0, max: 0.8, step: 0.05, default: 0.2 }
+  ],
+  quantities: [
+    { key: 'acceleration', label: 'Acceleration', unit: 'm/s²' },
+    { key: 'time', label: 'Time to the bottom', unit: 's' },
+    { key: 'finalSpeed', label: 'Speed at the bottom', unit: 'm/s' }
+  ],
+  plot: { x: 'Time (s)', y: 'Distance down the ramp (m)' },
+  theoryNote: 'a = g(sin θ − μ cos θ). The block stays put when friction can hold it (tan θ ≤ μ).',
+  theory: ({ angle, length, friction }) => {
+    const acceleration = G * (Math.sin(toRadians(angle)) - friction * Math.cos(toRadians(angle)));
+    if (acceleration <= 0) return { acceleration: 0, time: null, finalSpeed: 0 };
+    return { acceleration, time: Math.sqrt((2 * length) / acceleration), finalSpeed: Math.sqrt(2 * acceleration * length) };
+  },
+  simulate: ({ angle, length, friction }) => {
+    const downhill = G * Math.sin(toRadians(angle));
+    const grip = friction * G * Math.cos(toRadians(angle));
+    if (downhill <= grip) {
+      return { measured: { acceleration: 0, time: null, finalSpeed: 0 }, trace: [[0, 0], [2, 0]] };
+    }
+
+    let s = 0;
+    let v = 0;
+    let t = 0;
+    const points = [[0, 0]];
+    while (s < length && t < MAX_TIME) {
+      v += (downhill - grip) * DT;
+      s += v * DT;
+      t += DT;
+      points.push([t, Math.min(s, length)]);
+    }
+    return { measured: { acceleration: v / t, time: t, finalSpeed: v }, trace: thin(points) };
+  }
+};
+
+const spring = {
+  label: 'Mass on a spring',
+  icon: '🌀',
+  description: 'Pull a mass on a spring and time its oscillations.',
+  parameters: [
+    { key: 'mass', label: 'Mass', unit: 'kg', min: 0.1, max: 5, step: 0.1, default: 1 },
+    { key: 'stiffness', label: 'Spring constant', unit: 'N/m', min: 1, max: 100, step: 1, default: 20 },
+    { key: 'amplitude', label: 'Pull-back distance', unit: 'm', min: 0.05, max: 0.5, step: 0.05, default: 0.2 },
+    { key: 'damping', label: 'Damping', unit: 'kg/s', min: 0, max: 2, step: 0.1, default: 0 }
+  ],
+  quantities: [
+    { key: 'period', label: 'Period', unit: 's' },
+    { key: 'maxSpeed', label: 'Maximum speed', unit: 'm/s' }
+  ],
+  plot: { x: 'Time (s)', y: 'Displacement (m)' },
+  theoryNote: 'T = 2π√(m/k) and v max = Aω for an undamped spring.',
+  theory: ({ mass, stiffness, amplitude }) => {
+    const omega = Math.sqrt(stiffness / mass);
+    return { period: (2 * Math.PI) / omega, maxSpeed: amplitude * omega };
+  },
+  simulate: ({ mass, stiffness, amplitude, damping }) => {
+    const duration = Math.min(MAX_TIME, 4 * 2 * Math.PI * Math.sqrt(mass / stiffness));
+    let x = amplitude;
+    let v = 0;
+    let maxSpeed = 0;
+    const points = [[0, x]];
+    for (let t = DT; t <= duration; t += DT) {
+      v += ((-stiffness * x - damping * v) / mass) * DT;
+      x += v * DT;
+      maxSpeed = Math.max(maxSpeed, Math.abs(v));
+      points.push([t, x]);
+    }
+    return { measured: { period: periodFromCrossings(points), maxSpeed }, trace: thin(points) };
+  }
+};
+
+const pendulum = {
+  label: 'Pendulum',
+  icon: '🕰️',
+  description: 'Swing a pendulum and time its period.',
+  parameters: [
+    { key: 'length', label: 'String length', unit: 'm', min: 0.1, max: 5, step: 0.1, default: 1 },
+    { key: 'amplitude', label: 'Release angle', unit: '°', min: 1, max: 80, step: 1, default: 10 },
+    { key: 'gravity', label: 'Gravity', unit: 'm/s²', min: 1.6, max: 25, step: 0.1, default: G }
+  ],
+  quantities: [
+    { key: 'period', label: 'Period', unit: 's' },
+    { key: 'maxSpeed', label: 'Speed at the bottom', unit: 'm/s' }
+  ],
+  plot: { x: 'Time (s)', y: 'Angle (°)' },
+  theoryNote: 'T = 2π√(L/g) only holds for small swings; wide swings take a little longer.',
+  theory: ({ length, amplitude, gravity }) => ({
+    period: 2 * Math.PI * Math.sqrt(length / gravity),
+    maxSpeed: Math.sqrt(2 * gravity * length * (1 - Math.cos(toRadians(amplitude))))
+  }),
+  simulate: ({ length, amplitude, gravity }) => {
+    const duration = Math.min(MAX_TIME, 4 * 2 * Math.PI * Math.sqrt(length / gravity) * 1.2);
+    let theta = toRadians(amplitude);
+    let omega = 0;
+    let maxSpeed = 0;
+    const points = [[0, amplitude]];
+    for (let t = DT; t <= duration; t += DT) {
+      omega -= (gravity / length) * Math.sin(theta) * DT;
+      theta += omega * DT;
+      maxSpeed = Math.max(maxSpeed, Math.abs(omega * length));
+      points.push([t, (theta * 180) / Math.PI]);
+    }
+    return { measured: { period: periodFromCrossings(points), maxSpeed }, trace: thin(points) };
+  }
+};
+
+const circuit = {
+  label: 'Simple circuit',
+  icon: '🔋',
+  description: 'Connect two resistors to a battery and read the meters.',
+  parameters: [
+    { key: 'voltage', label: 'Battery voltage', unit: 'V', min: 1, max: 24, step: 0.5, default: 6 },
+    { key: 'r1', label: 'Resistor R1', unit: 'Ω', min: 1, max: 100, step: 1, default: 10 },
+    { key: 'r2', label: 'Resistor R2', unit: 'Ω', min: 1, max: 100, step: 1, default: 20 },
+    {
+      key: 'arrangement',
+      label: 'Arrangement',
+      options: [{ value: 'series', label: 'Series' }, { value: 'parallel', label: 'Parallel' }],
+      default: 'series'
+    },
+    { key: 'internalResistance', label: 'Battery internal resistance', unit: 'Ω', min: 0, max: 5, step: 0.1, default: 0.5 }
+  ],
+  quantities: [
+    { key: 'current', label: 'Current from the battery', unit: 'A' },
+    { key: 'voltageR1', label: 'Voltage across R1', unit: 'V' },
+    { key: 'power', label: 'Power in the resistors', unit: 'W' }
+  ],
+  plot: { x: 'Time after switching on (s)', y: 'Current (A)' },
+  theoryNote: "Ohm's law with an ideal battery: I = V / R. A real battery loses some voltage inside itself.",
+  theory: ({ voltage, r1, r2, arrangement }) => {
+    const total = arrangement === 'parallel' ? (r1 * r2) / (r1 + r2) : r1 + r2;
+    const current = voltage / total;
+    return {
+      current,
+      voltageR1: arrangement === 'parallel' ? voltage : current * r1,
+      power: voltage * current
+    };
+  },
+  simulate: ({ voltage, r1, r2, arrangement, internalResistance }) => {
+    const load = arrangement === 'parallel' ? (r1 * r2) / (r1 + r2) : r1 + r2;
+    const current = voltage / (load + internalResistance);
+    const terminal = current * load;
+    // The ammeter needle settles over a fraction of a second (a 50 ms time constant)
+    const points = [];
+    for (let t = 0; t <= 0.3; t += 0.01) points.push([t, current * (1 - Math.exp(-t / 0.05))]);
+    return {
+      measured: {
+        // Meters read to 0.001 A and 0.01 V
+        current: round(current, 3),
+        voltageR1: round(arrangement === 'parallel' ? terminal : current * r1, 2),
+        power: terminal * current
+      },
+      trace: thin(points)
+    };
+  }
+};
+
+export const PHYSICS_EXPERIMENTS = { projectile, incline, spring, pendulum, circuit };
+
+// Words in a simulation's type, title or description that pick its experiment
+const EXPERIMENT_KEYWORDS = [
+  ['circuit', /circuit|ohm|resist|current|voltage|electric/],
+  ['pendulum', /pendulum|swing/],
+  ['spring', /spring|hooke|oscillat/],
+  ['incline', /inclin|ramp|slope|friction/],
+  ['projectile', /projectile|launch|cannon|throw|trajector/]
+];
+
+/**
+ * Is this a physics simulation?
+ * @param {Object} simulation
+ * @returns {boolean}
+ */
+export const isPhysicsLab = (simulation) => /physics/i.test(simulation?.subject || '');
+
+/**
+ * Pick the experiment that suits a simulation, defaulting to the projectile
+ * @param {Object} simulation
+ * @returns {string} experiment key
+ */
+export const detectExperiment = (simulation) => {
+  if (PHYSICS_EXPERIMENTS[simulation?.experimentType]) return simulation.experimentType;
+  const text = [simulation?.experimentType, simulation?.title, simulation?.description, simulation?.prompt].join(' ').toLowerCase();
+  return EXPERIMENT_KEYWORDS.find(([, pattern]) => pattern.test(text))?.[0] || 'projectile';
+};
+
+/**
+ * Default parameters of an experiment
+ * @param {string} experiment
+ * @returns {Object}
+ */
+export const defaultParams = (experiment) =>
+  Object.fromEntries(PHYSICS_EXPERIMENTS[experiment].parameters.map(param => [param.key, param.default]));
+
+/**
+ * Set up the physics sandbox for a simulation
+ * @param {Object} simulation
+ * @returns {Object} userInputs.physics
+ */
+export const createPhysicsLab = (simulation) => {
+  const experiment = detectExperiment(simulation);
+  return { experiment, params: { [experiment]: defaultParams(experiment) }, runs: [] };
+};
+
+// Keep student-entered values inside each parameter's range
+const clampParams = (experiment, params = {}) =>
+  Object.fromEntries(PHYSICS_EXPERIMENTS[experiment].parameters.map(param => {
+    const value = params[param.key] ?? param.default;
+    if (param.options) return [param.key, param.options.some(option => option.value === value) ? value : param.default];
+    const number = Number(value);
+    return [param.key, Number.isFinite(number) ? Math.min(param.max, Math.max(param.min, number)) : param.default];
+  }));
+
+const percentDifference = (measured, theory) =>
+  (measured === null || theory === null || theory === 0 ? null : round((Math.abs(measured - theory) / Math.abs(theory)) * 100, 2));
+
+/**
+ * Run an experiment and compare what was measured with theory
+ * @param {string} experiment - key of PHYSICS_EXPERIMENTS
+ * @param {Object} params
+ * @returns {{experiment: string, params: Object, measured: Object, theory: Object, comparison: Array, trace: Array}}
+ */
+export const runExperiment = (experiment, params) => {
+  const definition = PHYSICS_EXPERIMENTS[experiment];
+  if (!definition) throw new Error(`Unknown physics experiment: ${experiment}`);
+
+  const safeParams = clampParams(experiment, params);
+  const { measured, trace } = definition.simulate(safeParams);
+  const theory = definition.theory(safeParams);
+  const tidy = (values) => Object.fromEntries(definition.quantities.map(({ key }) => [key, round(values[key], 3)]));
+
+  const run = { experiment, params: safeParams, measured: tidy(measured), theory: tidy(theory), trace };
+  return { ...run, comparison: compareWithTheory(run) };
+};
+
+/**
+ * Line up a run's measured values with theory, quantity by quantity
+ * @param {Object} run - { experiment, measured, theory }
+ * @returns {Array<{key, label, unit, measured, theory, percentDifference}>}
+ */
+export const compareWithTheory = ({ experiment, measured, theory }) =>
+  PHYSICS_EXPERIMENTS[experiment].quantities.map(quantity => ({
+    ...quantity,
+    measured: measured[quantity.key],
+    theory: theory[quantity.key],
+    percentDifference: percentDifference(measured[quantity.key], theory[quantity.key])
+  }));
+
+/**
+ * One-line lab note for a run, used as the observation
+ * @param {Object} run
+ * @returns {string}
+ */
+export const describeRun = ({ experiment, params, measured }) => {
+  const definition = PHYSICS_EXPERIMENTS[experiment];
+  const lowerFirst = (text) => text.charAt(0).toLowerCase() + text.slice(1);
+  const withUnit = (value, unit) => (unit === '°' || !unit ? `${value}${unit || ''}` : `${value} ${unit}`);
+  const settings = definition.parameters
+    .map(param => `${lowerFirst(param.label)} ${withUnit(params[param.key], param.unit)}`)
+    .join(', ');
+  const readings = definition.quantities
+    .map(quantity => `${lowerFirst(quantity.label)} ${measured[quantity.key] === null ? 'n/a' : withUnit(measured[quantity.key], quantity.unit)}`)
+    .join(', ');
+  return `${definition.label} (${settings}): ${readings}`;
+};
+
+/**
+ * Compare every recorded run with theory for the completion results
+ * @param {Object} physics - userInputs.physics
+ * @returns {Object|null}
+ */
+export const summarizePhysicsRuns = (physics) => {
+  if (!physics?.runs?.length) return null;
+  const runs = physics.runs.map(run => ({ ...run, comparison: compareWithTheory(run) }));
+  const differences = runs.flatMap(run => run.comparison.map(row => row.percentDifference)).filter(value => value !== null);
+  return {
+    runs,
+    meanPercentDifference: differences.length ? round(differences.reduce((sum, value) => sum + value, 0) / differences.length, 2) : null
+  };
+};
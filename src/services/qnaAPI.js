@@ -1,4 +1,4 @@
-import api from './api';
+import api, { normalizeResponse } from './api';
 
 // Q&A API service for student and teacher interactions
 export const qnaAPI = {
@@ -12,17 +12,20 @@ export const qnaAPI = {
       ...params
     });
     
-    return api.get(`/qna/level/${level}?${queryParams}`);
+    const response = await api.get(`/qna/level/${level}?${queryParams}`);
+    return normalizeResponse(response, { key: 'messages', type: 'array' });
   },
 
   // Send a student message
   sendStudentMessage: async (messageData) => {
-    return api.post('/qna/send', messageData);
+    const response = await api.post('/qna/send', messageData);
+    return normalizeResponse(response, { key: 'message', type: 'object', optional: true });
   },
 
   // Delete a message (student can only delete their own)
   deleteMessage: async (messageId, deleteData) => {
-    return api.delete(`/qna/messages/${messageId}`, { data: deleteData });
+    const response = await api.delete(`/qna/messages/${messageId}`, { data: deleteData });
+    return normalizeResponse(response, { type: 'any' });
   },
 
   // Teacher APIs
@@ -36,7 +39,8 @@ export const qnaAPI = {
       ...params
     });
     
-    return api.get(`/api/qna/teacher/dashboard/${teacherId}?${queryParams}`);
+    const response = await api.get(`/api/qna/teacher/dashboard/${teacherId}?${queryParams}`);
+    return normalizeResponse(response, { key: 'levels', type: 'array' });
   },
 
   // Get messages for a specific level (teacher view)
@@ -47,12 +51,14 @@ export const qnaAPI = {
       ...params
     });
     
-    return api.get(`/qna/level/${level}?${queryParams}`);
+    const response = await api.get(`/qna/level/${level}?${queryParams}`);
+    return normalizeResponse(response, { key: 'messages', type: 'array' });
   },
 
   // Send a teacher message
   sendTeacherMessage: async (messageData) => {
-    return api.post('/qna/send-teacher', messageData);
+    const response = await api.post('/qna/send-teacher', messageData);
+    return normalizeResponse(response, { key: 'message', type: 'object', optional: true });
   }
 };
 
@@ -0,0 +1,118 @@
+// Quiz banks - teacher-curated question sets attached to a resource or an assignment
+//
+// A bank is { id, title, teacherId, resourceId, assignmentId, level, status, questionsPerQuiz, questions }.
+// Teachers start from an AI draft (quizAPI.generateQuiz), edit the questions and approve them one
+// by one; once the bank itself is approved, TakeQuizPage samples from its approved questions
+// instead of generating a fresh quiz.
+
+import { QUIZ_MIN_QUESTIONS, QUIZ_MAX_QUESTIONS, QUIZ_OPTION_COUNT, validateQuestion } from './quizSchema';
+
+export const QUIZ_BANK_STATUSES = ['draft', 'approved'];
+
+// Fields a question gets when it is created or switched to another type in the editor
+const TYPE_DEFAULTS = {
+  mcq: () => ({ options: Array(QUIZ_OPTION_COUNT).fill(''), correctAnswer: 0 }),
+  true_false: () => ({ options: ['True', 'False'], correctAnswer: 0 }),
+  multi_select: () => ({ options: Array(QUIZ_OPTION_COUNT).fill(''), correctAnswers: [] }),
+  numeric: () => ({ correctAnswer: 0, tolerance: 0, unit: '' }),
+  short_text: () => ({ acceptedAnswers: [] }),
+  ordering: () => ({ items: [] }),
+  image_match: () => ({ pairs: [] })
+};
+
+const TYPE_FIELDS = ['options', 'correctAnswer', 'correctAnswers', 'tolerance', 'unit', 'acceptedAnswers', 'items', 'pairs'];
+
+export const createBlankQuestion = (type = 'mcq') => ({
+  type,
+  question: '',
+  explanation: '',
+  ...TYPE_DEFAULTS[type]()
+});
+
+// Keeps the question text, explanation, id and approval; answer fields start over
+export const changeQuestionType = (question, type) => ({
+  ...Object.fromEntries(Object.entries(question).filter(([field]) => !TYPE_FIELDS.includes(field))),
+  type,
+  ...TYPE_DEFAULTS[type]()
+});
+
+// Keep bank-only fields (id, approved) that validateQuestion doesn't know about
+export const validateBankQuestion = (raw) => {
+  const { question, errors } = validateQuestion(raw);
+  return {
+    question: question && { ...question, id: raw.id, approved: Boolean(raw.approved) },
+    errors
+  };
+};
+
+// Give new questions ids that never clash with ones already in the bank
+export const addBankQuestions = (existing, questions, { approved = false } = {}) => {
+  let nextId = existing.reduce((max, question) => Math.max(max, Number(question.id) || 0), 0);
+  return [
+    ...existing,
+    ...questions.map(question => ({ ...question, id: ++nextId, approved }))
+  ];
+};
+
+/**
+ * Check a bank before saving it.
+ * Drafts only need valid questions; an approved bank also needs enough approved questions
+ * to fill a quiz.
+ * @param {object} bank
+ * @returns {{ errors: string[], questionErrors: Object<number, string[]> }}
+ */
+export const validateBank = (bank) => {
+  const errors = [];
+  const questionErrors = {};
+
+  if (!bank.title?.trim()) errors.push('Title is required');
+  if (!bank.resourceId && !bank.assignmentId) errors.push('Attach the bank to a resource or an assignment');
+  if (!QUIZ_BANK_STATUSES.includes(bank.status)) errors.push(`Unknown status "${bank.status}"`);
+
+  const questions = Array.isArray(bank.questions) ? bank.questions : [];
+  questions.forEach((question, index) => {
+    const result = validateBankQuestion(question);
+    if (!result.question) questionErrors[index] = result.errors;
+  });
+
+  const perQuiz = Number(bank.questionsPerQuiz);
+  if (!Number.isInteger(perQuiz) || perQuiz < QUIZ_MIN_QUESTIONS || perQuiz > QUIZ_MAX_QUESTIONS) {
+    errors.push(`Questions per quiz must be between ${QUIZ_MIN_QUESTIONS} and ${QUIZ_MAX_QUESTIONS}`);
+  }
+
+  if (bank.status === 'approved') {
+    const approvedCount = questions.filter((question, index) => question.approved && !questionErrors[index]).length;
+    if (approvedCount < QUIZ_MIN_QUESTIONS) {
+      errors.push(`Approve at least ${QUIZ_MIN_QUESTIONS} valid questions before approving the bank (${approvedCount} so far)`);
+    }
+  }
+
+  return { errors, questionErrors };
+};
+
+/**
+ * Build a quiz from an approved bank by randomly sampling its approved questions.
+ * Question ids are kept so results can be traced back to the bank.
+ * @param {object} bank
+ * @returns {{ title: string, questions: object[] }}
+ */
+export const sampleBankQuiz = (bank) => {
+  const pool = bank.questions.filter(question => question.approved);
+  const count = Math.min(pool.length, bank.questionsPerQuiz || QUIZ_MAX_QUESTIONS);
+
+  // Partial Fisher-Yates: only the first `count` positions need shuffling
+  const shuffled = [...pool];
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (shuffled.length - i));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return {
+    title: bank.title,
+    questions: shuffled.slice(0, count).map(question => {
+      const sampled = { ...question };
+      delete sampled.approved;
+      return sampled;
+    })
+  };
+};
@@ -0,0 +1,436 @@
+// Quiz schema - the declared shape of an AI-generated quiz, plus the helpers that parse,
+// validate, repair and de-duplicate model output against it.
+//
+// Validation works per question: a malformed question is repaired when the intent is
+// unambiguous (e.g. correctAnswer "B" or the text of the right option) and dropped
+// otherwise, so one bad question no longer costs the whole quiz.
+//
+// Question types and their answer fields:
+//   mcq           options (4), correctAnswer (index)
+//   true_false    options ['True', 'False'], correctAnswer (0 = True, 1 = False)
+//   multi_select  options (4-6), correctAnswers (indices, at least one)
+//   numeric       correctAnswer (number), tolerance (absolute, default 0), unit (optional)
+//   short_text    acceptedAnswers (strings, matched fuzzily)
+//   ordering      items (3-6, listed in the correct order; shuffled when shown)
+//   image_match   pairs [{ image, label }] (2-6); image is an image URL or an emoji
+//
+// Every question may also carry an `objective`: the learning objective it checks, in a few
+// words. Questions that test the same thing share the same wording, which is what the
+// mastery estimate (mastery.js) groups by. A `difficulty` of 1 (easy) to 3 (hard) lets
+// adaptive quizzes (adaptiveDifficulty.js) pick questions at the student's level.
+
+import { MIN_DIFFICULTY, MAX_DIFFICULTY } from './adaptiveDifficulty';
+
+export const QUIZ_MIN_QUESTIONS = 5;
+export const QUIZ_MAX_QUESTIONS = 8;
+export const QUIZ_OPTION_COUNT = 4;
+export const OBJECTIVE_MAX_LENGTH = 80;
+
+export const QUESTION_TYPES = ['mcq', 'true_false', 'multi_select', 'numeric', 'short_text', 'ordering', 'image_match'];
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+// Models sometimes rate difficulty in words
+const DIFFICULTY_WORDS = { easy: 1, medium: 2, hard: 3 };
+
+// Question texts whose word overlap is at least this high count as the same question
+const DUPLICATE_SIMILARITY = 0.8;
+
+const QUESTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    type: { type: 'string', enum: QUESTION_TYPES },
+    question: { type: 'string' },
+    options: { type: 'array', items: { type: 'string' } },
+    correctAnswer: { type: 'number' },
+    correctAnswers: { type: 'array', items: { type: 'integer' } },
+    tolerance: { type: 'number' },
+    unit: { type: 'string' },
+    acceptedAnswers: { type: 'array', items: { type: 'string' } },
+    items: { type: 'array', items: { type: 'string' } },
+    pairs: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { image: { type: 'string' }, label: { type: 'string' } },
+        required: ['image', 'label']
+      }
+    },
+    explanation: { type: 'string' },
+    objective: { type: 'string' },
+    difficulty: { type: 'integer', enum: [1, 2, 3] }
+  },
+  required: ['type', 'question', 'explanation', 'objective', 'difficulty']
+};
+
+// JSON Schema sent to the model as the structured output contract
+export const QUIZ_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    quiz: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        questions: { type: 'array', items: QUESTION_SCHEMA }
+      },
+      required: ['title', 'questions']
+    }
+  },
+  required: ['quiz']
+};
+
+// Schema for a batch of replacement questions
+export const QUESTION_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: { type: 'array', items: QUESTION_SCHEMA }
+  },
+  required: ['questions']
+};
+
+// Field descriptions for the generation prompt, kept next to the validators they match
+export const QUESTION_TYPE_GUIDE = `- "mcq": "options" (exactly 4 strings), "correctAnswer" (index 0-3)
+- "true_false": "correctAnswer" (0 for True, 1 for False)
+- "multi_select": "options" (4-6 strings), "correctAnswers" (array of the indices of every correct option)
+- "numeric": "correctAnswer" (a number), "tolerance" (allowed absolute error, 0 for exact), optional "unit"
+- "short_text": "acceptedAnswers" (1-5 short accepted answers, e.g. a word and its synonyms)
+- "ordering": "items" (3-6 strings listed in the CORRECT order; they are shuffled for the student)
+- "image_match": "pairs" (2-6 objects {"image": a single emoji, "label": short text}); the student matches each image to its label`;
+
+// ===== Parsing =====
+
+// Parse JSON from model output. Structured output is normally bare JSON, but models
+// sometimes wrap it in a markdown fence or add prose around it, so fall back to the
+// first balanced {...} block that parses.
+export const extractJson = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Empty response from AI');
+  }
+
+  const unfenced = text.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    // Fall through to the balanced-brace scan
+  }
+
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+
+  throw new Error('No valid JSON found in response');
+};
+
+// ===== Validation and repair =====
+
+const toCleanString = (value) =>
+  typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = toCleanString(value).replace(/,/g, '');
+  return text !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(toCleanString) : []);
+
+const hasDuplicates = (list) => new Set(list.map(item => item.toLowerCase())).size !== list.length;
+
+// Work out the index of the correct option from the forms models tend to produce:
+// 2, "2", "C", "C) Photosynthesis" or the option text itself
+const resolveOptionIndex = (value, options) => {
+  if (Number.isInteger(value)) return value;
+
+  const text = toCleanString(value);
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const byText = options.findIndex(option => option.toLowerCase() === text.toLowerCase());
+  if (byText !== -1) return byText;
+
+  const letter = text.match(/^([A-F])(?:[).:]|$)/);
+  return letter ? letter[1].charCodeAt(0) - 65 : null;
+};
+
+const checkOptions = (options, min, max, errors) => {
+  if (options.length < min || options.length > max) {
+    errors.push(min === max
+      ? `expected ${min} options, got ${options.length}`
+      : `expected ${min}-${max} options, got ${options.length}`);
+  } else if (options.some(option => !option)) {
+    errors.push('empty option');
+  } else if (hasDuplicates(options)) {
+    errors.push('duplicate options');
+  }
+};
+
+// Each validator reads the raw question and returns the type-specific fields,
+// pushing to `errors` (question unusable) or `repairs` (fixed up)
+const TYPE_VALIDATORS = {
+  mcq: (raw, errors, repairs) => {
+    const options = toStringList(raw.options);
+    checkOptions(options, QUIZ_OPTION_COUNT, QUIZ_OPTION_COUNT, errors);
+
+    const correctAnswer = resolveOptionIndex(raw.correctAnswer, options);
+    if (correctAnswer === null || correctAnswer < 0 || correctAnswer >= options.length) {
+      errors.push(`invalid correctAnswer ${JSON.stringify(raw.correctAnswer)}`);
+    } else if (correctAnswer !== raw.correctAnswer) {
+      repairs.push(`correctAnswer ${JSON.stringify(raw.correctAnswer)} -> ${correctAnswer}`);
+    }
+    return { options, correctAnswer };
+  },
+
+  true_false: (raw, errors, repairs) => {
+    let correctAnswer;
+    if (typeof raw.correctAnswer === 'boolean') {
+      correctAnswer = raw.correctAnswer ? 0 : 1;
+      repairs.push(`correctAnswer ${raw.correctAnswer} -> ${correctAnswer}`);
+    } else {
+      correctAnswer = resolveOptionIndex(raw.correctAnswer, TRUE_FALSE_OPTIONS);
+    }
+    if (correctAnswer !== 0 && correctAnswer !== 1) {
+      errors.push(`invalid correctAnswer ${JSON.stringify(raw.correctAnswer)}`);
+    }
+    return { options: [...TRUE_FALSE_OPTIONS], correctAnswer };
+  },
+
+  multi_select: (raw, errors, repairs) => {
+    const options = toStringList(raw.options);
+    checkOptions(options, 4, 6, errors);
+
+    const rawCorrect = Array.isArray(raw.correctAnswers) ? raw.correctAnswers : [];
+    const correctAnswers = [...new Set(rawCorrect.map(value => resolveOptionIndex(value, options)))]
+      .filter(index => index !== null && index >= 0 && index < options.length)
+      .sort((a, b) => a - b);
+    if (correctAnswers.length === 0) {
+      errors.push('no valid correctAnswers');
+    } else if (correctAnswers.length !== rawCorrect.length) {
+      repairs.push('ignored invalid correctAnswers entries');
+    }
+    return { options, correctAnswers };
+  },
+
+  numeric: (raw, errors, repairs) => {
+    const correctAnswer = toNumber(raw.correctAnswer);
+    if (correctAnswer === null) {
+      errors.push(`invalid numeric answer ${JSON.stringify(raw.correctAnswer)}`);
+    } else if (correctAnswer !== raw.correctAnswer) {
+      repairs.push(`correctAnswer ${JSON.stringify(raw.correctAnswer)} -> ${correctAnswer}`);
+    }
+
+    let tolerance = toNumber(raw.tolerance) ?? 0;
+    if (tolerance < 0) {
+      tolerance = Math.abs(tolerance);
+      repairs.push('negative tolerance');
+    }
+    const unit = toCleanString(raw.unit);
+    return { correctAnswer, tolerance, ...(unit ? { unit } : {}) };
+  },
+
+  short_text: (raw, errors, repairs) => {
+    let acceptedAnswers = toStringList(raw.acceptedAnswers).filter(Boolean);
+    if (acceptedAnswers.length === 0 && toCleanString(raw.correctAnswer)) {
+      acceptedAnswers = [toCleanString(raw.correctAnswer)];
+      repairs.push('correctAnswer -> acceptedAnswers');
+    }
+    if (acceptedAnswers.length === 0) {
+      errors.push('no acceptedAnswers');
+    }
+    return { acceptedAnswers };
+  },
+
+  ordering: (raw, errors) => {
+    const items = toStringList(raw.items);
+    if (items.length < 3 || items.length > 6) {
+      errors.push(`expected 3-6 items, got ${items.length}`);
+    } else if (items.some(item => !item)) {
+      errors.push('empty item');
+    } else if (hasDuplicates(items)) {
+      errors.push('duplicate items');
+    }
+    return { items };
+  },
+
+  image_match: (raw, errors) => {
+    const pairs = (Array.isArray(raw.pairs) ? raw.pairs : []).map(pair => ({
+      image: toCleanString(pair?.image),
+      label: toCleanString(pair?.label)
+    }));
+    if (pairs.length < 2 || pairs.length > 6) {
+      errors.push(`expected 2-6 pairs, got ${pairs.length}`);
+    } else if (pairs.some(pair => !pair.image || !pair.label)) {
+      errors.push('incomplete pair');
+    } else if (hasDuplicates(pairs.map(pair => pair.label))) {
+      errors.push('duplicate labels');
+    }
+    return { pairs };
+  }
+};
+
+// Questions without a type predate typed questions and are multiple choice
+const resolveType = (raw, repairs) => {
+  const type = toCleanString(raw.type).toLowerCase().replace(/[\s/-]+/g, '_');
+  if (!type) return 'mcq';
+  if (QUESTION_TYPES.includes(type)) {
+    if (type !== raw.type) repairs.push(`type ${JSON.stringify(raw.type)} -> ${type}`);
+    return type;
+  }
+  return null;
+};
+
+/**
+ * Validate one question against the schema, repairing what can be repaired.
+ * @param {*} raw
+ * @param {string[]} [allowedTypes] - question types the caller accepts
+ * @returns {{ question: object|null, errors: string[], repairs: string[] }}
+ */
+export const validateQuestion = (raw, allowedTypes = QUESTION_TYPES) => {
+  const errors = [];
+  const repairs = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { question: null, errors: ['not an object'], repairs };
+  }
+
+  const type = resolveType(raw, repairs);
+  if (!type) {
+    return { question: null, errors: [`unknown question type ${JSON.stringify(raw.type)}`], repairs };
+  }
+  if (!allowedTypes.includes(type)) {
+    return { question: null, errors: [`question type "${type}" not allowed`], repairs };
+  }
+
+  const text = toCleanString(raw.question);
+  if (!text) errors.push('missing question text');
+
+  const fields = TYPE_VALIDATORS[type](raw, errors, repairs);
+
+  const explanation = toCleanString(raw.explanation);
+  if (!explanation) repairs.push('missing explanation');
+
+  // Untagged questions still work; they just don't count towards any objective's mastery
+  const objective = toCleanString(raw.objective).replace(/\s+/g, ' ').slice(0, OBJECTIVE_MAX_LENGTH);
+  if (!objective) repairs.push('missing objective');
+
+  // Unrated questions still work (adaptive quizzes treat them as medium); ratings are clamped to 1-3
+  const rating = toNumber(raw.difficulty) ?? DIFFICULTY_WORDS[toCleanString(raw.difficulty).toLowerCase()] ?? null;
+  const difficulty = rating === null ? null : Math.min(MAX_DIFFICULTY, Math.max(MIN_DIFFICULTY, Math.round(rating)));
+  if (difficulty === null) {
+    repairs.push('missing difficulty');
+  } else if (difficulty !== raw.difficulty) {
+    repairs.push(`difficulty ${JSON.stringify(raw.difficulty)} -> ${difficulty}`);
+  }
+
+  if (errors.length > 0) {
+    return { question: null, errors, repairs };
+  }
+
+  return {
+    question: {
+      type,
+      question: text,
+      ...fields,
+      explanation,
+      ...(objective ? { objective } : {}),
+      ...(difficulty !== null ? { difficulty } : {})
+    },
+    errors,
+    repairs
+  };
+};
+
+// ===== De-duplication =====
+
+const toWordSet = (text) =>
+  new Set(text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean));
+
+const similarity = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+// Ordering and matching questions often share a generic prompt ("Put these in order"),
+// so their content counts towards similarity too
+const comparableText = (question) => [
+  question.question,
+  ...(question.items || []),
+  ...(question.pairs || []).map(pair => pair.label)
+].join(' ');
+
+/**
+ * Drop questions that are near-identical to an earlier one.
+ * @param {object[]} questions - validated questions
+ * @param {object[]} [existing] - already accepted questions to compare against
+ * @returns {{ unique: object[], duplicates: {question: string, duplicateOf: string}[] }}
+ */
+export const dedupeQuestions = (questions, existing = []) => {
+  const seen = existing.map(q => ({ text: q.question, words: toWordSet(comparableText(q)) }));
+  const unique = [];
+  const duplicates = [];
+
+  questions.forEach(question => {
+    const words = toWordSet(comparableText(question));
+    const match = seen.find(other => similarity(words, other.words) >= DUPLICATE_SIMILARITY);
+    if (match) {
+      duplicates.push({ question: question.question, duplicateOf: match.text });
+    } else {
+      seen.push({ text: question.question, words });
+      unique.push(question);
+    }
+  });
+
+  return { unique, duplicates };
+};
+
+/**
+ * Validate a batch of raw questions and de-duplicate the survivors.
+ * @param {*[]} rawQuestions
+ * @param {object[]} [existing] - questions already accepted (for de-duplication)
+ * @param {string[]} [allowedTypes] - question types the caller accepts
+ * @returns {{ questions: object[], dropped: object[], duplicates: object[], repaired: number }}
+ */
+export const validateQuestions = (rawQuestions, existing = [], allowedTypes = QUESTION_TYPES) => {
+  const valid = [];
+  const dropped = [];
+  let repaired = 0;
+
+  (Array.isArray(rawQuestions) ? rawQuestions : []).forEach((raw, index) => {
+    const { question, errors, repairs } = validateQuestion(raw, allowedTypes);
+    if (question) {
+      valid.push(question);
+      if (repairs.length > 0) repaired++;
+    } else {
+      dropped.push({
+        index,
+        question: toCleanString(raw?.question).slice(0, 80) || null,
+        reasons: errors
+      });
+    }
+  });
+
+  const { unique, duplicates } = dedupeQuestions(valid, existing);
+  return { questions: unique, dropped, duplicates, repaired };
+};
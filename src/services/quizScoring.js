@@ -0,0 +1,155 @@
+// Quiz scoring - checks and formats answers for every question type in quizSchema.js
+//
+// Answer shapes (what QuizInterface stores in `answers[index]`):
+//   mcq, true_false  option index
+//   multi_select     sorted array of option indices
+//   numeric          number
+//   short_text       string
+//   ordering         array of item indices in the order the student placed them
+//   image_match      array where entry i is the pair index whose label was matched to image i
+
+const getType = (question) => question.type || 'mcq';
+
+// Lowercase, drop accents and punctuation, collapse whitespace
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s.-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos are forgiven in proportion to answer length: none for very short answers
+// (so "cat" never matches "car"), one for medium, ~20% for longer answers
+export const isFuzzyMatch = (answer, accepted) => {
+  const a = normalizeText(answer);
+  const b = normalizeText(accepted);
+  if (!a || !b) return false;
+  if (a === b) return true;
+
+  const allowed = b.length <= 4 ? 0 : b.length <= 8 ? 1 : Math.floor(b.length * 0.2);
+  return levenshtein(a, b) <= allowed;
+};
+
+const sameList = (a, b) => a.length === b.length && a.every((value, i) => value === b[i]);
+
+export const isAnswerProvided = (question, answer) => {
+  if (answer === null || answer === undefined) return false;
+  switch (getType(question)) {
+    case 'multi_select':
+      return Array.isArray(answer) && answer.length > 0;
+    case 'numeric':
+      return typeof answer === 'number' && Number.isFinite(answer);
+    case 'short_text':
+      return typeof answer === 'string' && answer.trim().length > 0;
+    case 'ordering':
+      return Array.isArray(answer) && answer.length === question.items.length;
+    case 'image_match':
+      return Array.isArray(answer) && answer.length === question.pairs.length && answer.every(value => value !== null);
+    default:
+      return Number.isInteger(answer);
+  }
+};
+
+export const isAnswerCorrect = (question, answer) => {
+  if (!isAnswerProvided(question, answer)) return false;
+
+  switch (getType(question)) {
+    case 'multi_select':
+      return sameList([...answer].sort((a, b) => a - b), [...question.correctAnswers].sort((a, b) => a - b));
+    case 'numeric':
+      // Small epsilon so 0.1 + 0.2 style float error never fails an exact answer
+      return Math.abs(answer - question.correctAnswer) <= (question.tolerance || 0) + 1e-9;
+    case 'short_text':
+      return question.acceptedAnswers.some(accepted => isFuzzyMatch(answer, accepted));
+    case 'ordering':
+      return answer.every((itemIndex, position) => itemIndex === position);
+    case 'image_match':
+      return answer.every((pairIndex, imageIndex) => pairIndex === imageIndex);
+    default:
+      return answer === question.correctAnswer;
+  }
+};
+
+const formatNumber = (question, value) => `${value}${question.unit ? ` ${question.unit}` : ''}`;
+
+// Human-readable version of a student's answer (results review, AI explanations)
+export const formatAnswer = (question, answer) => {
+  if (!isAnswerProvided(question, answer)) return 'No answer';
+
+  switch (getType(question)) {
+    case 'multi_select':
+      return answer.map(index => question.options[index]).join(', ');
+    case 'numeric':
+      return formatNumber(question, answer);
+    case 'short_text':
+      return answer.trim();
+    case 'ordering':
+      return answer.map(index => question.items[index]).join(' → ');
+    case 'image_match':
+      return answer.map((pairIndex, imageIndex) => `${question.pairs[imageIndex].image} = ${question.pairs[pairIndex]?.label}`).join(', ');
+    default:
+      return question.options[answer];
+  }
+};
+
+export const formatCorrectAnswer = (question) => {
+  switch (getType(question)) {
+    case 'multi_select':
+      return question.correctAnswers.map(index => question.options[index]).join(', ');
+    case 'numeric':
+      return question.tolerance
+        ? `${formatNumber(question, question.correctAnswer)} (± ${question.tolerance})`
+        : formatNumber(question, question.correctAnswer);
+    case 'short_text':
+      return question.acceptedAnswers[0];
+    case 'ordering':
+      return question.items.join(' → ');
+    case 'image_match':
+      return question.pairs.map(pair => `${pair.image} = ${pair.label}`).join(', ');
+    default:
+      return question.options[question.correctAnswer];
+  }
+};
+
+/**
+ * Score a finished quiz.
+ * @param {object[]} questions
+ * @param {*[]} answers - one answer per question, in the shapes listed above
+ * @returns {{ correctAnswers: number, totalQuestions: number, score: number, questionResults: object[] }}
+ */
+export const scoreQuiz = (questions, answers) => {
+  const questionResults = questions.map((question, index) => ({
+    questionId: question.id ?? index + 1,
+    type: getType(question),
+    objective: question.objective || null,
+    difficulty: question.difficulty ?? null,
+    answer: answers[index] ?? null,
+    correct: isAnswerCorrect(question, answers[index])
+  }));
+  const correctAnswers = questionResults.filter(result => result.correct).length;
+
+  return {
+    correctAnswers,
+    totalQuestions: questions.length,
+    score: questions.length ? Math.round((correctAnswers / questions.length) * 100) : 0,
+    questionResults
+  };
+};
@@ -0,0 +1,86 @@
+// Quiz timing - exam mode settings and pacing summaries
+//
+// Teachers enable exam mode per resource (`resource.quizSettings`):
+//   examMode                  boolean
+//   timeLimitSeconds          whole-quiz limit, or null for none
+//   questionTimeLimitSeconds  per-question limit, or null for none
+//
+// Every finished quiz (timed or not) carries a `timing` object in its saved result:
+//   { examMode, timeLimitSeconds, questionTimeLimitSeconds, totalTimeSeconds,
+//     timeSpentPerQuestion: number[], timedOutQuestions: number[], autoSubmitted }
+
+export const MAX_QUIZ_TIME_LIMIT_SECONDS = 3 * 60 * 60;
+export const MIN_QUESTION_TIME_LIMIT_SECONDS = 5;
+export const MAX_QUESTION_TIME_LIMIT_SECONDS = 30 * 60;
+
+// Countdown turns amber/red when this little time is left
+export const TIME_WARNING_SECONDS = 30;
+export const TIME_CRITICAL_SECONDS = 10;
+
+const toLimit = (value) => {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : null;
+};
+
+// Resolved exam settings for a resource; null when the quiz is untimed
+export const getExamSettings = (resource) => {
+  const settings = resource?.quizSettings;
+  if (!settings?.examMode) return null;
+
+  const timeLimitSeconds = toLimit(settings.timeLimitSeconds);
+  const questionTimeLimitSeconds = toLimit(settings.questionTimeLimitSeconds);
+  if (!timeLimitSeconds && !questionTimeLimitSeconds) return null;
+
+  return { examMode: true, timeLimitSeconds, questionTimeLimitSeconds };
+};
+
+// Returns an error message, or null when the settings are valid
+export const validateExamSettings = (settings) => {
+  if (!settings || !settings.examMode) return null;
+
+  const { timeLimitSeconds, questionTimeLimitSeconds } = settings;
+  if (timeLimitSeconds == null && questionTimeLimitSeconds == null) {
+    return 'Exam mode needs a total or per-question time limit';
+  }
+  if (timeLimitSeconds != null &&
+      (!Number.isInteger(timeLimitSeconds) || timeLimitSeconds < 60 || timeLimitSeconds > MAX_QUIZ_TIME_LIMIT_SECONDS)) {
+    return 'Total time limit must be between 1 and 180 minutes';
+  }
+  if (questionTimeLimitSeconds != null &&
+      (!Number.isInteger(questionTimeLimitSeconds) ||
+       questionTimeLimitSeconds < MIN_QUESTION_TIME_LIMIT_SECONDS ||
+       questionTimeLimitSeconds > MAX_QUESTION_TIME_LIMIT_SECONDS)) {
+    return `Per-question time limit must be between ${MIN_QUESTION_TIME_LIMIT_SECONDS} and ${MAX_QUESTION_TIME_LIMIT_SECONDS} seconds`;
+  }
+  return null;
+};
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+export const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(0, Math.round(totalSeconds || 0));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+};
+
+/**
+ * Pacing summary for a saved quiz result.
+ * @param {object} timing - the `timing` object from a quiz result
+ * @returns {{ averageSeconds: number, slowestIndex: number, slowestSeconds: number, timedOut: number, totalSeconds: number } | null}
+ */
+export const summarizePacing = (timing) => {
+  const perQuestion = timing?.timeSpentPerQuestion;
+  if (!Array.isArray(perQuestion) || perQuestion.length === 0) return null;
+
+  const totalSeconds = timing.totalTimeSeconds ?? perQuestion.reduce((sum, seconds) => sum + seconds, 0);
+  const slowestSeconds = Math.max(...perQuestion);
+
+  return {
+    averageSeconds: Math.round(perQuestion.reduce((sum, seconds) => sum + seconds, 0) / perQuestion.length),
+    slowestIndex: perQuestion.indexOf(slowestSeconds),
+    slowestSeconds,
+    timedOut: timing.timedOutQuestions?.length || 0,
+    totalSeconds
+  };
+};
@@ -0,0 +1,522 @@
+// Reaction engine - deterministic chemistry for the gamified lab
+//
+// The gamified lab used to ask the LLM what happens when two chemicals are mixed, so the same
+// mix could give different (and sometimes wrong or unsafe) answers. This module decides the
+// outcome locally from a small knowledge base: which chemicals it knows, what ions they carry,
+// and a fixed list of rules (unsafe mixes, indicator colours, metals, gas evolution,
+// neutralisation, precipitation, dilution). The LLM only phrases the explanation
+// (geminiGameAPI.explainReaction); chemicals the knowledge base doesn't know still go to
+// geminiGameAPI.processChemicalMixing.
+//
+// Amounts: every mix is one portion of each solution at the same volume, so concentrations
+// halve and acid/base equivalents are compared one to one. pH values are rounded to 0.1.
+//
+// A mix returns the same shape processChemicalMixing does ({ result, explanation, visualEffect,
+// resultSolution, scoreGain, safety, nextSteps }) plus reactionType, reactionKey, wordEquation
+// and products. resultSolution is itself a solution the engine understands, so it can be mixed
+// again - e.g. acid with indicator, then base, shows the colour change at neutralisation.
+
+export const REACTION_TYPES = {
+  unsafe: { label: 'Unsafe mix', score: 0 },
+  test: { label: 'Chemical test', score: 15 },
+  indicator: { label: 'Indicator colour', score: 15 },
+  gas: { label: 'Gas evolution', score: 20 },
+  displacement: { label: 'Displacement', score: 20 },
+  neutralization: { label: 'Neutralisation', score: 20 },
+  precipitation: { label: 'Precipitation', score: 20 },
+  dilution: { label: 'Dilution', score: 5 },
+  none: { label: 'No reaction', score: 5 }
+};
+
+// Concentration used when a chemical's concentration is missing or "Unknown"
+const DEFAULT_MOLARITY = 0.1;
+
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+// ===== Knowledge base =====
+
+const IONS = {
+  h: { name: 'hydrogen', symbol: 'H', charge: 1 },
+  na: { name: 'sodium', symbol: 'Na', charge: 1 },
+  k: { name: 'potassium', symbol: 'K', charge: 1 },
+  nh4: { name: 'ammonium', symbol: 'NH₄', charge: 1, polyatomic: true },
+  ag: { name: 'silver', symbol: 'Ag', charge: 1 },
+  ca: { name: 'calcium', symbol: 'Ca', charge: 2 },
+  mg: { name: 'magnesium', symbol: 'Mg', charge: 2 },
+  zn: { name: 'zinc', symbol: 'Zn', charge: 2 },
+  cu: { name: 'copper(II)', symbol: 'Cu', charge: 2 },
+  ba: { name: 'barium', symbol: 'Ba', charge: 2 },
+  fe3: { name: 'iron(III)', symbol: 'Fe', charge: 3 },
+  cl: { name: 'chloride', symbol: 'Cl', charge: 1 },
+  i: { name: 'iodide', symbol: 'I', charge: 1 },
+  no3: { name: 'nitrate', symbol: 'NO₃', charge: 1, polyatomic: true },
+  oh: { name: 'hydroxide', symbol: 'OH', charge: 1, polyatomic: true },
+  hco3: { name: 'hydrogen carbonate', symbol: 'HCO₃', charge: 1, polyatomic: true },
+  acetate: { name: 'ethanoate', symbol: 'CH₃COO', charge: 1, polyatomic: true },
+  so4: { name: 'sulfate', symbol: 'SO₄', charge: 2, polyatomic: true },
+  co3: { name: 'carbonate', symbol: 'CO₃', charge: 2, polyatomic: true },
+  citrate: { name: 'citrate', symbol: 'C₆H₅O₇', charge: 3, polyatomic: true },
+  ocl: { name: 'hypochlorite', symbol: 'OCl', charge: 1, polyatomic: true }
+};
+
+// Insoluble products, keyed cation:anion
+const PRECIPITATES = {
+  'ag:cl': { color: 'white', hex: '#f9fafb' },
+  'ag:i': { color: 'pale yellow', hex: '#fef08a' },
+  'ag:co3': { color: 'pale yellow', hex: '#fef9c3' },
+  'cu:oh': { color: 'pale blue', hex: '#7dd3fc' },
+  'cu:co3': { color: 'blue-green', hex: '#5eead4' },
+  'fe3:oh': { color: 'rusty brown', hex: '#b45309' },
+  'mg:oh': { color: 'white', hex: '#f3f4f6' },
+  'zn:oh': { color: 'white', hex: '#f3f4f6' },
+  'ca:co3': { color: 'white', hex: '#f9fafb' },
+  'ba:so4': { color: 'white', hex: '#f9fafb' },
+  'ba:co3': { color: 'white', hex: '#f9fafb' }
+};
+
+// Metals that push these ions out of solution, most reactive first
+const METAL_REACTIVITY = ['mg', 'zn', 'fe3', 'cu', 'ag'];
+
+// Indicator colours as [upper pH bound, colour name, hex]; the last band has no upper bound
+export const INDICATORS = {
+  universal: { name: 'universal indicator', bands: [[3, 'red', '#dc2626'], [5, 'orange', '#f97316'], [6.5, 'yellow', '#facc15'], [7.5, 'green', '#22c55e'], [10, 'blue', '#3b82f6'], [Infinity, 'purple', '#7c3aed']] },
+  phenolphthalein: { name: 'phenolphthalein', bands: [[8.2, 'colourless', '#f8fafc'], [10, 'pink', '#f9a8d4'], [Infinity, 'magenta', '#db2777']] },
+  litmus: { name: 'litmus', bands: [[5, 'red', '#ef4444'], [8, 'purple', '#a855f7'], [Infinity, 'blue', '#3b82f6']] },
+  methyl_orange: { name: 'methyl orange', bands: [[3.1, 'red', '#dc2626'], [4.4, 'orange', '#f97316'], [Infinity, 'yellow', '#facc15']] },
+  red_cabbage: { name: 'red cabbage indicator', bands: [[3, 'red', '#e11d48'], [6, 'pink', '#f472b6'], [8, 'purple', '#9333ea'], [11, 'green', '#16a34a'], [Infinity, 'yellow', '#eab308']] }
+};
+
+// Chemicals the engine knows, matched against a chemical's id and name (first match wins, so
+// specific patterns come before general ones). Acids and bases carry equivalents per formula
+// unit and pKa/pKb when weak; salts carry a fixed pH.
+const CHEMICALS = [
+  { key: 'bleach', match: /bleach|hypochlorite/, name: 'bleach', formula: 'NaOCl', kind: 'base', strength: 'strong', equivalents: 1, cation: 'na', anion: 'ocl', color: 'pale yellow', hex: '#fef9c3', hazard: 'dangerous' },
+  { key: 'hcl', match: /hydrochloric|\bhcl\b/, name: 'hydrochloric acid', formula: 'HCl', kind: 'acid', strength: 'strong', equivalents: 1, anion: 'cl' },
+  { key: 'h2so4', match: /sulfuric|sulphuric|h2so4|h₂so₄/, name: 'sulfuric acid', formula: 'H₂SO₄', kind: 'acid', strength: 'strong', equivalents: 2, anion: 'so4', hazard: 'dangerous' },
+  { key: 'hno3', match: /nitric|hno3/, name: 'nitric acid', formula: 'HNO₃', kind: 'acid', strength: 'strong', equivalents: 1, anion: 'no3', hazard: 'dangerous' },
+  { key: 'acetic', match: /vinegar|acetic|ethanoic/, name: 'ethanoic acid', formula: 'CH₃COOH', kind: 'acid', strength: 'weak', pKa: 4.76, equivalents: 1, anion: 'acetate', molarity: 0.8 },
+  { key: 'citric', match: /citric|lemon/, name: 'citric acid', formula: 'C₆H₈O₇', kind: 'acid', strength: 'weak', pKa: 3.13, equivalents: 3, anion: 'citrate' },
+  { key: 'naoh', match: /sodium hydroxide|naoh/, name: 'sodium hydroxide', formula: 'NaOH', kind: 'base', strength: 'strong', equivalents: 1, cation: 'na', anion: 'oh' },
+  { key: 'koh', match: /potassium hydroxide|\bkoh\b/, name: 'potassium hydroxide', formula: 'KOH', kind: 'base', strength: 'strong', equivalents: 1, cation: 'k', anion: 'oh' },
+  { key: 'limewater', match: /lime ?water|calcium hydroxide/, name: 'calcium hydroxide', formula: 'Ca(OH)₂', kind: 'base', strength: 'strong', equivalents: 2, cation: 'ca', anion: 'oh', molarity: 0.02 },
+  { key: 'ammonia', match: /ammonia|ammonium hydroxide|\bnh3\b/, name: 'ammonia solution', formula: 'NH₃', kind: 'base', strength: 'weak', pKb: 4.75, equivalents: 1, cation: 'nh4' },
+  { key: 'nahco3', match: /bicarbonate|baking soda|hydrogen ?carbonate|nahco3/, name: 'sodium hydrogen carbonate', formula: 'NaHCO₃', kind: 'carbonate', strength: 'weak', pKb: 7.65, equivalents: 1, cation: 'na', anion: 'hco3', pH: 8.3 },
+  { key: 'na2co3', match: /sodium carbonate|washing soda|na2co3/, name: 'sodium carbonate', formula: 'Na₂CO₃', kind: 'carbonate', strength: 'weak', pKb: 3.67, equivalents: 2, cation: 'na', anion: 'co3' },
+  { key: 'caco3', match: /calcium carbonate|marble|chalk|limestone/, name: 'calcium carbonate', formula: 'CaCO₃', kind: 'carbonate', strength: 'weak', pKb: 3.67, equivalents: 2, cation: 'ca', anion: 'co3', pH: 9, solid: true, color: 'white', hex: '#f9fafb' },
+  { key: 'agno3', match: /silver nitrate/, name: 'silver nitrate', formula: 'AgNO₃', kind: 'salt', cation: 'ag', anion: 'no3', pH: 6, hazard: 'caution' },
+  { key: 'cuso4', match: /copper.*sul(?:f|ph)ate|cuso4/, name: 'copper(II) sulfate', formula: 'CuSO₄', kind: 'salt', cation: 'cu', anion: 'so4', pH: 4, color: 'blue', hex: '#60a5fa', hazard: 'caution' },
+  { key: 'fecl3', match: /iron ?\(?iii\)? chloride|ferric chloride/, name: 'iron(III) chloride', formula: 'FeCl₃', kind: 'salt', cation: 'fe3', anion: 'cl', pH: 2, color: 'yellow-brown', hex: '#ca8a04', hazard: 'caution' },
+  { key: 'bacl2', match: /barium chloride/, name: 'barium chloride', formula: 'BaCl₂', kind: 'salt', cation: 'ba', anion: 'cl', pH: 7, hazard: 'caution' },
+  { key: 'cacl2', match: /calcium chloride/, name: 'calcium chloride', formula: 'CaCl₂', kind: 'salt', cation: 'ca', anion: 'cl', pH: 7 },
+  { key: 'mgso4', match: /magnesium sul(?:f|ph)ate|epsom/, name: 'magnesium sulfate', formula: 'MgSO₄', kind: 'salt', cation: 'mg', anion: 'so4', pH: 7 },
+  { key: 'ki', match: /potassium iodide/, name: 'potassium iodide', formula: 'KI', kind: 'salt', cation: 'k', anion: 'i', pH: 7 },
+  { key: 'na2so4', match: /sodium sul(?:f|ph)ate/, name: 'sodium sulfate', formula: 'Na₂SO₄', kind: 'salt', cation: 'na', anion: 'so4', pH: 7 },
+  { key: 'nacl', match: /sodium chloride|salt solution|saline|brine|nacl/, name: 'sodium chloride', formula: 'NaCl', kind: 'salt', cation: 'na', anion: 'cl', pH: 7 },
+  { key: 'mg', match: /magnesium/, name: 'magnesium', formula: 'Mg', kind: 'metal', metal: 'mg', pH: 7, solid: true, color: 'silver', hex: '#d1d5db' },
+  { key: 'zn', match: /zinc/, name: 'zinc', formula: 'Zn', kind: 'metal', metal: 'zn', pH: 7, solid: true, color: 'grey', hex: '#9ca3af' },
+  { key: 'cu', match: /copper/, name: 'copper', formula: 'Cu', kind: 'metal', metal: 'cu', pH: 7, solid: true, color: 'copper', hex: '#b45309' },
+  { key: 'phenolphthalein', match: /phenolphthalein/, name: 'phenolphthalein', kind: 'indicator', indicator: 'phenolphthalein', pH: 7 },
+  { key: 'litmus', match: /litmus/, name: 'litmus', kind: 'indicator', indicator: 'litmus', pH: 7 },
+  { key: 'methyl_orange', match: /methyl orange/, name: 'methyl orange', kind: 'indicator', indicator: 'methyl_orange', pH: 7 },
+  { key: 'red_cabbage', match: /cabbage/, name: 'red cabbage indicator', kind: 'indicator', indicator: 'red_cabbage', pH: 7 },
+  { key: 'universal', match: /universal|ph indicator|indicator/, name: 'universal indicator', kind: 'indicator', indicator: 'universal', pH: 7 },
+  { key: 'iodine', match: /iodine|lugol/, name: 'iodine solution', formula: 'I₂', kind: 'stain', pH: 7, color: 'brown', hex: '#92400e', hazard: 'caution' },
+  { key: 'starch', match: /starch/, name: 'starch solution', kind: 'neutral', pH: 7, color: 'cloudy white', hex: '#f1f5f9' },
+  { key: 'water', match: /water|h2o|h₂o/, name: 'water', formula: 'H₂O', kind: 'water', pH: 7 }
+];
+
+// ===== Helpers =====
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const clampPH = (pH) => round1(Math.max(0, Math.min(14, pH)));
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+const subscript = (n) => (n > 1 ? String(n).replace(/\d/g, digit => SUBSCRIPTS[digit]) : '');
+
+const ionGroup = (ion, count) => (count > 1 && ion.polyatomic ? `(${ion.symbol})${subscript(count)}` : `${ion.symbol}${subscript(count)}`);
+
+// Name and formula of the salt two ions form, e.g. ca + cl -> calcium chloride, CaCl₂
+const describeSalt = (cationKey, anionKey) => {
+  const cation = IONS[cationKey];
+  const anion = IONS[anionKey];
+  const divisor = gcd(cation.charge, anion.charge);
+  return {
+    name: `${cation.name} ${anion.name}`,
+    formula: `${ionGroup(cation, anion.charge / divisor)}${ionGroup(anion, cation.charge / divisor)}`
+  };
+};
+
+// "0.1M", "1 mol/L", "2 M" -> molarity; anything else -> null
+const parseMolarity = (concentration) => {
+  const match = String(concentration || '').match(/(\d+(?:\.\d+)?)\s*(?:m\b|mol)/i);
+  const value = match ? Number(match[1]) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+// pH of an acid, base or carbonate from its equivalent concentration. Carbonates are weak
+// bases whose carbonate ion takes up one H+ from water, so they use their formula molarity.
+const acidBasePH = ({ kind, strength, molarity, pKa, pKb, equivalents = 1 }) => {
+  if (kind === 'acid') {
+    return strength === 'strong' ? -Math.log10(molarity) : 0.5 * (pKa - Math.log10(molarity));
+  }
+  const baseMolarity = kind === 'carbonate' ? molarity / equivalents : molarity;
+  return strength === 'strong' ? 14 + Math.log10(baseMolarity) : 14 - 0.5 * (pKb - Math.log10(baseMolarity));
+};
+
+// [H+] - [OH-] of a solution (negative when alkaline)
+const netAcidity = (pH) => 10 ** -pH - 10 ** (pH - 14);
+
+// pH for a net acidity, allowing for water's own ions so an exact match comes out at 7
+const netAcidityPH = (net) => -Math.log10(net / 2 + Math.sqrt((net * net) / 4 + 1e-14));
+
+// Equivalents of an ion per litre; acid, base and carbonate molarities are already equivalents
+const ionEquivalents = (solution, ionKey) =>
+  (['acid', 'base', 'carbonate'].includes(solution.kind) ? solution.molarity : solution.molarity * IONS[ionKey].charge) || 0;
+
+/**
+ * Colour of an indicator at a pH
+ * @param {string} indicatorKey - universal, phenolphthalein, litmus, methyl_orange or red_cabbage
+ * @param {number} pH
+ * @returns {{color: string, hex: string}}
+ */
+export const indicatorColor = (indicatorKey, pH) => {
+  const [, color, hex] = INDICATORS[indicatorKey].bands.find(([upper]) => pH < upper);
+  return { color, hex };
+};
+
+// Colour of a solution: its indicator wins, then its own colour, then clear
+const withColor = (solution) => {
+  const own = solution.indicator ? indicatorColor(solution.indicator, solution.pH) : null;
+  return {
+    ...solution,
+    color: own?.color || solution.baseColor || 'clear',
+    hex: own?.hex || solution.baseHex || '#e0f2fe'
+  };
+};
+
+const describePH = (pH) => {
+  if (pH < 3) return 'strongly acidic';
+  if (pH < 6.5) return 'acidic';
+  if (pH <= 7.5) return 'neutral';
+  if (pH <= 11) return 'alkaline';
+  return 'strongly alkaline';
+};
+
+/**
+ * Turn a lab chemical (or a solution from an earlier mix) into the engine's solution shape
+ * @param {Object} chemical - { id, name, concentration?, ... } or a previous resultSolution
+ * @returns {Object|null} solution, or null when the knowledge base doesn't know the chemical
+ */
+export const resolveChemical = (chemical) => {
+  if (!chemical) return null;
+  if (chemical.engine === 'reactionEngine') return chemical;
+
+  const text = `${chemical.id || ''} ${chemical.name || ''}`.toLowerCase().replace(/_/g, ' ');
+  const profile = CHEMICALS.find(entry => entry.match.test(text));
+  if (!profile) return null;
+
+  const molarity = parseMolarity(chemical.concentration) || profile.molarity || DEFAULT_MOLARITY;
+  const solution = {
+    engine: 'reactionEngine',
+    id: chemical.id || profile.key,
+    key: profile.key,
+    name: chemical.name || profile.name,
+    chemicalName: profile.name,
+    formula: profile.formula || '',
+    kind: profile.kind,
+    strength: profile.strength,
+    pKa: profile.pKa,
+    pKb: profile.pKb,
+    molarity: molarity * (profile.equivalents || 1),
+    equivalents: profile.equivalents || 1,
+    cation: profile.cation,
+    anion: profile.anion,
+    metal: profile.metal,
+    indicator: profile.indicator,
+    solid: Boolean(profile.solid),
+    hazard: chemical.hazard || profile.hazard || 'safe',
+    baseColor: profile.color,
+    baseHex: profile.hex
+  };
+  solution.pH = clampPH(profile.pH ?? (['acid', 'base', 'carbonate'].includes(profile.kind) ? acidBasePH(solution) : 7));
+  return withColor(solution);
+};
+
+// ===== Rules =====
+
+// Each rule gets the two solutions in both orders and returns an outcome or null
+const RULES = [
+  // Bleach must never meet acids or ammonia
+  (a, b) => {
+    if (a.key !== 'bleach') return null;
+    if (b.kind === 'acid' || (b.pH < 5 && b.kind !== 'indicator')) {
+      return {
+        type: 'unsafe',
+        products: ['chlorine gas'],
+        wordEquation: `bleach + ${b.chemicalName} → chlorine gas (toxic)`,
+        observation: 'Stopped before mixing: this would give off toxic chlorine gas.',
+        explanation: 'Bleach contains hypochlorite. Acids and acidic solutions turn it into chlorine, a poisonous gas, which is why bleach must never be mixed with acidic cleaners.',
+        safety: '🚫 Never mix bleach with acids. In a real lab, tell your teacher straight away if it happens.'
+      };
+    }
+    if (b.key === 'ammonia') {
+      return {
+        type: 'unsafe',
+        products: ['chloramine gases'],
+        wordEquation: 'bleach + ammonia → chloramines (toxic)',
+        observation: 'Stopped before mixing: this would give off toxic chloramine fumes.',
+        explanation: 'Bleach and ammonia react to form chloramines, toxic gases that harm the lungs. Many household cleaners contain one or the other.',
+        safety: '🚫 Never mix bleach with ammonia or cleaners that contain it.'
+      };
+    }
+    return null;
+  },
+
+  // Iodine test for starch
+  (a, b) => {
+    if (a.key !== 'iodine' || b.key !== 'starch') return null;
+    return {
+      type: 'test',
+      products: ['starch-iodine complex'],
+      wordEquation: 'iodine + starch → blue-black starch-iodine complex',
+      observation: 'The brown iodine turns blue-black.',
+      explanation: 'Iodine molecules fit inside the coiled chains of starch, which makes a blue-black colour. This is the standard test for starch.',
+      solution: { ...b, name: 'Starch with iodine', kind: 'neutral', baseColor: 'blue-black', baseHex: '#1e1b4b' }
+    };
+  },
+
+  // Indicators take the colour of the other solution's pH
+  (a, b) => {
+    if (a.kind !== 'indicator' || b.kind === 'indicator') return null;
+    const { color } = indicatorColor(a.indicator, b.pH);
+    return {
+      type: 'indicator',
+      products: [],
+      wordEquation: `${INDICATORS[a.indicator].name} + ${b.chemicalName} → ${color} solution`,
+      observation: `The ${INDICATORS[a.indicator].name} turns ${color}.`,
+      explanation: `${INDICATORS[a.indicator].name} changes colour with pH. ${b.chemicalName} has a pH of about ${b.pH}, so it is ${describePH(b.pH)}.`,
+      solution: { ...b, name: `${b.name} + ${INDICATORS[a.indicator].name}`, indicator: a.indicator }
+    };
+  },
+
+  // Reactive metals fizz in acid, giving hydrogen
+  (a, b) => {
+    if (a.kind !== 'metal' || b.kind !== 'acid' || a.metal === 'cu') return null;
+    const salt = describeSalt(a.metal, b.anion);
+    return {
+      type: 'gas',
+      products: [salt.name, 'hydrogen'],
+      wordEquation: `${a.chemicalName} + ${b.chemicalName} → ${salt.name} + hydrogen`,
+      observation: `The ${a.chemicalName} fizzes as bubbles of hydrogen form, and slowly disappears. The flask gets warm.`,
+      explanation: `${a.chemicalName} is more reactive than hydrogen, so it takes hydrogen's place in the acid. The hydrogen escapes as gas and ${salt.name} stays dissolved.`,
+      solution: { ...b, name: `${salt.name} solution`, chemicalName: salt.name, formula: salt.formula, kind: 'salt', cation: a.metal, molarity: 0, pH: 6, solid: false, baseColor: null, baseHex: null }
+    };
+  },
+
+  // A more reactive metal pushes a less reactive one out of its salt
+  (a, b) => {
+    if (a.kind !== 'metal' || !b.cation || !METAL_REACTIVITY.includes(b.cation)) return null;
+    if (METAL_REACTIVITY.indexOf(a.metal) >= METAL_REACTIVITY.indexOf(b.cation)) return null;
+    const salt = describeSalt(a.metal, b.anion);
+    const freed = IONS[b.cation].name.replace('(II)', '').replace('(III)', '');
+    return {
+      type: 'displacement',
+      products: [salt.name, freed],
+      wordEquation: `${a.chemicalName} + ${b.chemicalName} → ${salt.name} + ${freed}`,
+      observation: `A coating of ${freed} forms on the ${a.chemicalName}${b.key === 'cuso4' ? ' and the blue colour fades' : ''}.`,
+      explanation: `${a.chemicalName} is more reactive than ${freed}, so it displaces ${freed} from the solution and takes its place.`,
+      solution: { ...b, name: `${salt.name} solution`, chemicalName: salt.name, formula: salt.formula, cation: a.metal, pH: 7, baseColor: null, baseHex: null }
+    };
+  },
+
+  // Acids with carbonates or bases: compare equivalents and work out what is left over
+  (a, b) => {
+    if (a.kind !== 'acid' || (b.kind !== 'base' && b.kind !== 'carbonate')) return null;
+    const acidLeft = (a.molarity - b.molarity) / 2;
+    const salt = b.cation ? describeSalt(b.cation, a.anion) : { name: 'a salt', formula: '' };
+    const saltMolarity = Math.min(a.molarity, b.molarity) / 2;
+    let pH;
+    let kind = 'salt';
+    let excess = {};
+
+    if (Math.abs(acidLeft) < 1e-9) {
+      if (a.strength === 'strong' && b.strength === 'strong') pH = 7;
+      else if (a.strength === 'strong') pH = 0.5 * (14 - b.pKb - Math.log10(saltMolarity));
+      else if (b.strength === 'strong') pH = 14 - 0.5 * (14 - a.pKa - Math.log10(saltMolarity));
+      else pH = 7 + 0.5 * (a.pKa - b.pKb);
+    } else if (acidLeft > 0) {
+      kind = 'acid';
+      excess = { strength: a.strength, pKa: a.pKa, pKb: undefined, molarity: acidLeft };
+      pH = a.strength === 'strong' ? -Math.log10(acidLeft) : a.pKa + Math.log10(saltMolarity / acidLeft);
+    } else {
+      kind = 'base';
+      excess = { strength: b.strength, pKb: b.pKb, pKa: undefined, molarity: -acidLeft };
+      pH = b.strength === 'strong' ? 14 + Math.log10(-acidLeft) : 14 - (b.pKb + Math.log10(saltMolarity / -acidLeft));
+    }
+    pH = clampPH(pH);
+
+    const leftover = kind === 'acid' ? ` Some ${a.chemicalName} is left over, so the solution is still ${describePH(pH)}.`
+      : kind === 'base' ? ` Some ${b.chemicalName} is left over, so the solution is ${describePH(pH)}.`
+        : ' The amounts matched exactly.';
+    const isCarbonate = b.kind === 'carbonate';
+    const products = isCarbonate ? [salt.name, 'water', 'carbon dioxide'] : b.key === 'ammonia' ? [salt.name] : [salt.name, 'water'];
+
+    return {
+      type: isCarbonate ? 'gas' : 'neutralization',
+      products,
+      wordEquation: `${a.chemicalName} + ${b.chemicalName} → ${products.join(' + ')}`,
+      observation: isCarbonate
+        ? `It fizzes as carbon dioxide bubbles off. The pH changes from ${a.pH} to ${pH}.`
+        : `The flask gets slightly warm. The pH changes from ${a.pH} to ${pH}.`,
+      explanation: `${isCarbonate ? 'Acids react with carbonates to make a salt, water and carbon dioxide gas.' : 'Acids and bases neutralise each other to make a salt and water, and give out heat.'}${leftover}`,
+      solution: {
+        ...a,
+        ...excess,
+        name: kind === 'salt' ? `${salt.name} solution` : `${salt.name} solution with ${kind === 'acid' ? a.chemicalName : b.chemicalName}`,
+        chemicalName: salt.name,
+        formula: salt.formula,
+        kind,
+        cation: b.cation,
+        anion: a.anion,
+        pH,
+        buffer: kind !== 'salt' && excess.strength === 'weak',
+        indicator: a.indicator || b.indicator,
+        hazard: 'safe',
+        baseColor: null,
+        baseHex: null
+      }
+    };
+  },
+
+  // Two ionic solutions swap partners; an insoluble pair settles out as a precipitate
+  (a, b) => {
+    if (!a.cation || !b.anion || a.kind === 'acid' || b.kind === 'acid') return null;
+    const precipitate = PRECIPITATES[`${a.cation}:${b.anion}`];
+    if (!precipitate) return null;
+    const solid = describeSalt(a.cation, b.anion);
+    const other = b.cation && a.anion ? describeSalt(b.cation, a.anion) : null;
+    const products = other ? [solid.name, other.name] : [solid.name];
+    // The ions that settle out take their share of the acidity with them: hydroxide from a
+    // base, or the metal ion that makes its salt acidic. What is left mixes in equal volumes.
+    const cationEq = ionEquivalents(a, a.cation);
+    const anionEq = ionEquivalents(b, b.anion);
+    const reacted = Math.min(cationEq, anionEq);
+    const left = (eq) => (eq > 0 ? 1 - reacted / eq : 1);
+    const acidityA = netAcidity(a.pH);
+    const acidityB = netAcidity(b.pH);
+    const pH = clampPH(netAcidityPH(
+      ((acidityA > 0 ? acidityA * left(cationEq) : acidityA) + (acidityB < 0 ? acidityB * left(anionEq) : acidityB)) / 2
+    ));
+    return {
+      type: 'precipitation',
+      products,
+      wordEquation: `${a.chemicalName} + ${b.chemicalName} → ${products.join(' + ')}`,
+      observation: `A ${precipitate.color} solid (${solid.formula}) appears and slowly settles to the bottom.`,
+      explanation: `${solid.name} does not dissolve in water, so it forms a solid called a precipitate as soon as the two solutions meet.${other ? ` ${other.name} stays dissolved.` : ''}`,
+      solution: {
+        ...b,
+        name: `${solid.name} precipitate`,
+        chemicalName: other?.name || solid.name,
+        formula: solid.formula,
+        kind: 'salt',
+        cation: b.cation,
+        anion: a.anion,
+        pH,
+        precipitate: { name: solid.name, formula: solid.formula, color: precipitate.color },
+        indicator: a.indicator || b.indicator,
+        baseColor: `cloudy ${precipitate.color}`,
+        baseHex: precipitate.hex
+      }
+    };
+  },
+
+  // Water dilutes acids and bases, which moves their pH towards 7
+  (a, b) => {
+    if (a.kind !== 'water' || b.kind === 'water') return null;
+    const diluted = { ...b, name: `dilute ${b.name}`, molarity: b.molarity / 2 };
+    if ((b.kind === 'acid' || b.kind === 'base') && !b.buffer) diluted.pH = clampPH(acidBasePH(diluted));
+    return {
+      type: 'dilution',
+      products: [],
+      wordEquation: `${b.chemicalName} + water → dilute ${b.chemicalName}`,
+      observation: diluted.pH === b.pH ? 'The solution mixes evenly. Nothing else changes.' : `The solution mixes evenly. The pH changes from ${b.pH} to ${diluted.pH}.`,
+      explanation: diluted.pH === b.pH
+        ? 'Adding water spreads the particles out but doesn\'t make a new substance.'
+        : `Adding water spreads out the ${b.kind === 'acid' ? 'hydrogen' : 'hydroxide'} ions, so the solution becomes less ${b.kind === 'acid' ? 'acidic' : 'alkaline'}. No new substance forms.`,
+      solution: diluted
+    };
+  }
+];
+
+// Nothing reacts: the result keeps the stronger acid or base, diluted
+const mixWithoutReaction = (a, b) => {
+  const dominant = [a, b].sort((x, y) => Math.abs(y.pH - 7) - Math.abs(x.pH - 7))[0];
+  const pH = clampPH(dominant.pH + (dominant.pH < 7 ? 0.3 : dominant.pH > 7 ? -0.3 : 0));
+  return {
+    type: 'none',
+    products: [],
+    wordEquation: `${a.chemicalName} + ${b.chemicalName} → no reaction`,
+    observation: 'The liquids mix, but there is no fizzing, colour change or solid.',
+    explanation: `${a.chemicalName} and ${b.chemicalName} don't react, so they simply mix. Looking for no change is an observation too.`,
+    solution: {
+      ...dominant,
+      name: `${a.name} + ${b.name}`,
+      molarity: dominant.molarity / 2,
+      pH,
+      indicator: a.indicator || b.indicator,
+      baseColor: dominant.baseColor,
+      baseHex: dominant.baseHex
+    }
+  };
+};
+
+/**
+ * Work out what happens when two chemicals are mixed
+ * @param {Object} chemical1 - lab chemical or earlier resultSolution
+ * @param {Object} chemical2
+ * @returns {Object|null} mixing result, or null when either chemical is unknown
+ */
+export const mixChemicals = (chemical1, chemical2) => {
+  const first = resolveChemical(chemical1);
+  const second = resolveChemical(chemical2);
+  if (!first || !second) return null;
+
+  let outcome = null;
+  for (const rule of RULES) {
+    outcome = rule(first, second) || rule(second, first);
+    if (outcome) break;
+  }
+  outcome = outcome || mixWithoutReaction(first, second);
+
+  const reactionKey = `${outcome.type}:${[first.id, second.id].sort().join('+')}`;
+  const resultSolution = outcome.solution
+    ? withColor({ ...outcome.solution, id: reactionKey, solid: false })
+    : null;
+  // An indicator carried over from an earlier mix shows the new pH, e.g. at neutralisation
+  const carrier = [first, second].find(solution => solution.indicator && solution.kind !== 'indicator');
+  const colorChange = resultSolution?.indicator && carrier && carrier.color !== resultSolution.color
+    ? ` The ${INDICATORS[resultSolution.indicator].name} changes from ${carrier.color} to ${resultSolution.color}.`
+    : '';
+  const properties = resultSolution
+    ? `pH ${resultSolution.pH} (${describePH(resultSolution.pH)})${resultSolution.precipitate ? `, ${resultSolution.precipitate.color} precipitate of ${resultSolution.precipitate.name}` : ''}`
+    : '';
+
+  return {
+    reactionType: outcome.type,
+    reactionKey,
+    wordEquation: outcome.wordEquation,
+    products: outcome.products,
+    result: outcome.type === 'unsafe'
+      ? outcome.observation
+      : `${REACTION_TYPES[outcome.type].label}: ${outcome.wordEquation}`,
+    explanation: outcome.explanation,
+    visualEffect: `${outcome.observation}${colorChange}`,
+    resultSolution: resultSolution && { ...resultSolution, properties },
+    scoreGain: REACTION_TYPES[outcome.type].score,
+    safety: outcome.safety || (first.hazard !== 'safe' || second.hazard !== 'safe'
+      ? 'Wear goggles and gloves: one of these chemicals is hazardous.'
+      : 'Wear safety goggles and clean up spills straight away.'),
+    nextSteps: outcome.type === 'unsafe'
+      ? ['Choose a different pair of chemicals']
+      : ['Record the colour and any gas or solid you see', 'Note the pH of the new solution', 'Try mixing the result with an indicator']
+  };
+};
@@ -0,0 +1,122 @@
+// Simulation Events - the action log of a gamified simulation
+//
+// Every thing a student does in the interactive lab is recorded as a timestamped event:
+//   { id, seq, type, at, payload }
+// Events carry everything needed to rebuild the lab from scratch, so a replay is just the
+// events folded through applyEvent up to a point. The log is saved with the simulation state
+// (state.events) through simulationAPI.updateSimulationState and is never edited, only
+// appended to. Snapshots in state.gameState stay for resuming; the log is for replay.
+
+export const SIMULATION_EVENT_TYPES = {
+  session_started: { label: 'Started the experiment', icon: '▶️' },
+  equipment_dropped: { label: 'Used equipment', icon: '🔬' },
+  chemicals_mixed: { label: 'Mixed chemicals', icon: '⚗️' },
+  hint_requested: { label: 'Asked for a hint', icon: '💡' },
+  observation_recorded: { label: 'Wrote an observation', icon: '📝' },
+  paused: { label: 'Paused', icon: '⏸️' },
+  resumed: { label: 'Resumed', icon: '▶️' },
+  completed: { label: 'Completed the experiment', icon: '🏁' }
+};
+
+/**
+ * Build the next event of a log
+ * @param {Array} events - the log so far
+ * @param {string} type - key of SIMULATION_EVENT_TYPES
+ * @param {Object} payload - what happened, with enough detail to replay it
+ * @returns {Object} event
+ */
+export const createEvent = (events, type, payload = {}) => {
+  if (!SIMULATION_EVENT_TYPES[type]) throw new Error(`Unknown simulation event: ${type}`);
+  const seq = (events[events.length - 1]?.seq ?? 0) + 1;
+  return { id: `evt-${Date.now()}-${seq}`, seq, type, at: new Date().toISOString(), payload };
+};
+
+/**
+ * Append an event. Nothing is ever dropped, since a replay folds the log from the start
+ * @param {Array} events
+ * @param {string} type
+ * @param {Object} payload
+ * @returns {Array} new log
+ */
+export const appendEvent = (events, type, payload) => [...events, createEvent(events, type, payload)];
+
+export const EMPTY_REPLAY_STATE = {
+  status: 'not_started',
+  score: 0,
+  equipment: [],
+  mixes: [],
+  hints: [],
+  observations: []
+};
+
+/**
+ * Fold one event into the replay state
+ * @param {Object} state
+ * @param {Object} event
+ * @returns {Object} next state
+ */
+export const applyEvent = (state, event) => {
+  const { payload = {} } = event;
+  switch (event.type) {
+    case 'session_started':
+      return { ...state, status: 'in_progress' };
+    case 'equipment_dropped':
+      return {
+        ...state,
+        score: state.score + (payload.scoreGain || 0),
+        equipment: [...state.equipment, { ...payload.equipment, zone: payload.zone }],
+        observations: [...state.observations, { at: event.at, text: payload.result, action: `Used ${payload.equipment?.name} on ${payload.zone}` }]
+      };
+    case 'chemicals_mixed':
+      return {
+        ...state,
+        score: state.score + (payload.scoreGain || 0),
+        mixes: [...state.mixes, payload],
+        observations: [...state.observations, { at: event.at, text: payload.result, action: `Mixed ${(payload.components || []).join(' with ')}` }]
+      };
+    case 'hint_requested':
+      return { ...state, hints: [...state.hints, { at: event.at, text: payload.text }] };
+    case 'observation_recorded':
+      return { ...state, observations: [...state.observations, { at: event.at, text: payload.text, action: 'Note' }] };
+    case 'paused':
+      return { ...state, status: 'paused' };
+    case 'resumed':
+      return { ...state, status: 'in_progress' };
+    case 'completed':
+      return { ...state, status: 'completed', score: payload.finalScore ?? state.score };
+    default:
+      return state;
+  }
+};
+
+/**
+ * Lab state after the first `count` events
+ * @param {Array} events
+ * @param {number} [count] - defaults to the whole log
+ * @returns {Object}
+ */
+export const replayEvents = (events = [], count = events.length) =>
+  events.slice(0, count).reduce(applyEvent, EMPTY_REPLAY_STATE);
+
+/**
+ * One line describing an event, for the replay timeline
+ * @param {Object} event
+ * @returns {string}
+ */
+export const describeEvent = (event) => {
+  const { payload = {} } = event;
+  switch (event.type) {
+    case 'equipment_dropped':
+      return `Put ${payload.equipment?.name || 'equipment'} in the ${payload.zone} zone`;
+    case 'chemicals_mixed':
+      return `Mixed ${(payload.components || []).join(' + ')}${payload.reactionType ? ` (${payload.reactionType})` : ''}`;
+    case 'hint_requested':
+      return `Hint: ${payload.text}`;
+    case 'observation_recorded':
+      return `Noted: ${payload.text}`;
+    case 'completed':
+      return `Completed with ${payload.finalScore ?? 0} points`;
+    default:
+      return SIMULATION_EVENT_TYPES[event.type]?.label || event.type;
+  }
+};
@@ -0,0 +1,118 @@
+// Spaced repetition - SM-2 scheduling for review cards built from quiz mistakes
+//
+// A card is one question the student got wrong:
+//   { id, studentId, resourceId, resourceTitle, question, easeFactor, interval, repetitions,
+//     lapses, dueAt, lastReviewedAt, lastQuality, createdAt }
+// `question` is the full typed question (see quizSchema.js), so reviews render with QuestionRenderer.
+// Intervals are whole days; a card is due from the start of its due day.
+
+import { normalizeText } from './quizScoring';
+
+export const DEFAULT_EASE = 2.5;
+export const MIN_EASE = 1.3;
+export const DAILY_REVIEW_LIMIT = 20;
+
+// Review grades (SM-2 quality 0-5); anything below 3 counts as forgotten
+export const REVIEW_GRADES = {
+  AGAIN: 1,
+  HARD: 3,
+  GOOD: 4,
+  EASY: 5
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// setDate rather than adding milliseconds, so DST changes never shift a due day
+const addDays = (date, days) => {
+  const day = startOfDay(date);
+  day.setDate(day.getDate() + days);
+  return day;
+};
+
+// FNV-1a - short, stable id for the same question text across attempts
+const hashText = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+};
+
+// Missing the same question again (even in another attempt) updates one card instead of adding another
+export const cardIdFor = (studentId, question) =>
+  `${studentId}:${question.type || 'mcq'}:${hashText(normalizeText(question.question))}`;
+
+export const createCard = ({ studentId, resourceId, resourceTitle, question, now = new Date() }) => ({
+  id: cardIdFor(studentId, question),
+  studentId,
+  resourceId,
+  resourceTitle: resourceTitle || null,
+  question,
+  easeFactor: DEFAULT_EASE,
+  interval: 0,
+  repetitions: 0,
+  lapses: 0,
+  dueAt: startOfDay(now).toISOString(),
+  lastReviewedAt: null,
+  lastQuality: null,
+  createdAt: new Date(now).toISOString()
+});
+
+/**
+ * Apply one review to a card (SM-2).
+ * @param {object} card
+ * @param {number} quality - 0-5, see REVIEW_GRADES
+ * @param {Date} [now]
+ * @returns {object} the updated card
+ */
+export const scheduleReview = (card, quality, now = new Date()) => {
+  const grade = Math.max(0, Math.min(5, Math.round(quality)));
+  let { easeFactor, interval, repetitions, lapses } = card;
+
+  if (grade < 3) {
+    // Forgotten: start the repetitions over without touching the ease factor
+    repetitions = 0;
+    interval = 1;
+    lapses += 1;
+  } else {
+    repetitions += 1;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(interval * easeFactor);
+    easeFactor = Math.max(MIN_EASE, easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  }
+
+  return {
+    ...card,
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    dueAt: addDays(now, interval).toISOString(),
+    lastReviewedAt: new Date(now).toISOString(),
+    lastQuality: grade
+  };
+};
+
+export const isDue = (card, now = new Date()) => new Date(card.dueAt) <= now;
+
+// Today's session: most overdue first, then the most often forgotten
+export const getDueCards = (cards, now = new Date(), limit = DAILY_REVIEW_LIMIT) =>
+  cards
+    .filter(card => isDue(card, now))
+    .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt) || b.lapses - a.lapses)
+    .slice(0, limit);
+
+export const summarizeQueue = (cards, now = new Date()) => {
+  const upcoming = cards.filter(card => !isDue(card, now)).map(card => new Date(card.dueAt));
+  return {
+    total: cards.length,
+    due: cards.filter(card => isDue(card, now)).length,
+    // Recalled three times in a row - intervals are now weeks long
+    mastered: cards.filter(card => card.repetitions >= 3).length,
+    nextDueAt: upcoming.length > 0 ? new Date(Math.min(...upcoming)).toISOString() : null
+  };
+};
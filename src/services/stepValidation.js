@@ -0,0 +1,238 @@
+// Step Validation - checks and marks virtual lab procedure steps
+//
+// A procedure step is either a plain string (marked for completion only) or an object:
+//   { text, points?, inputs?: [Input], checks?: [Check] }
+// Input - a value the student enters for the step:
+//   { key, label, type: 'number' | 'text' | 'choice', unit?, points? (10),
+//     expected? | expectedFrom?, tolerance? | tolerancePercent?, keywords?, options? }
+//   Numbers get full credit inside the tolerance and half credit inside twice the tolerance.
+//   Text gets credit for each keyword it mentions (or for matching `expected`), choices for
+//   picking `expected`. `expectedFrom` takes the expected value from the lab bench instead.
+// Check - something the student must have done on the lab bench:
+//   { type: one of STEP_CHECKS, points? (5), ...options }
+// Steps come from the simulation's virtualLab.procedure, generated with the simulation or
+// written by a teacher (simulationAPI.updateProcedure).
+
+import { meanTitre } from './titration';
+
+const INPUT_POINTS = 10;
+const CHECK_POINTS = 5;
+const COMPLETION_POINTS = 10;
+const INPUT_TYPES = ['number', 'text', 'choice'];
+
+// Step answers are merged into userInputs, so inputs can't reuse these keys
+const RESERVED_KEYS = ['observation', 'titration', 'physics', 'stepResults'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+const ratio = (have, need) => Math.max(0, Math.min(1, have / need));
+
+// Values a step can expect from the lab bench
+export const EXPECTED_SOURCES = {
+  'titration.meanTitre': (context) => meanTitre(context.userInputs?.titration?.trials).meanTitreMl,
+  'physics.measured': (context, input) => context.userInputs?.physics?.runs?.slice(-1)[0]?.measured?.[input.quantity] ?? null
+};
+
+// Bench checks: each returns a 0-1 credit and a message
+export const STEP_CHECKS = {
+  titrationStarted: {
+    describe: () => 'Add titrant from the burette',
+    evaluate: ({ userInputs }) => {
+      const titration = userInputs?.titration;
+      const started = Boolean(titration && (titration.volumeMl > 0 || titration.trials.length > 0));
+      return { credit: started ? 1 : 0, message: started ? 'Titrant added from the burette' : 'Add some titrant from the burette first' };
+    }
+  },
+  titrationTrials: {
+    describe: ({ min = 1 }) => `Record ${min} titration endpoint${min === 1 ? '' : 's'}`,
+    evaluate: ({ userInputs }, { min = 1 }) => {
+      const trials = userInputs?.titration?.trials?.length || 0;
+      return { credit: ratio(trials, min), message: `${trials} endpoint${trials === 1 ? '' : 's'} recorded (${min} needed)` };
+    }
+  },
+  concordantTitres: {
+    describe: ({ min = 2 }) => `Get ${min} titres within 0.10 mL`,
+    evaluate: ({ userInputs }, { min = 2 }) => {
+      const { concordant } = meanTitre(userInputs?.titration?.trials);
+      return {
+        credit: ratio(concordant.length, min),
+        message: concordant.length >= min ? `${concordant.length} concordant titres` : 'Your titres are not concordant yet (within 0.10 mL)'
+      };
+    }
+  },
+  physicsRuns: {
+    describe: ({ min = 1, experiment }) => `Run the ${experiment || 'physics'} experiment ${min} time${min === 1 ? '' : 's'}`,
+    evaluate: ({ userInputs }, { min = 1, experiment }) => {
+      const runs = (userInputs?.physics?.runs || []).filter(run => !experiment || run.experiment === experiment).length;
+      return { credit: ratio(runs, min), message: `${runs} run${runs === 1 ? '' : 's'} recorded (${min} needed)` };
+    }
+  },
+  observationKeywords: {
+    describe: ({ keywords = [] }) => `Mention ${keywords.join(', ')} in your observation`,
+    evaluate: ({ observation }, { keywords = [] }) => {
+      const text = (observation || '').toLowerCase();
+      const found = keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+      return {
+        credit: keywords.length ? found.length / keywords.length : 1,
+        message: found.length === keywords.length ? 'Your observation covers what matters' : 'Your observation is missing something you should have seen'
+      };
+    }
+  }
+};
+
+/**
+ * Check a procedure step's shape. Unknown input types and checks are reported, not guessed.
+ * @param {string|Object} step
+ * @returns {string[]} errors (empty when valid)
+ */
+export const validateStep = (step) => {
+  if (typeof step === 'string') return step.trim() ? [] : ['Step text is empty'];
+  const errors = [];
+  if (!step || typeof step.text !== 'string' || !step.text.trim()) errors.push('Step text is required');
+  (step?.inputs || []).forEach((input, index) => {
+    const name = input?.label || input?.key || `Input ${index + 1}`;
+    if (!input?.key) errors.push(`${name}: key is required`);
+    if (RESERVED_KEYS.includes(input?.key)) errors.push(`${name}: ${input.key} is a reserved key`);
+    if (!INPUT_TYPES.includes(input?.type)) errors.push(`${name}: type must be one of ${INPUT_TYPES.join(', ')}`);
+    if (input?.type === 'number' && input.expectedFrom === undefined && !Number.isFinite(Number(input.expected))) {
+      errors.push(`${name}: a number input needs an expected value`);
+    }
+    if (input?.expectedFrom !== undefined && !EXPECTED_SOURCES[input.expectedFrom]) errors.push(`${name}: unknown source ${input.expectedFrom}`);
+    if (input?.type === 'choice' && !(input.options || []).includes(input.expected)) errors.push(`${name}: the expected answer must be one of the options`);
+  });
+  (step?.checks || []).forEach(check => {
+    if (!STEP_CHECKS[check?.type]) errors.push(`Unknown check: ${check?.type}`);
+  });
+  return errors;
+};
+
+/**
+ * Bring a procedure step to one shape
+ * @param {string|Object} step
+ * @returns {{text: string, inputs: Array, checks: Array, maxScore: number}}
+ */
+export const normalizeStep = (step) => {
+  const source = typeof step === 'string' ? { text: step } : step || {};
+  const inputs = (source.inputs || []).map(input => ({ ...input, points: input.points ?? INPUT_POINTS }));
+  const checks = (source.checks || [])
+    .filter(check => STEP_CHECKS[check.type])
+    .map(check => ({ ...check, points: check.points ?? CHECK_POINTS, label: check.label || STEP_CHECKS[check.type].describe(check) }));
+  const structured = inputs.length > 0 || checks.length > 0;
+  return {
+    text: source.text || '',
+    inputs,
+    checks,
+    maxScore: structured
+      ? [...inputs, ...checks].reduce((sum, item) => sum + item.points, 0)
+      : source.points ?? COMPLETION_POINTS
+  };
+};
+
+const formatValue = (value, unit) => (unit ? `${value} ${unit}` : `${value}`);
+
+// Credit for one input: 1, 0.5 or 0 for numbers, a share of keywords for text
+const gradeInput = (input, answer, context) => {
+  const label = input.label || input.key;
+  const expected = input.expectedFrom ? EXPECTED_SOURCES[input.expectedFrom]?.(context, input) : input.expected;
+  const blank = answer === undefined || answer === null || String(answer).trim() === '';
+  if (blank) return { credit: 0, message: `${label}: no answer`, expected };
+
+  if (input.type === 'number') {
+    const value = Number(answer);
+    if (!Number.isFinite(value)) return { credit: 0, message: `${label}: enter a number`, expected };
+    if (expected === null || expected === undefined) {
+      return { credit: 0, message: `${label}: there is nothing on the bench to compare with yet`, expected };
+    }
+    const tolerance = input.tolerancePercent !== undefined
+      ? Math.abs(expected) * (input.tolerancePercent / 100)
+      : input.tolerance ?? 0;
+    const off = Math.abs(value - expected);
+    const direction = value > expected ? 'too high' : 'too low';
+    if (off <= tolerance + 1e-9) return { credit: 1, message: `${label}: ${formatValue(value, input.unit)} is right`, expected };
+    if (off <= 2 * tolerance + 1e-9) return { credit: 0.5, message: `${label}: ${formatValue(value, input.unit)} is close but a little ${direction}`, expected };
+    return { credit: 0, message: `${label}: ${formatValue(value, input.unit)} is ${direction}`, expected };
+  }
+
+  if (input.type === 'choice') {
+    const right = String(answer) === String(expected);
+    return { credit: right ? 1 : 0, message: `${label}: ${right ? 'right choice' : 'not the right choice'}`, expected };
+  }
+
+  const text = String(answer).toLowerCase();
+  if (input.keywords?.length) {
+    const found = input.keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+    const credit = found.length / input.keywords.length;
+    return { credit, message: `${label}: ${credit === 1 ? 'covers everything' : credit > 0 ? 'partly there' : 'misses the key idea'}`, expected: input.keywords.join(', ') };
+  }
+  if (expected !== undefined) {
+    const right = text.trim() === String(expected).toLowerCase().trim();
+    return { credit: right ? 1 : 0, message: `${label}: ${right ? 'right' : 'not quite'}`, expected };
+  }
+  return { credit: 1, message: `${label}: recorded`, expected };
+};
+
+/**
+ * Mark one attempt at a step
+ * @param {string|Object} step - procedure step
+ * @param {Object} answers - the student's inputs for the step, including `observation`
+ * @param {Object} context - { userInputs } for bench checks and expectedFrom
+ * @returns {{score: number, maxScore: number, passed: boolean, feedback: Array}}
+ */
+export const gradeStep = (step, answers = {}, context = {}) => {
+  const { inputs, checks, maxScore } = normalizeStep(step);
+  const checkContext = { ...context, observation: answers.observation };
+
+  if (inputs.length === 0 && checks.length === 0) {
+    const done = Boolean(answers.observation?.trim());
+    return {
+      score: done ? maxScore : 0,
+      maxScore,
+      passed: done,
+      feedback: [{ key: 'completion', credit: done ? 1 : 0, points: done ? maxScore : 0, maxPoints: maxScore, message: done ? 'Step recorded' : 'Describe what you observed' }]
+    };
+  }
+
+  const feedback = [
+    ...inputs.map(input => {
+      const { credit, message, expected } = gradeInput(input, answers[input.key], context);
+      return { key: input.key, credit, points: round(credit * input.points), maxPoints: input.points, message, answer: answers[input.key] ?? null, expected: expected ?? null };
+    }),
+    ...checks.map(check => {
+      const { credit, message } = STEP_CHECKS[check.type].evaluate(checkContext, check);
+      return { key: check.type, credit, points: round(credit * check.points), maxPoints: check.points, message };
+    })
+  ];
+  const score = round(feedback.reduce((sum, item) => sum + item.points, 0));
+  return { score, maxScore, passed: score >= maxScore, feedback };
+};
+
+/**
+ * Step-level rubric for the completion results
+ * @param {Array} procedure - virtualLab.procedure
+ * @param {Object} stepResults - userInputs.stepResults, keyed by step index
+ * @returns {{steps: Array, score: number, maxScore: number, percentage: number, stepsCompleted: number, totalSteps: number}}
+ */
+export const buildRubric = (procedure = [], stepResults = {}) => {
+  const steps = procedure.map((step, index) => {
+    const { text, maxScore } = normalizeStep(step);
+    const result = stepResults[index];
+    return {
+      step: index + 1,
+      text,
+      score: result?.score ?? 0,
+      maxScore,
+      attempts: result?.attempts ?? 0,
+      completed: Boolean(result),
+      feedback: result?.feedback || []
+    };
+  });
+  const score = round(steps.reduce((sum, step) => sum + step.score, 0));
+  const maxScore = steps.reduce((sum, step) => sum + step.maxScore, 0);
+  return {
+    steps,
+    score,
+    maxScore,
+    percentage: maxScore ? Math.round((score / maxScore) * 100) : 0,
+    stepsCompleted: steps.filter(step => step.completed).length,
+    totalSteps: steps.length
+  };
+};
@@ -0,0 +1,242 @@
+// Titration - quantitative acid-base titration for the virtual lab
+//
+// An unknown acid in a conical flask is titrated with a base of known concentration from a
+// burette. pH is worked out stoichiometrically after every addition: strong acids from the
+// excess H+ (with water's own ions, so the curve is smooth through pH 7), weak acids from
+// their Ka and the conjugate base formed. Volumes are in mL and concentrations in mol/L,
+// so mmol = mol/L x mL.
+//
+// The titration state lives in the simulation's userInputs.titration, so it is saved with the
+// rest of the simulation state:
+//   { analyte, titrant, indicator, analyteVolumeMl, titrantMolarity, unknownMolarity,
+//     buretteCapacityMl, volumeMl, points: [[mL, pH]], trials: [{ titreMl, pH, color, recordedAt }] }
+
+import { INDICATORS, indicatorColor, resolveChemical } from './reactionEngine';
+import { normalizeStep } from './stepValidation';
+
+export const BURETTE_CAPACITY_ML = 50;
+export const ANALYTE_VOLUME_ML = 25;
+export const TITRANT_MOLARITY = 0.1;
+
+// Titres within this range of each other count as concordant
+export const CONCORDANT_RANGE_ML = 0.1;
+
+// Burette readings are taken to 0.05 mL, the size of one drop
+export const DROP_ML = 0.05;
+
+const KW = 1e-14;
+
+// The unknown is picked from the titre it gives, so the endpoint lands well inside one burette
+// fill whatever the acid's and base's equivalents (H₂SO₄ or citric acid need 2-3x the base)
+const TARGET_TITRE_ML = { min: 20, max: 30 };
+
+const DEFAULT_ANALYTE = { name: 'hydrochloric acid', formula: 'HCl', strength: 'strong', equivalents: 1 };
+const DEFAULT_TITRANT = { name: 'sodium hydroxide', formula: 'NaOH', equivalents: 1 };
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Is this simulation a titration? Labs without a virtualLab fall back to the HCl/NaOH
+ * titration demo, so they count too.
+ * @param {Object} simulation
+ * @returns {boolean}
+ */
+export const isTitrationLab = (simulation) => {
+  if (!simulation?.virtualLab) return true;
+  const steps = (simulation.virtualLab.procedure || []).map(step => normalizeStep(step).text);
+  const text = [simulation.title, simulation.description, ...steps].join(' ');
+  return /titrat|burette/i.test(text);
+};
+
+/**
+ * Set up a titration from the lab's chemical list
+ * @param {Array<string|Object>} chemicals - virtualLab.chemicals (names or { name } objects)
+ * @returns {Object} titration state
+ */
+export const createTitration = (chemicals = []) => {
+  const resolved = chemicals
+    .map(chemical => resolveChemical(typeof chemical === 'string' ? { name: chemical } : chemical))
+    .filter(Boolean);
+  const acid = resolved.find(chemical => chemical.kind === 'acid');
+  const base = resolved.find(chemical => chemical.kind === 'base' && chemical.strength === 'strong' && chemical.key !== 'bleach');
+  const indicator = resolved.find(chemical => chemical.kind === 'indicator')?.indicator || 'phenolphthalein';
+
+  const analyte = acid
+    ? { name: acid.chemicalName, formula: acid.formula, strength: acid.strength, pKa: acid.pKa, equivalents: acid.equivalents }
+    : DEFAULT_ANALYTE;
+  const titrant = base ? { name: base.chemicalName, formula: base.formula, equivalents: base.equivalents } : DEFAULT_TITRANT;
+  const titreMl = TARGET_TITRE_ML.min + Math.random() * (TARGET_TITRE_ML.max - TARGET_TITRE_ML.min);
+
+  const titration = {
+    analyte,
+    titrant,
+    indicator,
+    analyteVolumeMl: ANALYTE_VOLUME_ML,
+    titrantMolarity: TITRANT_MOLARITY,
+    unknownMolarity: round((titreMl * TITRANT_MOLARITY * titrant.equivalents) / (ANALYTE_VOLUME_ML * analyte.equivalents), 4),
+    buretteCapacityMl: BURETTE_CAPACITY_ML,
+    trials: []
+  };
+  return startRun(titration);
+};
+
+/**
+ * pH in the flask after adding some of the titrant
+ * @param {Object} titration
+ * @param {number} volumeMl - titrant added so far
+ * @returns {number} pH, to 2 decimal places
+ */
+export const titrationPH = (titration, volumeMl) => {
+  const { analyte, titrant, analyteVolumeMl, unknownMolarity, titrantMolarity } = titration;
+  const acidMmol = unknownMolarity * analyte.equivalents * analyteVolumeMl;
+  const baseMmol = titrantMolarity * titrant.equivalents * volumeMl;
+  const totalMl = analyteVolumeMl + volumeMl;
+  let pH;
+
+  if (analyte.strength !== 'weak') {
+    // Net strong acid (negative once the base is in excess) plus water's own ions
+    const excess = (acidMmol - baseMmol) / totalMl;
+    pH = -Math.log10((excess + Math.sqrt(excess * excess + 4 * KW)) / 2);
+  } else if (baseMmol < acidMmol) {
+    // Weak acid with some of its conjugate base: solve Ka = h(salt + h) / (acid - h)
+    const ka = 10 ** -analyte.pKa;
+    const acidLeft = (acidMmol - baseMmol) / totalMl;
+    const b = baseMmol / totalMl + ka;
+    pH = -Math.log10((-b + Math.sqrt(b * b + 4 * ka * acidLeft)) / 2);
+  } else {
+    // At and after equivalence: excess base plus the conjugate base's own hydrolysis
+    const kb = KW / 10 ** -analyte.pKa;
+    const excessOH = (baseMmol - acidMmol) / totalMl;
+    const b = excessOH + kb;
+    const hydroxide = excessOH + (-b + Math.sqrt(b * b + 4 * kb * (acidMmol / totalMl))) / 2;
+    pH = 14 + Math.log10(hydroxide);
+  }
+  return round(Math.max(0, Math.min(14, pH)), 2);
+};
+
+/**
+ * Volume of titrant that exactly neutralises the acid
+ * @param {Object} titration
+ * @returns {number} mL
+ */
+export const equivalenceVolume = ({ analyte, titrant, analyteVolumeMl, unknownMolarity, titrantMolarity }) =>
+  (unknownMolarity * analyte.equivalents * analyteVolumeMl) / (titrantMolarity * titrant.equivalents);
+
+/**
+ * Can the endpoint be reached with one burette fill? Titrations saved before the unknown was
+ * picked from the titre could need more than the burette holds.
+ * @param {Object} titration
+ * @returns {boolean}
+ */
+export const canReachEndpoint = (titration) => equivalenceVolume(titration) <= titration.buretteCapacityMl;
+
+/**
+ * Colour of the flask's indicator at a pH
+ * @param {Object} titration
+ * @param {number} pH
+ * @returns {{color: string, hex: string, name: string}}
+ */
+export const flaskColor = (titration, pH) => ({
+  ...indicatorColor(titration.indicator, pH),
+  name: INDICATORS[titration.indicator].name
+});
+
+// Refilled burette and fresh acid in the flask
+function startRun(titration) {
+  return { ...titration, volumeMl: 0, points: [[0, titrationPH(titration, 0)]] };
+}
+
+/**
+ * Add titrant from the burette. The reading is kept to the nearest drop.
+ * @param {Object} titration
+ * @param {number} amountMl
+ * @returns {Object} updated titration
+ */
+export const addTitrant = (titration, amountMl) => {
+  const volumeMl = round(Math.min(titration.buretteCapacityMl, titration.volumeMl + amountMl) / DROP_ML, 0) * DROP_ML;
+  const reading = round(volumeMl, 2);
+  if (reading === titration.volumeMl) return titration;
+  return { ...titration, volumeMl: reading, points: [...titration.points, [reading, titrationPH(titration, reading)]] };
+};
+
+/**
+ * Record the current burette reading as a trial's titre and refill for the next trial
+ * @param {Object} titration
+ * @returns {{titration: Object, trial: Object}}
+ */
+export const recordTrial = (titration) => {
+  const pH = titrationPH(titration, titration.volumeMl);
+  const trial = {
+    titreMl: titration.volumeMl,
+    pH,
+    color: flaskColor(titration, pH).color,
+    recordedAt: new Date().toISOString()
+  };
+  return { titration: startRun({ ...titration, trials: [...titration.trials, trial] }), trial };
+};
+
+/**
+ * Empty the flask and refill the burette without recording a trial
+ * @param {Object} titration
+ * @returns {Object}
+ */
+export const resetRun = (titration) => startRun(titration);
+
+/**
+ * Mean titre of the largest group of concordant trials, or of all trials when none agree
+ * @param {Array} trials
+ * @returns {{meanTitreMl: number|null, concordant: number[]}}
+ */
+export const meanTitre = (trials = []) => {
+  const titres = trials.map(trial => trial.titreMl).sort((a, b) => a - b);
+  if (titres.length === 0) return { meanTitreMl: null, concordant: [] };
+
+  let best = [titres[0]];
+  for (let start = 0; start < titres.length; start++) {
+    const group = titres.filter(titre => titre >= titres[start] && titre - titres[start] <= CONCORDANT_RANGE_ML + 1e-9);
+    if (group.length > best.length) best = group;
+  }
+  const used = best.length >= 2 ? best : titres;
+  return {
+    meanTitreMl: round(used.reduce((sum, titre) => sum + titre, 0) / used.length, 2),
+    concordant: best.length >= 2 ? best : []
+  };
+};
+
+// 100 for an exact answer, 5 points off per 1% error
+const scoreFromError = (percentError) => Math.max(0, Math.round(100 - 5 * percentError));
+
+const percentError = (value, reference) => round((Math.abs(value - reference) / reference) * 100, 1);
+
+/**
+ * Compare the student's reported concentration with the one their titres give and the true
+ * unknown. Accuracy is half calculation (report vs own titres) and half technique (own titres
+ * vs the true value).
+ * @param {Object} titration
+ * @param {number} reportedMolarity - mol/L
+ * @returns {Object|null} analysis, or null without trials
+ */
+export const analyzeTitration = (titration, reportedMolarity) => {
+  const { meanTitreMl, concordant } = meanTitre(titration?.trials);
+  if (meanTitreMl === null) return null;
+
+  const { analyte, titrant, analyteVolumeMl, titrantMolarity, unknownMolarity } = titration;
+  const computedMolarity = round((titrantMolarity * titrant.equivalents * meanTitreMl) / (analyte.equivalents * analyteVolumeMl), 4);
+  const reported = Number(reportedMolarity);
+  const hasReport = Number.isFinite(reported) && reported > 0;
+  const calculationError = hasReport ? percentError(reported, computedMolarity) : null;
+  const techniqueError = percentError(computedMolarity, unknownMolarity);
+
+  return {
+    trials: titration.trials.length,
+    concordantTrials: concordant.length,
+    meanTitreMl,
+    equivalenceVolumeMl: round(equivalenceVolume(titration), 2),
+    computedMolarity,
+    reportedMolarity: hasReport ? reported : null,
+    actualMolarity: unknownMolarity,
+    calculationError,
+    techniqueError,
+    accuracy: Math.round((scoreFromError(calculationError ?? 100) + scoreFromError(techniqueError)) / 2)
+  };
+};
@@ -0,0 +1,155 @@
+// XP - one ledger of experience points across quizzes, simulations, prompt games and assignments
+//
+// Each finished activity becomes one XP event whose id names what it rewards (quiz:<result>,
+// simulation:<id>, game:<game id>, assignment:<id>). Recording the same activity
+// again - a retried save, a replayed offline request, a game played twice - keeps one event
+// with the higher XP, here and on the backend. Totals, levels and streaks come from the ledger.
+
+import { getDayStreaks } from './achievements';
+
+export const XP_SOURCES = {
+  quiz: { label: 'Quiz', icon: '📝' },
+  simulation: { label: 'Simulation', icon: '🔬' },
+  game: { label: 'Game', icon: '🎮' },
+  assignment: { label: 'Assignment', icon: '📋' }
+};
+
+const clampPercent = (value) => Math.min(100, Math.max(0, Number(value) || 0));
+
+// Every source has a fixed part for finishing and a capped part for doing well
+const XP_RULES = {
+  quiz: ({ score }) => 10 + Math.round(clampPercent(score) * 0.4), // 10-50
+  simulation: ({ score }) => 30 + Math.round(clampPercent(score) * 0.3), // 30-60
+  // Generated games have no fixed score scale
+  game: ({ score }) => 10 + Math.min(20, Math.round((Number(score) || 0) / 10)), // 10-30
+  assignment: ({ score, isLate }) => 20 + Math.round(clampPercent(score) * 0.4) + (isLate ? 0 : 10) // 20-70
+};
+
+const LEVEL_STEP_XP = 100;
+
+// XP needed to reach a level: 0, 100, 300, 600, 1000, ... (each level takes 100 more than the last)
+export const xpForLevel = (level) => (LEVEL_STEP_XP * level * (level - 1)) / 2;
+
+/**
+ * Level reached with a total and how far it is to the next one.
+ * @param {number} totalXp
+ * @returns {{ level: number, levelXp: number, nextLevelXp: number, toNext: number, progress: number }}
+ */
+export const getLevelProgress = (totalXp) => {
+  let level = 1;
+  while (totalXp >= xpForLevel(level + 1)) level += 1;
+
+  const levelXp = xpForLevel(level);
+  const nextLevelXp = xpForLevel(level + 1);
+  return {
+    level,
+    levelXp,
+    nextLevelXp,
+    toNext: nextLevelXp - totalXp,
+    progress: (totalXp - levelXp) / (nextLevelXp - levelXp)
+  };
+};
+
+/**
+ * Build the XP event for a finished activity.
+ * @param {object} activity
+ * @param {string} activity.studentId
+ * @param {string} activity.source - a key of XP_SOURCES
+ * @param {string} activity.sourceId - identifies the activity within its source
+ * @param {string} [activity.title]
+ * @param {number} [activity.score] - percentage, or game points for games
+ * @param {boolean} [activity.isLate] - assignments only
+ * @param {string} [activity.occurredAt] - ISO date string, defaults to now
+ * @returns {object} { id, studentId, source, sourceId, title, score, xp, occurredAt }
+ */
+export const createXpEvent = ({ studentId, source, sourceId, title, score, isLate, occurredAt }) => {
+  const rule = XP_RULES[source];
+  if (!rule) {
+    throw new Error(`Unknown XP source: ${source}`);
+  }
+  if (!studentId || !sourceId) {
+    throw new Error('Student ID and source ID are required for an XP event');
+  }
+
+  return {
+    id: `${source}:${sourceId}`,
+    studentId,
+    source,
+    sourceId: String(sourceId),
+    title: title || XP_SOURCES[source].label,
+    score: score ?? null,
+    xp: rule({ score, isLate }),
+    occurredAt: occurredAt || new Date().toISOString()
+  };
+};
+
+// Merge events into a ledger, one per id with the higher XP
+export const mergeXpEvents = (ledger, events) => {
+  const byId = new Map(ledger.map(event => [event.id, event]));
+  events.forEach(event => {
+    const existing = byId.get(event.id);
+    if (!existing || event.xp > existing.xp) byId.set(event.id, event);
+  });
+  return [...byId.values()].sort((a, b) => new Date(b.occurredAt) - new Date(a.occurredAt));
+};
+
+/**
+ * Totals, level and streak for a ledger.
+ * @param {object[]} events
+ * @param {Date} [now]
+ * @returns {object} { totalXp, todayXp, bySource, streak: { current, best }, ...getLevelProgress }
+ */
+export const summarizeXp = (events, now = new Date()) => {
+  const totalXp = events.reduce((sum, event) => sum + event.xp, 0);
+  const today = now.toDateString();
+  const bySource = Object.fromEntries(Object.keys(XP_SOURCES).map(source => [source, 0]));
+  events.forEach(event => {
+    bySource[event.source] = (bySource[event.source] || 0) + event.xp;
+  });
+
+  return {
+    totalXp,
+    todayXp: events
+      .filter(event => new Date(event.occurredAt).toDateString() === today)
+      .reduce((sum, event) => sum + event.xp, 0),
+    bySource,
+    streak: getDayStreaks(events.map(event => event.occurredAt), now),
+    ...getLevelProgress(totalXp)
+  };
+};
+
+// ===== Live updates =====
+// xpAPI.recordEvent publishes every event it records, so the XP shown in the layout updates
+// as soon as an activity finishes, even while the save waits in the offline outbox.
+
+const listeners = new Set();
+
+export const publishXpEvent = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+export const subscribeToXp = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ===== Leaderboards =====
+// Teachers switch leaderboards on per class; the backend applies the name setting before
+// sending entries, so hidden names never reach other students' browsers.
+
+export const LEADERBOARD_NAME_DISPLAY = {
+  full: 'Full names',
+  initials: 'First name and initial',
+  anonymous: 'Anonymous - students only see their own name'
+};
+
+export const LEADERBOARD_PERIODS = {
+  week: 'This week',
+  all: 'All time'
+};
+
+export const DEFAULT_LEADERBOARD_SETTINGS = {
+  enabled: false,
+  nameDisplay: 'initials',
+  period: 'week'
+};